@@ -0,0 +1,397 @@
+// backend/controllers/cartController.js
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const { revalidateLines } = require("../utils/cartLines");
+const { packOf, packName } = require("../utils/units");
+
+// Helper: the user's active cart (created on first use)
+const getActiveCart = async (userId) => {
+  const cart = await Cart.findOneAndUpdate(
+    { user: userId, name: null },
+    { $setOnInsert: { user: userId, name: null, items: [] } },
+    { new: true, upsert: true }
+  );
+  return cart;
+};
+
+// Helper: cart document + revalidated lines for the response
+const cartView = async (cart, district) => {
+  const { items, totalAmount, hasIssues } = await revalidateLines(
+    cart.items,
+    district
+  );
+
+  return {
+    _id: cart._id,
+    name: cart.name,
+    updatedAt: cart.updatedAt,
+    items,
+    totalAmount,
+    hasIssues,
+  };
+};
+
+// Helper: a draft owned by the current user
+const findDraft = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Cart.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+    name: { $ne: null },
+  });
+};
+
+// Helper: the cart line for a product in one pack ("" = base unit)
+const findLine = (cart, productId, unit = "") =>
+  cart.items.find(
+    (x) =>
+      x.product.toString() === String(productId) &&
+      (x.unit || "").toLowerCase() === String(unit).trim().toLowerCase()
+  );
+
+const parseQuantity = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+};
+
+// 1. GET ACTIVE CART
+const getCart = async (req, res, next) => {
+  try {
+    const cart = await getActiveCart(req.user.id);
+    res.json(await cartView(cart, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. ADD ITEM (adds to existing quantity of the same pack)
+const addCartItem = async (req, res, next) => {
+  try {
+    const { product: productId, unit } = req.body || {};
+    const quantity = parseQuantity(req.body?.quantity ?? 1);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Valid product is required" });
+    }
+    if (!(quantity > 0)) {
+      return res
+        .status(400)
+        .json({ message: "Quantity must be a positive whole number" });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    if (product.district !== req.user.district) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    const pack = packOf(product, unit);
+    if (!pack) {
+      return res.status(400).json({ message: `${product.name} is not sold by the ${unit}` });
+    }
+    const packKey = packName(pack);
+
+    const cart = await getActiveCart(req.user.id);
+    const line = findLine(cart, productId, packKey);
+
+    if (line) {
+      line.quantity += quantity;
+      line.priceAtAdd = pack.price;
+    } else {
+      cart.items.push({ product: productId, unit: packKey, quantity, priceAtAdd: pack.price });
+    }
+
+    await cart.save();
+    res.status(201).json(await cartView(cart, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. UPDATE ITEM QUANTITY (0 removes the line; ?unit= picks the pack)
+const updateCartItem = async (req, res, next) => {
+  try {
+    const quantity = parseQuantity(req.body?.quantity);
+    if (!(quantity >= 0)) {
+      return res
+        .status(400)
+        .json({ message: "Quantity must be a whole number" });
+    }
+
+    const cart = await getActiveCart(req.user.id);
+    const line = findLine(cart, req.params.productId, req.query.unit);
+    if (!line) {
+      return res.status(404).json({ message: "Item not in cart" });
+    }
+
+    if (quantity === 0) {
+      cart.items.pull(line._id);
+    } else {
+      line.quantity = quantity;
+    }
+
+    await cart.save();
+    res.json(await cartView(cart, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. REMOVE ITEM (?unit= picks the pack)
+const removeCartItem = async (req, res, next) => {
+  try {
+    const cart = await getActiveCart(req.user.id);
+    const line = findLine(cart, req.params.productId, req.query.unit);
+    if (!line) {
+      return res.status(404).json({ message: "Item not in cart" });
+    }
+
+    cart.items.pull(line._id);
+    await cart.save();
+    res.json(await cartView(cart, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 5. CLEAR CART
+const clearCart = async (req, res, next) => {
+  try {
+    const cart = await getActiveCart(req.user.id);
+    cart.items = [];
+    await cart.save();
+    res.json(await cartView(cart, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 6. LIST DRAFTS
+const getDrafts = async (req, res, next) => {
+  try {
+    const drafts = await Cart.find({ user: req.user.id, name: { $ne: null } })
+      .sort({ updatedAt: -1 });
+
+    res.json(
+      drafts.map((d) => ({
+        _id: d._id,
+        name: d.name,
+        lineCount: d.items.length,
+        updatedAt: d.updatedAt,
+      }))
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 7. GET DRAFT (revalidated)
+const getDraft = async (req, res, next) => {
+  try {
+    const draft = await findDraft(req);
+    if (!draft) return res.status(404).json({ message: "Draft not found" });
+
+    res.json(await cartView(draft, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 8. SAVE ACTIVE CART AS DRAFT (same name overwrites)
+const saveDraft = async (req, res, next) => {
+  try {
+    const name = (req.body?.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ message: "Draft name is required" });
+    }
+
+    const cart = await getActiveCart(req.user.id);
+    if (cart.items.length === 0) {
+      return res.status(400).json({ message: "Cart is empty" });
+    }
+
+    const draft = await Cart.findOneAndUpdate(
+      { user: req.user.id, name },
+      {
+        user: req.user.id,
+        name,
+        items: cart.items.map((x) => ({
+          product: x.product,
+          unit: x.unit,
+          quantity: x.quantity,
+          priceAtAdd: x.priceAtAdd,
+        })),
+      },
+      { new: true, upsert: true }
+    );
+
+    if (req.body?.clearCart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.status(201).json(await cartView(draft, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 9. RESUME DRAFT (replaces the active cart)
+const resumeDraft = async (req, res, next) => {
+  try {
+    const draft = await findDraft(req);
+    if (!draft) return res.status(404).json({ message: "Draft not found" });
+
+    const cart = await getActiveCart(req.user.id);
+    cart.items = draft.items.map((x) => ({
+      product: x.product,
+      unit: x.unit,
+      quantity: x.quantity,
+      priceAtAdd: x.priceAtAdd,
+    }));
+    await cart.save();
+
+    res.json(await cartView(cart, req.user.district));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 10. DELETE DRAFT
+const deleteDraft = async (req, res, next) => {
+  try {
+    const draft = await findDraft(req);
+    if (!draft) return res.status(404).json({ message: "Draft not found" });
+
+    await draft.deleteOne();
+    res.json({ message: "Draft deleted" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Issues that keep a past order line out of the new cart
+const UNORDERABLE = ["discontinued", "inactive", "outOfDistrict"];
+
+// 11. REORDER A PAST ORDER (into the active cart or a new draft)
+const reorder = async (req, res, next) => {
+  try {
+    const { target = "cart" } = req.body || {};
+    if (!["cart", "draft"].includes(target)) {
+      return res.status(400).json({ message: "Target must be cart or draft" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.id,
+      supermarket: req.user.id,
+    });
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // 1. Same products, packs and quantities, checked against today's catalog
+    //    (priceAtAdd = price paid, so price changes are reported)
+    const byProduct = new Map();
+    for (const item of order.items) {
+      const id = `${item.product}:${packName(item)}`;
+      const prev = byProduct.get(id);
+      byProduct.set(id, {
+        product: item.product,
+        unit: packName(item),
+        quantity: (prev ? prev.quantity : 0) + item.quantity,
+        priceAtAdd: item.price,
+      });
+    }
+    const { items } = await revalidateLines([...byProduct.values()], req.user.district);
+
+    const added = [];
+    const skipped = [];
+    for (const line of items) {
+      const report = {
+        product: line.product._id,
+        name: line.product.name || "Unknown Product",
+        unit: line.unit,
+        unitLabel: line.unitLabel,
+        quantity: line.quantity,
+        previousPrice: line.priceAtAdd,
+        price: line.price,
+        available: line.available,
+        issues: line.issues,
+      };
+      if (line.issues.some((code) => UNORDERABLE.includes(code))) {
+        skipped.push(report);
+      } else {
+        added.push(report);
+      }
+    }
+
+    if (added.length === 0) {
+      return res.status(409).json({
+        message: "None of the items from this order can be ordered now",
+        skipped,
+      });
+    }
+
+    // 2. Cart lines at today's price
+    const newLines = added.map((line) => ({
+      product: line.product,
+      unit: line.unit,
+      quantity: line.quantity,
+      priceAtAdd: line.price,
+    }));
+
+    let cart;
+    if (target === "draft") {
+      const name =
+        (req.body?.draftName || "").trim() ||
+        `Reorder #${order._id.toString().slice(-6).toUpperCase()}`;
+      cart = await Cart.findOneAndUpdate(
+        { user: req.user.id, name },
+        { user: req.user.id, name, items: newLines },
+        { new: true, upsert: true }
+      );
+    } else {
+      cart = await getActiveCart(req.user.id);
+      for (const line of newLines) {
+        const existing = findLine(cart, line.product, line.unit);
+        if (existing) {
+          existing.quantity += line.quantity;
+          existing.priceAtAdd = line.priceAtAdd;
+        } else {
+          cart.items.push(line);
+        }
+      }
+      await cart.save();
+    }
+
+    res.status(201).json({
+      target,
+      cart: await cartView(cart, req.user.district),
+      added,
+      skipped,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  getDrafts,
+  getDraft,
+  saveDraft,
+  resumeDraft,
+  deleteDraft,
+  reorder,
+};
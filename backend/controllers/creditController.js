@@ -0,0 +1,96 @@
+// backend/controllers/creditController.js
+const mongoose = require("mongoose");
+const CreditAccount = require("../models/CreditAccount");
+const User = require("../models/User");
+const { CREDIT_TERMS, outstandingBalance, ageingReport } = require("../utils/credit");
+
+// Helper: account as JSON with what the buyer owes and can still spend
+// (either side may be populated)
+const withBalance = async (account) => {
+  const idOf = (ref) => ref._id || ref;
+  const outstanding = await outstandingBalance(
+    idOf(account.supplier),
+    idOf(account.supermarket)
+  );
+  return {
+    ...account,
+    outstanding,
+    available: Math.round((account.creditLimit - outstanding) * 100) / 100,
+  };
+};
+
+// 1. LIST CREDIT ACCOUNTS
+// Supplier: accounts granted; supermarket: credit held with each supplier
+const getCreditAccounts = async (req, res, next) => {
+  try {
+    const isSupplier = req.user.role === "supplier";
+    const accounts = await CreditAccount.find(
+      isSupplier ? { supplier: req.user.id } : { supermarket: req.user.id }
+    )
+      .populate(isSupplier ? "supermarket" : "supplier", "name email district")
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json(await Promise.all(accounts.map(withBalance)));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. GRANT / UPDATE CREDIT FOR A BUYER (supplier)
+// Body: { creditLimit, termsDays: 7|14|30, isActive }
+// New terms apply to orders placed from now on.
+const upsertCreditAccount = async (req, res, next) => {
+  try {
+    const { supermarketId } = req.params;
+    const { creditLimit, termsDays, isActive } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(supermarketId)) {
+      return res.status(400).json({ message: "Invalid supermarket" });
+    }
+    const supermarket = await User.findOne({ _id: supermarketId, role: "supermarket" });
+    if (!supermarket) {
+      return res.status(404).json({ message: "Supermarket not found" });
+    }
+
+    const limit = Number(creditLimit);
+    if (!Number.isFinite(limit) || limit < 0) {
+      return res.status(400).json({ message: "Credit limit must be 0 or more" });
+    }
+    const terms = Number(termsDays ?? 30);
+    if (!CREDIT_TERMS.includes(terms)) {
+      return res
+        .status(400)
+        .json({ message: `Payment terms must be Net ${CREDIT_TERMS.join(", ")}` });
+    }
+
+    const account = await CreditAccount.findOneAndUpdate(
+      { supplier: req.user.id, supermarket: supermarketId },
+      {
+        creditLimit: limit,
+        termsDays: terms,
+        isActive: isActive === undefined ? true : Boolean(isActive),
+        updatedBy: req.user.id,
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    )
+      .populate("supermarket", "name email district")
+      .lean();
+
+    res.json(await withBalance(account));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. AR AGEING PER BUYER (supplier)
+// Open invoice balances bucketed by days past due, plus uninvoiced credit orders
+const getAgeing = async (req, res, next) => {
+  try {
+    res.json(await ageingReport(req.user.id));
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { getCreditAccounts, upsertCreditAccount, getAgeing };
@@ -0,0 +1,207 @@
+// backend/controllers/invoiceController.js
+const { PassThrough } = require("stream");
+const archiver = require("archiver");
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const { issueInvoice, invoiceStatus } = require("../utils/invoices");
+const { recordPayment } = require("../utils/payments");
+const { invoiceBalance } = require("../utils/invoiceBalance");
+const { renderInvoicePdf } = require("../utils/invoicePdf");
+
+// Helper: each party only sees its own invoices
+const ownerFilter = (user) =>
+  user.role === "supplier" ? { supplier: user.id } : { supermarket: user.id };
+
+// Helper: an invoice the logged-in user may read
+const findOwnInvoice = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Invoice.findOne({ _id: req.params.id, ...ownerFilter(req.user) });
+};
+
+// Helper: invoice as JSON with its current payment status and balance
+const withStatus = (invoice) => {
+  const json = invoice.toObject ? invoice.toObject() : invoice;
+  return {
+    ...json,
+    status: invoiceStatus(json),
+    balance: invoiceBalance(json),
+  };
+};
+
+// 1. LIST INVOICES (?order=, ?buyer=, ?from=, ?to=, ?status=Unpaid|PartPaid|Paid|Overdue)
+const getInvoices = async (req, res, next) => {
+  try {
+    const { order, buyer, from, to, status } = req.query;
+    const q = ownerFilter(req.user);
+    if (mongoose.Types.ObjectId.isValid(order)) q.order = order;
+    if (req.user.role === "supplier" && mongoose.Types.ObjectId.isValid(buyer)) {
+      q.supermarket = buyer;
+    }
+    if (from || to) {
+      q.issuedAt = {};
+      if (from) q.issuedAt.$gte = new Date(from);
+      if (to) q.issuedAt.$lte = new Date(`${to}T23:59:59.999`);
+    }
+
+    const invoices = (await Invoice.find(q).sort({ issuedAt: -1 }).lean()).map(withStatus);
+    res.json(status ? invoices.filter((invoice) => invoice.status === status) : invoices);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. GET ONE
+const getInvoice = async (req, res, next) => {
+  try {
+    const invoice = await findOwnInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+    res.json(withStatus(invoice));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. DOWNLOAD PDF (rendered server-side from the stored invoice)
+const getInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await findOwnInvoice(req);
+    if (!invoice) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${invoice.number}.pdf"`);
+    renderInvoicePdf(invoice, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3b. DOWNLOAD SEVERAL PDFs AS ONE ZIP (supplier)
+// Body: { ids: [invoiceId] }
+const downloadInvoicesZip = async (req, res, next) => {
+  try {
+    if (!Array.isArray(req.body?.ids)) {
+      return res.status(400).json({ message: "Select at least one invoice" });
+    }
+    const ids = req.body.ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) {
+      return res.status(400).json({ message: "Select at least one invoice" });
+    }
+
+    const invoices = await Invoice.find({ _id: { $in: ids }, supplier: req.user.id }).sort({
+      number: 1,
+    });
+    if (invoices.length === 0) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", 'attachment; filename="invoices.zip"');
+
+    const archive = archiver("zip");
+    archive.on("error", (err) => {
+      console.error("Invoice ZIP error:", err.message);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    for (const invoice of invoices) {
+      const pdf = new PassThrough();
+      renderInvoicePdf(invoice, pdf);
+      archive.append(pdf, { name: `${invoice.number}.pdf` });
+    }
+    await archive.finalize();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. ISSUE NOW (supplier) - e.g. when the automatic issue failed
+// Body: { orderId }
+const createInvoice = async (req, res, next) => {
+  try {
+    const { orderId } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(orderId).select("supplier");
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (order.supplier.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    const invoice = await issueInvoice(order._id);
+    res.status(201).json(invoice);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 4b. RECORD A PAYMENT RECEIVED (supplier)
+// Body: { amount, method, reference, receivedAt } (same ledger as POST /api/payments)
+const addInvoicePayment = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    await recordPayment(req.user.id, { ...req.body, invoice: req.params.id }, req.user);
+    const invoice = await Invoice.findById(req.params.id);
+    res.status(201).json(withStatus(invoice));
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 5. INVOICE SETTINGS (supplier)
+const getInvoiceSettings = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("invoiceIssueOn");
+    res.json({ issueOn: user?.invoiceIssueOn || "Delivered" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Body: { issueOn: "Accepted" | "Delivered" }
+const updateInvoiceSettings = async (req, res, next) => {
+  try {
+    const { issueOn } = req.body || {};
+    if (!["Accepted", "Delivered"].includes(issueOn)) {
+      return res.status(400).json({ message: "issueOn must be Accepted or Delivered" });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { invoiceIssueOn: issueOn });
+    res.json({ issueOn });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  getInvoicePdf,
+  downloadInvoicesZip,
+  createInvoice,
+  addInvoicePayment,
+  getInvoiceSettings,
+  updateInvoiceSettings,
+};
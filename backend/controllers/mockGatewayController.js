@@ -0,0 +1,124 @@
+// backend/controllers/mockGatewayController.js
+// Hosted pages of the mock card gateway. They stand in for the provider's
+// own site: card numbers are typed here, never into our React app or API.
+const mock = require("../utils/paymentProviders/mock");
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f1f5f9; display: flex; justify-content: center; padding-top: 60px; }
+    .card { background: white; padding: 28px; border-radius: 12px; width: 380px; box-shadow: 0 8px 24px rgba(0,0,0,0.08); }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .muted { color: #64748b; font-size: 13px; }
+    input { width: 100%; box-sizing: border-box; padding: 10px; margin-top: 10px; border: 1px solid #cbd5e1; border-radius: 8px; }
+    .row { display: flex; gap: 10px; }
+    button { width: 100%; margin-top: 14px; padding: 11px; border: none; border-radius: 8px; background: #2563eb; color: white; font-weight: 600; cursor: pointer; }
+    button.secondary { background: #e2e8f0; color: #334155; }
+    code { background: #f1f5f9; padding: 1px 4px; border-radius: 4px; }
+  </style>
+</head>
+<body><div class="card">${body}</div></body>
+</html>`;
+
+const amountLine = (intent) =>
+  `<p class="muted">${escapeHtml(intent.description)} · <strong>${escapeHtml(intent.currency)} ${Number(
+    intent.amount
+  ).toLocaleString()}</strong></p>`;
+
+// Helper: back to the shop once the intent is settled
+const finish = (res, intent) => res.redirect(303, intent.returnUrl);
+
+// GET /mock-gateway/pay/:ref
+const showPaymentPage = (req, res) => {
+  const intent = mock.getHostedIntent(req.params.ref);
+  if (!intent) {
+    return res.status(404).send(page("Not found", "<h1>Payment session not found</h1>"));
+  }
+  if (intent.status !== "RequiresAction") return finish(res, intent);
+
+  const action = `/mock-gateway/pay/${escapeHtml(req.params.ref)}`;
+  res.send(
+    page(
+      "Mock Gateway",
+      `<h1>Mock Payment Gateway</h1>
+      ${amountLine(intent)}
+      <form method="post" action="${action}">
+        <input name="cardNumber" placeholder="Card number" autocomplete="off" required />
+        <div class="row">
+          <input name="expiry" placeholder="MM/YY" maxlength="5" />
+          <input name="cvc" placeholder="CVC" maxlength="4" />
+        </div>
+        <input name="name" placeholder="Cardholder name" />
+        <button type="submit">Pay</button>
+      </form>
+      <form method="post" action="${action}/cancel">
+        <button class="secondary" type="submit">Cancel</button>
+      </form>
+      <p class="muted">
+        Test cards: <code>4242 4242 4242 4242</code> succeeds,
+        <code>4000 0000 0000 0002</code> is declined,
+        <code>4000 0000 0000 3220</code> asks for 3-D Secure.
+      </p>`
+    )
+  );
+};
+
+// POST /mock-gateway/pay/:ref
+const submitPayment = async (req, res, next) => {
+  try {
+    if (!mock.getHostedIntent(req.params.ref)) {
+      return res.status(404).send(page("Not found", "<h1>Payment session not found</h1>"));
+    }
+
+    const intent = await mock.submitCard(req.params.ref, req.body?.cardNumber);
+    if (!intent.challenge) return finish(res, intent);
+
+    const action = `/mock-gateway/pay/${escapeHtml(req.params.ref)}/3ds`;
+    res.send(
+      page(
+        "3-D Secure",
+        `<h1>3-D Secure</h1>
+        ${amountLine(intent)}
+        <p class="muted">Your bank asks you to confirm this payment.</p>
+        <form method="post" action="${action}">
+          <button name="result" value="approve" type="submit">Approve</button>
+          <button class="secondary" name="result" value="fail" type="submit">Fail authentication</button>
+        </form>`
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /mock-gateway/pay/:ref/3ds
+const submitChallenge = async (req, res, next) => {
+  try {
+    if (!mock.getHostedIntent(req.params.ref)) {
+      return res.status(404).send(page("Not found", "<h1>Payment session not found</h1>"));
+    }
+    finish(res, await mock.completeChallenge(req.params.ref, req.body?.result === "approve"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /mock-gateway/pay/:ref/cancel
+const cancelPayment = async (req, res, next) => {
+  try {
+    if (!mock.getHostedIntent(req.params.ref)) {
+      return res.status(404).send(page("Not found", "<h1>Payment session not found</h1>"));
+    }
+    finish(res, await mock.cancel(req.params.ref));
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { showPaymentPage, submitPayment, submitChallenge, cancelPayment };
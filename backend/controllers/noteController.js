@@ -0,0 +1,141 @@
+// backend/controllers/noteController.js
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const notify = require("../utils/notify");
+const { orderError } = require("../utils/orderPlacement");
+const {
+  NOTE_REASONS,
+  SYSTEM_REASONS,
+  NOTE_TYPES,
+  buildNoteLines,
+  issueNote,
+} = require("../utils/notes");
+
+// Orders that have been billed and can be adjusted
+const NOTE_ORDER_STATUSES = ["Accepted", "PartiallyDispatched", "Dispatched", "Delivered"];
+
+// Helper: each party only sees its own notes
+const ownerFilter = (user) =>
+  user.role === "supplier" ? { supplier: user.id } : { supermarket: user.id };
+
+// 1. LIST NOTES (?type=credit|debit, ?order=)
+const getNotes = async (req, res, next) => {
+  try {
+    const q = ownerFilter(req.user);
+    if (mongoose.Types.ObjectId.isValid(req.query.order)) q.order = req.query.order;
+
+    const types = NOTE_TYPES[req.query.type] ? [req.query.type] : Object.keys(NOTE_TYPES);
+    const lists = await Promise.all(
+      types.map(async (type) => {
+        const notes = await NOTE_TYPES[type].Model.find(q)
+          .populate("supplier", "name")
+          .populate("supermarket", "name")
+          .sort({ createdAt: -1 })
+          .lean();
+        return notes.map((note) => ({ ...note, type }));
+      })
+    );
+
+    res.json(
+      lists.flat().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. GET ONE (/:type/:id)
+const getNote = async (req, res, next) => {
+  try {
+    const noteType = NOTE_TYPES[req.params.type];
+    if (!noteType || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    const note = await noteType.Model.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user),
+    })
+      .populate("supplier", "name email")
+      .populate("supermarket", "name email district");
+    if (!note) {
+      return res.status(404).json({ message: "Note not found" });
+    }
+
+    res.json({ ...note.toObject(), type: req.params.type });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. ISSUE A CREDIT / DEBIT NOTE (supplier)
+// Body: { type, orderId, reasonCode, reason, lines?: [{ itemId, quantity, amount? }], amount? }
+const createNote = async (req, res, next) => {
+  const { type, orderId, reasonCode, reason, lines, amount } = req.body || {};
+
+  if (!NOTE_TYPES[type]) {
+    return res.status(400).json({ message: "Type must be credit or debit" });
+  }
+  // RETURN / INVOICE_ADJUSTMENT credit notes only come from the system
+  if (!NOTE_REASONS[type].includes(reasonCode) || SYSTEM_REASONS.includes(reasonCode)) {
+    return res.status(400).json({
+      message: "A valid reason is required",
+      reasons: NOTE_REASONS[type].filter((code) => !SYSTEM_REASONS.includes(code)),
+    });
+  }
+  if (!(reason || "").trim()) {
+    return res.status(400).json({ message: "Please describe the reason" });
+  }
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return res.status(400).json({ message: "Invalid order id" });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let note;
+    let order;
+
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order || order.supplier.toString() !== req.user.id) {
+        throw orderError(404, "Order not found");
+      }
+      if (!NOTE_ORDER_STATUSES.includes(order.status)) {
+        throw orderError(400, `Cannot issue notes on an order that is ${order.status}`);
+      }
+
+      note = await issueNote(
+        type,
+        {
+          order,
+          lines: Array.isArray(lines) && lines.length ? buildNoteLines(order, lines) : [],
+          amount,
+          reasonCode,
+          reason: reason.trim(),
+        },
+        req.user,
+        session
+      );
+    });
+
+    await notify(order.supermarket, {
+      type: "alert",
+      message: `${type === "credit" ? "Credit" : "Debit"} note ${note.number}`,
+      detail: `Rs. ${note.amount} on order #${order._id.toString().slice(-6).toUpperCase()} - ${note.reason}`,
+      order: order._id,
+    });
+
+    res.status(201).json({ ...note.toObject(), type });
+  } catch (err) {
+    if (err.statusCode) {
+      return res
+        .status(err.statusCode)
+        .json({ message: err.message, ...err.details });
+    }
+    next(err);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { getNotes, getNote, createNote };
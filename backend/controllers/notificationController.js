@@ -0,0 +1,62 @@
+// backend/controllers/notificationController.js
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+
+// 1. GET MY NOTIFICATIONS (latest first)
+const getMyNotifications = async (req, res, next) => {
+  try {
+    const limit = Math.min(Number(req.query.limit || 20), 100);
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find({ user: req.user.id })
+        .sort({ createdAt: -1 })
+        .limit(limit),
+      Notification.countDocuments({ user: req.user.id, isRead: false }),
+    ]);
+
+    res.json({ notifications, unreadCount });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. MARK ONE AS READ
+const markNotificationRead = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { isRead: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. MARK ALL AS READ
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    await Notification.updateMany(
+      { user: req.user.id, isRead: false },
+      { isRead: true }
+    );
+    res.json({ message: "All notifications marked as read" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
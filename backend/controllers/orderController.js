@@ -1,17 +1,46 @@
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
 const Product = require("../models/Product");
+const { renderPickListPdf } = require("../utils/pickListPdf");
+const {
+  CANCEL_REASONS,
+  setOrderStatus,
+  releaseOrderStock,
+} = require("../utils/orderStatus");
+const { placeOrder, orderError, hasBadQuantity } = require("../utils/orderPlacement");
+const {
+  acceptOrder,
+  recordShipment,
+  resolveRemainder,
+} = require("../utils/fulfilment");
+const {
+  applyAmendment,
+  describeAmendment,
+  versionFilter,
+} = require("../utils/amendments");
+const notify = require("../utils/notify");
+const { startCheckoutPayment } = require("../utils/cardPayments");
+const { issueInvoiceIfDue, creditDroppedUnits } = require("../utils/invoices");
+const { refundExcess } = require("../utils/refunds");
+const { releaseOrderCredit } = require("../utils/credit");
+
+// Helper: id of a ref whether it is populated or not
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+// Helper: suppliers and supermarkets only see their own orders
+const canViewOrder = (user, order) => {
+  if (user.role === "supplier") return refId(order.supplier) === user.id;
+  if (user.role === "supermarket") return refId(order.supermarket) === user.id;
+  return true;
+};
 
 /**
  * 1. Create Order (Supermarket)
  */
-// backend/controllers/orderController.js - createOrder function ONLY
-
 const createOrder = async (req, res) => {
   try {
     const {
       items,
-      totalAmount,
       supplierId,
       deliveryAddress,
       note,
@@ -22,38 +51,127 @@ const createOrder = async (req, res) => {
       return res.status(400).json({ message: "No order items" });
     }
 
-    //
-    let initialPaymentStatus = "Pending";
-    if (paymentMethod === "Card") {
-      initialPaymentStatus = "Paid";
+    if (hasBadQuantity(items)) {
+      return res
+        .status(400)
+        .json({ message: "Item quantities must be positive whole numbers" });
     }
 
-    const order = new Order({
-      supermarket: req.user.id,
-      supplier: supplierId,
-      items: items.map((item) => ({
-        product: item.product,
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price,
-      })),
-      totalAmount,
+    if (!supplierId || !mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({ message: "Valid supplierId is required" });
+    }
+
+    const createdOrder = await placeOrder(req.user, {
+      supplierId,
+      items,
       deliveryAddress,
       note,
-      paymentMethod: paymentMethod || "Cash", // Default to Cash
-      paymentStatus: initialPaymentStatus, // Auto set to Paid or Pending
-      status: "Pending",
-      district: req.user.district,
+      paymentMethod,
     });
 
-    const createdOrder = await order.save();
-    res.status(201).json(createdOrder);
+    // ✅ Card: hand back the provider's hosted payment page
+    const payment = await startCheckoutPayment(req.user, [createdOrder]);
+    res.status(201).json(payment ? { ...createdOrder.toObject(), payment } : createdOrder);
   } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, ...error.details });
+    }
     console.error("Order Create Error:", error); //
     res.status(500).json({ message: error.message });
   }
 };
 
+/**
+ * 1b. Checkout a mixed cart (Supermarket)
+ * Splits the cart into one order per supplier inside a single transaction;
+ * either every order is created or none is.
+ */
+const checkout = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { items, deliveryAddress, note, paymentMethod } = req.body;
+
+    if (!items || items.length === 0) {
+      return res.status(400).json({ message: "No order items" });
+    }
+
+    if (hasBadQuantity(items)) {
+      return res
+        .status(400)
+        .json({ message: "Item quantities must be positive whole numbers" });
+    }
+
+    // Group lines by the supplier that owns each product
+    const ids = items
+      .map((item) => String(item.product))
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const products = await Product.find({ _id: { $in: ids } }).select("name supplier");
+    const supplierOf = new Map(
+      products.map((p) => [p._id.toString(), p.supplier.toString()])
+    );
+
+    const missing = items.filter((item) => !supplierOf.has(String(item.product)));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: "Some items cannot be ordered",
+        invalidItems: missing.map((item) => ({
+          product: item.product,
+          name: null,
+          reason: "Product not found",
+        })),
+      });
+    }
+
+    const bySupplier = new Map();
+    for (const item of items) {
+      const supplierId = supplierOf.get(String(item.product));
+      if (!bySupplier.has(supplierId)) bySupplier.set(supplierId, []);
+      bySupplier.get(supplierId).push({
+        product: item.product,
+        unit: item.unit,
+        quantity: item.quantity,
+      });
+    }
+
+    const checkoutGroup = new mongoose.Types.ObjectId();
+    let orders = [];
+
+    await session.withTransaction(async () => {
+      orders = [];
+      for (const [supplierId, supplierItems] of bySupplier) {
+        const order = await placeOrder(
+          req.user,
+          {
+            supplierId,
+            items: supplierItems,
+            deliveryAddress,
+            note,
+            paymentMethod,
+            checkoutGroup,
+          },
+          session
+        );
+        orders.push(order);
+      }
+    });
+
+    const payment = await startCheckoutPayment(req.user, orders);
+    res.status(201).json({ checkoutGroup, orders, payment });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, ...error.details });
+    }
+    console.error("Checkout Error:", error);
+    res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
 /**
  * 2. Get My Orders (Supermarket)
  */
@@ -62,6 +180,7 @@ const getMyOrders = async (req, res) => {
     const orders = await Order.find({ supermarket: req.user.id })
       .populate("supplier", "name email district")
       .populate("items.product", "name price")
+      .populate("statusHistory.actor", "name role")
       .sort({ createdAt: -1 });
 
     res.json(orders);
@@ -83,6 +202,7 @@ const getSupplierOrders = async (req, res) => {
 
     const orders = await Order.find(query)
       .populate("supermarket", "name email district")
+      .populate("statusHistory.actor", "name role")
       .sort({ createdAt: -1 });
 
     res.json(orders);
@@ -105,27 +225,87 @@ const getOrderById = async (req, res) => {
     const order = await Order.findById(id)
       .populate("supermarket", "name email district address")
       .populate("supplier", "name email district")
-      .populate("items.product", "name price image");
+      .populate("items.product", "name price image sku barcode")
+      .populate("statusHistory.actor", "name role");
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    if (
-      req.user.role === "supplier" &&
-      order.supplier.toString() !== req.user.id
-    ) {
+    if (!canViewOrder(req.user, order)) {
       return res.status(403).json({ message: "Access denied" });
     }
 
-    if (
-      req.user.role === "supermarket" &&
-      order.supermarket.toString() !== req.user.id
-    ) {
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * 4a. Pick List PDF (Supplier Only)
+ * Units still to ship, with SKUs and barcodes for the warehouse.
+ */
+const getPickList = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(req.params.id).populate("supermarket", "name");
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // ✅ supplier-only
+    if (order.supplier.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    // ✅ Lines priced before product codes existed use the current ones
+    const products = await Product.find({
+      _id: { $in: order.items.filter((item) => !item.sku).map((item) => item.product) },
+    }).select("sku barcode");
+    const codes = new Map(products.map((p) => [p._id.toString(), p]));
+
+    const shortId = order._id.toString().slice(-6).toUpperCase();
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="pick-list-${shortId}.pdf"`);
+    renderPickListPdf(order, codes, res);
+  } catch (error) {
+    console.error("Pick list error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * 4b. Get Order Status History (Access Controlled)
+ */
+const getOrderHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(id)
+      .select("supplier supermarket status statusHistory createdAt")
+      .populate("statusHistory.actor", "name role");
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (!canViewOrder(req.user, order)) {
       return res.status(403).json({ message: "Access denied" });
     }
 
-    res.json(order);
+    res.json({
+      orderId: order._id,
+      status: order.status,
+      history: order.statusHistory,
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -135,8 +315,9 @@ const getOrderById = async (req, res) => {
  * 5. Update Order Status (Supplier Only)
  */
 const updateOrderStatus = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { status } = req.body;
+    const { status, comment, lines, remainder, expectedVersion } = req.body;
 
     // ✅ Match your Order schema enum (CASE-SENSITIVE)
     const allowed = [
@@ -145,12 +326,124 @@ const updateOrderStatus = async (req, res) => {
       "Dispatched",
       "Delivered",
       "Rejected",
+      "Cancelled",
     ];
 
     if (!allowed.includes(status)) {
       return res.status(400).json({ message: "Invalid status" });
     }
 
+    // ✅ FIXED FLOW (matches your real statuses)
+    const flow = {
+      Pending: ["Accepted", "Rejected"],
+      Accepted: ["Dispatched"],
+      PartiallyDispatched: ["Dispatched"],
+      Dispatched: ["Delivered"],
+      Delivered: [],
+      Rejected: [],
+      Cancelled: [],
+    };
+
+    // ✅ Order and backorder split off on acceptance commit together
+    //    (loaded inside the transaction so a retry starts from the stored order)
+    let order;
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+      if (!order) {
+        throw orderError(404, "Order not found");
+      }
+
+      // ✅ supplier-only
+      if (order.supplier.toString() !== req.user.id) {
+        throw orderError(403, "Not authorized");
+      }
+
+      // ✅ Prevent crash if status is unexpected
+      const nextAllowed = flow[order.status] || [];
+      if (!nextAllowed.includes(status)) {
+        throw orderError(400, `Cannot change status from ${order.status} to ${status}`);
+      }
+
+      // ✅ Buyer asked to cancel: answer that before shipping
+      if (order.cancellation?.status === "Requested") {
+        throw orderError(409, "Resolve the pending cancellation request first");
+      }
+
+      // ✅ Only save if the buyer has not cancelled the order meanwhile
+      order.$where = { status: order.status, "cancellation.status": { $ne: "Requested" } };
+
+      // ✅ The buyer may have amended the order since the supplier opened it
+      if (status === "Accepted") {
+        if (expectedVersion !== undefined && Number(expectedVersion) !== order.version) {
+          throw orderError(409, "The order was amended. Please review the latest version.", {
+            version: order.version,
+          });
+        }
+        order.$where.version = versionFilter(order.version);
+
+        // ✅ Full or partial acceptance (short lines cancelled / backordered)
+        await acceptOrder(order, lines, remainder, req.user, comment, session);
+      } else if (status === "Dispatched") {
+        // ✅ Ships everything still outstanding
+        recordShipment(order, null, req.user, comment);
+      } else {
+        setOrderStatus(order, status, req.user, comment);
+      }
+
+      await order.save({ session });
+    });
+
+    // ✅ Rejected orders give their stock and credit back
+    if (status === "Rejected") {
+      await releaseOrderStock(order);
+      await releaseOrderCredit(order);
+    }
+
+    // ✅ Bill the buyer once the order reaches the supplier's invoicing point
+    await issueInvoiceIfDue(order);
+
+    // ✅ Card money back for a rejected order or lines cancelled on acceptance
+    if (status === "Rejected") {
+      await refundExcess(order, "Rejection", req.user, "Order rejected by the supplier");
+    } else if (status === "Accepted") {
+      await refundExcess(order, "Cancellation", req.user, "Lines cancelled by the supplier");
+    }
+
+    res.json(order);
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, ...error.details });
+    }
+    if (error.name === "DocumentNotFoundError") {
+      return res.status(409).json({
+        message: "The order was amended or cancelled meanwhile. Please review the latest version.",
+      });
+    }
+    console.error("Update status error:", error);
+    res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * 5b. Record a (Partial) Dispatch (Supplier Only)
+ * Body: { lines: [{ itemId, quantity }], note }
+ */
+const createShipment = async (req, res) => {
+  try {
+    const { lines, note } = req.body || {};
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ message: "No shipment lines" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
@@ -161,29 +454,346 @@ const updateOrderStatus = async (req, res) => {
       return res.status(403).json({ message: "Not authorized" });
     }
 
-    // ✅ FIXED FLOW (matches your real statuses)
-    const flow = {
-      Pending: ["Accepted", "Rejected"],
-      Accepted: ["Dispatched"],
-      Dispatched: ["Delivered"],
-      Delivered: [],
-      Rejected: [],
+    if (!["Accepted", "PartiallyDispatched"].includes(order.status)) {
+      return res.status(400).json({
+        message: `Cannot ship an order that is ${order.status}`,
+      });
+    }
+
+    if (order.cancellation?.status === "Requested") {
+      return res.status(409).json({
+        message: "Resolve the pending cancellation request first",
+      });
+    }
+
+    // ✅ Only save if the buyer has not cancelled or amended the order meanwhile
+    order.$where = {
+      status: order.status,
+      "cancellation.status": { $ne: "Requested" },
+      version: versionFilter(order.version),
     };
 
-    // ✅ Prevent crash if status is unexpected
-    const nextAllowed = flow[order.status] || [];
-    if (!nextAllowed.includes(status)) {
+    recordShipment(order, lines, req.user, note);
+    await order.save();
+
+    res.status(201).json(order);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === "DocumentNotFoundError") {
+      return res.status(409).json({
+        message: "The order changed while you were shipping it. Please reload.",
+      });
+    }
+    console.error("Shipment error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * 5c. Backorder or Cancel What Was Not Shipped (Supplier Only)
+ * Body: { action: "backorder" | "cancel", comment }
+ */
+const resolveOrderRemainder = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { action, comment } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    // ✅ Order and backorder commit together
+    let order;
+    let backorder;
+    await session.withTransaction(async () => {
+      order = await Order.findById(req.params.id).session(session);
+      if (!order) {
+        throw orderError(404, "Order not found");
+      }
+
+      // ✅ supplier-only
+      if (order.supplier.toString() !== req.user.id) {
+        throw orderError(403, "Not authorized");
+      }
+
+      if (order.status !== "PartiallyDispatched") {
+        throw orderError(400, "Only partially dispatched orders have a remainder");
+      }
+
+      backorder = await resolveRemainder(order, action, req.user, comment, session);
+      await order.save({ session });
+    });
+
+    // ✅ Invoiced at acceptance: credit the units it no longer bills
+    await creditDroppedUnits(order, req.user);
+
+    if (action === "cancel") {
+      await refundExcess(order, "Cancellation", req.user, "Undelivered lines cancelled");
+    }
+
+    res.json({ order, backorder });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Remainder error:", error);
+    res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * 6. Cancel Order (Supermarket)
+ * Pending -> Cancelled straight away.
+ * Accepted -> cancellation request the supplier must approve.
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const { reasonCode, note } = req.body || {};
+
+    if (!CANCEL_REASONS.includes(reasonCode)) {
+      return res.status(400).json({
+        message: "A valid cancellation reason is required",
+        reasons: CANCEL_REASONS,
+      });
+    }
+
+    if (reasonCode === "OTHER" && !(note || "").trim()) {
+      return res
+        .status(400)
+        .json({ message: "Please describe the reason for cancelling" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // ✅ buyer-only
+    if (order.supermarket.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    if (!["Pending", "Accepted"].includes(order.status)) {
+      return res.status(400).json({
+        message: `Cannot cancel an order that is ${order.status}`,
+      });
+    }
+
+    if (order.cancellation?.status === "Requested") {
+      return res
+        .status(400)
+        .json({ message: "Cancellation already requested" });
+    }
+
+    order.cancellation = {
+      reasonCode,
+      note: (note || "").trim(),
+      requestedBy: req.user.id,
+      requestedAt: new Date(),
+      status: "Requested",
+    };
+
+    // ✅ Only save if the supplier has not accepted / rejected it meanwhile
+    order.$where = { status: order.status, "cancellation.status": { $ne: "Requested" } };
+
+    if (order.status === "Pending") {
+      order.cancellation.status = "Approved";
+      order.cancellation.decidedAt = new Date();
+      setOrderStatus(order, "Cancelled", req.user, `Cancelled by buyer: ${reasonCode}`);
+    }
+
+    await order.save();
+
+    if (order.status === "Cancelled") {
+      await releaseOrderStock(order);
+      await releaseOrderCredit(order);
+      await refundExcess(order, "Cancellation", req.user, "Order cancelled by the buyer");
+    }
+
+    res.status(order.status === "Cancelled" ? 200 : 202).json(order);
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") {
+      return res.status(409).json({
+        message: "The order changed while you were cancelling it. Please reload.",
+      });
+    }
+    console.error("Cancel order error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * 6b. Amend a Pending Order (Supermarket)
+ * Body: { items?: [{ product, quantity }], deliveryAddress?, note?, expectedVersion? }
+ */
+const amendOrder = async (req, res) => {
+  try {
+    const { items, deliveryAddress, note, expectedVersion } = req.body || {};
+
+    if (items !== undefined) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "An order needs at least one item; cancel it instead" });
+      }
+      if (hasBadQuantity(items)) {
+        return res
+          .status(400)
+          .json({ message: "Quantities must be positive whole numbers" });
+      }
+    }
+
+    if (deliveryAddress !== undefined && !String(deliveryAddress).trim()) {
+      return res.status(400).json({ message: "Delivery address is required" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // ✅ buyer-only
+    if (order.supermarket.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    if (order.status !== "Pending" || order.cancellation?.status) {
       return res.status(400).json({
-        message: `Cannot change status from ${order.status} to ${status}`,
+        message: `Cannot amend an order that is ${order.status}`,
       });
     }
 
-    order.status = status;
+    if (expectedVersion !== undefined && Number(expectedVersion) !== order.version) {
+      return res.status(409).json({
+        message: "The order changed since you opened it. Please reload.",
+        version: order.version,
+      });
+    }
+
+    const previousVersion = order.version;
+    const result = await applyAmendment(
+      order,
+      {
+        items,
+        deliveryAddress:
+          deliveryAddress === undefined ? undefined : String(deliveryAddress).trim(),
+        note: note === undefined ? undefined : String(note).trim(),
+      },
+      req.user
+    );
+    if (!result) {
+      return res.status(400).json({ message: "Nothing to change" });
+    }
+
+    // ✅ Only save if the supplier has not accepted it meanwhile
+    order.$where = { status: "Pending", version: versionFilter(previousVersion) };
+    try {
+      await order.save();
+    } catch (saveError) {
+      await result.undo();
+      if (saveError.name === "DocumentNotFoundError") {
+        return res.status(409).json({
+          message: "The order changed while you were editing it. Please reload.",
+        });
+      }
+      throw saveError;
+    }
+
+    await notify(order.supplier, {
+      type: "amendment",
+      message: `Order #${order._id.toString().slice(-6).toUpperCase()} amended (v${order.version})`,
+      detail: describeAmendment(result.amendment),
+      order: order._id,
+    });
+
+    res.json(order);
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ message: error.message, ...error.details });
+    }
+    console.error("Amend order error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * 7. Answer Cancellation Request (Supplier)
+ */
+const respondToCancellation = async (req, res) => {
+  try {
+    const { decision, comment } = req.body || {};
+
+    if (!["approve", "decline"].includes(decision)) {
+      return res
+        .status(400)
+        .json({ message: "Decision must be approve or decline" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    // ✅ supplier-only
+    if (order.supplier.toString() !== req.user.id) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    if (order.cancellation?.status !== "Requested") {
+      return res
+        .status(400)
+        .json({ message: "No pending cancellation request" });
+    }
+
+    // ✅ A double submit answers the request once
+    order.$where = { "cancellation.status": "Requested" };
+    order.cancellation.decidedAt = new Date();
+    order.cancellation.supplierComment = (comment || "").trim();
+
+    if (decision === "approve") {
+      order.cancellation.status = "Approved";
+      setOrderStatus(
+        order,
+        "Cancelled",
+        req.user,
+        comment || `Cancellation approved: ${order.cancellation.reasonCode}`
+      );
+    } else {
+      order.cancellation.status = "Declined";
+    }
+
     await order.save();
 
+    if (decision === "approve") {
+      await releaseOrderStock(order);
+      await releaseOrderCredit(order);
+      await creditDroppedUnits(order, req.user);
+      await refundExcess(order, "Cancellation", req.user, "Cancellation approved");
+    }
     res.json(order);
   } catch (error) {
-    console.error("Update status error:", error);
+    if (error.name === "DocumentNotFoundError") {
+      return res.status(409).json({ message: "The cancellation request was already answered" });
+    }
+    console.error("Cancellation response error:", error);
     res.status(500).json({ message: error.message });
   }
 };
@@ -193,8 +803,16 @@ const updateOrderStatus = async (req, res) => {
  */
 module.exports = {
   createOrder,
+  checkout,
   getMyOrders,
   getSupplierOrders,
   getOrderById,
+  getPickList,
+  getOrderHistory,
   updateOrderStatus,
+  createShipment,
+  resolveOrderRemainder,
+  cancelOrder,
+  amendOrder,
+  respondToCancellation,
 };
@@ -0,0 +1,90 @@
+// backend/controllers/paymentController.js
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const { recordPayment, importBankStatement } = require("../utils/payments");
+
+// Helper: each party only sees its own payments
+const ownerFilter = (user) =>
+  user.role === "supplier" ? { supplier: user.id } : { supermarket: user.id };
+
+// 1. LIST PAYMENTS (?order=, ?invoice=, ?buyer=)
+const getPayments = async (req, res, next) => {
+  try {
+    const { order, invoice, buyer } = req.query;
+    const q = ownerFilter(req.user);
+    if (mongoose.Types.ObjectId.isValid(order)) q.order = order;
+    if (mongoose.Types.ObjectId.isValid(invoice)) q.invoice = invoice;
+    if (req.user.role === "supplier" && mongoose.Types.ObjectId.isValid(buyer)) {
+      q.supermarket = buyer;
+    }
+
+    const payments = await Payment.find(q)
+      .populate("invoice", "number")
+      .populate("recordedBy", "name")
+      .sort({ receivedAt: -1 });
+    res.json(payments);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. RECORD A PAYMENT (supplier)
+// Body: { order | invoice, amount, method, reference, receivedAt, bankLine? }
+// bankLine comes from an unmatched import line the supplier assigned by hand.
+const createPayment = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const payment = await recordPayment(
+      req.user.id,
+      {
+        order: body.order,
+        invoice: body.invoice,
+        amount: body.amount,
+        method: body.method,
+        reference: body.reference,
+        receivedAt: body.receivedAt,
+        source: body.bankLine?.key ? "BankImport" : "Manual",
+        bankLine: body.bankLine?.key
+          ? {
+              key: String(body.bankLine.key),
+              date: body.bankLine.date,
+              description: body.bankLine.description,
+            }
+          : undefined,
+      },
+      req.user
+    );
+    res.status(201).json(payment);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "This bank line is already recorded" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 3. IMPORT A BANK STATEMENT CSV (supplier, multipart field "file")
+// Credits that name an invoice (INV-000123) or order (#A1B2C3) are recorded;
+// the rest come back as unmatched for manual assignment.
+const importStatement = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Upload a CSV file" });
+    }
+    const result = await importBankStatement(req.user.id, req.file.buffer, req.user);
+    res.json(result);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+module.exports = { getPayments, createPayment, importStatement };
@@ -0,0 +1,120 @@
+// backend/controllers/paymentIntentController.js
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const PaymentIntent = require("../models/PaymentIntent");
+const { getProvider } = require("../utils/paymentProviders");
+const {
+  startCardPayment,
+  applyIntentStatus,
+  refreshIntent,
+} = require("../utils/cardPayments");
+
+// Helper: intent fields the buyer's browser needs
+const intentJson = (intent) => ({
+  _id: intent._id,
+  status: intent.status,
+  failureReason: intent.failureReason,
+  amount: intent.amount,
+  currency: intent.currency,
+  orders: intent.orders,
+  redirectUrl: intent.status === "RequiresAction" ? intent.redirectUrl : undefined,
+  createdAt: intent.createdAt,
+});
+
+// 1. PAY CARD ORDERS (supermarket): new intent for orders still unpaid
+// Body: { orders: [orderId] }
+const createPaymentIntent = async (req, res, next) => {
+  try {
+    if (!Array.isArray(req.body?.orders)) {
+      return res.status(400).json({ message: "Choose the orders to pay" });
+    }
+    const ids = req.body.orders.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) {
+      return res.status(400).json({ message: "Choose the orders to pay" });
+    }
+
+    const orders = await Order.find({
+      _id: { $in: ids },
+      supermarket: req.user.id,
+      paymentMethod: "Card",
+      paymentStatus: { $in: ["Pending", "PartPaid", "Failed"] },
+      status: { $nin: ["Rejected", "Cancelled"] },
+    });
+    if (orders.length !== ids.length) {
+      return res
+        .status(400)
+        .json({ message: "Only your open, unpaid card orders can be paid here" });
+    }
+
+    // ✅ One open payment per order: finish (or cancel) that one first
+    const open = await PaymentIntent.findOne({
+      "orders.order": { $in: ids },
+      status: "RequiresAction",
+    });
+    if (open) {
+      const latest = await refreshIntent(open);
+      if (latest.status === "RequiresAction") {
+        return res.status(409).json({
+          message: "A card payment for this order is already open",
+          intent: intentJson(latest),
+        });
+      }
+    }
+
+    const intent = await startCardPayment(req.user, orders);
+    res.status(201).json(intentJson(intent));
+  } catch (err) {
+    // Another tab opened one at the same time (unique index on open intents)
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "A card payment for this order is already open" });
+    }
+    next(err);
+  }
+};
+
+// 2. GET ONE (supermarket) - also checks with the provider if still open
+const getPaymentIntent = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+    const intent = await PaymentIntent.findOne({
+      _id: req.params.id,
+      supermarket: req.user.id,
+    });
+    if (!intent) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    res.json(intentJson(await refreshIntent(intent)));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. PROVIDER WEBHOOK (no login; trusted by signature over the raw body)
+const handleWebhook = async (req, res, next) => {
+  try {
+    let event;
+    try {
+      event = getProvider(req.params.provider).parseWebhook(req.rawBody, req.headers);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const intent = await PaymentIntent.findOne({
+      provider: req.params.provider,
+      providerRef: event.providerRef,
+    });
+    if (!intent) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    await applyIntentStatus(intent._id, event, "webhook");
+    res.json({ received: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { createPaymentIntent, getPaymentIntent, handleWebhook };
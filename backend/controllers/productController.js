@@ -1,15 +1,105 @@
+const mongoose = require("mongoose");
 const Product = require("../models/Product");
+const ProductFamily = require("../models/ProductFamily");
 const User = require("../models/User");
+const {
+  parseBarcode,
+  parseSku,
+  nextSku,
+  productSearchFilter,
+} = require("../utils/productCodes");
+const { parsePacks } = require("../utils/units");
+const { parseOptions, variantName } = require("../utils/variants");
+const { importCatalog, exportCatalog } = require("../utils/productImport");
+const { MAX_IMAGES, galleryImages, removeRenditions } = require("../utils/images");
+
+// Helper: tax override from a form field ("" = use the category / supplier rate)
+const taxRateInput = (value) => {
+  if (value === undefined) return undefined;
+  if (value === "" || value === null || value === "null") return null;
+  const rate = Number(value);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : NaN;
+};
+
+const badRate = (...rates) => rates.some((rate) => Number.isNaN(rate));
+
+// Helper: 409 message when a SKU / barcode is already on another product
+const duplicateCodeMessage = (err) =>
+  err.keyPattern?.barcode
+    ? `Barcode ${err.keyValue?.barcode} is already used by another of your products`
+    : `SKU ${err.keyValue?.sku} is already used by another of your products`;
+
+// Helper: the family a variant joins and its checked options
+// (family "" = a standalone product)
+const variantInput = async (body, supplierId, productId = null) => {
+  if (!body.family) return { family: null, options: [] };
+  if (!mongoose.Types.ObjectId.isValid(body.family)) {
+    return { error: "Product family not found", status: 404 };
+  }
+  const family = await ProductFamily.findOne({ _id: body.family, supplier: supplierId });
+  if (!family) return { error: "Product family not found", status: 404 };
+
+  const options = await parseOptions(family, body.options, productId);
+  if (options.error) return { error: options.error, status: 400 };
+  return { family, options: options.value };
+};
+
+// Helper: photos sent as "images" (gallery) or "image" (older clients)
+const uploadedFiles = (req) => [...(req.files?.image || []), ...(req.files?.images || [])];
+
+// Helper: the product in the URL, if the current user may edit it
+const editableProduct = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return { status: 404, message: "Product not found" };
+  }
+  const product = await Product.findById(req.params.id);
+  if (!product) return { status: 404, message: "Product not found" };
+  if (product.supplier.toString() !== req.user.id && req.user.role !== "admin") {
+    return { status: 403, message: "Not authorized" };
+  }
+  return { product };
+};
+
+// Helper: catalogue search from the query string (?q=, ?sku=, ?barcode=)
+const searchQuery = (query) => {
+  const q = productSearchFilter(query.q);
+  if (query.sku) q.sku = String(query.sku).trim().toUpperCase();
+  if (query.barcode) q.barcode = String(query.barcode).replace(/[\s-]/g, "");
+  return q;
+};
 
 // 1. CREATE PRODUCT
 const createProduct = async (req, res, next) => {
   try {
     const body = req.body || {};
-    const { name, description, price, category, stock } = body;
+    const { description, price, category, stock } = body;
+    const vatRate = taxRateInput(body.vatRate);
+    const ssclRate = taxRateInput(body.ssclRate);
+
+    // ✅ Variants take their name, category and description from the family by default
+    const variant = await variantInput(body, req.user.id);
+    if (variant.error) {
+      return res.status(variant.status).json({ message: variant.error });
+    }
+    const { family, options } = variant;
+    const name = (body.name || "").trim() || (family ? variantName(family, options) : "");
 
     if (!name || price === undefined || price === "") {
       return res.status(400).json({ message: "Name and price required" });
     }
+    if (badRate(vatRate, ssclRate)) {
+      return res.status(400).json({ message: "Tax rates must be between 0 and 100" });
+    }
+    const sku = parseSku(body.sku);
+    const barcode = parseBarcode(body.barcode);
+    if (sku.error || barcode.error) {
+      return res.status(400).json({ message: sku.error || barcode.error });
+    }
+    const baseUnit = (body.baseUnit || "").trim() || "unit";
+    const packs = parsePacks(body.packs, baseUnit);
+    if (packs.error) {
+      return res.status(400).json({ message: packs.error });
+    }
 
     // Get supplier details
     const supplierDetails = await User.findById(req.user.id);
@@ -19,21 +109,43 @@ const createProduct = async (req, res, next) => {
 
     const product = new Product({
       name,
-      description,
+      sku: sku.value || (await nextSku(req.user.id)),
+      barcode: barcode.value || undefined,
+      description: description || family?.description,
+      baseUnit,
       price: Number(price),
-      category,
+      packs: packs.value || [],
+      category: category || family?.category,
+      family: family?._id,
+      options,
+      vatRate: vatRate ?? null,
+      ssclRate: ssclRate ?? null,
       stock: Number(stock || 0),
       supplier: req.user.id,
       district: supplierDetails.district, // auto district
     });
 
-    if (req.file) {
-      product.image = `/uploads/${req.file.filename}`;
+    const files = uploadedFiles(req);
+    if (files.length > MAX_IMAGES) {
+      return res.status(400).json({ message: `A product can have at most ${MAX_IMAGES} images` });
+    }
+    product.images = await galleryImages(files);
+
+    try {
+      await product.save();
+    } catch (err) {
+      // ✅ Do not leave renditions behind for a product that was not saved
+      await Promise.all(product.images.map(removeRenditions));
+      throw err;
     }
-
-    await product.save();
     res.status(201).json(product);
   } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: duplicateCodeMessage(err) });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     next(err);
   }
 };
@@ -41,7 +153,8 @@ const createProduct = async (req, res, next) => {
 // 2. SUPPLIER: Get My Products
 const getMyProducts = async (req, res, next) => {
   try {
-    const products = await Product.find({ supplier: req.user.id })
+    const products = await Product.find({ ...searchQuery(req.query), supplier: req.user.id })
+      .populate("family", "name attributes")
       .sort({ createdAt: -1 });
 
     res.json(products);
@@ -54,14 +167,17 @@ const getMyProducts = async (req, res, next) => {
 const getAllProducts = async (req, res, next) => {
   try {
     const q = {
+      ...searchQuery(req.query),
       isActive: true,
       district: req.user.district,
     };
 
     if (req.query.category) q.category = req.query.category;
 
+    // ✅ Variants come with their family so the catalog can show one card each
     const products = await Product.find(q)
       .populate("supplier", "name email district")
+      .populate("family", "name description category attributes image")
       .sort({ createdAt: -1 });
 
     res.json(products);
@@ -112,21 +228,74 @@ const updateProduct = async (req, res, next) => {
     }
 
     const { name, description, price, category, stock, isActive } = req.body;
+    const vatRate = taxRateInput(req.body.vatRate);
+    const ssclRate = taxRateInput(req.body.ssclRate);
+    if (badRate(vatRate, ssclRate)) {
+      return res.status(400).json({ message: "Tax rates must be between 0 and 100" });
+    }
+    const sku = parseSku(req.body.sku);
+    const barcode = parseBarcode(req.body.barcode);
+    if (sku.error || barcode.error) {
+      return res.status(400).json({ message: sku.error || barcode.error });
+    }
+    const baseUnit = (req.body.baseUnit || "").trim() || product.baseUnit || "unit";
+    const packs = parsePacks(req.body.packs, baseUnit);
+    if (packs.error) {
+      return res.status(400).json({ message: packs.error });
+    }
+
+    // ✅ Join / leave a family, or change this variant's options
+    if (req.body.family !== undefined || (req.body.options !== undefined && product.family)) {
+      const variant = await variantInput(
+        { family: req.body.family ?? product.family, options: req.body.options },
+        product.supplier,
+        product._id
+      );
+      if (variant.error) {
+        return res.status(variant.status).json({ message: variant.error });
+      }
+      product.family = variant.family?._id;
+      product.options = variant.options;
+    }
 
     if (name) product.name = name;
+    if (sku.value) product.sku = sku.value;
+    // ✅ Products from before SKUs get one on their next edit
+    if (!product.sku) product.sku = await nextSku(product.supplier);
+    if (req.body.barcode !== undefined) product.barcode = barcode.value || undefined;
     if (description) product.description = description;
+    // ✅ Stock stays in base units, so renaming the base unit does not convert it
+    product.baseUnit = baseUnit;
     if (price !== undefined) product.price = Number(price);
+    if (packs.value) product.packs = packs.value;
     if (category) product.category = category;
     if (stock !== undefined) product.stock = Number(stock);
     if (isActive !== undefined) product.isActive = isActive;
+    if (vatRate !== undefined) product.vatRate = vatRate;
+    if (ssclRate !== undefined) product.ssclRate = ssclRate;
 
-    if (req.file) {
-      product.image = `/uploads/${req.file.filename}`;
+    // ✅ New photos go to the end of the gallery
+    const files = uploadedFiles(req);
+    if (product.images.length + files.length > MAX_IMAGES) {
+      return res.status(400).json({ message: `A product can have at most ${MAX_IMAGES} images` });
+    }
+    const added = await galleryImages(files);
+    product.images.push(...added);
+
+    try {
+      await product.save();
+    } catch (err) {
+      await Promise.all(added.map(removeRenditions));
+      throw err;
     }
-
-    await product.save();
     res.json(product);
   } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: duplicateCodeMessage(err) });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
     next(err);
   }
 };
@@ -145,13 +314,56 @@ const deleteProduct = async (req, res, next) => {
     }
 
     await product.deleteOne();
+    await Promise.all(product.images.map(removeRenditions));
     res.json({ message: "Product removed" });
   } catch (err) {
     next(err);
   }
 };
 
-// 7. DASHBOARD STATS
+// 7. REORDER GALLERY
+// Body: { order: [imageId, ...] } with every image of the product once
+const reorderImages = async (req, res, next) => {
+  try {
+    const { product, status, message } = await editableProduct(req);
+    if (!product) return res.status(status).json({ message });
+
+    if (!Array.isArray(req.body?.order)) {
+      return res.status(400).json({ message: "order must be a list of image ids" });
+    }
+    const order = req.body.order.map(String);
+    const current = product.images.map((image) => String(image._id));
+    if (order.length !== current.length || !current.every((id) => order.includes(id))) {
+      return res.status(400).json({ message: "List every image of the product once" });
+    }
+
+    product.images = order.map((id) => product.images.id(id));
+    await product.save();
+    res.json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 8. REMOVE GALLERY IMAGE
+const deleteImage = async (req, res, next) => {
+  try {
+    const { product, status, message } = await editableProduct(req);
+    if (!product) return res.status(status).json({ message });
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ message: "Image not found" });
+
+    product.images.pull(image._id);
+    await product.save();
+    await removeRenditions(image);
+    res.json(product);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 9. DASHBOARD STATS
 const dashboardStats = async (req, res, next) => {
   try {
     const supplierId = req.user.id;
@@ -174,6 +386,46 @@ const dashboardStats = async (req, res, next) => {
   }
 };
 
+// 10. BULK IMPORT (supplier, multipart field "file": CSV or XLSX)
+// Previews creates / updates / errors; ?commit=true saves a file without errors.
+// Stock of existing products only changes with ?updateStock=true
+const importProducts = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Upload a CSV or XLSX file" });
+    }
+    const result = await importCatalog(req.user.id, req.file.buffer, {
+      commit: req.query.commit === "true",
+      updateStock: req.query.updateStock === "true",
+    });
+    res.status(result.committed ? 201 : 200).json(result);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message, ...err.details });
+    }
+    next(err);
+  }
+};
+
+// 11. CATALOG EXPORT (?format=csv|xlsx), in the import layout
+const exportProducts = async (req, res, next) => {
+  try {
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const file = await exportCatalog(req.user.id, format);
+
+    res.header(
+      "Content-Type",
+      format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv"
+    );
+    res.attachment(`products.${format}`);
+    res.send(file);
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   createProduct,
   getMyProducts,
@@ -181,5 +433,9 @@ module.exports = {
   getProductById,
   updateProduct,
   deleteProduct,
+  reorderImages,
+  deleteImage,
   dashboardStats,
+  importProducts,
+  exportProducts,
 };
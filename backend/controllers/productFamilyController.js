@@ -0,0 +1,142 @@
+// backend/controllers/productFamilyController.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const ProductFamily = require("../models/ProductFamily");
+const { parseAttributes } = require("../utils/variants");
+const { uploadRenditions, removeRenditions } = require("../utils/images");
+
+// Helper: a family photo only shows on catalog cards
+const familyImage = async (file) => (await uploadRenditions(file, ["card"])).card;
+
+// Helper: a family owned by the current supplier
+const findOwn = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return ProductFamily.findOne({ _id: req.params.id, supplier: req.user.id });
+};
+
+// 1. LIST MY FAMILIES (with their variants)
+const getFamilies = async (req, res, next) => {
+  try {
+    const families = await ProductFamily.find({ supplier: req.user.id })
+      .sort({ name: 1 })
+      .lean();
+    const variants = await Product.find({ family: { $in: families.map((f) => f._id) } })
+      .select("family name sku options price stock image isActive")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json(
+      families.map((family) => ({
+        ...family,
+        variants: variants.filter((v) => v.family.equals(family._id)),
+      }))
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. CREATE FAMILY
+// Body: { name, description, category, attributes: ["Size", "Flavour"] } (+ image)
+const createFamily = async (req, res, next) => {
+  try {
+    const { name, description, category } = req.body || {};
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: "Family name is required" });
+    }
+    const attributes = parseAttributes(req.body?.attributes ?? []);
+    if (attributes.error) {
+      return res.status(400).json({ message: attributes.error });
+    }
+
+    const image = req.file ? await familyImage(req.file) : "";
+    let family;
+    try {
+      family = await ProductFamily.create({
+        supplier: req.user.id,
+        name: name.trim(),
+        description: description || "",
+        category: category || "",
+        attributes: attributes.value,
+        image,
+      });
+    } catch (err) {
+      await removeRenditions({ card: image });
+      throw err;
+    }
+
+    res.status(201).json({ ...family.toObject(), variants: [] });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 3. UPDATE FAMILY
+// Attributes are fixed once variants exist (their options would no longer match)
+const updateFamily = async (req, res, next) => {
+  try {
+    const family = await findOwn(req);
+    if (!family) return res.status(404).json({ message: "Product family not found" });
+
+    const { name, description, category } = req.body || {};
+    const attributes = parseAttributes(req.body?.attributes);
+    if (attributes.error) {
+      return res.status(400).json({ message: attributes.error });
+    }
+
+    if (attributes.value && attributes.value.join("|") !== family.attributes.join("|")) {
+      const inUse = await Product.exists({ family: family._id });
+      if (inUse) {
+        return res.status(409).json({
+          message: "Attributes cannot change while the family has variants",
+        });
+      }
+      family.attributes = attributes.value;
+    }
+    if (name && name.trim()) family.name = name.trim();
+    if (description !== undefined) family.description = description;
+    if (category !== undefined) family.category = category;
+    // ✅ The old photo goes only once the new one is saved
+    const oldImage = family.image;
+    if (req.file) family.image = await familyImage(req.file);
+
+    try {
+      await family.save();
+    } catch (err) {
+      if (req.file) await removeRenditions({ card: family.image });
+      throw err;
+    }
+    if (req.file) await removeRenditions({ card: oldImage });
+    res.json(family);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 4. DELETE FAMILY
+// Variants stay on sale as standalone products
+const deleteFamily = async (req, res, next) => {
+  try {
+    const family = await findOwn(req);
+    if (!family) return res.status(404).json({ message: "Product family not found" });
+
+    const unlinked = await Product.updateMany(
+      { family: family._id },
+      { $unset: { family: 1 }, $set: { options: [] } }
+    );
+    await family.deleteOne();
+    await removeRenditions({ card: family.image });
+
+    res.json({ message: "Product family removed", unlinkedVariants: unlinked.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { getFamilies, createFamily, updateFamily, deleteFamily };
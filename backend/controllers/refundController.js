@@ -0,0 +1,94 @@
+// backend/controllers/refundController.js
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Refund = require("../models/Refund");
+const ReturnRequest = require("../models/ReturnRequest");
+const CreditNote = require("../models/CreditNote");
+const { refundOrder } = require("../utils/refunds");
+
+// Helper: each party only sees its own refunds
+const ownerFilter = (user) =>
+  user.role === "supplier" ? { supplier: user.id } : { supermarket: user.id };
+
+// 1. LIST REFUNDS (?order=, ?returnRequest=)
+const getRefunds = async (req, res, next) => {
+  try {
+    const { order, returnRequest } = req.query;
+    const q = ownerFilter(req.user);
+    if (mongoose.Types.ObjectId.isValid(order)) q.order = order;
+    if (mongoose.Types.ObjectId.isValid(returnRequest)) q.returnRequest = returnRequest;
+
+    const refunds = await Refund.find(q)
+      .populate("creditNote", "number")
+      .populate("requestedBy", "name")
+      .sort({ createdAt: -1 });
+    res.json(refunds);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. REFUND TO THE BUYER'S CARD (supplier)
+// Body: { order, amount?, reason } or { returnRequest, amount?, reason }
+// No amount refunds everything still refundable (for an RMA: its credit note).
+const createRefund = async (req, res, next) => {
+  try {
+    const { order: orderId, returnRequest: rmaId, amount, reason } = req.body || {};
+
+    // 1. Resolve the order (directly or through an approved RMA)
+    let rma = null;
+    let creditNote = null;
+    let order = null;
+    if (rmaId) {
+      if (!mongoose.Types.ObjectId.isValid(rmaId)) {
+        return res.status(404).json({ message: "Return not found" });
+      }
+      rma = await ReturnRequest.findOne({ _id: rmaId, supplier: req.user.id });
+      if (!rma) {
+        return res.status(404).json({ message: "Return not found" });
+      }
+      if (rma.status !== "Approved" || !rma.creditNote) {
+        return res.status(400).json({ message: "Only approved returns can be refunded" });
+      }
+      creditNote = await CreditNote.findById(rma.creditNote);
+      order = await Order.findById(rma.order);
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+      order = await Order.findOne({ _id: orderId, supplier: req.user.id });
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+    }
+
+    // 2. Refund through the payment provider
+    const refunds = await refundOrder(
+      order._id,
+      {
+        amount,
+        reason: (reason || "").trim() || (rma ? `Return ${rma.rmaNumber}` : ""),
+        trigger: rma ? "Return" : "Manual",
+        returnRequest: rma?._id,
+        creditNote,
+      },
+      req.user
+    );
+
+    // 3. Nothing went through: pass the provider's reason on
+    if (!refunds.some((refund) => refund.status === "Succeeded")) {
+      return res.status(502).json({
+        message: refunds[0]?.failureReason || "The payment provider refused the refund",
+        refunds,
+      });
+    }
+    res.status(201).json(refunds);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+module.exports = { getRefunds, createRefund };
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const Order = require("../models/Order");
+const CreditNote = require("../models/CreditNote");
+const DebitNote = require("../models/DebitNote");
 
 // Helper: date range from query
 function getDateRange(req) {
@@ -23,9 +25,50 @@ function getStatusMatch(req) {
   return { status };
 }
 
+// Orders in these states bill nothing, so they add no revenue
+const CLOSED_STATUSES = ["Rejected", "Cancelled"];
+
+// Helper: `expr` for orders that still bill, 0 for closed ones
+const billed = (expr) => ({
+  $cond: [{ $in: ["$status", CLOSED_STATUSES] }, 0, { $ifNull: [expr, 0] }],
+});
+
+// Helper: total of a supplier's credit or debit notes in the date range, on
+// orders that still bill and match the status filter. INVOICE_ADJUSTMENT
+// credits are left out: the order totals already dropped by those units.
+async function sumNotes(Model, supplierId, dateMatch, statusMatch) {
+  const orderStatus = { $nin: CLOSED_STATUSES };
+  if (statusMatch.status) orderStatus.$eq = statusMatch.status;
+
+  const [row] = await Model.aggregate([
+    {
+      $match: {
+        supplier: new mongoose.Types.ObjectId(supplierId),
+        reasonCode: { $ne: "INVOICE_ADJUSTMENT" },
+        ...dateMatch,
+      },
+    },
+    {
+      $lookup: {
+        from: "orders",
+        localField: "order",
+        foreignField: "_id",
+        as: "order",
+      },
+    },
+    { $match: { "order.status": orderStatus } },
+    { $group: { _id: null, total: { $sum: "$amount" }, count: { $sum: 1 } } },
+  ]);
+  return row || { total: 0, count: 0 };
+}
+
 /**
  * GET /api/reports/supplier/summary?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&status=All|Pending|Confirmed|Delivered|Cancelled
- * Returns: totalOrders, totalRevenue, deliveredOrders, pendingOrders, cancelledOrders, confirmedOrders
+ * Returns: totalOrders, totalRevenue, deliveredOrders, pendingOrders, cancelledOrders, confirmedOrders,
+ *          salesExTax, vatTotal, ssclTotal (totalRevenue is the tax-inclusive grand total),
+ *          creditNotesTotal, creditNotesCount, debitNotesTotal, debitNotesCount, netRevenue
+ * (revenue leaves out rejected and cancelled orders; notes are counted by
+ * their own issue date, on the orders the status filter keeps)
  */
 exports.getSupplierReportSummary = async (req, res) => {
   try {
@@ -46,7 +89,13 @@ exports.getSupplierReportSummary = async (req, res) => {
         $group: {
           _id: null,
           totalOrders: { $sum: 1 },
-          totalRevenue: { $sum: { $ifNull: ["$totalAmount", 0] } },
+          totalRevenue: { $sum: billed("$totalAmount") },
+          // Orders from before tax was tracked count as tax-free
+          salesExTax: {
+            $sum: billed({ $ifNull: ["$subtotal", "$totalAmount"] }),
+          },
+          vatTotal: { $sum: billed("$vatTotal") },
+          ssclTotal: { $sum: billed("$ssclTotal") },
           pendingOrders: {
             $sum: { $cond: [{ $eq: ["$status", "Pending"] }, 1, 0] },
           },
@@ -66,6 +115,9 @@ exports.getSupplierReportSummary = async (req, res) => {
           _id: 0,
           totalOrders: 1,
           totalRevenue: 1,
+          salesExTax: 1,
+          vatTotal: 1,
+          ssclTotal: 1,
           pendingOrders: 1,
           confirmedOrders: 1,
           deliveredOrders: 1,
@@ -74,18 +126,32 @@ exports.getSupplierReportSummary = async (req, res) => {
       },
     ];
 
-    const [result] = await Order.aggregate(pipeline);
-
-    res.json(
-      result || {
-        totalOrders: 0,
-        totalRevenue: 0,
-        pendingOrders: 0,
-        confirmedOrders: 0,
-        deliveredOrders: 0,
-        cancelledOrders: 0,
-      }
-    );
+    const [[result], credits, debits] = await Promise.all([
+      Order.aggregate(pipeline),
+      sumNotes(CreditNote, supplierId, dateMatch, statusMatch),
+      sumNotes(DebitNote, supplierId, dateMatch, statusMatch),
+    ]);
+
+    const summary = result || {
+      totalOrders: 0,
+      totalRevenue: 0,
+      salesExTax: 0,
+      vatTotal: 0,
+      ssclTotal: 0,
+      pendingOrders: 0,
+      confirmedOrders: 0,
+      deliveredOrders: 0,
+      cancelledOrders: 0,
+    };
+
+    res.json({
+      ...summary,
+      creditNotesTotal: credits.total,
+      creditNotesCount: credits.count,
+      debitNotesTotal: debits.total,
+      debitNotesCount: debits.count,
+      netRevenue: summary.totalRevenue - credits.total + debits.total,
+    });
   } catch (err) {
     res.status(500).json({ message: "Failed to load summary", error: err.message });
   }
@@ -299,7 +365,15 @@ exports.getSupplierTopProducts = async (req, res) => {
       {
         $group: {
           _id: "$items.product",
-          qtySold: { $sum: { $ifNull: ["$items.quantity", 0] } },
+          // base units, comparable with stockLeft (packs hold unitSize each)
+          qtySold: {
+            $sum: {
+              $multiply: [
+                { $ifNull: ["$items.quantity", 0] },
+                { $ifNull: ["$items.unitSize", 1] },
+              ],
+            },
+          },
           revenue: {
             $sum: {
               $multiply: [
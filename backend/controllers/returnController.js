@@ -0,0 +1,318 @@
+// backend/controllers/returnController.js
+const fs = require("fs");
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const notify = require("../utils/notify");
+const { nextSequence, formatNumber } = require("../utils/sequence");
+const { orderError } = require("../utils/orderPlacement");
+const { lineAmounts } = require("../utils/tax");
+const {
+  RETURN_REASONS,
+  returnableQty,
+  claimReturnQty,
+  releaseReturnQty,
+  approveReturn,
+} = require("../utils/returns");
+const { refundOrder } = require("../utils/refunds");
+
+// Helper: drop uploaded photos when the request is refused
+const discardUploads = (req) => {
+  for (const file of req.files || []) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// Helper: lines arrive as JSON text in multipart forms
+const parseLines = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+// Helper: suppliers and supermarkets only see their own returns
+const canViewReturn = (user, rma) => {
+  if (user.role === "supplier") return (rma.supplier._id || rma.supplier).toString() === user.id;
+  if (user.role === "supermarket") return (rma.supermarket._id || rma.supermarket).toString() === user.id;
+  return true;
+};
+
+const shortId = (id) => id.toString().slice(-6).toUpperCase();
+
+// 1. OPEN A RETURN REQUEST (supermarket, Delivered orders only)
+const createReturn = async (req, res, next) => {
+  try {
+    const { orderId, reason, note } = req.body || {};
+    const lines = parseLines(req.body?.lines);
+
+    if (!RETURN_REASONS.includes(reason)) {
+      discardUploads(req);
+      return res
+        .status(400)
+        .json({ message: "A valid return reason is required", reasons: RETURN_REASONS });
+    }
+    if (reason === "OTHER" && !(note || "").trim()) {
+      discardUploads(req);
+      return res.status(400).json({ message: "Please describe the problem" });
+    }
+    if (!lines || lines.length === 0) {
+      discardUploads(req);
+      return res.status(400).json({ message: "Select at least one line to return" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      discardUploads(req);
+      return res.status(400).json({ message: "Invalid order id" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || order.supermarket.toString() !== req.user.id) {
+      discardUploads(req);
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (order.status !== "Delivered") {
+      discardUploads(req);
+      return res
+        .status(400)
+        .json({ message: "Only delivered orders can be returned" });
+    }
+
+    // ✅ Each line: a delivered order line, at most what is still returnable
+    const remaining = await returnableQty(order);
+    const rmaLines = [];
+    const invalidLines = [];
+    const seen = new Set();
+    for (const line of lines) {
+      const item = order.items.id(line.itemId);
+      const quantity = Number(line.quantity);
+      const left = remaining.get(String(line.itemId)) || 0;
+
+      if (!item || seen.has(String(line.itemId))) {
+        invalidLines.push({ itemId: line.itemId, reason: "Not a line of this order" });
+      } else if (!Number.isInteger(quantity) || quantity <= 0 || quantity > left) {
+        invalidLines.push({
+          itemId: line.itemId,
+          name: item.name,
+          reason: `Quantity must be between 1 and ${left}`,
+        });
+      } else {
+        rmaLines.push({
+          item: item._id,
+          product: item.product,
+          name: item.name,
+          unit: item.unit,
+          unitSize: item.unitSize,
+          quantity,
+          price: item.price,
+          amount: lineAmounts(item, quantity).lineTotal,
+        });
+      }
+      seen.add(String(line.itemId));
+    }
+
+    if (invalidLines.length > 0) {
+      discardUploads(req);
+      return res
+        .status(400)
+        .json({ message: "Some lines cannot be returned", invalidLines });
+    }
+
+    // ✅ Claim the units and number the RMA together, so two requests sent at
+    //    once cannot return more than was delivered
+    let rma;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (!(await claimReturnQty(order, rmaLines, session))) {
+          throw orderError(409, "Some of these units were returned meanwhile. Please reload.");
+        }
+        const seq = await nextSequence(`rma:${order.supplier}`, session);
+        [rma] = await ReturnRequest.create(
+          [
+            {
+              rmaNumber: formatNumber("RMA", seq),
+              order: order._id,
+              supermarket: order.supermarket,
+              supplier: order.supplier,
+              lines: rmaLines,
+              reason,
+              note: (note || "").trim(),
+              photos: (req.files || []).map((file) => `/uploads/${file.filename}`),
+              amount: rmaLines.reduce((sum, line) => sum + line.amount, 0),
+            },
+          ],
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await notify(order.supplier, {
+      type: "return",
+      message: `Return ${rma.rmaNumber} for order #${shortId(order._id)}`,
+      detail: `${rmaLines.length} line(s) - ${reason.replace(/_/g, " ").toLowerCase()}`,
+      order: order._id,
+    });
+
+    res.status(201).json(rma);
+  } catch (err) {
+    discardUploads(req);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 2. LIST MY RETURNS (supermarket, optional ?order=)
+const getMyReturns = async (req, res, next) => {
+  try {
+    const q = { supermarket: req.user.id };
+    if (mongoose.Types.ObjectId.isValid(req.query.order)) q.order = req.query.order;
+
+    const returns = await ReturnRequest.find(q)
+      .populate("supplier", "name")
+      .populate("creditNote", "number amount")
+      .sort({ createdAt: -1 });
+    res.json(returns);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. LIST INCOMING RETURNS (supplier, optional ?status=)
+const getSupplierReturns = async (req, res, next) => {
+  try {
+    const q = { supplier: req.user.id };
+    if (req.query.status) q.status = req.query.status;
+
+    const returns = await ReturnRequest.find(q)
+      .populate("supermarket", "name email district")
+      .populate("creditNote", "number amount")
+      .sort({ createdAt: -1 });
+    res.json(returns);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. GET ONE
+const getReturnById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Return not found" });
+    }
+
+    const rma = await ReturnRequest.findById(req.params.id)
+      .populate("supermarket", "name email district")
+      .populate("supplier", "name email")
+      .populate("creditNote");
+    if (!rma) {
+      return res.status(404).json({ message: "Return not found" });
+    }
+    if (!canViewReturn(req.user, rma)) {
+      return res.status(403).json({ message: "Not authorized" });
+    }
+
+    res.json(rma);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 5. APPROVE / REJECT (supplier)
+// refund: true also sends the credit note amount back to the buyer's card
+const decideReturn = async (req, res, next) => {
+  const { decision, restock, comment, refund } = req.body || {};
+
+  if (!["approve", "reject"].includes(decision)) {
+    return res.status(400).json({ message: "Decision must be approve or reject" });
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "Return not found" });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let rma;
+    let creditNote = null;
+
+    await session.withTransaction(async () => {
+      rma = await ReturnRequest.findById(req.params.id).session(session);
+      if (!rma) {
+        throw orderError(404, "Return not found");
+      }
+      if (rma.supplier.toString() !== req.user.id) {
+        throw orderError(403, "Not authorized");
+      }
+      if (rma.status !== "Requested") {
+        throw orderError(400, `Return is already ${rma.status}`);
+      }
+
+      if (decision === "approve") {
+        creditNote = await approveReturn(rma, req.user, { restock, comment }, session);
+      } else {
+        rma.status = "Rejected";
+        rma.supplierComment = (comment || "").trim();
+        rma.decidedBy = req.user.id;
+        rma.decidedAt = new Date();
+        await rma.save({ session });
+        await releaseReturnQty(rma, session);
+      }
+    });
+
+    await notify(rma.supermarket, {
+      type: "return",
+      message: `Return ${rma.rmaNumber} ${rma.status.toLowerCase()}`,
+      detail: creditNote
+        ? `Credit note ${creditNote.number} for Rs. ${creditNote.amount}`
+        : rma.supplierComment,
+      order: rma.order,
+    });
+
+    // The return stands even if the card refund does not go through;
+    // the supplier can retry it from the return
+    let refunds = [];
+    let refundError = null;
+    if (creditNote && refund) {
+      try {
+        refunds = await refundOrder(
+          rma.order,
+          {
+            reason: `Return ${rma.rmaNumber}`,
+            trigger: "Return",
+            returnRequest: rma._id,
+            creditNote,
+          },
+          req.user
+        );
+        const failed = refunds.find((r) => r.status === "Failed");
+        if (failed) refundError = failed.failureReason;
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        refundError = err.message;
+      }
+    }
+
+    res.json({ returnRequest: rma, creditNote, refunds, refundError });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  getSupplierReturns,
+  getReturnById,
+  decideReturn,
+};
@@ -0,0 +1,266 @@
+// backend/controllers/standingOrderController.js
+const mongoose = require("mongoose");
+const StandingOrder = require("../models/StandingOrder");
+const Product = require("../models/Product");
+const { priceOrderItems } = require("../utils/pricing");
+const { hasBadQuantity } = require("../utils/orderPlacement");
+const { nextRunDate, scheduleError } = require("../utils/schedule");
+const { runStandingOrder } = require("../utils/standingOrders");
+const { packName } = require("../utils/units");
+
+// Helper: a standing order owned by the current user
+const findOwn = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return StandingOrder.findOne({ _id: req.params.id, supermarket: req.user.id });
+};
+
+// Helper: only the schedule fields we store
+const pickSchedule = (schedule) => ({
+  type: schedule.type,
+  weekdays:
+    schedule.type === "weekly" ? [...new Set(schedule.weekdays.map(Number))].sort((a, b) => a - b) : [],
+  everyDays: schedule.type === "interval" ? Number(schedule.everyDays) : undefined,
+  dayOfMonth: schedule.type === "monthly" ? Number(schedule.dayOfMonth) : undefined,
+  hour: schedule.hour === undefined ? 6 : Number(schedule.hour),
+  startDate: schedule.startDate ? new Date(schedule.startDate) : new Date(),
+});
+
+// Standing orders run unattended, with no one there to complete a card checkout
+const STANDING_PAYMENT_METHODS = ["Cash", "Credit"];
+
+// Helper: refusal message for a payment method a standing order cannot use
+const paymentMethodError = (method) =>
+  STANDING_PAYMENT_METHODS.includes(method)
+    ? null
+    : `Standing orders are paid by ${STANDING_PAYMENT_METHODS.join(" or ")}`;
+
+// Helper: template lines must be one supplier's active products in the buyer's district
+const validateLines = async (items, district) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { message: "Add at least one item" };
+  }
+  if (hasBadQuantity(items)) {
+    return { message: "Quantities must be positive whole numbers" };
+  }
+
+  const priced = await priceOrderItems(items, { district });
+  if (priced.errors.length > 0) {
+    return { message: "Some items cannot be ordered", invalidItems: priced.errors };
+  }
+
+  const products = await Product.find({
+    _id: { $in: priced.items.map((line) => line.product) },
+  }).select("supplier");
+  const suppliers = new Set(products.map((p) => p.supplier.toString()));
+  if (suppliers.size !== 1) {
+    return { message: "A standing order can only contain one supplier's products" };
+  }
+
+  return {
+    supplier: [...suppliers][0],
+    items: priced.items.map((line) => ({
+      product: line.product,
+      unit: packName(line),
+      quantity: line.quantity,
+    })),
+  };
+};
+
+const populateStanding = (query) =>
+  query
+    .populate("supplier", "name")
+    .populate("items.product", "name price baseUnit packs stock isActive");
+
+// 1. LIST MY STANDING ORDERS
+const getStandingOrders = async (req, res, next) => {
+  try {
+    const list = await populateStanding(
+      StandingOrder.find({ supermarket: req.user.id }).sort({ createdAt: -1 })
+    );
+    res.json(list);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. GET ONE
+const getStandingOrder = async (req, res, next) => {
+  try {
+    const standing = await findOwn(req);
+    if (!standing) {
+      return res.status(404).json({ message: "Standing order not found" });
+    }
+    await standing.populate([
+      { path: "supplier", select: "name" },
+      { path: "items.product", select: "name price stock isActive" },
+    ]);
+    res.json(standing);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. CREATE
+const createStandingOrder = async (req, res, next) => {
+  try {
+    const { name, items, deliveryAddress, note, paymentMethod, schedule } =
+      req.body || {};
+
+    if (!(name || "").trim()) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+    if (!(deliveryAddress || "").trim()) {
+      return res.status(400).json({ message: "Delivery address is required" });
+    }
+    const badMethod = paymentMethodError(paymentMethod || "Cash");
+    if (badMethod) {
+      return res.status(400).json({ message: badMethod });
+    }
+    const badSchedule = scheduleError(schedule);
+    if (badSchedule) {
+      return res.status(400).json({ message: badSchedule });
+    }
+
+    const lines = await validateLines(items, req.user.district);
+    if (lines.message) {
+      return res.status(400).json(lines);
+    }
+
+    const cleanSchedule = pickSchedule(schedule);
+    const standing = await StandingOrder.create({
+      supermarket: req.user.id,
+      supplier: lines.supplier,
+      name: name.trim(),
+      items: lines.items,
+      deliveryAddress: deliveryAddress.trim(),
+      note: (note || "").trim(),
+      paymentMethod: paymentMethod || "Cash",
+      schedule: cleanSchedule,
+      nextRunAt: nextRunDate(cleanSchedule),
+      district: req.user.district,
+    });
+
+    res.status(201).json(standing);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. EDIT (lines, schedule, address, note, name)
+const updateStandingOrder = async (req, res, next) => {
+  try {
+    const standing = await findOwn(req);
+    if (!standing) {
+      return res.status(404).json({ message: "Standing order not found" });
+    }
+
+    const { name, items, deliveryAddress, note, paymentMethod, schedule } =
+      req.body || {};
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ message: "Name is required" });
+      }
+      standing.name = String(name).trim();
+    }
+    if (deliveryAddress !== undefined) {
+      if (!String(deliveryAddress).trim()) {
+        return res.status(400).json({ message: "Delivery address is required" });
+      }
+      standing.deliveryAddress = String(deliveryAddress).trim();
+    }
+    if (note !== undefined) standing.note = String(note).trim();
+    if (paymentMethod !== undefined) {
+      const badMethod = paymentMethodError(paymentMethod);
+      if (badMethod) {
+        return res.status(400).json({ message: badMethod });
+      }
+      standing.paymentMethod = paymentMethod;
+    }
+
+    if (items !== undefined) {
+      const lines = await validateLines(items, req.user.district);
+      if (lines.message) {
+        return res.status(400).json(lines);
+      }
+      standing.supplier = lines.supplier;
+      standing.items = lines.items;
+    }
+
+    if (schedule !== undefined) {
+      const badSchedule = scheduleError(schedule);
+      if (badSchedule) {
+        return res.status(400).json({ message: badSchedule });
+      }
+      standing.schedule = pickSchedule(schedule);
+      standing.nextRunAt = nextRunDate(standing.schedule);
+    }
+
+    await standing.save();
+    res.json(standing);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 5. DELETE
+const deleteStandingOrder = async (req, res, next) => {
+  try {
+    const standing = await findOwn(req);
+    if (!standing) {
+      return res.status(404).json({ message: "Standing order not found" });
+    }
+    await standing.deleteOne();
+    res.json({ message: "Standing order deleted" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 6. PAUSE / RESUME
+const setStandingOrderStatus = (status) => async (req, res, next) => {
+  try {
+    const standing = await findOwn(req);
+    if (!standing) {
+      return res.status(404).json({ message: "Standing order not found" });
+    }
+
+    standing.status = status;
+    // ✅ Resuming never back-fills runs missed while paused
+    if (status === "Active") standing.nextRunAt = nextRunDate(standing.schedule);
+
+    await standing.save();
+    res.json(standing);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 7. RUN NOW (does not move the schedule)
+const runStandingOrderNow = async (req, res, next) => {
+  try {
+    const standing = await findOwn(req);
+    if (!standing) {
+      return res.status(404).json({ message: "Standing order not found" });
+    }
+
+    const run = await runStandingOrder(standing, "manual");
+    res.status(run.result === "Failed" || run.result === "Skipped" ? 409 : 201).json({
+      run,
+      standingOrder: standing,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getStandingOrders,
+  getStandingOrder,
+  createStandingOrder,
+  updateStandingOrder,
+  deleteStandingOrder,
+  pauseStandingOrder: setStandingOrderStatus("Paused"),
+  resumeStandingOrder: setStandingOrderStatus("Active"),
+  runStandingOrderNow,
+};
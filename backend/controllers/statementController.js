@@ -0,0 +1,104 @@
+// backend/controllers/statementController.js
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const { localDay, statementPeriod, buildStatement, statementCsv } = require("../utils/statement");
+const { renderStatementPdf } = require("../utils/statementPdf");
+
+// Helper: the other side of the account for the logged-in user
+const counterpartRole = (user) => (user.role === "supplier" ? "supermarket" : "supplier");
+
+// Helper: supplier/buyer pair from the logged-in user and the other party
+const pairOf = (user, partyId) =>
+  user.role === "supplier"
+    ? { supplierId: user.id, supermarketId: partyId }
+    : { supplierId: partyId, supermarketId: user.id };
+
+// Helper: statement for /:partyId with ?from=&to=, or an error response
+const loadStatement = async (req, res) => {
+  const { partyId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(partyId)) {
+    res.status(404).json({ message: "Account not found" });
+    return null;
+  }
+  const party = await User.findOne({ _id: partyId, role: counterpartRole(req.user) }).select("_id");
+  if (!party) {
+    res.status(404).json({ message: "Account not found" });
+    return null;
+  }
+
+  const { supplierId, supermarketId } = pairOf(req.user, partyId);
+  return buildStatement(supplierId, supermarketId, statementPeriod(req.query));
+};
+
+// Helper: download name, e.g. statement-keells-2026-09-01-2026-09-30
+const fileName = (user, statement, ext) => {
+  const other = user.role === "supplier" ? statement.buyer : statement.supplier;
+  const slug = (other.name || "account").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `statement-${slug}-${localDay(statement.from)}-${localDay(statement.to)}.${ext}`;
+};
+
+// 1. ACCOUNTS WITH A STATEMENT (suppliers or buyers traded with)
+const getStatementParties = async (req, res, next) => {
+  try {
+    const own = req.user.role === "supplier" ? "supplier" : "supermarket";
+    const other = counterpartRole(req.user);
+    const ids = await Order.distinct(other, { [own]: req.user.id });
+
+    const parties = await User.find({ _id: { $in: ids } })
+      .select("name email district")
+      .sort({ name: 1 });
+    res.json(parties);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. STATEMENT AS JSON (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+const getStatement = async (req, res, next) => {
+  try {
+    const statement = await loadStatement(req, res);
+    if (statement) res.json(statement);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 3. STATEMENT PDF
+const getStatementPdf = async (req, res, next) => {
+  try {
+    const statement = await loadStatement(req, res);
+    if (!statement) return;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName(req.user, statement, "pdf")}"`);
+    renderStatementPdf(statement, res);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+// 4. STATEMENT CSV
+const getStatementCsv = async (req, res, next) => {
+  try {
+    const statement = await loadStatement(req, res);
+    if (!statement) return;
+
+    res.header("Content-Type", "text/csv");
+    res.attachment(fileName(req.user, statement, "csv"));
+    res.send(statementCsv(statement));
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    next(err);
+  }
+};
+
+module.exports = { getStatementParties, getStatement, getStatementPdf, getStatementCsv };
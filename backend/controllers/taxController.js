@@ -0,0 +1,82 @@
+// backend/controllers/taxController.js
+const User = require("../models/User");
+const { taxSettingsOf } = require("../utils/tax");
+
+// Helper: a percentage 0-100, or null where "inherit" is allowed
+const parseRate = (value, allowNull = false) => {
+  if (allowNull && (value === "" || value === null || value === undefined)) return null;
+  const rate = Number(value);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : NaN;
+};
+
+// 1. GET MY TAX SETTINGS (supplier)
+const getTaxSettings = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("tax");
+    res.json(taxSettingsOf(user));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. UPDATE MY TAX SETTINGS (supplier)
+// Body: { vatNumber, pricesIncludeTax, vatRate, ssclRate, categoryRates: [{ category, vatRate, ssclRate }] }
+// New rates apply to orders placed from now on; existing orders keep theirs.
+const updateTaxSettings = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+
+    const vatRate = parseRate(body.vatRate ?? 0);
+    const ssclRate = parseRate(body.ssclRate ?? 0);
+    if (Number.isNaN(vatRate) || Number.isNaN(ssclRate)) {
+      return res.status(400).json({ message: "Tax rates must be between 0 and 100" });
+    }
+
+    if (body.categoryRates !== undefined && !Array.isArray(body.categoryRates)) {
+      return res.status(400).json({ message: "categoryRates must be a list" });
+    }
+
+    const categoryRates = [];
+    const seen = new Set();
+    for (const entry of body.categoryRates || []) {
+      const category = String(entry.category || "").trim();
+      const rates = {
+        vatRate: parseRate(entry.vatRate, true),
+        ssclRate: parseRate(entry.ssclRate, true),
+      };
+      if (!category) {
+        return res.status(400).json({ message: "Each category rate needs a category" });
+      }
+      if (Number.isNaN(rates.vatRate) || Number.isNaN(rates.ssclRate)) {
+        return res
+          .status(400)
+          .json({ message: `Tax rates for ${category} must be between 0 and 100` });
+      }
+      if (seen.has(category.toLowerCase())) {
+        return res.status(400).json({ message: `${category} is listed twice` });
+      }
+      seen.add(category.toLowerCase());
+      categoryRates.push({ category, ...rates });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      {
+        tax: {
+          vatNumber: String(body.vatNumber || "").trim(),
+          pricesIncludeTax: Boolean(body.pricesIncludeTax),
+          vatRate,
+          ssclRate,
+          categoryRates,
+        },
+      },
+      { new: true, runValidators: true }
+    ).select("tax");
+
+    res.json(taxSettingsOf(user));
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { getTaxSettings, updateTaxSettings };
@@ -0,0 +1,25 @@
+// backend/middleware/catalogUploadMiddleware.js
+const multer = require("multer");
+
+// Product catalogs (CSV or Excel) are parsed straight from memory, never stored
+const fileFilter = (req, file, cb) => {
+  const name = file.originalname.toLowerCase();
+  const isCatalog =
+    file.mimetype === "text/csv" ||
+    file.mimetype === "application/vnd.ms-excel" ||
+    file.mimetype === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" ||
+    name.endsWith(".csv") ||
+    name.endsWith(".xlsx");
+  if (!isCatalog) {
+    return cb(new Error("Only CSV or XLSX files are allowed"), false);
+  }
+  cb(null, true);
+};
+
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB limit
+});
+
+module.exports = catalogUpload;
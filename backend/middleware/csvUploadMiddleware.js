@@ -0,0 +1,22 @@
+// backend/middleware/csvUploadMiddleware.js
+const multer = require("multer");
+
+// Bank statements are parsed straight from memory, never stored
+const fileFilter = (req, file, cb) => {
+  const isCsv =
+    file.mimetype === "text/csv" ||
+    file.mimetype === "application/vnd.ms-excel" ||
+    file.originalname.toLowerCase().endsWith(".csv");
+  if (!isCsv) {
+    return cb(new Error("Only CSV files are allowed"), false);
+  }
+  cb(null, true);
+};
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2 MB limit
+});
+
+module.exports = csvUpload;
@@ -0,0 +1,19 @@
+// backend/middleware/imageUploadMiddleware.js
+const multer = require("multer");
+
+// Product photos are kept in memory until utils/images has resized them,
+// so only the WebP renditions reach /uploads
+const fileFilter = (req, file, cb) => {
+  if (!file.mimetype.startsWith("image/")) {
+    return cb(new Error("Only image files are allowed"), false);
+  }
+  cb(null, true);
+};
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB limit
+});
+
+module.exports = imageUpload;
@@ -0,0 +1,35 @@
+// backend/models/Cart.js
+const mongoose = require("mongoose");
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // null = the user's active cart, otherwise a saved draft
+    name: { type: String, default: null, trim: true },
+
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        // Pack name ("" = the product's base unit)
+        unit: { type: String, default: "" },
+        quantity: { type: Number, required: true, min: 1 },
+        priceAtAdd: { type: Number, default: 0 },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// ✅ One active cart per user, draft names unique per user
+cartSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Cart", cartSchema);
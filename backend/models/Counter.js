@@ -0,0 +1,10 @@
+// backend/models/Counter.js
+const mongoose = require("mongoose");
+
+// One document per number series, e.g. "creditNote:<supplierId>"
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
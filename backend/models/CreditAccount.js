@@ -0,0 +1,39 @@
+// backend/models/CreditAccount.js
+const mongoose = require("mongoose");
+
+// Credit a supplier grants one supermarket (orders paid by "Credit")
+const creditAccountSchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // ✅ Most the buyer may owe at once (open invoices + uninvoiced credit orders)
+    creditLimit: { type: Number, required: true, min: 0 },
+    // ✅ Net 7 / 14 / 30: days after the invoice date that payment is due
+    termsDays: {
+      type: Number,
+      enum: [7, 14, 30],
+      default: 30,
+    },
+    // ✅ Suspended accounts keep their terms but take no new credit orders
+    isActive: { type: Boolean, default: true },
+    // ✅ Credit held by orders not invoiced yet: taken atomically when an order is
+    //    placed or grown, given back once it is invoiced, rejected or cancelled
+    reserved: { type: Number, default: 0 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// ✅ One account per supplier / buyer pair
+creditAccountSchema.index({ supplier: 1, supermarket: 1 }, { unique: true });
+
+module.exports = mongoose.model("CreditAccount", creditAccountSchema);
@@ -0,0 +1,46 @@
+// backend/models/DebitNote.js
+const mongoose = require("mongoose");
+
+const debitNoteSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true }, // DN-000001, per supplier
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    // Empty for order-level charges (e.g. delivery fee)
+    lines: [
+      {
+        item: { type: mongoose.Schema.Types.ObjectId }, // order line _id
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        name: { type: String },
+        quantity: { type: Number, required: true },
+        price: { type: Number, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    reasonCode: { type: String, required: true },
+    reason: { type: String, required: true },
+    amount: { type: Number, required: true },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+debitNoteSchema.index({ supplier: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model("DebitNote", debitNoteSchema);
@@ -0,0 +1,137 @@
+// backend/models/Invoice.js
+const mongoose = require("mongoose");
+
+// A party as it was when the invoice was issued
+const partySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true },
+    email: { type: String },
+    district: { type: String },
+    vatNumber: { type: String },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true }, // INV-000001, per supplier
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // ✅ One invoice per order
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      unique: true,
+    },
+    seller: { type: partySchema, required: true },
+    buyer: { type: partySchema, required: true },
+    deliveryAddress: { type: String },
+    paymentMethod: { type: String },
+    lines: [
+      {
+        item: { type: mongoose.Schema.Types.ObjectId }, // order line _id
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        name: { type: String, required: true },
+        sku: { type: String },
+        barcode: { type: String },
+        unit: { type: String },
+        unitSize: { type: Number, default: 1 },
+        baseUnit: { type: String },
+        quantity: { type: Number, required: true },
+        price: { type: Number, required: true },
+        vatRate: { type: Number, default: 0 },
+        ssclRate: { type: Number, default: 0 },
+        netAmount: { type: Number },
+        ssclAmount: { type: Number, default: 0 },
+        vatAmount: { type: Number, default: 0 },
+        amount: { type: Number, required: true }, // incl. tax
+      },
+    ],
+    pricesIncludeTax: { type: Boolean, default: false },
+    subtotal: { type: Number },
+    ssclTotal: { type: Number, default: 0 },
+    vatTotal: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    // ✅ Order status that triggered it (Accepted / Delivered)
+    issuedOn: { type: String, required: true },
+    issuedAt: { type: Date, default: Date.now },
+    dueDate: { type: Date, required: true },
+
+    // ✅ Running totals that change after issue: the Payment ledger and the
+    // credit / debit notes on the order (kept by utils/payments.js and utils/notes.js)
+    amountPaid: { type: Number, default: 0 },
+    creditedTotal: { type: Number, default: 0 },
+    debitedTotal: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ supplier: 1, number: 1 }, { unique: true });
+
+// ✅ Issued invoices are legal documents: never edited, never deleted
+const LOCKED_FIELDS = [
+  "number",
+  "supplier",
+  "supermarket",
+  "order",
+  "seller",
+  "buyer",
+  "deliveryAddress",
+  "paymentMethod",
+  "lines",
+  "pricesIncludeTax",
+  "subtotal",
+  "ssclTotal",
+  "vatTotal",
+  "total",
+  "issuedOn",
+  "issuedAt",
+  "dueDate",
+];
+
+const immutableError = () => new Error("Issued invoices cannot be changed");
+
+invoiceSchema.pre("save", function () {
+  if (this.isNew) return;
+  if (LOCKED_FIELDS.some((field) => this.isModified(field))) {
+    throw immutableError();
+  }
+});
+
+// Helper: top-level fields an update would touch ($set, $unset, plain keys ...)
+const updatedFields = (update = {}) =>
+  Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith("$") ? Object.keys(value || {}) : [key]
+  );
+
+invoiceSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  function () {
+    const fields = updatedFields(this.getUpdate());
+    if (fields.some((field) => LOCKED_FIELDS.includes(field.split(".")[0]))) {
+      throw immutableError();
+    }
+  }
+);
+
+invoiceSchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: true, query: true },
+  function () {
+    throw new Error("Issued invoices cannot be deleted");
+  }
+);
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
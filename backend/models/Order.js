@@ -20,10 +20,63 @@ const orderSchema = mongoose.Schema(
           required: true,
         },
         name: { type: String, required: true },
+        // ✅ Product codes when the order was priced (for picking / POS matching)
+        sku: { type: String },
+        barcode: { type: String },
+        // ✅ Pack ordered: quantity and price are per `unit`, each holding unitSize base units
+        unit: { type: String },
+        unitSize: { type: Number, default: 1 },
+        baseUnit: { type: String },
         quantity: { type: Number, required: true },
         price: { type: Number, required: true },
+        lineTotal: { type: Number, default: 0 },
+        // ✅ Tax (rates are a snapshot from when the order was priced)
+        vatRate: { type: Number, default: 0 },
+        ssclRate: { type: Number, default: 0 },
+        taxInclusive: { type: Boolean, default: false },
+        netAmount: { type: Number, default: 0 },
+        ssclAmount: { type: Number, default: 0 },
+        vatAmount: { type: Number, default: 0 },
+        // ✅ Fulfilment (set when the supplier accepts / ships)
+        acceptedQty: { type: Number },
+        shippedQty: { type: Number, default: 0 },
+        backorderedQty: { type: Number, default: 0 },
+        cancelledQty: { type: Number, default: 0 },
+        // ✅ Units on open or approved returns (unset on orders returned before it was kept)
+        returnedQty: { type: Number },
       },
     ],
+    // ✅ Each (partial) dispatch
+    shipments: [
+      {
+        lines: [
+          {
+            item: { type: mongoose.Schema.Types.ObjectId },
+            product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+            name: { type: String },
+            quantity: { type: Number, required: true },
+          },
+        ],
+        note: { type: String, default: "" },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // ✅ Backorder links (remaining units shipped later as a new order)
+    backorderOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    backorders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    // ✅ Before tax / SSCL / VAT; totalAmount is the grand total
+    subtotal: { type: Number },
+    ssclTotal: { type: Number, default: 0 },
+    vatTotal: { type: Number, default: 0 },
     totalAmount: {
       type: Number,
       required: true,
@@ -38,24 +91,128 @@ const orderSchema = mongoose.Schema(
     // ✅ Payment Logic
     paymentMethod: {
       type: String,
-      enum: ["Cash", "Card"],
+      enum: ["Cash", "Card", "Credit"],
       default: "Cash",
     },
+    // ✅ Derived from the Payment ledger (see utils/payments.js)
     paymentStatus: {
       type: String,
-      enum: ["Pending", "Paid", "Failed"],
+      enum: ["Pending", "PartPaid", "Paid", "Failed", "PartiallyRefunded", "Refunded"],
       default: "Pending",
     },
+    amountPaid: { type: Number, default: 0 },
+    amountRefunded: { type: Number, default: 0 },
+    // ✅ Credit orders: the buyer's payment terms when the order was placed
+    creditTermsDays: { type: Number },
+    // ✅ Credit orders: the part of the total held on the buyer's credit account
+    creditReserved: { type: Number, default: 0 },
     // ✅ Status Enum (Must include 'Accepted' and 'Rejected')
     status: {
       type: String,
-      enum: ["Pending", "Accepted","Dispatched","Delivered", "Rejected"],
+      enum: ["Pending", "Accepted", "PartiallyDispatched", "Dispatched", "Delivered", "Rejected", "Cancelled"],
       default: "Pending",
     },
+    // ✅ Every status change: who, when, from -> to
+    statusHistory: [
+      {
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        actorRole: { type: String },
+        comment: { type: String, default: "" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // ✅ Supermarket cancellation (Accepted orders need supplier consent)
+    cancellation: {
+      reasonCode: { type: String },
+      note: { type: String },
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      requestedAt: { type: Date },
+      status: {
+        type: String,
+        enum: ["Requested", "Approved", "Declined"],
+      },
+      decidedAt: { type: Date },
+      supplierComment: { type: String },
+    },
+    // ✅ Buyer amendments while Pending (version bumps on each change)
+    version: {
+      type: Number,
+      default: 1,
+    },
+    amendments: [
+      {
+        version: { type: Number, required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+        diff: {
+          added: [
+            {
+              product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+              name: { type: String },
+              unit: { type: String },
+              quantity: { type: Number },
+              price: { type: Number },
+            },
+          ],
+          removed: [
+            {
+              product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+              name: { type: String },
+              unit: { type: String },
+              quantity: { type: Number },
+              price: { type: Number },
+            },
+          ],
+          changed: [
+            {
+              product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+              name: { type: String },
+              unit: { type: String },
+              fromQty: { type: Number },
+              toQty: { type: Number },
+              fromPrice: { type: Number },
+              toPrice: { type: Number },
+            },
+          ],
+          deliveryAddress: {
+            from: { type: String },
+            to: { type: String },
+          },
+          note: {
+            from: { type: String },
+            to: { type: String },
+          },
+        },
+        previousTotal: { type: Number },
+        newTotal: { type: Number },
+      },
+    ],
     district: {
       type: String,
       required: true,
     },
+    // ✅ Orders split from one mixed-supplier checkout share this id
+    checkoutGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    // ✅ Generated by a recurring standing order
+    standingOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StandingOrder",
+    },
+    // ✅ Server-issued invoice (see utils/invoices.js)
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    // ✅ Stock taken from products when the order was placed
+    stockReserved: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
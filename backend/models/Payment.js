@@ -0,0 +1,64 @@
+// backend/models/Payment.js
+const mongoose = require("mongoose");
+
+// One money movement from a buyer to a supplier. Order and invoice
+// payment status are worked out from these (see utils/payments.js).
+const paymentSchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    // ✅ Set once the order is invoiced (earlier payments are linked then)
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      index: true,
+    },
+    amount: { type: Number, required: true, min: 0.01 },
+    method: {
+      type: String,
+      enum: ["Cash", "Bank Transfer", "Cheque", "Card", "Other"],
+      default: "Bank Transfer",
+    },
+    reference: { type: String, default: "" },
+    receivedAt: { type: Date, default: Date.now },
+    // ✅ Manual entry, bank statement import or paid at checkout
+    source: {
+      type: String,
+      enum: ["Manual", "BankImport", "Checkout"],
+      default: "Manual",
+    },
+    // ✅ Bank statement line it came from (same line never imported twice)
+    bankLine: {
+      key: { type: String },
+      date: { type: Date },
+      description: { type: String },
+    },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // ✅ Card payments: sent back so far, incl. refunds still in flight
+    refundedAmount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index(
+  { supplier: 1, "bankLine.key": 1 },
+  { unique: true, partialFilterExpression: { "bankLine.key": { $type: "string" } } }
+);
+
+module.exports = mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,56 @@
+// backend/models/PaymentIntent.js
+const mongoose = require("mongoose");
+
+// One card payment attempt at a provider, covering one or more orders
+// (a mixed checkout is paid in a single go)
+const paymentIntentSchema = new mongoose.Schema(
+  {
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // ✅ What each order receives when the payment succeeds
+    orders: [
+      {
+        order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    amount: { type: Number, required: true },
+    currency: { type: String, default: "LKR" },
+    provider: { type: String, required: true },
+    providerRef: { type: String }, // the provider's id for this intent
+    // ✅ RequiresAction until the buyer finishes the hosted page (incl. 3-D Secure)
+    status: {
+      type: String,
+      enum: ["RequiresAction", "Succeeded", "Failed", "Cancelled"],
+      default: "RequiresAction",
+    },
+    failureReason: { type: String },
+    redirectUrl: { type: String },
+    // ✅ Every status change, from webhooks or lookups
+    events: [
+      {
+        status: { type: String },
+        source: { type: String }, // webhook | lookup
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+paymentIntentSchema.index(
+  { provider: 1, providerRef: 1 },
+  { unique: true, partialFilterExpression: { providerRef: { $type: "string" } } }
+);
+
+// ✅ At most one open intent per order, so a buyer cannot be charged twice
+paymentIntentSchema.index(
+  { "orders.order": 1 },
+  { unique: true, partialFilterExpression: { status: "RequiresAction" } }
+);
+
+module.exports = mongoose.model("PaymentIntent", paymentIntentSchema);
@@ -4,9 +4,25 @@ const mongoose = require("mongoose");
 const productSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
+    // ✅ Supplier's own code, unique per supplier (assigned if left empty)
+    sku: { type: String, trim: true, uppercase: true },
+    // ✅ Optional EAN-13 / UPC-A / EAN-8 / GTIN-14, check digit verified
+    barcode: { type: String, trim: true },
     description: { type: String, default: "" },
+    // ✅ Price and stock are per base unit; packs hold `size` base units each
+    baseUnit: { type: String, default: "unit", trim: true },
     price: { type: Number, required: true, default: 0 },
+    packs: [
+      {
+        name: { type: String, required: true, trim: true },
+        size: { type: Number, required: true, min: 0 },
+        price: { type: Number, required: true, min: 0 },
+      },
+    ],
     category: { type: String, default: "" },
+    // ✅ Tax overrides in percent (null = category / supplier default)
+    vatRate: { type: Number, default: null, min: 0 },
+    ssclRate: { type: Number, default: null, min: 0 },
 
     supplier: {
       type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +35,24 @@ const productSchema = new mongoose.Schema(
       required: true, // ✅ VERY IMPORTANT
     },
 
+    // ✅ Variant of a family listing: one value per family attribute
+    family: { type: mongoose.Schema.Types.ObjectId, ref: "ProductFamily", index: true },
+    options: [
+      {
+        name: { type: String, required: true, trim: true },
+        value: { type: String, required: true, trim: true },
+      },
+    ],
+
+    // ✅ Ordered gallery; each photo is stored as WebP renditions (utils/images)
+    images: [
+      {
+        thumb: { type: String, required: true },
+        card: { type: String, required: true },
+        full: { type: String, required: true },
+      },
+    ],
+    // Card rendition of the first gallery image (older products: the original upload)
     image: { type: String, default: "" },
     stock: { type: Number, required: true, default: 0 },
     isActive: { type: Boolean, default: true },
@@ -26,4 +60,21 @@ const productSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+productSchema.index(
+  { supplier: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+);
+productSchema.index(
+  { supplier: 1, barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: "string" } } }
+);
+productSchema.index({ barcode: 1 });
+
+// ✅ Carts, orders and families read `image`, so it follows the gallery's first photo
+productSchema.pre("save", function () {
+  if (this.isModified("images")) {
+    this.image = this.images[0]?.card || "";
+  }
+});
+
 module.exports = mongoose.model("Product", productSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+// backend/models/ProductFamily.js
+const mongoose = require("mongoose");
+
+// Parent listing for variants ("Milk" -> 1L / 500ml / Chocolate 1L).
+// Each variant is a Product of its own (SKU, price, stock, image, packs)
+// that points here and carries one value per attribute.
+const productFamilySchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    category: { type: String, default: "" },
+    // ✅ What the variants differ by, in picker order ("Size", "Flavour")
+    attributes: [{ type: String, trim: true }],
+    image: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ProductFamily", productFamilySchema);
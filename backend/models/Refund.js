@@ -0,0 +1,58 @@
+// backend/models/Refund.js
+const mongoose = require("mongoose");
+
+// Money sent back to a buyer's card through the payment provider.
+// Each refund draws on one card payment (see utils/refunds.js).
+const refundSchema = new mongoose.Schema(
+  {
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0.01 },
+    reason: { type: String, default: "" },
+    // ✅ What caused it: order rejected / cancelled, an RMA, a card payment
+    // beyond what was owed, or the supplier by hand
+    trigger: {
+      type: String,
+      enum: ["Rejection", "Cancellation", "Return", "Overpayment", "Manual"],
+      default: "Manual",
+    },
+    returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+    creditNote: { type: mongoose.Schema.Types.ObjectId, ref: "CreditNote" },
+    provider: { type: String, required: true },
+    providerRef: { type: String }, // the provider's id for this refund
+    // ✅ Pending while the provider is being asked
+    status: {
+      type: String,
+      enum: ["Pending", "Succeeded", "Failed"],
+      default: "Pending",
+    },
+    failureReason: { type: String },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ returnRequest: 1 });
+
+module.exports = mongoose.model("Refund", refundSchema);
@@ -0,0 +1,63 @@
+// backend/models/ReturnRequest.js
+const mongoose = require("mongoose");
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: { type: String, required: true },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    lines: [
+      {
+        item: { type: mongoose.Schema.Types.ObjectId, required: true }, // order line _id
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        name: { type: String },
+        unit: { type: String },
+        unitSize: { type: Number, default: 1 }, // base units per returned unit
+        quantity: { type: Number, required: true, min: 1 },
+        price: { type: Number, required: true },
+        amount: { type: Number }, // incl. tax; older RMAs: quantity x price
+      },
+    ],
+    reason: {
+      type: String,
+      enum: ["DAMAGED", "EXPIRED", "WRONG_ITEM", "QUALITY_ISSUE", "OTHER"],
+      required: true,
+    },
+    note: { type: String, default: "" },
+    photos: [{ type: String }], // /uploads/... paths
+    amount: { type: Number, required: true },
+
+    status: {
+      type: String,
+      enum: ["Requested", "Approved", "Rejected"],
+      default: "Requested",
+    },
+    // ✅ Supplier decision
+    restock: { type: Boolean, default: false },
+    supplierComment: { type: String, default: "" },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: { type: Date },
+    creditNote: { type: mongoose.Schema.Types.ObjectId, ref: "CreditNote" },
+  },
+  { timestamps: true }
+);
+
+returnRequestSchema.index({ supplier: 1, rmaNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
@@ -0,0 +1,87 @@
+// backend/models/StandingOrder.js
+const mongoose = require("mongoose");
+
+const standingOrderSchema = new mongoose.Schema(
+  {
+    supermarket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+
+    // ✅ Template lines (priced fresh on every run)
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        // Pack name ("" = the product's base unit)
+        unit: { type: String, default: "" },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    deliveryAddress: { type: String, required: true },
+    note: { type: String, default: "" },
+    paymentMethod: {
+      type: String,
+      enum: ["Cash", "Card", "Credit"],
+      default: "Cash",
+    },
+
+    // ✅ weekly: weekdays (0 = Sunday) | interval: every N days | monthly: day of month
+    schedule: {
+      type: {
+        type: String,
+        enum: ["weekly", "interval", "monthly"],
+        required: true,
+      },
+      weekdays: [{ type: Number, min: 0, max: 6 }],
+      everyDays: { type: Number, min: 1, max: 365 },
+      dayOfMonth: { type: Number, min: 1, max: 31 },
+      hour: { type: Number, min: 0, max: 23, default: 6 },
+      startDate: { type: Date, default: Date.now },
+    },
+
+    status: {
+      type: String,
+      enum: ["Active", "Paused"],
+      default: "Active",
+    },
+    nextRunAt: { type: Date, index: true },
+    lastRunAt: { type: Date },
+
+    // ✅ What each run did (latest last, capped)
+    runs: [
+      {
+        at: { type: Date, default: Date.now },
+        trigger: { type: String, enum: ["schedule", "manual"] },
+        result: {
+          type: String,
+          enum: ["Placed", "PlacedWithWarnings", "Skipped", "Failed"],
+        },
+        order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        skipped: [
+          {
+            product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+            name: { type: String },
+            reason: { type: String },
+          },
+        ],
+        message: { type: String, default: "" },
+      },
+    ],
+    district: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("StandingOrder", standingOrderSchema);
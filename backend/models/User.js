@@ -39,6 +39,29 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    // ✅ Supplier setting: issue the invoice when the order is accepted or delivered
+    invoiceIssueOn: {
+      type: String,
+      enum: ["Accepted", "Delivered"],
+      default: "Delivered",
+    },
+
+    // ✅ Supplier tax settings (rates in percent)
+    tax: {
+      vatNumber: { type: String, default: "" },
+      pricesIncludeTax: { type: Boolean, default: false },
+      vatRate: { type: Number, default: 0, min: 0 },
+      ssclRate: { type: Number, default: 0, min: 0 },
+      categoryRates: [
+        {
+          _id: false,
+          category: { type: String, required: true, trim: true },
+          vatRate: { type: Number, default: null, min: 0 },
+          ssclRate: { type: Number, default: null, min: 0 },
+        },
+      ],
+    },
   },
   { timestamps: true }
 );
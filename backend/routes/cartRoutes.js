@@ -0,0 +1,36 @@
+// backend/routes/cartRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  getDrafts,
+  getDraft,
+  saveDraft,
+  resumeDraft,
+  deleteDraft,
+} = require("../controllers/cartController");
+
+// Cart belongs to supermarket users only
+router.use(protect, authorizeRoles("supermarket"));
+
+// Active cart
+router.get("/", getCart);
+router.delete("/", clearCart);
+router.post("/items", addCartItem);
+router.patch("/items/:productId", updateCartItem);
+router.delete("/items/:productId", removeCartItem);
+
+// Saved drafts
+router.get("/drafts", getDrafts);
+router.post("/drafts", saveDraft);
+router.get("/drafts/:id", getDraft);
+router.post("/drafts/:id/resume", resumeDraft);
+router.delete("/drafts/:id", deleteDraft);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// backend/routes/creditRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const {
+  getCreditAccounts,
+  upsertCreditAccount,
+  getAgeing,
+} = require("../controllers/creditController");
+
+// Credit accounts (both sides see their own)
+router.get("/accounts", protect, authorizeRoles("supplier", "supermarket"), getCreditAccounts);
+router.put("/accounts/:supermarketId", protect, authorizeRoles("supplier"), upsertCreditAccount);
+
+// Accounts-receivable ageing (supplier)
+router.get("/ageing", protect, authorizeRoles("supplier"), getAgeing);
+
+module.exports = router;
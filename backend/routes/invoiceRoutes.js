@@ -0,0 +1,29 @@
+// backend/routes/invoiceRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const {
+  getInvoices,
+  getInvoice,
+  getInvoicePdf,
+  downloadInvoicesZip,
+  createInvoice,
+  addInvoicePayment,
+  getInvoiceSettings,
+  updateInvoiceSettings,
+} = require("../controllers/invoiceController");
+
+// Supplier billing setting (before /:id)
+router.get("/settings", protect, authorizeRoles("supplier"), getInvoiceSettings);
+router.put("/settings", protect, authorizeRoles("supplier"), updateInvoiceSettings);
+
+// Invoices: both parties read, the supplier can issue one manually
+router.get("/", protect, authorizeRoles("supplier", "supermarket"), getInvoices);
+router.post("/", protect, authorizeRoles("supplier"), createInvoice);
+router.post("/zip", protect, authorizeRoles("supplier"), downloadInvoicesZip);
+router.get("/:id", protect, authorizeRoles("supplier", "supermarket"), getInvoice);
+router.get("/:id/pdf", protect, authorizeRoles("supplier", "supermarket"), getInvoicePdf);
+router.post("/:id/payments", protect, authorizeRoles("supplier"), addInvoicePayment);
+
+module.exports = router;
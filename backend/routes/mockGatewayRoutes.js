@@ -0,0 +1,20 @@
+// backend/routes/mockGatewayRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const {
+  showPaymentPage,
+  submitPayment,
+  submitChallenge,
+  cancelPayment,
+} = require("../controllers/mockGatewayController");
+
+// Hosted pages post plain HTML forms
+router.use(express.urlencoded({ extended: false }));
+
+router.get("/pay/:ref", showPaymentPage);
+router.post("/pay/:ref", submitPayment);
+router.post("/pay/:ref/3ds", submitChallenge);
+router.post("/pay/:ref/cancel", cancelPayment);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// backend/routes/noteRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const { getNotes, getNote, createNote } = require("../controllers/noteController");
+
+// Credit / debit notes: both parties read, the supplier issues
+router.get("/", protect, authorizeRoles("supplier", "supermarket"), getNotes);
+router.post("/", protect, authorizeRoles("supplier"), createNote);
+router.get("/:type/:id", protect, authorizeRoles("supplier", "supermarket"), getNote);
+
+module.exports = router;
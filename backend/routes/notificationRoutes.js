@@ -0,0 +1,16 @@
+// backend/routes/notificationRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect } = require("../middleware/authMiddleware");
+const {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../controllers/notificationController");
+
+router.get("/", protect, getMyNotifications);
+router.patch("/read-all", protect, markAllNotificationsRead);
+router.patch("/:id/read", protect, markNotificationRead);
+
+module.exports = router;
@@ -4,17 +4,29 @@ const router = express.Router();
 const { protect, authorizeRoles } = require("../middleware/authMiddleware");
 const {
   createOrder,
+  checkout,
 
   getSupplierOrders,
   getMyOrders,
   getOrderById,
+  getPickList,
+  getOrderHistory,
   updateOrderStatus,
+  createShipment,
+  resolveOrderRemainder,
+  cancelOrder,
+  amendOrder,
+  respondToCancellation,
 } = require("../controllers/orderController");
+const { reorder } = require("../controllers/cartController");
 
 
 // 1. Supermarket: Create Order (මෙන්න මේක තමයි අලුතින් දැම්මේ)
 router.post("/", protect, authorizeRoles("supermarket"), createOrder);
 
+// 1b. Supermarket: Checkout a mixed cart (one order per supplier)
+router.post("/checkout", protect, authorizeRoles("supermarket"), checkout);
+
 // 2. Supermarket: List own orders
 router.get("/my", protect, authorizeRoles("supermarket"), getMyOrders);
 
@@ -34,7 +46,39 @@ router.get("/supplier", protect, authorizeRoles("supplier"), getSupplierOrders);
 //  view order details
 router.get("/:id", protect, getOrderById);
 
+//  Supplier: pick list PDF (SKUs / barcodes of units still to ship)
+router.get("/:id/pick-list", protect, authorizeRoles("supplier"), getPickList);
+
+//  Status history (tracking timeline)
+router.get("/:id/history", protect, getOrderHistory);
+
 //  Supplier: update order status
 router.patch("/:id/status", protect, authorizeRoles("supplier"), updateOrderStatus);
 
+//  Supplier: partial dispatch + what to do with the rest
+router.post("/:id/shipments", protect, authorizeRoles("supplier"), createShipment);
+router.post(
+  "/:id/remainder",
+  protect,
+  authorizeRoles("supplier"),
+  resolveOrderRemainder
+);
+
+//  Supermarket: cancel (Pending) or request cancellation (Accepted)
+router.patch("/:id/cancel", protect, authorizeRoles("supermarket"), cancelOrder);
+
+//  Supermarket: amend a Pending order (lines, address, note)
+router.patch("/:id/amend", protect, authorizeRoles("supermarket"), amendOrder);
+
+//  Supermarket: copy a past order into the cart or a draft
+router.post("/:id/reorder", protect, authorizeRoles("supermarket"), reorder);
+
+//  Supplier: approve / decline a cancellation request
+router.patch(
+  "/:id/cancellation",
+  protect,
+  authorizeRoles("supplier"),
+  respondToCancellation
+);
+
 module.exports = router;
\ No newline at end of file
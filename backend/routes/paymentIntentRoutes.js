@@ -0,0 +1,19 @@
+// backend/routes/paymentIntentRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const {
+  createPaymentIntent,
+  getPaymentIntent,
+  handleWebhook,
+} = require("../controllers/paymentIntentController");
+
+// Provider callbacks (signed, no login)
+router.post("/webhook/:provider", handleWebhook);
+
+// Card payments (supermarket)
+router.post("/", protect, authorizeRoles("supermarket"), createPaymentIntent);
+router.get("/:id", protect, authorizeRoles("supermarket"), getPaymentIntent);
+
+module.exports = router;
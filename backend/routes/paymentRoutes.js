@@ -0,0 +1,26 @@
+// backend/routes/paymentRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const csvUpload = require("../middleware/csvUploadMiddleware");
+const {
+  getPayments,
+  createPayment,
+  importStatement,
+} = require("../controllers/paymentController");
+
+// Payment ledger (both sides see their own)
+router.get("/", protect, authorizeRoles("supplier", "supermarket"), getPayments);
+router.post("/", protect, authorizeRoles("supplier"), createPayment);
+
+// Bank statement reconciliation
+router.post(
+  "/import",
+  protect,
+  authorizeRoles("supplier"),
+  csvUpload.single("file"),
+  importStatement
+);
+
+module.exports = router;
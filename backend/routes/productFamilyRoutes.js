@@ -0,0 +1,22 @@
+// backend/routes/productFamilyRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const imageUpload = require("../middleware/imageUploadMiddleware");
+const {
+  getFamilies,
+  createFamily,
+  updateFamily,
+  deleteFamily,
+} = require("../controllers/productFamilyController");
+
+// Parent listings that group a supplier's product variants
+router.use(protect, authorizeRoles("supplier"));
+
+router.get("/", getFamilies);
+router.post("/", imageUpload.single("image"), createFamily);
+router.patch("/:id", imageUpload.single("image"), updateFamily);
+router.delete("/:id", deleteFamily);
+
+module.exports = router;
@@ -2,8 +2,10 @@ const express = require("express");
 const router = express.Router();
 
 const { protect, authorizeRoles } = require("../middleware/authMiddleware");
-const upload = require("../middleware/uploadMiddleware");
+const imageUpload = require("../middleware/imageUploadMiddleware");
+const catalogUpload = require("../middleware/catalogUploadMiddleware");
 
+const { MAX_IMAGES } = require("../utils/images");
 const {
   createProduct,
   getMyProducts,
@@ -11,9 +13,19 @@ const {
   getProductById,
   updateProduct,
   deleteProduct,
+  reorderImages,
+  deleteImage,
   dashboardStats,
+  importProducts,
+  exportProducts,
 } = require("../controllers/productController");
 
+// Product photos: the gallery ("images") or a single "image" from older clients
+const productImages = imageUpload.fields([
+  { name: "images", maxCount: MAX_IMAGES },
+  { name: "image", maxCount: 1 },
+]);
+
 // ==========================================
 // SPECIFIC ROUTES (MUST BE AT THE TOP)
 // ==========================================
@@ -31,7 +43,7 @@ router.post(
   "/",
   protect,
   authorizeRoles("supplier"),
-  upload.single("image"),
+  productImages,
   createProduct
 );
 
@@ -51,23 +63,33 @@ router.get(
   getAllProducts
 );
 
+// 5. Supplier: Bulk Import (dry run unless ?commit=true) / Export
+router.post(
+  "/import",
+  protect,
+  authorizeRoles("supplier"),
+  catalogUpload.single("file"),
+  importProducts
+);
+router.get("/export", protect, authorizeRoles("supplier"), exportProducts);
+
 // ==========================================
 // DYNAMIC ROUTES (MUST BE AT THE BOTTOM)
 // ==========================================
 
-// 5. Get Product by ID
+// 6. Get Product by ID
 router.get("/:id", protect, getProductById);
 
-// 6. Update Product (Supplier only)
+// 7. Update Product (Supplier only)
 router.patch(
   "/:id",
   protect,
   authorizeRoles("supplier"),
-  upload.single("image"),
+  productImages,
   updateProduct
 );
 
-// 7. Delete Product (Supplier only)
+// 8. Delete Product (Supplier only)
 router.delete(
   "/:id",
   protect,
@@ -75,4 +97,8 @@ router.delete(
   deleteProduct
 );
 
+// 9. Gallery: reorder / remove images (Supplier only)
+router.patch("/:id/images", protect, authorizeRoles("supplier"), reorderImages);
+router.delete("/:id/images/:imageId", protect, authorizeRoles("supplier"), deleteImage);
+
 module.exports = router;
@@ -0,0 +1,12 @@
+// backend/routes/refundRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const { getRefunds, createRefund } = require("../controllers/refundController");
+
+// Card refunds (both sides see their own)
+router.get("/", protect, authorizeRoles("supplier", "supermarket"), getRefunds);
+router.post("/", protect, authorizeRoles("supplier"), createRefund);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// backend/routes/returnRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const upload = require("../middleware/uploadMiddleware");
+const {
+  createReturn,
+  getMyReturns,
+  getSupplierReturns,
+  getReturnById,
+  decideReturn,
+} = require("../controllers/returnController");
+
+// Supermarket: open an RMA (up to 5 photos)
+router.post(
+  "/",
+  protect,
+  authorizeRoles("supermarket"),
+  upload.array("photos", 5),
+  createReturn
+);
+
+// Lists (MUST be before /:id)
+router.get("/my", protect, authorizeRoles("supermarket"), getMyReturns);
+router.get("/supplier", protect, authorizeRoles("supplier"), getSupplierReturns);
+
+router.get("/:id", protect, getReturnById);
+
+// Supplier: approve (credit note, optional restock) or reject
+router.patch("/:id/decision", protect, authorizeRoles("supplier"), decideReturn);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// backend/routes/standingOrderRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const {
+  getStandingOrders,
+  getStandingOrder,
+  createStandingOrder,
+  updateStandingOrder,
+  deleteStandingOrder,
+  pauseStandingOrder,
+  resumeStandingOrder,
+  runStandingOrderNow,
+} = require("../controllers/standingOrderController");
+
+// Standing orders belong to supermarket users only
+router.use(protect, authorizeRoles("supermarket"));
+
+router.get("/", getStandingOrders);
+router.post("/", createStandingOrder);
+router.get("/:id", getStandingOrder);
+router.patch("/:id", updateStandingOrder);
+router.delete("/:id", deleteStandingOrder);
+
+router.post("/:id/pause", pauseStandingOrder);
+router.post("/:id/resume", resumeStandingOrder);
+router.post("/:id/run", runStandingOrderNow);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// backend/routes/statementRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const {
+  getStatementParties,
+  getStatement,
+  getStatementPdf,
+  getStatementCsv,
+} = require("../controllers/statementController");
+
+// Statements of account: both parties see the same one
+router.use(protect, authorizeRoles("supplier", "supermarket"));
+
+router.get("/parties", getStatementParties);
+router.get("/:partyId", getStatement);
+router.get("/:partyId/pdf", getStatementPdf);
+router.get("/:partyId/csv", getStatementCsv);
+
+module.exports = router;
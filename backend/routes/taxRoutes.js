@@ -0,0 +1,12 @@
+// backend/routes/taxRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { protect, authorizeRoles } = require("../middleware/authMiddleware");
+const { getTaxSettings, updateTaxSettings } = require("../controllers/taxController");
+
+// Supplier VAT / SSCL settings
+router.get("/settings", protect, authorizeRoles("supplier"), getTaxSettings);
+router.put("/settings", protect, authorizeRoles("supplier"), updateTaxSettings);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// backend/scripts/assignSkus.js
+// One-off: give every product created before SKUs existed its supplier's
+// next SKU (SKU-000001 ...). Safe to run again; products with one are skipped.
+const dotenv = require("dotenv");
+const connectDB = require("../config/db");
+const Product = require("../models/Product");
+const { nextSku } = require("../utils/productCodes");
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const products = await Product.find({ sku: { $in: [null, ""] } })
+      .select("supplier name")
+      .sort({ createdAt: 1 });
+
+    for (const product of products) {
+      const sku = await nextSku(product.supplier);
+      await Product.updateOne({ _id: product._id }, { sku });
+      console.log(`${sku}  ${product.name}`);
+    }
+
+    console.log(`Assigned ${products.length} SKUs`);
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,44 @@
+// backend/scripts/buildImageRenditions.js
+// One-off: turn the single original photo of products created before
+// galleries into WebP renditions (the first gallery image). Safe to run
+// again; products with a gallery are skipped and originals are kept.
+const path = require("path");
+const fs = require("fs");
+const dotenv = require("dotenv");
+const connectDB = require("../config/db");
+const Product = require("../models/Product");
+const { uploadDir, saveRenditions } = require("../utils/images");
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const products = await Product.find({
+      image: /^\/uploads\//,
+      "images.0": { $exists: false },
+    }).select("name image images");
+
+    let converted = 0;
+    for (const product of products) {
+      const file = path.join(uploadDir, product.image.slice("/uploads/".length));
+      try {
+        product.images = [await saveRenditions(await fs.promises.readFile(file))];
+        await product.save();
+        converted += 1;
+        console.log(`${product.name}  ${product.image}`);
+      } catch (err) {
+        console.error(`Skipped ${product.name}: ${err.message}`);
+      }
+    }
+
+    console.log(`Converted ${converted} of ${products.length} products`);
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,40 @@
+// backend/scripts/syncInvoiceNotes.js
+// One-off: fill in the credit / debit note totals of invoices issued before
+// they were kept on the invoice, and bring each order's payment status in
+// line. Safe to run again; every invoice is recounted from its notes.
+const dotenv = require("dotenv");
+const connectDB = require("../config/db");
+const Invoice = require("../models/Invoice");
+const { noteTotals } = require("../utils/notes");
+const { syncPaymentTotals } = require("../utils/payments");
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const invoices = await Invoice.find().select("number order").sort({ issuedAt: 1 });
+
+    let changed = 0;
+    for (const invoice of invoices) {
+      const totals = await noteTotals(invoice.order);
+      if (totals.credit === 0 && totals.debit === 0) continue;
+      await Invoice.updateOne(
+        { _id: invoice._id },
+        { creditedTotal: totals.credit, debitedTotal: totals.debit }
+      );
+      await syncPaymentTotals(invoice.order);
+      console.log(`${invoice.number}  credited ${totals.credit}  debited ${totals.debit}`);
+      changed++;
+    }
+
+    console.log(`Updated ${changed} of ${invoices.length} invoices`);
+    process.exit(0);
+  } catch (err) {
+    console.error(err);
+    process.exit(1);
+  }
+};
+
+run();
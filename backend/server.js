@@ -11,9 +11,32 @@ const connectDB = require("./config/db");
 const authRoutes = require("./routes/authRoutes");
 const adminRoutes = require("./routes/adminRoutes");
 const productRoutes = require("./routes/productRoutes");
+const productFamilyRoutes = require("./routes/productFamilyRoutes");
 const orderRoutes = require("./routes/orderRoutes");
 const supermarketRoutes = require("./routes/supermarketRoutes");
 const reportRoutes = require("./routes/reportRoutes");
+const cartRoutes = require("./routes/cartRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const standingOrderRoutes = require("./routes/standingOrderRoutes");
+const returnRoutes = require("./routes/returnRoutes");
+const noteRoutes = require("./routes/noteRoutes");
+const invoiceRoutes = require("./routes/invoiceRoutes");
+const taxRoutes = require("./routes/taxRoutes");
+const creditRoutes = require("./routes/creditRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const paymentIntentRoutes = require("./routes/paymentIntentRoutes");
+const refundRoutes = require("./routes/refundRoutes");
+const statementRoutes = require("./routes/statementRoutes");
+const mockGatewayRoutes = require("./routes/mockGatewayRoutes");
+
+// Payment provider checks
+const {
+  checkProviderConfig,
+  mockGatewayEnabled,
+} = require("./utils/paymentProviders");
+
+// Background jobs
+const { startStandingOrderScheduler } = require("./utils/standingOrders");
 
 // Middleware
 const errorHandler = require("./middleware/errorMiddleware");
@@ -21,6 +44,9 @@ const errorHandler = require("./middleware/errorMiddleware");
 // Load env variables
 dotenv.config();
 
+// ✅ Fail fast on an unsafe payment setup (e.g. the mock gateway in production)
+checkProviderConfig();
+
 // Connect to DB
 connectDB();
 
@@ -29,8 +55,15 @@ const app = express();
 // ===============================
 // GLOBAL MIDDLEWARE
 // ===============================
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ["Content-Disposition"] })); // ✅ invoice PDF file names
+// ✅ Keep the raw body: payment webhooks are verified against it
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // ===============================
 // STATIC FILES (Image uploads)
@@ -43,9 +76,29 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.use("/api/auth", authRoutes);
 app.use("/api/admin", adminRoutes); // ✅ VERY IMPORTANT (CORRECT)
 app.use("/api/products", productRoutes);
+app.use("/api/product-families", productFamilyRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/supermarkets", supermarketRoutes);
 app.use("/api/reports", reportRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/standing-orders", standingOrderRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/notes", noteRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/tax", taxRoutes);
+app.use("/api/credit", creditRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/payment-intents", paymentIntentRoutes);
+app.use("/api/refunds", refundRoutes);
+app.use("/api/statements", statementRoutes);
+
+// ===============================
+// MOCK CARD GATEWAY (local development only)
+// ===============================
+if (mockGatewayEnabled()) {
+  app.use("/mock-gateway", mockGatewayRoutes);
+}
 
 // ===============================
 // HEALTH CHECK
@@ -66,4 +119,7 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // ✅ Places recurring standing orders when they fall due
+  startStandingOrderScheduler();
 });
@@ -0,0 +1,134 @@
+// backend/tests/cardPayments.test.js
+const mongoose = require("mongoose");
+const PaymentIntent = require("../models/PaymentIntent");
+const Order = require("../models/Order");
+const { query, fakeSession } = require("./helpers");
+
+jest.mock("../utils/notify", () => jest.fn());
+jest.mock("../utils/payments", () => ({ addPayment: jest.fn() }));
+jest.mock("../utils/refunds", () => ({ refundExcess: jest.fn() }));
+
+const notify = require("../utils/notify");
+const { addPayment } = require("../utils/payments");
+const { refundExcess } = require("../utils/refunds");
+const { applyIntentStatus } = require("../utils/cardPayments");
+
+const supermarket = new mongoose.Types.ObjectId();
+
+const makeOrder = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  supplier: new mongoose.Types.ObjectId(),
+  supermarket,
+  status: "Pending",
+  ...fields,
+});
+
+const makeIntent = (orders) => ({
+  _id: new mongoose.Types.ObjectId(),
+  supermarket,
+  providerRef: "mock_pi_1",
+  amount: orders.reduce((sum, order) => sum + order.amount, 0),
+  orders: orders.map((order) => ({ order: order._id, amount: order.amount })),
+});
+
+// The intent leaves RequiresAction once; later updates match nothing
+const intentSettlesOnce = (intent) =>
+  jest
+    .spyOn(PaymentIntent, "findOneAndUpdate")
+    .mockResolvedValueOnce({ ...intent, status: "Succeeded" })
+    .mockResolvedValue(null);
+
+beforeEach(() => {
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(fakeSession());
+  addPayment.mockResolvedValue({ overpaid: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe("applyIntentStatus", () => {
+  test("records one Card payment per order, once, however often the webhook arrives", async () => {
+    const first = makeOrder({ amount: 600 });
+    const second = makeOrder({ amount: 400 });
+    const intent = makeIntent([first, second]);
+    const update = intentSettlesOnce(intent);
+    jest.spyOn(PaymentIntent, "findById").mockResolvedValue({ ...intent, status: "Succeeded" });
+    jest
+      .spyOn(Order, "findById")
+      .mockImplementation((id) => query([first, second].find((o) => o._id.equals(id))));
+
+    await applyIntentStatus(intent._id, { status: "Succeeded" }, "webhook");
+    await applyIntentStatus(intent._id, { status: "Succeeded" }, "webhook");
+    await applyIntentStatus(intent._id, { status: "Succeeded" }, "lookup");
+
+    // Only an unfinished intent can change
+    expect(update.mock.calls[0][0]).toEqual({
+      _id: intent._id,
+      status: { $nin: ["Succeeded", "Failed", "Cancelled"] },
+    });
+    expect(addPayment).toHaveBeenCalledTimes(2);
+    expect(addPayment.mock.calls.map(([fields]) => [fields.order, fields.amount])).toEqual([
+      [first._id, 600],
+      [second._id, 400],
+    ]);
+    expect(addPayment.mock.calls[0][0]).toMatchObject({
+      method: "Card",
+      source: "Checkout",
+      reference: "mock_pi_1",
+    });
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(refundExcess).not.toHaveBeenCalled();
+  });
+
+  test("a failure after a success changes nothing", async () => {
+    const order = makeOrder({ amount: 500 });
+    const intent = makeIntent([order]);
+    intentSettlesOnce(intent);
+    jest.spyOn(PaymentIntent, "findById").mockResolvedValue({ ...intent, status: "Succeeded" });
+    jest.spyOn(Order, "findById").mockReturnValue(query(order));
+    const markFailed = jest.spyOn(Order, "updateMany");
+
+    await applyIntentStatus(intent._id, { status: "Succeeded" }, "webhook");
+    const latest = await applyIntentStatus(intent._id, { status: "Failed" }, "webhook");
+
+    expect(latest.status).toBe("Succeeded");
+    expect(markFailed).not.toHaveBeenCalled();
+    expect(addPayment).toHaveBeenCalledTimes(1);
+  });
+
+  test("refunds a payment that arrives after the order was cancelled", async () => {
+    const order = makeOrder({ amount: 500, status: "Cancelled" });
+    const intent = makeIntent([order]);
+    intentSettlesOnce(intent);
+    jest.spyOn(Order, "findById").mockReturnValue(query(order));
+
+    await applyIntentStatus(intent._id, { status: "Succeeded" }, "webhook");
+
+    expect(addPayment).toHaveBeenCalledTimes(1);
+    expect(refundExcess).toHaveBeenCalledWith(
+      order,
+      "Cancellation",
+      null,
+      "Card payment arrived after the order was cancelled"
+    );
+  });
+
+  test("refunds what goes beyond the open balance", async () => {
+    const order = makeOrder({ amount: 500, status: "Accepted" });
+    const intent = makeIntent([order]);
+    intentSettlesOnce(intent);
+    jest.spyOn(Order, "findById").mockReturnValue(query(order));
+    addPayment.mockResolvedValue({ overpaid: 500 });
+
+    await applyIntentStatus(intent._id, { status: "Succeeded" }, "webhook");
+
+    expect(refundExcess).toHaveBeenCalledWith(
+      order,
+      "Overpayment",
+      null,
+      "Card payment beyond the open balance"
+    );
+  });
+});
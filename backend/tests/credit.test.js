@@ -0,0 +1,173 @@
+// backend/tests/credit.test.js
+const mongoose = require("mongoose");
+const CreditAccount = require("../models/CreditAccount");
+const CreditNote = require("../models/CreditNote");
+const DebitNote = require("../models/DebitNote");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const { checkCredit, reserveCredit, releaseOrderCredit } = require("../utils/credit");
+const { query } = require("./helpers");
+
+const supplierId = new mongoose.Types.ObjectId();
+const supermarketId = new mongoose.Types.ObjectId();
+
+const account = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  creditLimit: 10000,
+  termsDays: 30,
+  isActive: true,
+  reserved: 0,
+  ...fields,
+});
+
+// Open invoices, uninvoiced credit orders and their notes the balance is built from
+const owing = ({ invoices = [], orders = [], credits = [], debits = [] } = {}) => {
+  jest.spyOn(Invoice, "find").mockReturnValue(query(invoices));
+  jest.spyOn(Order, "find").mockReturnValue(
+    query(orders.map((order) => ({ _id: new mongoose.Types.ObjectId(), ...order })))
+  );
+  jest.spyOn(CreditNote, "aggregate").mockReturnValue(query(credits));
+  jest.spyOn(DebitNote, "aggregate").mockReturnValue(query(debits));
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("checkCredit", () => {
+  test("refuses buyers without an account", async () => {
+    jest.spyOn(CreditAccount, "findOne").mockReturnValue(query(null));
+
+    const credit = await checkCredit(supplierId, supermarketId, 100);
+    expect(credit.error).toBe("No credit account with this supplier");
+  });
+
+  test("refuses suspended accounts", async () => {
+    jest.spyOn(CreditAccount, "findOne").mockReturnValue(query(account({ isActive: false })));
+
+    const credit = await checkCredit(supplierId, supermarketId, 100);
+    expect(credit.error).toBe("No credit account with this supplier");
+  });
+
+  test("counts unpaid invoices, unreserved orders and the reservation", async () => {
+    jest.spyOn(CreditAccount, "findOne").mockReturnValue(query(account({ reserved: 1500 })));
+    owing({
+      invoices: [{ total: 4000, amountPaid: 1000 }],
+      orders: [
+        { totalAmount: 1500, amountPaid: 0, creditReserved: 1500 }, // held by the reservation
+        { totalAmount: 2000, amountPaid: 500 }, // placed before reservations
+      ],
+    });
+
+    const credit = await checkCredit(supplierId, supermarketId, 3000);
+    expect(credit).toMatchObject({ outstanding: 6000, available: 4000, error: null });
+  });
+
+  test("nets credit and debit notes off invoices and uninvoiced orders", async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    jest.spyOn(CreditAccount, "findOne").mockReturnValue(query(account()));
+    owing({
+      invoices: [{ total: 4000, amountPaid: 1000, creditedTotal: 500, debitedTotal: 100 }],
+      orders: [{ _id: orderId, totalAmount: 2000, amountPaid: 0 }],
+      credits: [{ _id: orderId, total: 300 }],
+      debits: [{ _id: orderId, total: 50 }],
+    });
+
+    const credit = await checkCredit(supplierId, supermarketId, 1000);
+    expect(credit).toMatchObject({ outstanding: 4350, available: 5650, error: null });
+  });
+
+  test("refuses an amount over what is available", async () => {
+    jest.spyOn(CreditAccount, "findOne").mockReturnValue(query(account({ reserved: 9000 })));
+    owing();
+
+    const credit = await checkCredit(supplierId, supermarketId, 1000.01);
+    expect(credit.available).toBe(1000);
+    expect(credit.error).toBe("Credit limit exceeded: Rs. 1,000 available");
+  });
+});
+
+describe("reserveCredit", () => {
+  test("raises the reservation only while it fits the limit", async () => {
+    const stored = account({ reserved: 2000 });
+    jest.spyOn(CreditAccount, "findOne").mockReturnValue(query(stored));
+    owing({ invoices: [{ total: 3000, amountPaid: 0 }] });
+    const update = jest
+      .spyOn(CreditAccount, "findOneAndUpdate")
+      .mockResolvedValue({ ...stored, reserved: 4500 });
+
+    const credit = await reserveCredit(supplierId, supermarketId, 2500);
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter).toMatchObject({ _id: stored._id, isActive: true });
+    expect(filter.$expr).toEqual({
+      $lte: [{ $add: [{ $ifNull: ["$reserved", 0] }, 2500] }, { $subtract: ["$creditLimit", 3000] }],
+    });
+    expect(change).toEqual({ $inc: { reserved: 2500 } });
+    expect(credit).toMatchObject({ outstanding: 7500, available: 2500, error: null });
+  });
+
+  test("refuses when another order took the headroom meanwhile", async () => {
+    jest
+      .spyOn(CreditAccount, "findOne")
+      .mockReturnValueOnce(query(account({ reserved: 2000 })))
+      .mockReturnValueOnce(query(account({ reserved: 9000 })));
+    owing();
+    jest.spyOn(CreditAccount, "findOneAndUpdate").mockResolvedValue(null);
+
+    const credit = await reserveCredit(supplierId, supermarketId, 5000);
+    expect(credit.error).toBe("Credit limit exceeded: Rs. 1,000 available");
+  });
+
+  test("does not touch the account when the check already fails", async () => {
+    jest.spyOn(CreditAccount, "findOne").mockReturnValue(query(account({ reserved: 9500 })));
+    owing();
+    const update = jest.spyOn(CreditAccount, "findOneAndUpdate");
+
+    const credit = await reserveCredit(supplierId, supermarketId, 1000);
+    expect(credit.error).toMatch(/Credit limit exceeded/);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe("releaseOrderCredit", () => {
+  const creditOrder = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    supplier: supplierId,
+    supermarket: supermarketId,
+    creditReserved: 1200,
+  });
+
+  test("gives the order's reservation back once", async () => {
+    const claim = jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    const release = jest.spyOn(CreditAccount, "updateOne").mockResolvedValue({});
+    const order = creditOrder();
+
+    await releaseOrderCredit(order);
+
+    expect(claim).toHaveBeenCalledWith(
+      { _id: order._id, creditReserved: 1200 },
+      { creditReserved: 0 },
+      { session: null }
+    );
+    expect(release).toHaveBeenCalledWith(
+      { supplier: supplierId, supermarket: supermarketId },
+      { $inc: { reserved: -1200 } },
+      { session: null }
+    );
+    expect(order.creditReserved).toBe(0);
+  });
+
+  test("releases nothing when a double submit already claimed it", async () => {
+    jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+    const release = jest.spyOn(CreditAccount, "updateOne");
+
+    await releaseOrderCredit(creditOrder());
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  test("skips orders that hold no credit", async () => {
+    const claim = jest.spyOn(Order, "updateOne");
+
+    await releaseOrderCredit({ ...creditOrder(), creditReserved: 0 });
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+// backend/tests/fulfilment.test.js
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const { acceptOrder } = require("../utils/fulfilment");
+const { query } = require("./helpers");
+
+const supplier = { id: new mongoose.Types.ObjectId().toString(), role: "supplier" };
+
+// Pending card order of 2 lines x 500 with `paid` held on it
+const cardOrder = (paid) =>
+  new Order({
+    supermarket: new mongoose.Types.ObjectId(),
+    supplier: supplier.id,
+    items: [
+      { product: new mongoose.Types.ObjectId(), name: "Rice 5kg", quantity: 1, price: 500 },
+      { product: new mongoose.Types.ObjectId(), name: "Dhal 1kg", quantity: 1, price: 500 },
+    ],
+    totalAmount: 1000,
+    deliveryAddress: "12 Main St",
+    paymentMethod: "Card",
+    paymentStatus: paid >= 1000 ? "Paid" : "Pending",
+    amountPaid: paid,
+    status: "Pending",
+  });
+
+// Accept the first line, backorder the second
+const acceptWithBackorder = (order) =>
+  acceptOrder(order, [{ itemId: order.items[1]._id, acceptedQty: 0 }], "backorder", supplier);
+
+beforeEach(() => {
+  jest.spyOn(Order.prototype, "save").mockImplementation(async function () {
+    return this;
+  });
+  jest.spyOn(Order, "find").mockReturnValue(query([]));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("acceptOrder with a backorder", () => {
+  test("a backorder of a paid order is paid for by the order's money", async () => {
+    const order = cardOrder(1000);
+
+    const backorder = await acceptWithBackorder(order);
+
+    expect(order.totalAmount).toBe(500);
+    expect(backorder.totalAmount).toBe(500);
+    expect(backorder.paymentStatus).toBe("Paid");
+    expect(backorder.amountPaid || 0).toBe(0);
+  });
+
+  test("a backorder of an unpaid order starts Pending", async () => {
+    const order = cardOrder(0);
+
+    const backorder = await acceptWithBackorder(order);
+    expect(backorder.paymentStatus).toBe("Pending");
+  });
+
+  test("earlier open backorders draw on the same money first", async () => {
+    const order = cardOrder(1000);
+    order.backorders.push(new mongoose.Types.ObjectId());
+    Order.find.mockReturnValue(query([{ totalAmount: 300 }]));
+
+    const backorder = await acceptWithBackorder(order);
+    expect(backorder.paymentStatus).toBe("PartPaid");
+  });
+});
@@ -0,0 +1,27 @@
+// backend/tests/helpers.js
+
+/**
+ * Stand-in for a Mongoose query: chainable like one and resolves to `result`
+ * when awaited (or via .lean() / .exec()).
+ */
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    session: () => chain,
+    lean: () => Promise.resolve(result),
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Stand-in for mongoose.startSession(): runs the transaction body once.
+ */
+const fakeSession = () => ({
+  withTransaction: async (fn) => fn(),
+  endSession: async () => {},
+});
+
+module.exports = { query, fakeSession };
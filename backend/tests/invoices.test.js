@@ -0,0 +1,176 @@
+// backend/tests/invoices.test.js
+const mongoose = require("mongoose");
+const Counter = require("../models/Counter");
+const CreditNote = require("../models/CreditNote");
+const DebitNote = require("../models/DebitNote");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const { linkInvoicePayments } = require("../utils/payments");
+const { nextSequence, formatNumber } = require("../utils/sequence");
+const { invoiceStatus, issueInvoice } = require("../utils/invoices");
+const { query, fakeSession } = require("./helpers");
+
+jest.mock("../utils/notify", () => jest.fn());
+jest.mock("../utils/payments", () => ({
+  ...jest.requireActual("../utils/payments"),
+  linkInvoicePayments: jest.fn(),
+}));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("nextSequence", () => {
+  test("increments the series inside the caller's session", async () => {
+    const session = fakeSession();
+    const update = jest.spyOn(Counter, "findOneAndUpdate").mockResolvedValue({ seq: 42 });
+
+    expect(await nextSequence("invoice:abc", session)).toBe(42);
+    expect(update).toHaveBeenCalledWith(
+      { _id: "invoice:abc" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session }
+    );
+  });
+
+  test("formats numbers with a zero-padded sequence", () => {
+    expect(formatNumber("INV", 42)).toBe("INV-000042");
+  });
+});
+
+describe("invoiceStatus", () => {
+  const now = new Date("2026-03-01");
+  const invoice = (fields = {}) => ({ total: 1000, amountPaid: 0, dueDate: "2026-03-31", ...fields });
+
+  test("Unpaid, PartPaid and Paid from payments", () => {
+    expect(invoiceStatus(invoice(), now)).toBe("Unpaid");
+    expect(invoiceStatus(invoice({ amountPaid: 400 }), now)).toBe("PartPaid");
+    expect(invoiceStatus(invoice({ amountPaid: 1000 }), now)).toBe("Paid");
+  });
+
+  test("Overdue once past the due date while a balance is left", () => {
+    expect(invoiceStatus(invoice({ dueDate: "2026-02-01" }), now)).toBe("Overdue");
+  });
+
+  test("credit notes count towards settling it", () => {
+    // Order cancelled after invoicing: the whole invoice was credited
+    expect(invoiceStatus(invoice({ creditedTotal: 1000, dueDate: "2026-02-01" }), now)).toBe("Paid");
+    expect(invoiceStatus(invoice({ amountPaid: 600, creditedTotal: 400 }), now)).toBe("Paid");
+  });
+
+  test("debit notes raise what is owed", () => {
+    expect(invoiceStatus(invoice({ amountPaid: 1000, debitedTotal: 250 }), now)).toBe("PartPaid");
+  });
+});
+
+describe("issueInvoice", () => {
+  const supplier = { _id: new mongoose.Types.ObjectId(), name: "Fresh Farms", invoiceIssueOn: "Delivered" };
+  const supermarket = { _id: new mongoose.Types.ObjectId(), name: "City Mart" };
+
+  const deliveredOrder = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    supplier: supplier._id,
+    supermarket: supermarket._id,
+    status: "Delivered",
+    paymentMethod: "Cash",
+    creditReserved: 0,
+    items: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        product: new mongoose.Types.ObjectId(),
+        name: "Rice 5kg",
+        sku: "SKU-000001",
+        quantity: 4,
+        cancelledQty: 1,
+        price: 100,
+        vatRate: 18,
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        product: new mongoose.Types.ObjectId(),
+        name: "Dhal 1kg",
+        sku: "SKU-000002",
+        quantity: 2,
+        cancelledQty: 2,
+        price: 50,
+      },
+    ],
+    ...fields,
+  });
+
+  // Supplier and buyer, no earlier notes, INV-000007 next
+  const stubIssue = (order, { credit = 0, debit = 0 } = {}) => {
+    jest.spyOn(mongoose, "startSession").mockResolvedValue(fakeSession());
+    jest.spyOn(Order, "findById").mockReturnValue(query(order));
+    jest.spyOn(Invoice, "findOne").mockReturnValue(query(null));
+    jest
+      .spyOn(User, "findById")
+      .mockReturnValueOnce(query(supplier))
+      .mockReturnValueOnce(query(supermarket));
+    jest.spyOn(Product, "find").mockReturnValue(query([]));
+    jest.spyOn(CreditNote, "aggregate").mockReturnValue(query(credit ? [{ total: credit }] : []));
+    jest.spyOn(DebitNote, "aggregate").mockReturnValue(query(debit ? [{ total: debit }] : []));
+    jest.spyOn(Counter, "findOneAndUpdate").mockResolvedValue({ seq: 7 });
+    jest.spyOn(Order, "updateOne").mockResolvedValue({});
+    return jest
+      .spyOn(Invoice, "create")
+      .mockImplementation(async ([fields]) => [{ _id: new mongoose.Types.ObjectId(), ...fields }]);
+  };
+
+  test("bills the billable units with the supplier's next number", async () => {
+    const order = deliveredOrder();
+    const create = stubIssue(order);
+
+    const invoice = await issueInvoice(order._id);
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(invoice).toMatchObject({
+      number: "INV-000007",
+      order: order._id,
+      subtotal: 300,
+      vatTotal: 54,
+      total: 354,
+      creditedTotal: 0,
+      debitedTotal: 0,
+    });
+    // ✅ The fully cancelled line is left off
+    expect(invoice.lines).toHaveLength(1);
+    expect(invoice.lines[0]).toMatchObject({ name: "Rice 5kg", quantity: 3, amount: 354 });
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: order._id },
+      { invoice: invoice._id },
+      expect.anything()
+    );
+    expect(linkInvoicePayments).toHaveBeenCalledWith(order, invoice, expect.anything());
+  });
+
+  test("counts notes issued before the invoice", async () => {
+    const order = deliveredOrder();
+    stubIssue(order, { credit: 54, debit: 20 });
+
+    const invoice = await issueInvoice(order._id);
+    expect(invoice).toMatchObject({ total: 354, creditedTotal: 54, debitedTotal: 20 });
+  });
+
+  test("returns the existing invoice instead of a second number", async () => {
+    const order = deliveredOrder();
+    const create = stubIssue(order);
+    const existing = { _id: new mongoose.Types.ObjectId(), number: "INV-000003" };
+    Invoice.findOne.mockReturnValue(query(existing));
+
+    expect(await issueInvoice(order._id)).toBe(existing);
+    expect(create).not.toHaveBeenCalled();
+    expect(Counter.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test("refuses orders before the supplier's billing point", async () => {
+    const order = deliveredOrder({ status: "Dispatched" });
+    const create = stubIssue(order);
+
+    await expect(issueInvoice(order._id)).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Invoices are issued when orders are Delivered",
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
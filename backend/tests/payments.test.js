@@ -0,0 +1,34 @@
+// backend/tests/payments.test.js
+const { paymentStatusOf } = require("../utils/payments");
+
+describe("paymentStatusOf", () => {
+  test("Pending before anything is paid", () => {
+    expect(paymentStatusOf(0, 1000)).toBe("Pending");
+  });
+
+  test("PartPaid while short of what is owed", () => {
+    expect(paymentStatusOf(400, 1000)).toBe("PartPaid");
+  });
+
+  test("Paid once what is owed is covered", () => {
+    expect(paymentStatusOf(1000, 1000)).toBe("Paid");
+  });
+
+  test("stays Paid when a refund leaves what is owed covered", () => {
+    // Lines worth 200 cancelled after a card payment of 1000
+    expect(paymentStatusOf(1000, 800, 200)).toBe("Paid");
+  });
+
+  test("PartiallyRefunded when a refund leaves the order short", () => {
+    expect(paymentStatusOf(1000, 1000, 200)).toBe("PartiallyRefunded");
+  });
+
+  test("Refunded when everything paid went back", () => {
+    expect(paymentStatusOf(1000, 0, 1000)).toBe("Refunded");
+    expect(paymentStatusOf(1000, 1000, 1000)).toBe("Refunded");
+  });
+
+  test("ignores floating point noise in the net paid", () => {
+    expect(paymentStatusOf(0.3, 0.2, 0.1)).toBe("Paid");
+  });
+});
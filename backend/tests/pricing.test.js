@@ -0,0 +1,89 @@
+// backend/tests/pricing.test.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const { priceOrderItems } = require("../utils/pricing");
+const { query } = require("./helpers");
+
+const supplierId = new mongoose.Types.ObjectId();
+
+const product = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  supplier: supplierId,
+  name: "Cola 330ml",
+  sku: "COLA-330",
+  baseUnit: "can",
+  price: 100,
+  packs: [{ name: "Case", size: 24, price: 2200 }],
+  isActive: true,
+  district: "Colombo",
+  ...fields,
+});
+
+// Products in the database and the supplier's tax settings
+const stock = (products, tax = { vatRate: 18 }) => {
+  jest.spyOn(Product, "find").mockReturnValue(query(products));
+  jest.spyOn(User, "find").mockReturnValue(query([{ _id: supplierId, tax }]));
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("priceOrderItems", () => {
+  test("prices lines from the database, per pack, with the supplier's tax", async () => {
+    const cola = product();
+    stock([cola]);
+
+    const priced = await priceOrderItems(
+      [
+        { product: cola._id, unit: "case", quantity: 2, price: 1 }, // client price ignored
+        { product: cola._id, quantity: 5 },
+      ],
+      { supplierId, district: "Colombo" }
+    );
+
+    expect(priced.errors).toEqual([]);
+    expect(priced.items[0]).toMatchObject({
+      name: "Cola 330ml",
+      unit: "Case",
+      unitSize: 24,
+      baseUnit: "can",
+      quantity: 2,
+      price: 2200,
+      vatRate: 18,
+      netAmount: 4400,
+      vatAmount: 792,
+      lineTotal: 5192,
+    });
+    expect(priced.items[1]).toMatchObject({ unit: "can", unitSize: 1, price: 100, lineTotal: 590 });
+    expect(priced).toMatchObject({ subtotal: 4900, vatTotal: 882, totalAmount: 5782 });
+  });
+
+  test("reports lines that cannot be ordered instead of pricing them", async () => {
+    const other = product({ supplier: new mongoose.Types.ObjectId(), name: "Other" });
+    const inactive = product({ name: "Old", isActive: false });
+    const far = product({ name: "Far", district: "Kandy" });
+    const cola = product();
+    stock([other, inactive, far, cola]);
+    const missing = new mongoose.Types.ObjectId();
+
+    const priced = await priceOrderItems(
+      [
+        { product: missing, quantity: 1 },
+        { product: other._id, quantity: 1 },
+        { product: inactive._id, quantity: 1 },
+        { product: far._id, quantity: 1 },
+        { product: cola._id, unit: "Pallet", quantity: 1 },
+      ],
+      { supplierId, district: "Colombo" }
+    );
+
+    expect(priced.items).toEqual([]);
+    expect(priced.errors.map((error) => error.reason)).toEqual([
+      "Product not found",
+      "Product belongs to a different supplier",
+      "Product is inactive",
+      "Product is not available in your district",
+      "Not sold by the Pallet",
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+// backend/tests/productImport.test.js
+const mongoose = require("mongoose");
+const Counter = require("../models/Counter");
+const Product = require("../models/Product");
+const ProductFamily = require("../models/ProductFamily");
+const { nextSku } = require("../utils/productCodes");
+const { planImport } = require("../utils/productImport");
+const { query } = require("./helpers");
+
+const supplierId = new mongoose.Types.ObjectId();
+
+const rice = {
+  _id: new mongoose.Types.ObjectId(),
+  sku: "RICE-5KG",
+  name: "Rice 5kg",
+  barcode: "4006381333931",
+  description: "",
+  category: "Grains",
+  baseUnit: "unit",
+  price: 1200,
+  stock: 40,
+};
+
+// Catalog the rows are planned against
+const catalog = (products = [rice]) => {
+  jest.spyOn(Product, "find").mockReturnValue(query(products));
+  jest.spyOn(ProductFamily, "find").mockReturnValue(query([]));
+};
+
+// Numbered rows from cell objects (row 1 is the header)
+const rows = (...cells) => cells.map((c, i) => ({ row: i + 2, cells: c }));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("planImport", () => {
+  test("creates new SKUs, updates changed products and skips unchanged ones", async () => {
+    catalog();
+
+    const { lines, summary } = await planImport(
+      supplierId,
+      rows(
+        { sku: "rice-5kg", price: "1250" },
+        { sku: "DHAL-1KG", name: "Dhal 1kg", price: "450" },
+        { sku: "RICE-5KG", category: "Grains" }
+      )
+    );
+
+    expect(summary).toEqual({ create: 1, update: 1, unchanged: 0, error: 1 });
+    expect(lines[0]).toMatchObject({ action: "update", sku: "RICE-5KG", changes: ["price"] });
+    expect(lines[1]).toMatchObject({ action: "create", sku: "DHAL-1KG", name: "Dhal 1kg" });
+    expect(lines[2].errors).toEqual(["SKU RICE-5KG is also on row 2"]);
+  });
+
+  test("leaves stock alone on updates unless asked", async () => {
+    catalog();
+    const row = rows({ sku: "RICE-5KG", stock: "10" });
+
+    expect((await planImport(supplierId, row)).lines[0].action).toBe("unchanged");
+    expect((await planImport(supplierId, row, { updateStock: true })).lines[0]).toMatchObject({
+      action: "update",
+      changes: ["stock"],
+    });
+  });
+
+  test("refuses a barcode another product already has", async () => {
+    catalog();
+
+    const { lines } = await planImport(
+      supplierId,
+      rows({ name: "Basmati 5kg", price: "1500", barcode: "4006381333931" })
+    );
+    expect(lines[0]).toMatchObject({
+      action: "error",
+      errors: ["Barcode 4006381333931 is already used by RICE-5KG"],
+    });
+  });
+
+  test("a new product needs a name and a price", async () => {
+    catalog();
+
+    const { lines } = await planImport(supplierId, rows({ sku: "NEW-1", category: "Grains" }));
+    expect(lines[0].errors).toEqual([
+      "price is required for a new product",
+      "name is required for a new product",
+    ]);
+  });
+
+  test("skips blank spreadsheet rows", async () => {
+    catalog();
+
+    const { lines } = await planImport(supplierId, rows({ sku: "", name: "" }));
+    expect(lines).toEqual([]);
+  });
+});
+
+describe("nextSku", () => {
+  test("skips SKUs taken by products or by rows not saved yet", async () => {
+    jest
+      .spyOn(Counter, "findOneAndUpdate")
+      .mockResolvedValueOnce({ seq: 5 })
+      .mockResolvedValueOnce({ seq: 6 })
+      .mockResolvedValueOnce({ seq: 7 });
+    jest
+      .spyOn(Product, "exists")
+      .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() })
+      .mockResolvedValueOnce(null);
+
+    // SKU-000005 exists, SKU-000006 is on a later row of the file
+    expect(await nextSku(supplierId, new Set(["SKU-000006"]))).toBe("SKU-000007");
+    expect(Product.exists).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,138 @@
+// backend/tests/refunds.test.js
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const PaymentIntent = require("../models/PaymentIntent");
+const Refund = require("../models/Refund");
+const { query } = require("./helpers");
+
+jest.mock("../utils/notify", () => jest.fn());
+jest.mock("../utils/payments", () => ({ syncPaymentTotals: jest.fn() }));
+jest.mock("../utils/paymentProviders", () => ({
+  providerName: () => "mock",
+  getProvider: jest.fn(),
+}));
+
+const { syncPaymentTotals } = require("../utils/payments");
+const { getProvider } = require("../utils/paymentProviders");
+const { refundOrder } = require("../utils/refunds");
+
+const orderId = new mongoose.Types.ObjectId();
+
+const cardPayment = (amount, refundedAmount = 0) => ({
+  _id: new mongoose.Types.ObjectId(),
+  supplier: new mongoose.Types.ObjectId(),
+  supermarket: new mongoose.Types.ObjectId(),
+  order: orderId,
+  amount,
+  refundedAmount,
+  reference: `mock_pi_${amount}`,
+});
+
+const provider = { refund: jest.fn() };
+
+beforeEach(() => {
+  getProvider.mockReturnValue(provider);
+  provider.refund.mockResolvedValue({ status: "Succeeded", refundRef: "mock_re_1" });
+  jest.spyOn(PaymentIntent, "findOne").mockReturnValue(query(null));
+  jest
+    .spyOn(Refund, "create")
+    .mockImplementation(async (fields) => ({ ...fields, save: jest.fn() }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe("refundOrder", () => {
+  test("refuses more than is left on the card payments", async () => {
+    jest.spyOn(Payment, "find").mockReturnValue(query([cardPayment(1000, 700)]));
+
+    await expect(refundOrder(orderId, { amount: 300.01 }, null)).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Only Rs. 300 can be refunded",
+    });
+    expect(Refund.create).not.toHaveBeenCalled();
+  });
+
+  test("refuses when everything was refunded already", async () => {
+    jest.spyOn(Payment, "find").mockReturnValue(query([cardPayment(1000, 1000)]));
+
+    await expect(refundOrder(orderId, {}, null)).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Nothing left to refund to the buyer's card",
+    });
+  });
+
+  test("refuses zero or negative amounts", async () => {
+    jest.spyOn(Payment, "find").mockReturnValue(query([cardPayment(1000)]));
+
+    await expect(refundOrder(orderId, { amount: -5 }, null)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  test("caps RMA refunds at what is left of the credit note", async () => {
+    jest.spyOn(Payment, "find").mockReturnValue(query([cardPayment(1000)]));
+    jest.spyOn(Refund, "find").mockReturnValue(query([{ amount: 150 }]));
+
+    await expect(
+      refundOrder(
+        orderId,
+        { amount: 100, returnRequest: new mongoose.Types.ObjectId(), creditNote: { amount: 200 } },
+        null
+      )
+    ).rejects.toMatchObject({ message: "Only Rs. 50 can be refunded" });
+  });
+
+  test("reserves each part on its payment before calling the provider", async () => {
+    const newer = cardPayment(300);
+    const older = cardPayment(1000, 200);
+    jest.spyOn(Payment, "find").mockReturnValue(query([newer, older]));
+    const reserve = jest.spyOn(Payment, "findOneAndUpdate").mockResolvedValue({});
+
+    const refunds = await refundOrder(orderId, { amount: 500, reason: "Damaged" }, null);
+
+    expect(reserve.mock.calls.map(([filter, change]) => [filter._id, change])).toEqual([
+      [newer._id, { $inc: { refundedAmount: 300 } }],
+      [older._id, { $inc: { refundedAmount: 200 } }],
+    ]);
+    // The guard: never more than the payment itself
+    expect(reserve.mock.calls[0][0].$expr).toEqual({
+      $lte: [{ $add: ["$refundedAmount", 300] }, { $add: ["$amount", 0.001] }],
+    });
+    expect(refunds.map((refund) => [refund.amount, refund.status])).toEqual([
+      [300, "Succeeded"],
+      [200, "Succeeded"],
+    ]);
+    expect(syncPaymentTotals).toHaveBeenCalledWith(orderId);
+  });
+
+  test("skips a payment a concurrent refund already used up", async () => {
+    jest.spyOn(Payment, "find").mockReturnValue(query([cardPayment(500)]));
+    jest.spyOn(Payment, "findOneAndUpdate").mockResolvedValue(null);
+
+    const refunds = await refundOrder(orderId, { amount: 500 }, null);
+
+    expect(refunds).toEqual([]);
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(syncPaymentTotals).not.toHaveBeenCalled();
+  });
+
+  test("gives the reservation back when the provider refuses", async () => {
+    const payment = cardPayment(500);
+    jest.spyOn(Payment, "find").mockReturnValue(query([payment]));
+    jest.spyOn(Payment, "findOneAndUpdate").mockResolvedValue({});
+    const giveBack = jest.spyOn(Payment, "updateOne").mockResolvedValue({});
+    provider.refund.mockResolvedValue({ status: "Failed", failureReason: "Card expired" });
+
+    const [refund] = await refundOrder(orderId, { amount: 200 }, null);
+
+    expect(refund).toMatchObject({ status: "Failed", failureReason: "Card expired" });
+    expect(giveBack).toHaveBeenCalledWith(
+      { _id: payment._id },
+      { $inc: { refundedAmount: -200 } }
+    );
+    expect(syncPaymentTotals).not.toHaveBeenCalled();
+  });
+});
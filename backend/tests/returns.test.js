@@ -0,0 +1,92 @@
+// backend/tests/returns.test.js
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const { claimReturnQty } = require("../utils/returns");
+const { query, fakeSession } = require("./helpers");
+
+// Delivered order: 10 units of rice shipped, 4 of 6 dhal (2 cancelled)
+const deliveredOrder = () =>
+  new Order({
+    supermarket: new mongoose.Types.ObjectId(),
+    supplier: new mongoose.Types.ObjectId(),
+    items: [
+      {
+        product: new mongoose.Types.ObjectId(),
+        name: "Rice 5kg",
+        quantity: 10,
+        shippedQty: 10,
+        price: 1200,
+      },
+      {
+        product: new mongoose.Types.ObjectId(),
+        name: "Dhal 1kg",
+        quantity: 6,
+        cancelledQty: 2,
+        price: 450,
+      },
+    ],
+    totalAmount: 13800,
+    deliveryAddress: "12 Main St",
+    status: "Delivered",
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("claimReturnQty", () => {
+  test("seeds returnedQty from open returns, then claims within what was delivered", async () => {
+    const order = deliveredOrder();
+    const [rice] = order.items;
+    const session = fakeSession();
+    jest
+      .spyOn(ReturnRequest, "find")
+      .mockReturnValue(query([{ lines: [{ item: rice._id, quantity: 3 }] }]));
+    const update = jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await claimReturnQty(order, [{ item: rice._id, quantity: 5 }], session)).toBe(true);
+
+    const [seed, claim] = update.mock.calls;
+    expect(seed).toEqual([
+      { _id: order._id, items: { $elemMatch: { _id: rice._id, returnedQty: { $exists: false } } } },
+      { $set: { "items.$.returnedQty": 3 } },
+      { session },
+    ]);
+    expect(claim).toEqual([
+      { _id: order._id, items: { $elemMatch: { _id: rice._id, returnedQty: { $lte: 5 } } } },
+      { $inc: { "items.$.returnedQty": 5 } },
+      { session },
+    ]);
+  });
+
+  test("counts billed units for lines delivered before shipments were kept", async () => {
+    const order = deliveredOrder();
+    const dhal = order.items[1];
+    jest.spyOn(ReturnRequest, "find").mockReturnValue(query([]));
+    const update = jest.spyOn(Order, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+
+    await claimReturnQty(order, [{ item: dhal._id, quantity: 1 }], fakeSession());
+    expect(update.mock.calls[1][0].items.$elemMatch.returnedQty).toEqual({ $lte: 3 });
+  });
+
+  test("fails when another return took the units meanwhile", async () => {
+    const order = deliveredOrder();
+    const [rice, dhal] = order.items;
+    jest.spyOn(ReturnRequest, "find").mockReturnValue(query([]));
+    const update = jest
+      .spyOn(Order, "updateOne")
+      .mockResolvedValueOnce({ modifiedCount: 0 }) // already seeded
+      .mockResolvedValueOnce({ modifiedCount: 0 }); // no longer fits
+
+    const claimed = await claimReturnQty(
+      order,
+      [
+        { item: rice._id, quantity: 8 },
+        { item: dhal._id, quantity: 1 },
+      ],
+      fakeSession()
+    );
+
+    expect(claimed).toBe(false);
+    expect(update).toHaveBeenCalledTimes(2); // stops at the first line
+  });
+});
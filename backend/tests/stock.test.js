@@ -0,0 +1,69 @@
+// backend/tests/stock.test.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const { reserveStock, releaseStock } = require("../utils/stock");
+const { query } = require("./helpers");
+
+const rice = new mongoose.Types.ObjectId();
+const dhal = new mongoose.Types.ObjectId();
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("reserveStock", () => {
+  test("takes each line with a conditional decrement in base units", async () => {
+    const take = jest.spyOn(Product, "findOneAndUpdate").mockResolvedValue({ stock: 10 });
+
+    const failed = await reserveStock([
+      { product: rice, quantity: 2, unitSize: 24 }, // 2 cases of 24
+      { product: dhal, quantity: 3 },
+    ]);
+
+    expect(failed).toEqual([]);
+    expect(take).toHaveBeenCalledWith(
+      { _id: rice, stock: { $gte: 48 } },
+      { $inc: { stock: -48 } },
+      { new: true, session: null }
+    );
+    expect(take).toHaveBeenCalledWith(
+      { _id: dhal, stock: { $gte: 3 } },
+      { $inc: { stock: -3 } },
+      { new: true, session: null }
+    );
+  });
+
+  test("puts back what it took when a line is short", async () => {
+    jest
+      .spyOn(Product, "findOneAndUpdate")
+      .mockResolvedValueOnce({ stock: 5 })
+      .mockResolvedValueOnce(null);
+    jest.spyOn(Product, "findById").mockReturnValue(query({ name: "Dhal 1kg", stock: 1 }));
+    const putBack = jest.spyOn(Product, "updateOne").mockResolvedValue({});
+
+    const failed = await reserveStock([
+      { product: rice, quantity: 2 },
+      { product: dhal, quantity: 3 },
+    ]);
+
+    expect(failed).toEqual([{ product: dhal, name: "Dhal 1kg", requested: 3, available: 1 }]);
+    expect(putBack).toHaveBeenCalledTimes(1);
+    expect(putBack).toHaveBeenCalledWith({ _id: rice }, { $inc: { stock: 2 } }, { session: null });
+  });
+});
+
+describe("releaseStock", () => {
+  test("puts units back in base units and skips empty lines", async () => {
+    const session = {};
+    const putBack = jest.spyOn(Product, "updateOne").mockResolvedValue({});
+
+    await releaseStock(
+      [
+        { product: rice, quantity: 1, unitSize: 12 },
+        { product: dhal, quantity: 0 },
+      ],
+      session
+    );
+
+    expect(putBack).toHaveBeenCalledTimes(1);
+    expect(putBack).toHaveBeenCalledWith({ _id: rice }, { $inc: { stock: 12 } }, { session });
+  });
+});
@@ -0,0 +1,50 @@
+// backend/tests/tax.test.js
+const { lineAmounts } = require("../utils/tax");
+
+describe("lineAmounts", () => {
+  test("adds SSCL on the net value and VAT on net + SSCL", () => {
+    expect(lineAmounts({ price: 100, vatRate: 18, ssclRate: 2.5 }, 3)).toEqual({
+      netAmount: 300,
+      ssclAmount: 7.5,
+      vatAmount: 55.35,
+      lineTotal: 362.85,
+    });
+  });
+
+  test("splits an inclusive price back into net and taxes", () => {
+    const amounts = lineAmounts({ price: 362.85, vatRate: 18, ssclRate: 2.5, taxInclusive: true }, 1);
+    expect(amounts).toEqual({
+      netAmount: 300,
+      ssclAmount: 7.5,
+      vatAmount: 55.35,
+      lineTotal: 362.85,
+    });
+  });
+
+  test("inclusive parts always add up to the price paid", () => {
+    const { netAmount, ssclAmount, vatAmount, lineTotal } = lineAmounts(
+      { price: 99.99, vatRate: 18, ssclRate: 2.5, taxInclusive: true },
+      7
+    );
+    expect(lineTotal).toBe(699.93);
+    expect(Math.round((netAmount + ssclAmount + vatAmount) * 100) / 100).toBe(lineTotal);
+  });
+
+  test("charges no tax when the line has no rates", () => {
+    expect(lineAmounts({ price: 12.5 }, 4)).toEqual({
+      netAmount: 50,
+      ssclAmount: 0,
+      vatAmount: 0,
+      lineTotal: 50,
+    });
+  });
+
+  test("rounds to cents", () => {
+    expect(lineAmounts({ price: 0.1, vatRate: 18 }, 3)).toEqual({
+      netAmount: 0.3,
+      ssclAmount: 0,
+      vatAmount: 0.05,
+      lineTotal: 0.35,
+    });
+  });
+});
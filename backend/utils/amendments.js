@@ -0,0 +1,245 @@
+// backend/utils/amendments.js
+const { reserveStock, releaseStock } = require("./stock");
+const { priceOrderItems, recalcOrderTotals } = require("./pricing");
+const { reserveCredit, releaseCredit } = require("./credit");
+const { orderError } = require("./orderPlacement");
+const { baseQty } = require("./units");
+
+// Helper: one line per product and pack (older lines are all size 1)
+const lineKey = (item) => `${item.product}:${item.unitSize || 1}`;
+
+/**
+ * Compare the current lines with the repriced ones, per product and pack.
+ * Lines for the same product and pack are merged, so the diff has one
+ * entry each; the stock delta is summed per product in base units.
+ */
+const diffLines = (oldItems, newItems) => {
+  const before = new Map(oldItems.map((item) => [lineKey(item), item]));
+  const after = new Map(newItems.map((item) => [lineKey(item), item]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, line] of after) {
+    const old = before.get(id);
+    if (!old) {
+      added.push({
+        product: line.product,
+        name: line.name,
+        unit: line.unit,
+        quantity: line.quantity,
+        price: line.price,
+      });
+    } else if (old.quantity !== line.quantity || old.price !== line.price) {
+      changed.push({
+        product: line.product,
+        name: line.name,
+        unit: line.unit,
+        fromQty: old.quantity,
+        toQty: line.quantity,
+        fromPrice: old.price,
+        toPrice: line.price,
+      });
+    }
+  }
+  for (const [id, old] of before) {
+    if (!after.has(id)) {
+      removed.push({
+        product: old.product,
+        name: old.name,
+        unit: old.unit,
+        quantity: old.quantity,
+        price: old.price,
+      });
+    }
+  }
+
+  return { added, removed, changed };
+};
+
+/**
+ * Merge duplicate product + pack lines from the request into one line each.
+ */
+const mergeLines = (items) => {
+  const merged = new Map();
+  for (const item of items) {
+    const id = `${item.product}:${String(item.unit || "").trim().toLowerCase()}`;
+    const prev = merged.get(id);
+    merged.set(id, {
+      product: item.product,
+      unit: item.unit,
+      quantity: (prev ? prev.quantity : 0) + Number(item.quantity),
+    });
+  }
+  return [...merged.values()];
+};
+
+/**
+ * Apply a buyer amendment to a Pending order (not saved here).
+ * Lines are repriced from the DB, stock is reserved/released by the
+ * difference per product, and a versioned diff is appended.
+ *
+ * The caller saves the order; if that save fails it must call undo()
+ * so the units and credit taken/given back here are restored.
+ *
+ * @param {Object} changes { items?, deliveryAddress?, note? }
+ * @returns {Promise<{ amendment, undo }|null>} null if nothing changed
+ * @throws orderError (400 invalid lines, 402 credit refused, 409 short stock)
+ */
+const applyAmendment = async (order, changes, actor) => {
+  const diff = { added: [], removed: [], changed: [] };
+  let newItems = null;
+  let increase = 0;
+
+  if (changes.items) {
+    const priced = await priceOrderItems(mergeLines(changes.items), {
+      supplierId: order.supplier,
+      district: order.district,
+    });
+    if (priced.errors.length > 0) {
+      throw orderError(400, "Some items cannot be ordered", {
+        invalidItems: priced.errors,
+      });
+    }
+    newItems = priced.items;
+    Object.assign(diff, diffLines(order.items, newItems));
+    increase = priced.totalAmount - order.totalAmount;
+  }
+
+  if (
+    changes.deliveryAddress !== undefined &&
+    changes.deliveryAddress !== order.deliveryAddress
+  ) {
+    diff.deliveryAddress = { from: order.deliveryAddress, to: changes.deliveryAddress };
+  }
+  if (changes.note !== undefined && changes.note !== (order.note || "")) {
+    diff.note = { from: order.note || "", to: changes.note };
+  }
+
+  const linesChanged =
+    diff.added.length + diff.removed.length + diff.changed.length > 0;
+  if (!linesChanged && !diff.deliveryAddress && !diff.note) return null;
+
+  // ✅ A bigger credit order must still fit the limit (its old total is already owed),
+  //    so the increase is reserved on the credit account
+  let creditTaken = 0;
+  if (order.paymentMethod === "Credit" && increase > 0) {
+    const credit = await reserveCredit(order.supplier, order.supermarket, increase);
+    if (credit.error) {
+      throw orderError(402, credit.error, { available: credit.available });
+    }
+    creditTaken = increase;
+  }
+  const undoCredit = async () => {
+    if (creditTaken > 0) {
+      await releaseCredit(order.supplier, order.supermarket, creditTaken);
+    }
+  };
+
+  let undoStock = async () => {};
+  if (linesChanged) {
+    // ✅ Only the difference touches stock (or everything for legacy orders),
+    //    counted per product in base units since packs share one stock
+    const before = new Map();
+    if (order.stockReserved) {
+      for (const item of order.items) {
+        const id = item.product.toString();
+        before.set(id, (before.get(id) || 0) + baseQty(item));
+      }
+    }
+    const after = new Map();
+    for (const line of newItems) {
+      const id = line.product.toString();
+      const prev = after.get(id);
+      after.set(id, {
+        product: line.product,
+        name: line.name,
+        quantity: (prev ? prev.quantity : 0) + baseQty(line),
+      });
+    }
+    const toReserve = [];
+    const toRelease = [];
+    for (const [id, line] of after) {
+      const delta = line.quantity - (before.get(id) || 0);
+      if (delta > 0) toReserve.push({ product: line.product, name: line.name, quantity: delta });
+      if (delta < 0) toRelease.push({ product: line.product, quantity: -delta });
+      before.delete(id);
+    }
+    for (const [product, quantity] of before) {
+      toRelease.push({ product, quantity });
+    }
+
+    const failedItems = await reserveStock(toReserve);
+    if (failedItems.length > 0) {
+      await undoCredit();
+      throw orderError(409, "Insufficient stock for some items", { failedItems });
+    }
+    await releaseStock(toRelease);
+    order.stockReserved = true;
+
+    undoStock = async () => {
+      await releaseStock(toReserve);
+      // ✅ Line by line, so units sold meanwhile only cost their own line; the
+      //    shortfall is logged, as the order being restored cannot be failed
+      const failed = [];
+      for (const line of toRelease) {
+        failed.push(...(await reserveStock([line])));
+      }
+      if (failed.length > 0) {
+        console.error(
+          `Amendment undo: order ${order._id} could not re-reserve stock:`,
+          failed.map((f) => `${f.name} (${f.requested} wanted, ${f.available} left)`).join(", ")
+        );
+      }
+    };
+  }
+
+  const previousTotal = order.totalAmount;
+  if (newItems) {
+    order.items = newItems;
+    recalcOrderTotals(order);
+  }
+  if (diff.deliveryAddress) order.deliveryAddress = diff.deliveryAddress.to;
+  if (diff.note) order.note = diff.note.to;
+  order.creditReserved = (order.creditReserved || 0) + creditTaken;
+
+  order.version = (order.version || 1) + 1;
+  order.amendments.push({
+    version: order.version,
+    by: actor.id,
+    at: new Date(),
+    diff,
+    previousTotal,
+    newTotal: order.totalAmount,
+  });
+
+  const undo = async () => {
+    await undoStock();
+    await undoCredit();
+  };
+
+  return { amendment: order.amendments[order.amendments.length - 1], undo };
+};
+
+/**
+ * One-line summary of an amendment for notifications.
+ */
+const describeAmendment = (amendment) => {
+  const { diff } = amendment;
+  const parts = [];
+  if (diff.added.length) parts.push(`${diff.added.length} line(s) added`);
+  if (diff.removed.length) parts.push(`${diff.removed.length} line(s) removed`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} line(s) changed`);
+  if (diff.deliveryAddress?.from != null) parts.push("delivery address changed");
+  if (diff.note?.from != null) parts.push("note changed");
+  return parts.join(", ");
+};
+
+/**
+ * Query value matching an order still at `version`
+ * (orders from before amendments existed have no version field).
+ */
+const versionFilter = (version) => (version === 1 ? { $in: [1, null] } : version);
+
+module.exports = { applyAmendment, describeAmendment, versionFilter };
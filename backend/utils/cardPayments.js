@@ -0,0 +1,185 @@
+// backend/utils/cardPayments.js
+const mongoose = require("mongoose");
+const PaymentIntent = require("../models/PaymentIntent");
+const Order = require("../models/Order");
+const notify = require("./notify");
+const { providerName, getProvider } = require("./paymentProviders");
+const { addPayment } = require("./payments");
+const { refundExcess } = require("./refunds");
+
+// Statuses an intent never leaves
+const FINAL_STATUSES = ["Succeeded", "Failed", "Cancelled"];
+
+// Orders in these states owe nothing
+const CLOSED_STATUSES = ["Rejected", "Cancelled"];
+
+// Refund trigger for card money an order no longer owes
+const EXCESS_TRIGGERS = { Rejected: "Rejection", Cancelled: "Cancellation" };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const clientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+const shortId = (id) => `#${id.toString().slice(-6).toUpperCase()}`;
+
+/**
+ * Open a card payment at the provider for what is still owed on `orders`.
+ * Nothing is charged here; the buyer is sent to `redirectUrl` (the
+ * provider's hosted page) and the outcome arrives by webhook.
+ */
+const startCardPayment = async (buyer, orders) => {
+  const lines = orders
+    .map((order) => ({
+      order: order._id,
+      amount: round2(order.totalAmount - (order.amountPaid || 0)),
+    }))
+    .filter((line) => line.amount > 0);
+
+  const intent = new PaymentIntent({
+    supermarket: buyer.id,
+    orders: lines,
+    amount: round2(lines.reduce((sum, line) => sum + line.amount, 0)),
+    provider: providerName(),
+  });
+
+  const created = await getProvider(intent.provider).createIntent({
+    intentId: intent._id.toString(),
+    amount: intent.amount,
+    currency: intent.currency,
+    description: `Order ${orders.map((order) => shortId(order._id)).join(", ")}`,
+    returnUrl: `${clientUrl()}/supermarket/payment-return?intent=${intent._id}`,
+  });
+  intent.providerRef = created.providerRef;
+  intent.status = created.status;
+  intent.redirectUrl = created.redirectUrl;
+  intent.events.push({ status: created.status, source: "create" });
+
+  return intent.save();
+};
+
+/**
+ * Card payment for the Card orders just placed, or null.
+ * Orders are already saved, so a provider outage is logged, not thrown;
+ * the buyer can pay later from My Orders.
+ */
+const startCheckoutPayment = async (buyer, orders) => {
+  const cardOrders = orders.filter((order) => order.paymentMethod === "Card");
+  if (cardOrders.length === 0) return null;
+
+  try {
+    const intent = await startCardPayment(buyer, cardOrders);
+    return { intent: intent._id, status: intent.status, redirectUrl: intent.redirectUrl };
+  } catch (err) {
+    console.error("Payment provider error:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Apply a provider status to an intent (webhook or lookup). Idempotent:
+ * the first final status wins, and a success records one Card payment per
+ * order in the ledger in the same transaction. The card was already
+ * charged, so money for an order rejected or cancelled meanwhile, or
+ * beyond what an order owes, is recorded and then refunded.
+ *
+ * @param {Object} update { status, failureReason }
+ * @param {String} source "webhook" | "lookup"
+ */
+const applyIntentStatus = async (intentId, update, source) => {
+  if (update.status === "RequiresAction") return PaymentIntent.findById(intentId);
+
+  const session = await mongoose.startSession();
+  let intent;
+  let changed = false;
+  let excess = [];
+  try {
+    await session.withTransaction(async () => {
+      changed = false;
+      excess = [];
+      intent = await PaymentIntent.findOneAndUpdate(
+        { _id: intentId, status: { $nin: FINAL_STATUSES } },
+        {
+          status: update.status,
+          failureReason: update.failureReason,
+          $push: { events: { status: update.status, source } },
+        },
+        { new: true, session }
+      );
+      if (!intent) return;
+      changed = true;
+
+      if (update.status === "Succeeded") {
+        for (const line of intent.orders) {
+          const order = await Order.findById(line.order).session(session);
+          const { overpaid } = await addPayment(
+            {
+              supplier: order.supplier,
+              supermarket: order.supermarket,
+              order: order._id,
+              invoice: order.invoice,
+              amount: line.amount,
+              method: "Card",
+              reference: intent.providerRef,
+              source: "Checkout",
+              recordedBy: intent.supermarket,
+            },
+            session
+          );
+          if (CLOSED_STATUSES.includes(order.status) || overpaid > 0) excess.push(order);
+        }
+      } else {
+        await Order.updateMany(
+          { _id: { $in: intent.orders.map((line) => line.order) }, paymentStatus: "Pending" },
+          { paymentStatus: "Failed" },
+          { session }
+        );
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!changed) return PaymentIntent.findById(intentId);
+
+  // ✅ Send back what the orders no longer owe (logged, never thrown)
+  for (const order of excess) {
+    await refundExcess(
+      order,
+      EXCESS_TRIGGERS[order.status] || "Overpayment",
+      null,
+      CLOSED_STATUSES.includes(order.status)
+        ? `Card payment arrived after the order was ${order.status.toLowerCase()}`
+        : "Card payment beyond the open balance"
+    );
+  }
+
+  await notify(intent.supermarket, {
+    type: update.status === "Succeeded" ? "order" : "alert",
+    message:
+      update.status === "Succeeded"
+        ? `Card payment of Rs. ${intent.amount.toLocaleString()} received`
+        : `Card payment ${update.status.toLowerCase()}`,
+    detail: update.failureReason || "",
+    order: intent.orders[0]?.order,
+  });
+  return intent;
+};
+
+/**
+ * Ask the provider for the latest status of an unfinished intent
+ * (covers webhooks that never arrived).
+ */
+const refreshIntent = async (intent) => {
+  if (FINAL_STATUSES.includes(intent.status)) return intent;
+  const latest = await getProvider(intent.provider).retrieveIntent(intent.providerRef);
+  if (latest.status === intent.status) return intent;
+  return applyIntentStatus(intent._id, latest, "lookup");
+};
+
+module.exports = {
+  FINAL_STATUSES,
+  startCardPayment,
+  startCheckoutPayment,
+  applyIntentStatus,
+  refreshIntent,
+};
@@ -0,0 +1,73 @@
+// backend/utils/cartLines.js
+const Product = require("../models/Product");
+const { packOf } = require("./units");
+
+/**
+ * Check cart/draft lines against the current catalog.
+ * Every line gets today's pack price and stock plus a list of issue codes:
+ *   discontinued | inactive | outOfDistrict | outOfStock | insufficientStock | priceChanged
+ * `available` is how many of the line's pack the stock still covers.
+ *
+ * @param {Array} lines [{ product, unit, quantity, priceAtAdd }]
+ * @param {String} district buyer's district
+ */
+const revalidateLines = async (lines, district) => {
+  const ids = lines.map((line) => line.product);
+  const products = await Product.find({ _id: { $in: ids } })
+    .select("name price baseUnit packs stock image category isActive district supplier")
+    .populate("supplier", "name");
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = lines.map((line) => {
+    const product = byId.get(String(line.product));
+    const quantity = Number(line.quantity);
+    const issues = [];
+
+    const pack = product && packOf(product, line.unit);
+
+    if (!product || !pack) {
+      return {
+        product: product || { _id: line.product },
+        unit: line.unit || "",
+        unitSize: 1,
+        quantity,
+        price: 0,
+        lineTotal: 0,
+        priceAtAdd: line.priceAtAdd || 0,
+        available: 0,
+        issues: ["discontinued"],
+      };
+    }
+
+    const available = Math.floor(product.stock / pack.unitSize);
+    if (!product.isActive) issues.push("inactive");
+    if (product.district !== district) issues.push("outOfDistrict");
+    if (available <= 0) issues.push("outOfStock");
+    else if (available < quantity) issues.push("insufficientStock");
+    if (line.priceAtAdd && line.priceAtAdd !== pack.price) {
+      issues.push("priceChanged");
+    }
+
+    return {
+      product,
+      unit: pack.unitSize === 1 ? "" : pack.unit,
+      unitLabel: pack.unit,
+      unitSize: pack.unitSize,
+      quantity,
+      price: pack.price,
+      lineTotal: pack.price * quantity,
+      priceAtAdd: line.priceAtAdd || pack.price,
+      available,
+      issues,
+    };
+  });
+
+  const totalAmount = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  const hasIssues = items.some((item) =>
+    item.issues.some((code) => code !== "priceChanged")
+  );
+
+  return { items, totalAmount, hasIssues };
+};
+
+module.exports = { revalidateLines };
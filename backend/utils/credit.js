@@ -0,0 +1,306 @@
+// backend/utils/credit.js
+const CreditAccount = require("../models/CreditAccount");
+const CreditNote = require("../models/CreditNote");
+const DebitNote = require("../models/DebitNote");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const User = require("../models/User");
+const { INVOICE_BALANCE_EXPR, invoiceBalance } = require("./invoiceBalance");
+
+// Payment terms a supplier can grant (Net 7 / 14 / 30)
+const CREDIT_TERMS = [7, 14, 30];
+
+// Orders in these states will never be billed
+const CLOSED_STATUSES = ["Rejected", "Cancelled"];
+
+// Days past the due date, newest first
+const AGEING_BUCKETS = ["current", "days1to30", "days31to60", "days61to90", "over90"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Bucket of an open invoice by how late it is on `now`.
+ */
+const ageingBucket = (dueDate, now = new Date()) => {
+  const daysLate = Math.floor((now - new Date(dueDate)) / DAY_MS);
+  if (daysLate <= 0) return "current";
+  if (daysLate <= 30) return "days1to30";
+  if (daysLate <= 60) return "days31to60";
+  if (daysLate <= 90) return "days61to90";
+  return "over90";
+};
+
+const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map((bucket) => [bucket, 0]));
+
+// Helper: credit and debit note sums per order, for orders without an invoice
+// (an invoice keeps its own totals)
+const noteSums = async (orderIds, session) => {
+  const sums = new Map();
+  if (orderIds.length === 0) return sums;
+
+  const sum = (Model) =>
+    Model.aggregate([
+      { $match: { order: { $in: orderIds } } },
+      { $group: { _id: "$order", total: { $sum: "$amount" } } },
+    ]).session(session);
+  const [credits, debits] = await Promise.all([sum(CreditNote), sum(DebitNote)]);
+
+  const entry = (id) => {
+    const key = id.toString();
+    if (!sums.has(key)) sums.set(key, { credit: 0, debit: 0 });
+    return sums.get(key);
+  };
+  for (const row of credits) entry(row._id).credit = row.total;
+  for (const row of debits) entry(row._id).debit = row.total;
+  return sums;
+};
+
+/**
+ * Open invoices and not-yet-invoiced credit orders of a supplier, each with
+ * its `balance`: total plus debit notes, less credit notes and payments.
+ * The statement of account nets notes the same way.
+ */
+const openItems = async (filter, session = null) => {
+  const [invoices, orders] = await Promise.all([
+    Invoice.find({ ...filter, $expr: { $gt: [{ $round: [INVOICE_BALANCE_EXPR, 2] }, 0] } })
+      .select("supermarket buyer total amountPaid creditedTotal debitedTotal dueDate")
+      .session(session)
+      .lean(),
+    Order.find({
+      ...filter,
+      paymentMethod: "Credit",
+      invoice: null,
+      status: { $nin: CLOSED_STATUSES },
+    })
+      .select("supermarket totalAmount amountPaid creditReserved")
+      .session(session)
+      .lean(),
+  ]);
+
+  const notes = await noteSums(orders.map((order) => order._id), session);
+  return [
+    invoices.map((invoice) => ({ ...invoice, balance: invoiceBalance(invoice) })),
+    orders.map((order) => {
+      const { credit, debit } = notes.get(String(order._id)) || { credit: 0, debit: 0 };
+      return {
+        ...order,
+        balance: round2(order.totalAmount + debit - credit - (order.amountPaid || 0)),
+      };
+    }),
+  ];
+};
+
+/**
+ * What a buyer owes a supplier right now: unpaid invoice balances plus
+ * credit orders that have not been invoiced yet.
+ */
+const outstandingBalance = async (supplierId, supermarketId, session = null) => {
+  const [invoices, orders] = await openItems(
+    { supplier: supplierId, supermarket: supermarketId },
+    session
+  );
+  return round2(
+    invoices.reduce((sum, invoice) => sum + invoice.balance, 0) +
+      orders.reduce((sum, order) => sum + order.balance, 0)
+  );
+};
+
+/**
+ * Outstanding balance not covered by the account's reservation: unpaid
+ * invoices plus the part of uninvoiced credit orders that holds no
+ * reservation (orders placed before reservations, backorders).
+ */
+const unreservedBalance = async (supplierId, supermarketId, session = null) => {
+  const [invoices, orders] = await openItems(
+    { supplier: supplierId, supermarket: supermarketId },
+    session
+  );
+  return round2(
+    invoices.reduce((sum, invoice) => sum + invoice.balance, 0) +
+      orders.reduce(
+        (sum, order) => sum + Math.max(0, order.balance - (order.creditReserved || 0)),
+        0
+      )
+  );
+};
+
+// Helper: the refusal message for `available` credit
+const limitError = (available) =>
+  `Credit limit exceeded: Rs. ${Math.max(0, available).toLocaleString()} available`;
+
+/**
+ * Whether a buyer may put `amount` more on credit with a supplier.
+ * Returns the account and balances; `error` is set when credit is refused
+ * (the caller turns it into a response, like pricing errors).
+ * Read-only: use reserveCredit() to actually take the credit.
+ *
+ * @returns {Promise<{ account, outstanding, available, error, unreserved }>}
+ */
+const checkCredit = async (supplierId, supermarketId, amount, session = null) => {
+  const account = await CreditAccount.findOne({
+    supplier: supplierId,
+    supermarket: supermarketId,
+  }).session(session);
+
+  if (!account || !account.isActive) {
+    return { account, error: "No credit account with this supplier" };
+  }
+
+  const unreserved = await unreservedBalance(supplierId, supermarketId, session);
+  const outstanding = round2(unreserved + (account.reserved || 0));
+  const available = round2(account.creditLimit - outstanding);
+  const error = amount > available ? limitError(available) : null;
+
+  return { account, outstanding, available, error, unreserved };
+};
+
+/**
+ * Take `amount` of a buyer's credit with a supplier. The account's
+ * `reserved` total is raised only if it still fits the limit, in one
+ * atomic update, so two orders placed at once cannot both use the same
+ * headroom. Give it back with releaseCredit() / releaseOrderCredit().
+ *
+ * @returns {Promise<{ account, outstanding, available, error }>} like checkCredit
+ */
+const reserveCredit = async (supplierId, supermarketId, amount, session = null) => {
+  const credit = await checkCredit(supplierId, supermarketId, amount, session);
+  if (credit.error) return credit;
+
+  const account = await CreditAccount.findOneAndUpdate(
+    {
+      _id: credit.account._id,
+      isActive: true,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ["$reserved", 0] }, amount] },
+          { $subtract: ["$creditLimit", credit.unreserved] },
+        ],
+      },
+    },
+    { $inc: { reserved: amount } },
+    { new: true, session }
+  );
+  if (!account) {
+    // Another order took the headroom (or the account was suspended) meanwhile
+    const latest = await checkCredit(supplierId, supermarketId, amount, session);
+    return { ...latest, error: latest.error || limitError(latest.available) };
+  }
+
+  const outstanding = round2(credit.unreserved + account.reserved);
+  return {
+    account,
+    outstanding,
+    available: round2(account.creditLimit - outstanding),
+    error: null,
+  };
+};
+
+/**
+ * Give `amount` of reserved credit back to a buyer's account.
+ */
+const releaseCredit = (supplierId, supermarketId, amount, session = null) =>
+  CreditAccount.updateOne(
+    { supplier: supplierId, supermarket: supermarketId },
+    { $inc: { reserved: -amount } },
+    { session }
+  );
+
+/**
+ * Give back the credit an order holds (it was invoiced, rejected or
+ * cancelled). The order's creditReserved is claimed first so a double
+ * submit cannot release the same credit twice.
+ */
+const releaseOrderCredit = async (order, session = null) => {
+  const amount = order.creditReserved || 0;
+  if (amount <= 0) return;
+  const claimed = await Order.updateOne(
+    { _id: order._id, creditReserved: amount },
+    { creditReserved: 0 },
+    { session }
+  );
+  if (claimed.modifiedCount > 0) {
+    await releaseCredit(order.supplier, order.supermarket, amount, session);
+  }
+  order.creditReserved = 0;
+};
+
+/**
+ * Accounts-receivable ageing of a supplier, one row per buyer that owes
+ * something or holds a credit account.
+ */
+const ageingReport = async (supplierId, now = new Date()) => {
+  const [[invoices, orders], accounts] = await Promise.all([
+    openItems({ supplier: supplierId }),
+    CreditAccount.find({ supplier: supplierId }).lean(),
+  ]);
+
+  const rows = new Map();
+  const rowFor = (supermarketId) => {
+    const key = supermarketId.toString();
+    if (!rows.has(key)) {
+      rows.set(key, {
+        supermarketId: key,
+        name: null,
+        buckets: emptyBuckets(),
+        uninvoiced: 0,
+        outstanding: 0,
+        account: null,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const invoice of invoices) {
+    const row = rowFor(invoice.supermarket);
+    row.name = row.name || invoice.buyer?.name;
+    row.buckets[ageingBucket(invoice.dueDate, now)] += invoice.balance;
+    row.outstanding += invoice.balance;
+  }
+  for (const order of orders) {
+    const row = rowFor(order.supermarket);
+    row.uninvoiced += order.balance;
+    row.outstanding += order.balance;
+  }
+  for (const account of accounts) {
+    rowFor(account.supermarket).account = {
+      creditLimit: account.creditLimit,
+      termsDays: account.termsDays,
+      isActive: account.isActive,
+    };
+  }
+
+  // Names for buyers that only have an account or uninvoiced orders
+  const unnamed = [...rows.values()].filter((row) => !row.name).map((row) => row.supermarketId);
+  if (unnamed.length > 0) {
+    const users = await User.find({ _id: { $in: unnamed } }).select("name");
+    users.forEach((user) => {
+      rows.get(user._id.toString()).name = user.name;
+    });
+  }
+
+  return [...rows.values()]
+    .map((row) => ({
+      ...row,
+      buckets: Object.fromEntries(
+        Object.entries(row.buckets).map(([bucket, value]) => [bucket, round2(value)])
+      ),
+      uninvoiced: round2(row.uninvoiced),
+      outstanding: round2(row.outstanding),
+      available: row.account ? round2(row.account.creditLimit - row.outstanding) : null,
+    }))
+    .sort((a, b) => b.outstanding - a.outstanding);
+};
+
+module.exports = {
+  CREDIT_TERMS,
+  AGEING_BUCKETS,
+  ageingBucket,
+  outstandingBalance,
+  checkCredit,
+  reserveCredit,
+  releaseCredit,
+  releaseOrderCredit,
+  ageingReport,
+};
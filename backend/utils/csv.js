@@ -0,0 +1,17 @@
+// backend/utils/csv.js
+
+/**
+ * One CSV field, quoted when it needs to be. Text that a spreadsheet
+ * would run as a formula (= + - @, tab, CR) gets a leading "'"; numbers
+ * are left alone, so negative balances stay numbers.
+ */
+const csvField = (value) => {
+  let text = String(value ?? "");
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of values -> CSV text
+const toCsv = (rows) => rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+
+module.exports = { csvField, toCsv };
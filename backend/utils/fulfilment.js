@@ -0,0 +1,246 @@
+// backend/utils/fulfilment.js
+const Order = require("../models/Order");
+const { releaseStock, outstandingQty } = require("./stock");
+const { recalcOrderTotals } = require("./pricing");
+const { setOrderStatus } = require("./orderStatus");
+const { orderError } = require("./orderPlacement");
+const { paymentStatusOf } = require("./payments");
+
+// Orders in these states owe nothing
+const CLOSED_STATUSES = ["Rejected", "Cancelled"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Helper: { itemId: quantity } from [{ itemId, quantity }]
+const quantitiesByItem = (lines = []) => {
+  const map = new Map();
+  for (const line of lines) {
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw orderError(400, "Quantities must be whole numbers");
+    }
+    map.set(String(line.itemId), (map.get(String(line.itemId)) || 0) + quantity);
+  }
+  return map;
+};
+
+// Helper: reject lines that do not belong to the order
+const assertKnownItems = (order, quantities) => {
+  const known = new Set(order.items.map((item) => item._id.toString()));
+  for (const itemId of quantities.keys()) {
+    if (!known.has(itemId)) {
+      throw orderError(400, `Unknown order line: ${itemId}`);
+    }
+  }
+};
+
+/**
+ * Payment status of a new backorder. It holds no payments of its own: money
+ * stays on the order it split from, so the backorder counts as paid for as
+ * far as that money exceeds what the order and its open backorders owe.
+ */
+const backorderPaymentStatus = async (order, backorder, session) => {
+  const siblings = await Order.find({
+    _id: { $in: order.backorders.filter((id) => !id.equals(backorder._id)) },
+    status: { $nin: CLOSED_STATUSES },
+  })
+    .select("totalAmount")
+    .session(session)
+    .lean();
+  const owed = siblings.reduce((sum, sibling) => sum + sibling.totalAmount, order.totalAmount);
+  const held = (order.amountPaid || 0) - (order.amountRefunded || 0);
+  const covered = round2(Math.min(backorder.totalAmount, Math.max(0, held - owed)));
+  return paymentStatusOf(covered, backorder.totalAmount);
+};
+
+/**
+ * Take units off an order: either cancel them (stock goes back) or move
+ * them to a new linked backorder that keeps their stock reservation.
+ *
+ * @param {Map} quantities itemId -> units to split off
+ * @param {"cancel"|"backorder"} action
+ * @param {ClientSession} session the caller's transaction, which also saves `order`
+ * @returns {Promise<Order|null>} the backorder when one was created
+ */
+const splitOffUnits = async (order, quantities, action, actor, session = null) => {
+  if (!["cancel", "backorder"].includes(action)) {
+    throw orderError(400, "Remainder must be cancel or backorder");
+  }
+
+  const moved = [];
+  for (const item of order.items) {
+    const quantity = quantities.get(item._id.toString()) || 0;
+    if (quantity <= 0) continue;
+
+    if (quantity > outstandingQty(item)) {
+      throw orderError(400, `Only ${outstandingQty(item)} units of ${item.name} are outstanding`);
+    }
+
+    moved.push({ item, quantity });
+  }
+
+  if (moved.length === 0) return null;
+
+  let backorder = null;
+
+  if (action === "cancel") {
+    for (const { item, quantity } of moved) {
+      item.cancelledQty = (item.cancelledQty || 0) + quantity;
+    }
+    if (order.stockReserved) {
+      await releaseStock(
+        moved.map(({ item, quantity }) => ({
+          product: item.product,
+          unitSize: item.unitSize,
+          quantity,
+        })),
+        session
+      );
+    }
+  } else {
+    backorder = new Order({
+      supermarket: order.supermarket,
+      supplier: order.supplier,
+      items: moved.map(({ item, quantity }) => ({
+        product: item.product,
+        name: item.name,
+        sku: item.sku,
+        barcode: item.barcode,
+        unit: item.unit,
+        unitSize: item.unitSize,
+        baseUnit: item.baseUnit,
+        quantity,
+        price: item.price,
+        vatRate: item.vatRate,
+        ssclRate: item.ssclRate,
+        taxInclusive: item.taxInclusive,
+        acceptedQty: quantity,
+      })),
+      totalAmount: 0, // set by recalcOrderTotals below
+      deliveryAddress: order.deliveryAddress,
+      note: order.note,
+      paymentMethod: order.paymentMethod,
+      paymentStatus: "Pending", // set from the order's payments below
+      creditTermsDays: order.creditTermsDays,
+      district: order.district,
+      checkoutGroup: order.checkoutGroup,
+      backorderOf: order._id,
+      // Reservation moves with the units
+      stockReserved: order.stockReserved,
+    });
+    recalcOrderTotals(backorder);
+    // So does the credit it holds
+    const movedCredit = Math.min(order.creditReserved || 0, backorder.totalAmount);
+    backorder.creditReserved = movedCredit;
+    order.creditReserved = Math.round(((order.creditReserved || 0) - movedCredit) * 100) / 100;
+    setOrderStatus(
+      backorder,
+      "Accepted",
+      actor,
+      `Backorder of #${order._id.toString().slice(-6)}`
+    );
+
+    for (const { item, quantity } of moved) {
+      item.backorderedQty = (item.backorderedQty || 0) + quantity;
+    }
+    order.backorders.push(backorder._id);
+  }
+
+  recalcOrderTotals(order);
+  if (backorder) {
+    backorder.paymentStatus = await backorderPaymentStatus(order, backorder, session);
+    await backorder.save({ session });
+  }
+  return backorder;
+};
+
+/**
+ * Accept an order, optionally for fewer units than ordered.
+ * Units not accepted are cancelled or backordered per `remainder`.
+ *
+ * @param {Array} lines [{ itemId, acceptedQty }] (missing lines = full quantity)
+ */
+const acceptOrder = async (order, lines, remainder, actor, comment, session = null) => {
+  const accepted = quantitiesByItem(
+    (lines || []).map((l) => ({ itemId: l.itemId, quantity: l.acceptedQty }))
+  );
+  assertKnownItems(order, accepted);
+
+  const shortfall = new Map();
+  for (const item of order.items) {
+    const id = item._id.toString();
+    const acceptedQty = accepted.has(id) ? accepted.get(id) : item.quantity;
+
+    if (acceptedQty > item.quantity) {
+      throw orderError(400, `Cannot accept more than ordered for ${item.name}`);
+    }
+
+    item.acceptedQty = acceptedQty;
+    if (acceptedQty < item.quantity) shortfall.set(id, item.quantity - acceptedQty);
+  }
+
+  if (order.items.every((item) => item.acceptedQty === 0)) {
+    throw orderError(400, "Accept at least one unit or reject the order");
+  }
+
+  setOrderStatus(order, "Accepted", actor, comment);
+  return splitOffUnits(order, shortfall, remainder || "cancel", actor, session);
+};
+
+/**
+ * Record a (partial) dispatch. Without lines, everything outstanding ships.
+ * Status becomes PartiallyDispatched until nothing is outstanding.
+ *
+ * @param {Array|null} lines [{ itemId, quantity }]
+ */
+const recordShipment = (order, lines, actor, note = "") => {
+  const quantities = lines
+    ? quantitiesByItem(lines)
+    : new Map(order.items.map((item) => [item._id.toString(), outstandingQty(item)]));
+  assertKnownItems(order, quantities);
+
+  const shipped = [];
+  for (const item of order.items) {
+    const quantity = quantities.get(item._id.toString()) || 0;
+    if (quantity <= 0) continue;
+
+    if (quantity > outstandingQty(item)) {
+      throw orderError(400, `Only ${outstandingQty(item)} units of ${item.name} are left to ship`);
+    }
+
+    item.shippedQty = (item.shippedQty || 0) + quantity;
+    shipped.push({ item: item._id, product: item.product, name: item.name, quantity });
+  }
+
+  if (shipped.length === 0) {
+    throw orderError(400, "Nothing to ship");
+  }
+
+  order.shipments.push({ lines: shipped, note: (note || "").trim(), by: actor?.id, at: new Date() });
+
+  const done = order.items.every((item) => outstandingQty(item) === 0);
+  const next = done ? "Dispatched" : "PartiallyDispatched";
+  if (order.status !== next) {
+    setOrderStatus(order, next, actor, note);
+  }
+};
+
+/**
+ * After a partial dispatch: cancel or backorder everything not yet shipped.
+ */
+const resolveRemainder = async (order, action, actor, comment, session = null) => {
+  const outstanding = new Map(
+    order.items.map((item) => [item._id.toString(), outstandingQty(item)])
+  );
+  const backorder = await splitOffUnits(order, outstanding, action, actor, session);
+
+  setOrderStatus(
+    order,
+    "Dispatched",
+    actor,
+    comment || (action === "backorder" ? "Remaining units backordered" : "Remaining units cancelled")
+  );
+  return backorder;
+};
+
+module.exports = { acceptOrder, recordShipment, resolveRemainder };
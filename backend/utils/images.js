@@ -0,0 +1,104 @@
+// backend/utils/images.js
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { orderError } = require("./orderPlacement");
+
+const uploadDir = path.join(__dirname, "..", "uploads");
+const imageDir = path.join(uploadDir, "images");
+
+// Longest side of each rendition, in pixels (never enlarged)
+const RENDITIONS = {
+  thumb: 160, // tables, cart lines, gallery strips
+  card: 480, // catalog grid
+  full: 1600, // product detail
+};
+
+// Most images in one product gallery
+const MAX_IMAGES = 8;
+
+/**
+ * Resize an uploaded photo into WebP renditions under /uploads/images.
+ * The original is not kept. The photo is decoded once and each rendition
+ * is cut from a clone; if any fails, the ones already written are removed.
+ *
+ * @param {Buffer} buffer the uploaded file
+ * @param {String[]} names renditions to make (all by default)
+ * @returns {Promise<{ thumb, card, full }>} public URL of each rendition
+ */
+const saveRenditions = async (buffer, names = Object.keys(RENDITIONS)) => {
+  if (!fs.existsSync(imageDir)) fs.mkdirSync(imageDir, { recursive: true });
+  const base = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  const source = sharp(buffer).rotate(); // honour the camera's EXIF orientation
+
+  const urls = {};
+  try {
+    for (const name of names) {
+      const size = RENDITIONS[name];
+      const file = `${base}-${name}.webp`;
+      urls[name] = `/uploads/images/${file}`;
+      await source
+        .clone()
+        .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+        .webp({ quality: name === "thumb" ? 70 : 80 })
+        .toFile(path.join(imageDir, file));
+    }
+  } catch (err) {
+    await removeRenditions(urls);
+    throw err;
+  }
+  return urls;
+};
+
+/**
+ * Renditions of one uploaded file; an unreadable file is a 400.
+ */
+const uploadRenditions = async (file, names) => {
+  try {
+    return await saveRenditions(file.buffer, names);
+  } catch (err) {
+    throw orderError(400, `${file.originalname} is not an image we can read`);
+  }
+};
+
+/**
+ * Gallery entries for uploaded files, in upload order. Nothing is left on
+ * disk when one of them fails.
+ *
+ * @returns {Promise<Array<{ thumb, card, full }>>}
+ */
+const galleryImages = async (files = []) => {
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await uploadRenditions(file));
+    }
+  } catch (err) {
+    await Promise.all(images.map(removeRenditions));
+    throw err;
+  }
+  return images;
+};
+
+/**
+ * Delete an image's rendition files. Missing files are ignored.
+ */
+const removeRenditions = async (image) => {
+  const urls = Object.keys(RENDITIONS).map((name) => image?.[name]);
+  await Promise.all(
+    urls
+      .filter((url) => url && url.startsWith("/uploads/images/"))
+      .map((url) => fs.promises.rm(path.join(uploadDir, url.slice("/uploads/".length)), { force: true }))
+  );
+};
+
+module.exports = {
+  RENDITIONS,
+  MAX_IMAGES,
+  uploadDir,
+  saveRenditions,
+  uploadRenditions,
+  galleryImages,
+  removeRenditions,
+};
@@ -0,0 +1,32 @@
+// backend/utils/invoiceBalance.js
+// What is left to pay on an invoice. Kept free of other utils so payments,
+// credit and invoices can all share it without a require cycle.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * What the buyer owes on an invoice: its total, plus debit notes, less
+ * credit notes. Payments are not taken off (see invoiceBalance).
+ */
+const invoiceOwed = (invoice) =>
+  round2(invoice.total + (invoice.debitedTotal || 0) - (invoice.creditedTotal || 0));
+
+/**
+ * What is still unpaid on an invoice after notes and payments.
+ * Negative when credit notes leave the buyer in credit.
+ */
+const invoiceBalance = (invoice) => round2(invoiceOwed(invoice) - (invoice.amountPaid || 0));
+
+// invoiceBalance as an aggregation expression, for queries
+const INVOICE_BALANCE_EXPR = {
+  $subtract: [
+    {
+      $add: ["$total", { $ifNull: ["$debitedTotal", 0] }],
+    },
+    {
+      $add: [{ $ifNull: ["$creditedTotal", 0] }, { $ifNull: ["$amountPaid", 0] }],
+    },
+  ],
+};
+
+module.exports = { INVOICE_BALANCE_EXPR, invoiceOwed, invoiceBalance };
@@ -0,0 +1,135 @@
+// backend/utils/invoicePdf.js
+const PDFDocument = require("pdfkit");
+const { unitLabel } = require("./units");
+
+const money = (value) =>
+  `Rs. ${Number(value).toLocaleString("en-LK", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Table columns: [label, x, width, align]
+const COLUMNS = [
+  ["Product", 50, 190, "left"],
+  ["Qty", 240, 50, "right"],
+  ["Unit Price", 290, 90, "right"],
+  ["VAT %", 380, 50, "right"],
+  ["Amount", 430, 115, "right"],
+];
+
+const row = (doc, values, y, font = "Helvetica") => {
+  doc.font(font).fontSize(10);
+  COLUMNS.forEach(([, x, width, align], i) => {
+    doc.text(String(values[i]), x, y, { width, align });
+  });
+};
+
+/**
+ * Render an issued invoice as a PDF into a writable stream (e.g. res).
+ * Everything printed comes from the stored invoice, so the supplier and
+ * the supermarket always download the same document.
+ */
+const renderInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: {
+      Title: `Invoice ${invoice.number}`,
+      Author: invoice.seller.name,
+      CreationDate: new Date(invoice.issuedAt),
+    },
+  });
+  doc.pipe(stream);
+
+  // --- Header ---
+  // "Tax invoice" once the supplier is VAT-registered
+  const title = invoice.seller.vatNumber ? "TAX INVOICE" : "INVOICE";
+  doc.font("Helvetica-Bold").fontSize(20).text(title, 50, 50);
+  doc.font("Helvetica").fontSize(10);
+  doc.text(`Invoice No: ${invoice.number}`, 350, 50, { width: 195, align: "right" });
+  doc.text(`Issue Date: ${day(invoice.issuedAt)}`, 350, 65, { width: 195, align: "right" });
+  doc.text(`Due Date: ${day(invoice.dueDate)}`, 350, 80, { width: 195, align: "right" });
+  doc.text(
+    `Order: #${invoice.order.toString().slice(-6).toUpperCase()}`,
+    350,
+    95,
+    { width: 195, align: "right" }
+  );
+  doc.moveTo(50, 112).lineTo(545, 112).stroke();
+
+  // --- Parties ---
+  const party = (title, p, x, extra = []) => {
+    doc.font("Helvetica-Bold").fontSize(11).text(title, x, 125);
+    doc.font("Helvetica").fontSize(10);
+    [p.name, p.email, p.district, ...extra]
+      .filter(Boolean)
+      .forEach((line, i) => doc.text(line, x, 142 + i * 14, { width: 220 }));
+  };
+  party(
+    "From (Supplier)",
+    invoice.seller,
+    50,
+    invoice.seller.vatNumber ? [`VAT Reg. No: ${invoice.seller.vatNumber}`] : []
+  );
+  party("Bill To (Customer)", invoice.buyer, 320, [invoice.deliveryAddress]);
+
+  // --- Lines ---
+  let y = 215;
+  row(doc, COLUMNS.map(([label]) => label), y, "Helvetica-Bold");
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+  y += 22;
+
+  for (const line of invoice.lines) {
+    if (y > 760) {
+      doc.addPage();
+      y = 50;
+    }
+    row(
+      doc,
+      [line.name, line.quantity, money(line.price), line.vatRate || 0, money(line.amount)],
+      y
+    );
+    y += 14;
+    // Pack and product codes under the name, so stores can match their POS items
+    const codes = [
+      (line.unitSize || 1) > 1 && `Per ${unitLabel(line)}`,
+      line.sku && `SKU ${line.sku}`,
+      line.barcode && `Barcode ${line.barcode}`,
+    ]
+      .filter(Boolean)
+      .join("  ·  ");
+    if (codes) {
+      doc.font("Helvetica").fontSize(8).fillColor("#555555").text(codes, 50, y, { width: 190 });
+      doc.fillColor("#000000");
+      y += 12;
+    }
+    y += 4;
+  }
+
+  // --- Totals ---
+  doc.moveTo(290, y + 4).lineTo(545, y + 4).stroke();
+  y += 12;
+  const totalRow = (label, value, bold = false) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 12 : 10);
+    doc.text(label, 290, y, { width: 140, align: "right" });
+    doc.text(money(value), 430, y, { width: 115, align: "right" });
+    y += bold ? 20 : 16;
+  };
+  // Invoices from before tax was tracked have no subtotal
+  if (invoice.subtotal !== undefined && invoice.subtotal !== null) {
+    totalRow("Subtotal (excl. tax)", invoice.subtotal);
+    totalRow("SSCL", invoice.ssclTotal || 0);
+    totalRow("VAT", invoice.vatTotal || 0);
+  }
+  totalRow("Total", invoice.total, true);
+
+  doc.font("Helvetica").fontSize(9).fillColor("#555555");
+  doc.text(`Payment method: ${invoice.paymentMethod || "N/A"}`, 50, y + 15);
+  if (invoice.pricesIncludeTax) {
+    doc.text("Unit prices include VAT and SSCL.", 50, y + 30);
+  }
+  doc.text("This invoice was issued electronically and is valid without a signature.", 50, y + 45);
+
+  doc.end();
+};
+
+module.exports = { renderInvoicePdf };
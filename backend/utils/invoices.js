@@ -0,0 +1,292 @@
+// backend/utils/invoices.js
+const mongoose = require("mongoose");
+const Invoice = require("../models/Invoice");
+const CreditNote = require("../models/CreditNote");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const notify = require("./notify");
+const { billableQty } = require("./pricing");
+const { lineAmounts, sumTax } = require("./tax");
+const { nextSequence, formatNumber } = require("./sequence");
+const { linkInvoicePayments } = require("./payments");
+const { invoiceBalance } = require("./invoiceBalance");
+const { orderError } = require("./orderPlacement");
+const { releaseOrderCredit } = require("./credit");
+const { issueNote, noteTotals } = require("./notes");
+
+// Order statuses at which each supplier setting allows an invoice
+const INVOICE_STATUSES = {
+  Accepted: ["Accepted", "PartiallyDispatched", "Dispatched", "Delivered"],
+  Delivered: ["Delivered"],
+};
+
+/**
+ * Whether an order has reached the point the supplier bills at.
+ */
+const invoiceDue = (order, issueOn = "Delivered") =>
+  (INVOICE_STATUSES[issueOn] || INVOICE_STATUSES.Delivered).includes(order.status);
+
+// Orders in these states bill nothing
+const CLOSED_STATUSES = ["Rejected", "Cancelled"];
+
+// Days a buyer has to pay an invoice (credit orders use their own terms)
+const PAYMENT_TERMS_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Payment status of an invoice: Paid, PartPaid, Overdue or Unpaid.
+ * Paid once payments and credit notes cover the total and any debit notes.
+ * Overdue depends on the date, so it is worked out on read, not stored.
+ */
+const invoiceStatus = (invoice, now = new Date()) => {
+  const paid = invoice.amountPaid || 0;
+  if (invoiceBalance(invoice) <= 0) return "Paid";
+  if (invoice.dueDate && new Date(invoice.dueDate) < now) return "Overdue";
+  return paid > 0 ? "PartPaid" : "Unpaid";
+};
+
+// Helper: freeze a user's details on the invoice
+const partyOf = (user) => ({
+  user: user._id,
+  name: user.name,
+  email: user.email,
+  district: user.district,
+  vatNumber: user.tax?.vatNumber || undefined,
+});
+
+/**
+ * Issue the invoice for an order with the supplier's next INV number.
+ * Number, invoice and order link commit together, so the series is
+ * gap-free. Returns the existing invoice if the order already has one.
+ *
+ * @throws orderError 400 when the order is not due for invoicing
+ */
+const issueInvoice = async (orderId) => {
+  const session = await mongoose.startSession();
+  try {
+    let invoice;
+    let issued = false;
+
+    await session.withTransaction(async () => {
+      issued = false;
+      const order = await Order.findById(orderId).session(session);
+      if (!order) {
+        throw orderError(404, "Order not found");
+      }
+
+      invoice = await Invoice.findOne({ order: order._id }).session(session);
+      if (invoice) return;
+
+      const [supplier, supermarket] = await Promise.all([
+        User.findById(order.supplier).session(session),
+        User.findById(order.supermarket).session(session),
+      ]);
+      if (!invoiceDue(order, supplier?.invoiceIssueOn)) {
+        throw orderError(
+          400,
+          `Invoices are issued when orders are ${supplier?.invoiceIssueOn || "Delivered"}`
+        );
+      }
+
+      const billable = order.items.filter((item) => billableQty(item) > 0);
+      if (billable.length === 0) {
+        throw orderError(400, "Nothing on this order is billable");
+      }
+
+      // Orders placed before product codes existed: use the current ones
+      const products = await Product.find({
+        _id: { $in: billable.filter((item) => !item.sku).map((item) => item.product) },
+      })
+        .select("sku barcode")
+        .session(session);
+      const codes = new Map(products.map((p) => [p._id.toString(), p]));
+
+      const amounts = billable.map((item) => lineAmounts(item, billableQty(item)));
+      const lines = billable.map((item, i) => ({
+        item: item._id,
+        product: item.product,
+        name: item.name,
+        sku: item.sku || codes.get(item.product.toString())?.sku,
+        barcode: item.sku ? item.barcode : codes.get(item.product.toString())?.barcode,
+        unit: item.unit,
+        unitSize: item.unitSize,
+        baseUnit: item.baseUnit,
+        quantity: billableQty(item),
+        price: item.price,
+        vatRate: item.vatRate,
+        ssclRate: item.ssclRate,
+        netAmount: amounts[i].netAmount,
+        ssclAmount: amounts[i].ssclAmount,
+        vatAmount: amounts[i].vatAmount,
+        amount: amounts[i].lineTotal,
+      }));
+      const totals = sumTax(amounts);
+
+      // ✅ Notes issued before the invoice still count against it
+      const notes = await noteTotals(order._id, session);
+      const seq = await nextSequence(`invoice:${order.supplier}`, session);
+      [invoice] = await Invoice.create(
+        [
+          {
+            number: formatNumber("INV", seq),
+            supplier: order.supplier,
+            supermarket: order.supermarket,
+            order: order._id,
+            seller: partyOf(supplier),
+            buyer: partyOf(supermarket),
+            deliveryAddress: order.deliveryAddress,
+            paymentMethod: order.paymentMethod,
+            lines,
+            pricesIncludeTax: order.items.some((item) => item.taxInclusive),
+            subtotal: totals.subtotal,
+            ssclTotal: totals.ssclTotal,
+            vatTotal: totals.vatTotal,
+            total: totals.totalAmount,
+            issuedOn: order.status,
+            creditedTotal: notes.credit,
+            debitedTotal: notes.debit,
+            dueDate: new Date(
+              Date.now() + (order.creditTermsDays || PAYMENT_TERMS_DAYS) * DAY_MS
+            ),
+          },
+        ],
+        { session }
+      );
+
+      await Order.updateOne({ _id: order._id }, { invoice: invoice._id }, { session });
+      // ✅ Anything already paid on the order counts towards the invoice
+      await linkInvoicePayments(order, invoice, session);
+      // ✅ The invoice balance now counts against the credit limit instead
+      await releaseOrderCredit(order, session);
+      issued = true;
+    });
+
+    if (issued) {
+      await notify(invoice.supermarket, {
+        type: "order",
+        message: `Invoice ${invoice.number} issued`,
+        detail: `Rs. ${invoice.total.toLocaleString()}`,
+        order: invoice.order,
+      });
+    }
+
+    return invoice;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Issue the invoice if the order just reached the supplier's billing point.
+ * Called after status changes; failures are logged, never thrown, so a
+ * status update never fails because of invoicing (the supplier can retry
+ * with POST /api/invoices).
+ */
+const issueInvoiceIfDue = async (order) => {
+  try {
+    if (order.invoice) return;
+    const supplier = await User.findById(order.supplier).select("invoiceIssueOn");
+    if (!invoiceDue(order, supplier?.invoiceIssueOn)) return;
+
+    const invoice = await issueInvoice(order._id);
+    order.invoice = invoice._id;
+  } catch (err) {
+    console.error("Invoice error:", err.message);
+  }
+};
+
+/**
+ * Credit note for units the order's invoice bills but the order no longer
+ * does: the remainder was cancelled or backordered after invoicing at
+ * acceptance, or the order was cancelled. Units already credited by an
+ * earlier adjustment are left out, so each is credited once.
+ * Failures are logged, never thrown, like issueInvoiceIfDue (the supplier
+ * can still issue a note by hand).
+ *
+ * @returns {Promise<CreditNote|null>}
+ */
+const creditDroppedUnits = async (order, actor) => {
+  if (!order.invoice) return null;
+  const session = await mongoose.startSession();
+  try {
+    let note = null;
+    let invoice;
+
+    await session.withTransaction(async () => {
+      note = null;
+      const latest = await Order.findById(order._id).session(session);
+      invoice = await Invoice.findById(latest.invoice).session(session);
+      const earlier = await CreditNote.find({
+        order: latest._id,
+        reasonCode: "INVOICE_ADJUSTMENT",
+      })
+        .select("lines")
+        .session(session)
+        .lean();
+
+      const credited = new Map();
+      for (const line of earlier.flatMap((n) => n.lines)) {
+        const id = line.item.toString();
+        credited.set(id, (credited.get(id) || 0) + line.quantity);
+      }
+
+      const closed = CLOSED_STATUSES.includes(latest.status);
+      const lines = [];
+      for (const line of invoice.lines) {
+        const item = latest.items.id(line.item);
+        if (!item) continue;
+        const billed = closed ? 0 : billableQty(item);
+        const quantity = line.quantity - billed - (credited.get(line.item.toString()) || 0);
+        if (quantity <= 0) continue;
+        lines.push({
+          item: item._id,
+          product: item.product,
+          name: item.name,
+          quantity,
+          price: item.price,
+          amount: lineAmounts(item, quantity).lineTotal,
+        });
+      }
+      if (lines.length === 0) return;
+
+      note = await issueNote(
+        "credit",
+        {
+          order: latest,
+          lines,
+          reasonCode: "INVOICE_ADJUSTMENT",
+          reason: `Units no longer billed on invoice ${invoice.number}`,
+        },
+        actor,
+        session
+      );
+    });
+
+    if (note) {
+      await notify(note.supermarket, {
+        type: "order",
+        message: `Credit note ${note.number} issued`,
+        detail: `Rs. ${note.amount.toLocaleString()} off invoice ${invoice.number}`,
+        order: note.order,
+      });
+    }
+    return note;
+  } catch (err) {
+    console.error("Credit note error:", err.message);
+    return null;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  INVOICE_STATUSES,
+  PAYMENT_TERMS_DAYS,
+  invoiceDue,
+  invoiceStatus,
+  issueInvoice,
+  issueInvoiceIfDue,
+  creditDroppedUnits,
+};
@@ -0,0 +1,157 @@
+// backend/utils/notes.js
+const CreditNote = require("../models/CreditNote");
+const DebitNote = require("../models/DebitNote");
+const Invoice = require("../models/Invoice");
+const { nextSequence, formatNumber } = require("./sequence");
+const { billableQty } = require("./pricing");
+const { lineAmounts } = require("./tax");
+const { orderError } = require("./orderPlacement");
+const { syncPaymentTotals } = require("./payments");
+
+// Reason codes per note type
+const NOTE_REASONS = {
+  credit: [
+    "RETURN",
+    "INVOICE_ADJUSTMENT",
+    "PRICE_ADJUSTMENT",
+    "DAMAGED_IN_TRANSIT",
+    "SHORT_DELIVERY",
+    "GOODWILL",
+    "OTHER",
+  ],
+  debit: ["UNDERCHARGE", "DELIVERY_FEE", "LATE_PAYMENT_FEE", "OTHER"],
+};
+
+// Issued by the system only: RETURN by an approved RMA, INVOICE_ADJUSTMENT
+// when an invoiced order stops billing some units (utils/invoices.js)
+const SYSTEM_REASONS = ["RETURN", "INVOICE_ADJUSTMENT"];
+
+const NOTE_TYPES = {
+  credit: { Model: CreditNote, prefix: "CN" },
+  debit: { Model: DebitNote, prefix: "DN" },
+};
+
+/**
+ * Note lines from [{ itemId, quantity, amount? }] against the order's lines.
+ * The amount defaults to what the buyer paid for those units, tax included.
+ *
+ * @throws orderError 400 for unknown lines or bad quantities
+ */
+const buildNoteLines = (order, lines) =>
+  lines.map((line) => {
+    const item = order.items.id(line.itemId);
+    const quantity = Number(line.quantity);
+    if (!item) {
+      throw orderError(400, "Not a line of this order", { itemId: line.itemId });
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity > billableQty(item)) {
+      throw orderError(400, `Quantity for ${item.name} must be between 1 and ${billableQty(item)}`);
+    }
+
+    const amount =
+      line.amount === undefined || line.amount === ""
+        ? lineAmounts(item, quantity).lineTotal
+        : Number(line.amount);
+    if (!(amount > 0)) {
+      throw orderError(400, `Amount for ${item.name} must be greater than 0`);
+    }
+
+    return {
+      item: item._id,
+      product: item.product,
+      name: item.name,
+      quantity,
+      price: item.price,
+      amount,
+    };
+  });
+
+/**
+ * Sum of credit and debit notes already issued on an order.
+ */
+const noteTotals = async (orderId, session = null) => {
+  const sum = async (Model) => {
+    const [row] = await Model.aggregate([
+      { $match: { order: orderId } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]).session(session);
+    return row ? row.total : 0;
+  };
+
+  return { credit: await sum(CreditNote), debit: await sum(DebitNote) };
+};
+
+/**
+ * Issue a credit or debit note with the supplier's next number.
+ * Credits can never exceed what the buyer was billed (invoice or order
+ * total + debits).
+ * Run inside a transaction so the number series stays gap-free and the
+ * invoice's note totals move with it.
+ *
+ * @param {String} type "credit" | "debit"
+ * @param {Object} data { order, lines, amount, reasonCode, reason, returnRequest }
+ */
+const issueNote = async (type, data, actor, session) => {
+  const { Model, prefix } = NOTE_TYPES[type];
+  const { order, lines = [], reasonCode, reason, returnRequest } = data;
+
+  const amount = lines.length
+    ? lines.reduce((sum, line) => sum + line.amount, 0)
+    : Number(data.amount);
+  if (!(amount > 0)) {
+    throw orderError(400, "Amount must be greater than 0");
+  }
+
+  if (type === "credit") {
+    const totals = await noteTotals(order._id, session);
+    // ✅ Once invoiced, the invoice is what was billed (the order total may have dropped since)
+    const invoice = order.invoice
+      ? await Invoice.findById(order.invoice).select("total").session(session)
+      : null;
+    const billed = invoice ? invoice.total : order.totalAmount;
+    const creditable = Math.round((billed + totals.debit - totals.credit) * 100) / 100;
+    if (amount > creditable) {
+      throw orderError(400, `Credit cannot exceed Rs. ${creditable} still billed on this order`);
+    }
+  }
+
+  const seq = await nextSequence(`${type}Note:${order.supplier}`, session);
+  const [note] = await Model.create(
+    [
+      {
+        number: formatNumber(prefix, seq),
+        supplier: order.supplier,
+        supermarket: order.supermarket,
+        order: order._id,
+        ...(type === "credit" && returnRequest ? { returnRequest } : {}),
+        lines,
+        reasonCode,
+        reason,
+        amount,
+        issuedBy: actor.id,
+      },
+    ],
+    { session }
+  );
+
+  // ✅ Notes on an invoiced order move its balance (invoices.js counts the earlier ones at issue)
+  if (order.invoice) {
+    await Invoice.updateOne(
+      { _id: order.invoice },
+      { $inc: { [type === "credit" ? "creditedTotal" : "debitedTotal"]: amount } },
+      { session }
+    );
+    await syncPaymentTotals(order._id, session);
+  }
+
+  return note;
+};
+
+module.exports = {
+  NOTE_REASONS,
+  SYSTEM_REASONS,
+  NOTE_TYPES,
+  buildNoteLines,
+  noteTotals,
+  issueNote,
+};
@@ -0,0 +1,16 @@
+// backend/utils/notify.js
+const Notification = require("../models/Notification");
+
+/**
+ * Create an in-app notification. Failures are logged, never thrown:
+ * a missed notification must not fail the request that caused it.
+ */
+const notify = async (userId, { type, message, detail, order }) => {
+  try {
+    await Notification.create({ user: userId, type, message, detail, order });
+  } catch (err) {
+    console.error("Notification error:", err.message);
+  }
+};
+
+module.exports = notify;
@@ -0,0 +1,121 @@
+// backend/utils/orderPlacement.js
+const Order = require("../models/Order");
+const { reserveStock, releaseStock } = require("./stock");
+const { priceOrderItems } = require("./pricing");
+const { reserveCredit, releaseCredit } = require("./credit");
+const { setOrderStatus } = require("./orderStatus");
+
+/**
+ * Error with an HTTP status and extra JSON fields for the response body.
+ */
+const orderError = (statusCode, message, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Quantities must be positive whole numbers.
+ */
+const hasBadQuantity = (items) =>
+  items.some(
+    (item) => !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0
+  );
+
+/**
+ * The single path every order is created through:
+ * price lines from the DB, reserve stock, save.
+ *
+ * When a session is passed the caller owns the transaction, so nothing is
+ * compensated here; the caller aborts and Mongo rolls the stock and credit
+ * back.
+ *
+ * @param {Object} buyer req.user ({ id, district })
+ * @param {Object} data { supplierId, items, deliveryAddress, note, paymentMethod, checkoutGroup, standingOrder }
+ * @throws orderError (400 invalid lines, 402 credit refused, 409 short stock)
+ */
+const placeOrder = async (buyer, data, session = null) => {
+  const {
+    supplierId,
+    items,
+    deliveryAddress,
+    note,
+    paymentMethod,
+    checkoutGroup,
+    standingOrder,
+  } = data;
+
+  const priced = await priceOrderItems(
+    items,
+    { supplierId, district: buyer.district },
+    session
+  );
+  if (priced.errors.length > 0) {
+    throw orderError(400, "Some items cannot be ordered", {
+      invalidItems: priced.errors,
+    });
+  }
+
+  // ✅ Credit orders must fit the buyer's limit with this supplier (taken atomically)
+  let termsDays;
+  let creditReserved = 0;
+  if (paymentMethod === "Credit") {
+    const credit = await reserveCredit(supplierId, buyer.id, priced.totalAmount, session);
+    if (credit.error) {
+      throw orderError(402, credit.error, {
+        creditLimit: credit.account?.creditLimit,
+        outstanding: credit.outstanding,
+        available: credit.available,
+      });
+    }
+    termsDays = credit.account.termsDays;
+    creditReserved = priced.totalAmount;
+  }
+
+  // Without a session nothing rolls back, so a failed order gives its credit back
+  const undoCredit = async () => {
+    if (!session && creditReserved > 0) {
+      await releaseCredit(supplierId, buyer.id, creditReserved);
+    }
+  };
+
+  const order = new Order({
+    supermarket: buyer.id,
+    supplier: supplierId,
+    items: priced.items,
+    subtotal: priced.subtotal,
+    ssclTotal: priced.ssclTotal,
+    vatTotal: priced.vatTotal,
+    totalAmount: priced.totalAmount,
+    deliveryAddress,
+    note,
+    paymentMethod: paymentMethod || "Cash", // Default to Cash
+    // ✅ Card orders are Pending until the provider confirms (utils/cardPayments.js)
+    paymentStatus: "Pending",
+    creditTermsDays: termsDays,
+    creditReserved,
+    district: buyer.district,
+    checkoutGroup,
+    standingOrder,
+  });
+  setOrderStatus(order, "Pending", buyer, "Order placed");
+
+  // ✅ Take stock before saving (atomic per line)
+  const failedItems = await reserveStock(order.items, session);
+  if (failedItems.length > 0) {
+    await undoCredit();
+    throw orderError(409, "Insufficient stock for some items", { failedItems });
+  }
+  order.stockReserved = true;
+
+  try {
+    return await order.save({ session });
+  } catch (saveError) {
+    if (!session) await releaseStock(order.items);
+    await undoCredit();
+    throw saveError;
+  }
+};
+
+module.exports = { placeOrder, orderError, hasBadQuantity };
@@ -0,0 +1,56 @@
+// backend/utils/orderStatus.js
+const Order = require("../models/Order");
+const { releaseStock, outstandingQty } = require("./stock");
+
+// Reason codes a supermarket must pick when cancelling an order
+const CANCEL_REASONS = [
+  "ORDERED_BY_MISTAKE",
+  "DUPLICATE_ORDER",
+  "WRONG_ITEMS_OR_QUANTITY",
+  "NO_LONGER_NEEDED",
+  "DELIVERY_TOO_LATE",
+  "OTHER",
+];
+
+/**
+ * Move an order to a new status and append it to statusHistory.
+ * All status changes (including creation) go through here so the
+ * tracking timeline never misses a step.
+ *
+ * @param {Object} actor req.user ({ id, role }) or null for the system
+ */
+const setOrderStatus = (order, to, actor, comment = "") => {
+  order.statusHistory.push({
+    from: order.isNew && !order.statusHistory.length ? null : order.status,
+    to,
+    actor: actor?.id,
+    actorRole: actor?.role || "system",
+    comment: (comment || "").trim(),
+    at: new Date(),
+  });
+  order.status = to;
+};
+
+/**
+ * Give an order's reserved (still outstanding) stock back.
+ * The stockReserved flag is claimed first so a double submit cannot
+ * release the same units twice.
+ */
+const releaseOrderStock = async (order) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockReserved: true },
+    { stockReserved: false }
+  );
+  if (claimed.modifiedCount > 0) {
+    await releaseStock(
+      order.items.map((item) => ({
+        product: item.product,
+        unitSize: item.unitSize,
+        quantity: outstandingQty(item),
+      }))
+    );
+  }
+  order.stockReserved = false;
+};
+
+module.exports = { CANCEL_REASONS, setOrderStatus, releaseOrderStock };
@@ -0,0 +1,55 @@
+// backend/utils/paymentProviders/index.js
+const mock = require("./mock");
+
+/**
+ * Card payment providers by name. Card data only ever goes to the
+ * provider's hosted page; our API sees intents and webhooks. Each provider
+ * implements:
+ *
+ *   createIntent({ intentId, amount, currency, description, returnUrl })
+ *     -> { providerRef, status, redirectUrl }
+ *   retrieveIntent(providerRef) -> { status, failureReason }
+ *   refund({ providerRef, amount, currency, reason })
+ *     -> { refundRef, status: Succeeded | Failed, failureReason }
+ *   parseWebhook(rawBody, headers) -> { providerRef, status, failureReason }
+ *     (throws when the signature does not verify)
+ *
+ * Statuses: RequiresAction | Succeeded | Failed | Cancelled
+ */
+const PROVIDERS = { mock };
+
+// The provider new payments go through (PAYMENT_PROVIDER, default "mock")
+const providerName = () => process.env.PAYMENT_PROVIDER || "mock";
+
+const getProvider = (name = providerName()) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
+
+/**
+ * Called once at startup. The mock gateway takes test cards, so it may
+ * never run in production; without MOCK_GATEWAY_SECRET it stays unmounted.
+ */
+const checkProviderConfig = () => {
+  const name = providerName();
+  getProvider(name);
+  if (name !== "mock") return;
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("The mock payment provider cannot be used in production; set PAYMENT_PROVIDER");
+  }
+  if (!process.env.MOCK_GATEWAY_SECRET) {
+    console.warn("MOCK_GATEWAY_SECRET is not set: card payments are disabled");
+  }
+};
+
+// Whether the mock gateway's hosted card page should be served
+const mockGatewayEnabled = () =>
+  providerName() === "mock" &&
+  Boolean(process.env.MOCK_GATEWAY_SECRET) &&
+  process.env.NODE_ENV !== "production";
+
+module.exports = { providerName, getProvider, checkProviderConfig, mockGatewayEnabled };
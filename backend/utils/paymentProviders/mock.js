@@ -0,0 +1,169 @@
+// backend/utils/paymentProviders/mock.js
+const crypto = require("crypto");
+
+// Local stand-in for a card gateway: a hosted card page (routes/mockGatewayRoutes.js),
+// test cards for success / decline / 3-D Secure, and signed webhooks back to our API.
+// Intents live in memory, so a server restart forgets unfinished ones.
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+// ✅ No default: a key anyone can read would let them sign a "Succeeded" webhook
+const webhookSecret = () => {
+  const secret = process.env.MOCK_GATEWAY_SECRET;
+  if (!secret) throw new Error("MOCK_GATEWAY_SECRET is not set");
+  return secret;
+};
+
+// Test card numbers, like a real sandbox
+const TEST_CARDS = {
+  "4242424242424242": "success",
+  "4000000000000002": "decline",
+  "4000000000003220": "3ds",
+};
+
+const intents = new Map(); // providerRef -> intent
+
+const sign = (body) => crypto.createHmac("sha256", webhookSecret()).update(body).digest("hex");
+
+// Helper: tell our API about the outcome, as the real provider would
+const sendWebhook = async (providerRef, intent) => {
+  const body = JSON.stringify({
+    type: `payment_intent.${intent.status.toLowerCase()}`,
+    data: { id: providerRef, status: intent.status, failureReason: intent.failureReason },
+  });
+  try {
+    const response = await fetch(`${apiUrl()}/api/payment-intents/webhook/mock`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Mock-Signature": sign(body) },
+      body,
+    });
+    if (!response.ok) console.error("Mock gateway webhook:", response.status);
+  } catch (err) {
+    // The return page looks the intent up, so a lost webhook is not fatal
+    console.error("Mock gateway webhook:", err.message);
+  }
+};
+
+const settle = async (providerRef, status, failureReason) => {
+  const intent = intents.get(providerRef);
+  intent.status = status;
+  intent.failureReason = failureReason;
+  intent.challenge = false;
+  await sendWebhook(providerRef, intent);
+  return intent;
+};
+
+// --- Provider interface (see ./index.js) ---
+
+const createIntent = async ({ intentId, amount, currency, description, returnUrl }) => {
+  webhookSecret(); // the hosted page is only mounted with a secret
+  const providerRef = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+  intents.set(providerRef, {
+    intentId,
+    amount,
+    currency,
+    description,
+    returnUrl,
+    status: "RequiresAction",
+  });
+  return {
+    providerRef,
+    status: "RequiresAction",
+    redirectUrl: `${apiUrl()}/mock-gateway/pay/${providerRef}`,
+  };
+};
+
+const retrieveIntent = async (providerRef) => {
+  const intent = intents.get(providerRef);
+  if (!intent) {
+    return { status: "Failed", failureReason: "Payment session expired" };
+  }
+  return { status: intent.status, failureReason: intent.failureReason };
+};
+
+/**
+ * Refunds settle straight away. Intents forgotten by a restart are still
+ * refunded, since the mock has nothing left to check them against.
+ */
+const refund = async ({ providerRef, amount }) => {
+  const intent = intents.get(providerRef);
+  if (intent) {
+    if (intent.status !== "Succeeded") {
+      return { status: "Failed", failureReason: "Payment was not captured" };
+    }
+    const refunded = (intent.refunded || 0) + amount;
+    if (refunded > intent.amount + 0.001) {
+      return { status: "Failed", failureReason: "Refund exceeds the captured amount" };
+    }
+    intent.refunded = refunded;
+  }
+  return { refundRef: `mock_re_${crypto.randomBytes(12).toString("hex")}`, status: "Succeeded" };
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const signature = String(headers["x-mock-signature"] || "");
+  const expected = sign(rawBody || "");
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new Error("Invalid webhook signature");
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  return {
+    providerRef: event.data.id,
+    status: event.data.status,
+    failureReason: event.data.failureReason,
+  };
+};
+
+// --- Hosted page side ---
+
+const getHostedIntent = (providerRef) => intents.get(providerRef);
+
+/**
+ * The buyer submitted the card form. Returns the intent; `challenge` is
+ * set when the card needs 3-D Secure first.
+ */
+const submitCard = async (providerRef, cardNumber) => {
+  const intent = intents.get(providerRef);
+  if (intent.status !== "RequiresAction") return intent;
+
+  const outcome = TEST_CARDS[String(cardNumber || "").replace(/\D/g, "")];
+  if (outcome === "success") return settle(providerRef, "Succeeded");
+  if (outcome === "3ds") {
+    intent.challenge = true;
+    return intent;
+  }
+  return settle(
+    providerRef,
+    "Failed",
+    outcome === "decline" ? "Card declined" : "Unknown test card"
+  );
+};
+
+const completeChallenge = async (providerRef, approved) => {
+  const intent = intents.get(providerRef);
+  if (intent.status !== "RequiresAction" || !intent.challenge) return intent;
+  return approved
+    ? settle(providerRef, "Succeeded")
+    : settle(providerRef, "Failed", "3-D Secure authentication failed");
+};
+
+const cancel = async (providerRef) => {
+  const intent = intents.get(providerRef);
+  if (intent.status !== "RequiresAction") return intent;
+  return settle(providerRef, "Cancelled", "Cancelled by the buyer");
+};
+
+module.exports = {
+  TEST_CARDS,
+  createIntent,
+  retrieveIntent,
+  refund,
+  parseWebhook,
+  getHostedIntent,
+  submitCard,
+  completeChallenge,
+  cancel,
+};
@@ -0,0 +1,340 @@
+// backend/utils/payments.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { parse } = require("csv-parse/sync");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const Invoice = require("../models/Invoice");
+const Order = require("../models/Order");
+const { orderError } = require("./orderPlacement");
+const { INVOICE_BALANCE_EXPR, invoiceOwed, invoiceBalance } = require("./invoiceBalance");
+
+const PAYMENT_METHODS = ["Cash", "Bank Transfer", "Cheque", "Card", "Other"];
+
+// Orders in these states take no payments
+const CLOSED_STATUSES = ["Rejected", "Cancelled"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pending, PartPaid or Paid for `paid` (net of refunds) out of `due`.
+ * Refunds only show when they leave the order short: a refund of money
+ * that was never owed (e.g. cancelled lines) keeps it Paid.
+ */
+const paymentStatusOf = (paid, due, refunded = 0) => {
+  const net = round2(paid - refunded);
+  if (net > 0 && net >= due) return "Paid";
+  if (refunded > 0) return refunded >= paid ? "Refunded" : "PartiallyRefunded";
+  return paid > 0 ? "PartPaid" : "Pending";
+};
+
+/**
+ * Rebuild an order's (and its invoice's) paid amount and payment status
+ * from the ledger. Once invoiced, the invoice total is what is owed.
+ * Refunds only show on the order; on the invoice side they are matched
+ * by credit notes.
+ *
+ * @returns {Promise<{ paid, due, refunded }>}
+ */
+const syncPaymentTotals = async (orderId, session = null) => {
+  const order = await Order.findById(orderId).select("totalAmount invoice").session(session);
+  const payments = await Payment.find({ order: orderId }).select("amount").session(session).lean();
+  const paid = round2(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  const refunds = await Refund.find({ order: orderId, status: "Succeeded" })
+    .select("amount")
+    .session(session)
+    .lean();
+  const refunded = round2(refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+  let due = order.totalAmount;
+  if (order.invoice) {
+    const invoice = await Invoice.findById(order.invoice)
+      .select("total creditedTotal debitedTotal")
+      .session(session);
+    due = invoiceOwed(invoice);
+    await Invoice.updateOne({ _id: invoice._id }, { amountPaid: paid }, { session });
+  }
+  await Order.updateOne(
+    { _id: orderId },
+    {
+      amountPaid: paid,
+      amountRefunded: refunded,
+      paymentStatus: paymentStatusOf(paid, due, refunded),
+    },
+    { session }
+  );
+
+  return { paid, due, refunded };
+};
+
+/**
+ * Add a ledger entry and rebuild the order's totals, inside `session`.
+ * `overpaid` is how far the money held (paid less refunds) now exceeds
+ * what is owed: manual payments are refused over it, card payments that
+ * were already captured get the excess refunded.
+ *
+ * @returns {Promise<{ payment, paid, due, refunded, overpaid }>}
+ */
+const addPayment = async (fields, session) => {
+  const [payment] = await Payment.create([fields], { session });
+  const totals = await syncPaymentTotals(fields.order, session);
+  const overpaid = round2(Math.max(0, totals.paid - totals.refunded - totals.due));
+  return { payment, ...totals, overpaid };
+};
+
+/**
+ * Link payments taken before an order was invoiced to its new invoice.
+ * Runs inside the invoice's transaction.
+ */
+const linkInvoicePayments = async (order, invoice, session) => {
+  await Payment.updateMany({ order: order._id }, { invoice: invoice._id }, { session });
+  await syncPaymentTotals(order._id, session);
+};
+
+// Helper: the supplier's order (and invoice, if any) a payment is for
+const findTarget = async (supplierId, data, session) => {
+  let invoice = null;
+  let order = null;
+
+  if (data.invoice) {
+    if (!mongoose.Types.ObjectId.isValid(data.invoice)) throw orderError(404, "Invoice not found");
+    invoice = await Invoice.findOne({ _id: data.invoice, supplier: supplierId }).session(session);
+    if (!invoice) throw orderError(404, "Invoice not found");
+    order = await Order.findById(invoice.order).session(session);
+  } else if (data.order) {
+    if (!mongoose.Types.ObjectId.isValid(data.order)) throw orderError(404, "Order not found");
+    order = await Order.findOne({ _id: data.order, supplier: supplierId }).session(session);
+    if (!order) throw orderError(404, "Order not found");
+    if (order.invoice) invoice = await Invoice.findById(order.invoice).session(session);
+  } else {
+    throw orderError(400, "Choose an order or invoice");
+  }
+
+  // ✅ An invoice issued before the order closed is owed until notes clear it
+  if (CLOSED_STATUSES.includes(order.status) && !(invoice && invoiceBalance(invoice) > 0)) {
+    throw orderError(400, `${order.status} orders cannot take payments`);
+  }
+  return { order, invoice };
+};
+
+/**
+ * Record a full or part payment against an order or invoice.
+ * The ledger entry and the rebuilt totals commit together; concurrent
+ * payments for one order conflict on the order and are retried, so the
+ * open balance can never be overpaid.
+ *
+ * @param {Object} data { order | invoice, amount, method, reference, receivedAt, source, bankLine }
+ * @throws orderError 400 when the amount is invalid or exceeds the balance
+ */
+const recordPayment = async (supplierId, data, actor) => {
+  const amount = round2(Number(data.amount));
+  if (!(amount > 0)) {
+    throw orderError(400, "Payment amount must be greater than 0");
+  }
+  const method = data.method || "Bank Transfer";
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw orderError(400, `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+  }
+  const receivedAt = data.receivedAt ? new Date(data.receivedAt) : new Date();
+  if (Number.isNaN(receivedAt.getTime())) {
+    throw orderError(400, "Invalid payment date");
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let payment;
+    await session.withTransaction(async () => {
+      const { order, invoice } = await findTarget(supplierId, data, session);
+
+      let overpaid;
+      ({ payment, overpaid } = await addPayment(
+        {
+          supplier: order.supplier,
+          supermarket: order.supermarket,
+          order: order._id,
+          invoice: invoice?._id,
+          amount,
+          method,
+          reference: String(data.reference || "").trim(),
+          receivedAt,
+          source: data.source || "Manual",
+          bankLine: data.bankLine,
+          recordedBy: actor.id,
+        },
+        session
+      ));
+      if (overpaid > 0) {
+        throw orderError(
+          400,
+          `Payment exceeds the open balance of Rs. ${round2(amount - overpaid).toLocaleString()}`
+        );
+      }
+    });
+    return payment;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// --- Bank statement import ---
+
+// Header names banks use for each column (compared lower-case)
+const COLUMN_NAMES = {
+  date: ["date", "transaction date", "value date", "posting date", "posted date"],
+  description: ["description", "narration", "details", "particulars", "reference", "memo"],
+  amount: ["amount", "credit", "credit amount", "deposit", "deposits", "paid in"],
+};
+
+const columnsOf = (headers) => {
+  const pick = (names) => headers.filter((header) => names.includes(header));
+  return {
+    date: pick(COLUMN_NAMES.date)[0],
+    description: pick(COLUMN_NAMES.description),
+    amount: pick(COLUMN_NAMES.amount)[0],
+  };
+};
+
+// "Rs. 12,500.00" -> 12500
+const parseAmount = (value) => Number(String(value || "").replace(/[^0-9.-]/g, ""));
+
+// Helper: the open invoice or order a statement line refers to
+const matchLine = async (supplierId, line) => {
+  const invoiceNo = line.description.match(/INV-\d{6,}/i);
+  if (invoiceNo) {
+    const invoice = await Invoice.findOne({
+      supplier: supplierId,
+      number: invoiceNo[0].toUpperCase(),
+    }).lean();
+    if (invoice) return { invoice, matchedBy: "invoice number" };
+  }
+
+  // Order short ids as shown everywhere: "#A1B2C3" / "Order A1B2C3"
+  const shortId = line.description.match(/(?:#|order\s*#?\s*)([0-9a-f]{6})\b/i);
+  if (shortId) {
+    const orders = await Order.find({
+      supplier: supplierId,
+      status: { $nin: CLOSED_STATUSES },
+      $expr: {
+        $regexMatch: {
+          input: { $toString: "$_id" },
+          regex: `${shortId[1]}$`,
+          options: "i",
+        },
+      },
+    })
+      .select("_id")
+      .lean();
+    if (orders.length === 1) return { order: orders[0], matchedBy: "order number" };
+  }
+
+  // No reference: only a single open invoice for exactly this amount will do
+  const sameAmount = await Invoice.find({
+    supplier: supplierId,
+    $expr: { $eq: [{ $round: [INVOICE_BALANCE_EXPR, 2] }, line.amount] },
+  })
+    .select("_id")
+    .limit(2)
+    .lean();
+  if (sameAmount.length === 1) return { invoice: sameAmount[0], matchedBy: "amount" };
+
+  return null;
+};
+
+/**
+ * Import a bank statement CSV and record every credit that can be matched
+ * to an open invoice or order. Lines are keyed by their content, so
+ * importing the same statement again records nothing twice.
+ *
+ * @param {Buffer|string} csv statement with date, description and amount columns
+ * @returns {Promise<{ recorded, unmatched, duplicates, skipped }>}
+ */
+const importBankStatement = async (supplierId, csv, actor) => {
+  let records;
+  try {
+    records = parse(csv, {
+      bom: true,
+      columns: (headers) => headers.map((header) => String(header).trim().toLowerCase()),
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+    });
+  } catch (err) {
+    throw orderError(400, `Could not read the CSV: ${err.message}`);
+  }
+
+  const columns = columnsOf(Object.keys(records[0] || {}));
+  if (!columns.date || !columns.amount) {
+    throw orderError(400, "The CSV needs a date and an amount (or credit) column");
+  }
+
+  const result = { recorded: [], unmatched: [], duplicates: 0, skipped: 0 };
+  const seen = new Map();
+
+  for (const [index, record] of records.entries()) {
+    const line = {
+      row: index + 2, // header is row 1
+      date: new Date(record[columns.date]),
+      description: columns.description.map((column) => record[column]).filter(Boolean).join(" "),
+      amount: round2(parseAmount(record[columns.amount])),
+    };
+    // Debits and blank lines are not payments received
+    if (!(line.amount > 0)) {
+      result.skipped += 1;
+      continue;
+    }
+
+    // Identical lines in one statement are told apart by occurrence
+    const content = `${record[columns.date]}|${line.amount}|${line.description}`;
+    const occurrence = (seen.get(content) || 0) + 1;
+    seen.set(content, occurrence);
+    line.key = crypto.createHash("sha1").update(`${content}|${occurrence}`).digest("hex");
+
+    if (await Payment.exists({ supplier: supplierId, "bankLine.key": line.key })) {
+      result.duplicates += 1;
+      continue;
+    }
+    if (Number.isNaN(line.date.getTime())) {
+      result.unmatched.push({ ...line, date: record[columns.date], reason: "Unreadable date" });
+      continue;
+    }
+
+    const match = await matchLine(supplierId, line);
+    if (!match) {
+      result.unmatched.push({ ...line, reason: "No matching invoice or order" });
+      continue;
+    }
+
+    try {
+      const payment = await recordPayment(
+        supplierId,
+        {
+          invoice: match.invoice?._id,
+          order: match.order?._id,
+          amount: line.amount,
+          method: "Bank Transfer",
+          reference: line.description,
+          receivedAt: line.date,
+          source: "BankImport",
+          bankLine: { key: line.key, date: line.date, description: line.description },
+        },
+        actor
+      );
+      result.recorded.push({ ...line, payment: payment._id, matchedBy: match.matchedBy });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      result.unmatched.push({ ...line, reason: err.message });
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  paymentStatusOf,
+  syncPaymentTotals,
+  addPayment,
+  linkInvoicePayments,
+  recordPayment,
+  importBankStatement,
+};
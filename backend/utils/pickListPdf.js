@@ -0,0 +1,92 @@
+// backend/utils/pickListPdf.js
+const PDFDocument = require("pdfkit");
+const { outstandingQty } = require("./stock");
+const { unitLabel } = require("./units");
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Table columns: [label, x, width, align]
+const COLUMNS = [
+  ["SKU", 50, 90, "left"],
+  ["Barcode", 140, 100, "left"],
+  ["Product", 240, 215, "left"],
+  ["Qty", 455, 50, "right"],
+  ["Picked", 515, 30, "center"],
+];
+
+const row = (doc, values, y, font = "Helvetica") => {
+  doc.font(font).fontSize(10);
+  COLUMNS.forEach(([, x, width, align], i) => {
+    doc.text(String(values[i] ?? ""), x, y, { width, align, lineBreak: false, ellipsis: true });
+  });
+};
+
+/**
+ * Render the pick list of an order (units still to ship, in the packs
+ * ordered) as a PDF into a writable stream. Lines are sorted by SKU so pickers walk the shelves
+ * in order; `codes` fills in SKUs for lines priced before products had
+ * them (product _id -> { sku, barcode }).
+ */
+const renderPickListPdf = (order, codes, stream) => {
+  const lines = order.items
+    .map((item) => {
+      const current = codes.get(item.product.toString()) || {};
+      return {
+        sku: item.sku || current.sku || "",
+        barcode: item.sku ? item.barcode : current.barcode,
+        name: (item.unitSize || 1) > 1 ? `${item.name} — ${unitLabel(item)}` : item.name,
+        quantity: outstandingQty(item),
+      };
+    })
+    .filter((line) => line.quantity > 0)
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+
+  const shortId = order._id.toString().slice(-6).toUpperCase();
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: { Title: `Pick list #${shortId}` },
+  });
+  doc.pipe(stream);
+
+  // --- Header ---
+  doc.font("Helvetica-Bold").fontSize(20).text("PICK LIST", 50, 50);
+  doc.font("Helvetica").fontSize(10);
+  doc.text(`Order: #${shortId}`, 350, 50, { width: 195, align: "right" });
+  doc.text(`Ordered: ${day(order.createdAt)}`, 350, 65, { width: 195, align: "right" });
+  doc.text(`Printed: ${day(new Date())}`, 350, 80, { width: 195, align: "right" });
+  doc.text(`Deliver to: ${order.supermarket?.name || ""}`, 50, 80, { width: 280 });
+  if (order.deliveryAddress) doc.text(order.deliveryAddress, 50, 95, { width: 280 });
+  doc.moveTo(50, 115).lineTo(545, 115).stroke();
+
+  // --- Lines ---
+  let y = 128;
+  row(doc, COLUMNS.map(([label]) => label), y, "Helvetica-Bold");
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+  y += 22;
+
+  for (const line of lines) {
+    if (y > 770) {
+      doc.addPage();
+      y = 50;
+    }
+    row(doc, [line.sku, line.barcode, line.name, line.quantity, ""], y);
+    doc.rect(524, y - 1, 11, 11).stroke();
+    y += 20;
+  }
+  if (lines.length === 0) {
+    doc.font("Helvetica-Oblique").fontSize(10).text("Nothing left to pick on this order.", 50, y);
+    y += 20;
+  }
+
+  doc.moveTo(50, y + 4).lineTo(545, y + 4).stroke();
+  const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+  doc.font("Helvetica-Bold").fontSize(10).text(`${lines.length} lines · ${units} items`, 50, y + 12);
+  if (order.note) {
+    doc.font("Helvetica").fontSize(9).fillColor("#555555").text(`Buyer note: ${order.note}`, 50, y + 30, { width: 495 });
+  }
+
+  doc.end();
+};
+
+module.exports = { renderPickListPdf };
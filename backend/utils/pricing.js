@@ -0,0 +1,111 @@
+// backend/utils/pricing.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const { loadTaxSettings, ratesFor, lineAmounts, sumTax } = require("./tax");
+const { packOf } = require("./units");
+
+/**
+ * Rebuild order lines from the Product collection.
+ * The client only decides WHICH products, in WHICH pack and HOW MANY; names,
+ * pack prices, tax rates, line totals and the order total always come from
+ * the database.
+ *
+ * @param {Array} items [{ product, unit, quantity }] (no unit = base unit)
+ * @param {Object} opts { supplierId, district }
+ * @returns {Promise<{ items, subtotal, ssclTotal, vatTotal, totalAmount, errors }>}
+ *   errors: [{ product, name, reason }]
+ */
+const priceOrderItems = async (items, { supplierId, district }, session = null) => {
+  const errors = [];
+  const ids = items
+    .map((item) => String(item.product))
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+  const products = await Product.find({ _id: { $in: ids } }).session(session);
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+  const taxBySupplier = await loadTaxSettings(
+    products.map((p) => p.supplier),
+    session
+  );
+
+  const priced = [];
+  for (const item of items) {
+    const product = byId.get(String(item.product));
+
+    if (!product) {
+      errors.push({ product: item.product, name: null, reason: "Product not found" });
+      continue;
+    }
+
+    if (supplierId && product.supplier.toString() !== String(supplierId)) {
+      errors.push({
+        product: product._id,
+        name: product.name,
+        reason: "Product belongs to a different supplier",
+      });
+      continue;
+    }
+
+    if (!product.isActive) {
+      errors.push({ product: product._id, name: product.name, reason: "Product is inactive" });
+      continue;
+    }
+
+    if (product.district !== district) {
+      errors.push({
+        product: product._id,
+        name: product.name,
+        reason: "Product is not available in your district",
+      });
+      continue;
+    }
+
+    const pack = packOf(product, item.unit);
+    if (!pack) {
+      errors.push({
+        product: product._id,
+        name: product.name,
+        reason: `Not sold by the ${item.unit}`,
+      });
+      continue;
+    }
+
+    const quantity = Number(item.quantity);
+    const line = {
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      barcode: product.barcode,
+      unit: pack.unit,
+      unitSize: pack.unitSize,
+      baseUnit: pack.baseUnit,
+      quantity,
+      price: pack.price,
+      ...ratesFor(product, taxBySupplier.get(product.supplier.toString())),
+    };
+    priced.push({ ...line, ...lineAmounts(line, quantity) });
+  }
+
+  return { items: priced, ...sumTax(priced), errors };
+};
+
+/**
+ * Units the buyer is billed for: ordered minus backordered and cancelled.
+ */
+const billableQty = (item) =>
+  item.quantity - (item.backorderedQty || 0) - (item.cancelledQty || 0);
+
+/**
+ * Recompute line amounts, tax and order totals from billable quantities
+ * (after lines were partly cancelled or moved to a backorder).
+ * Uses the rates stored on each line, so later rate changes never
+ * reprice an existing order.
+ */
+const recalcOrderTotals = (order) => {
+  for (const item of order.items) {
+    Object.assign(item, lineAmounts(item, billableQty(item)));
+  }
+  Object.assign(order, sumTax(order.items));
+};
+
+module.exports = { priceOrderItems, billableQty, recalcOrderTotals };
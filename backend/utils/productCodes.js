@@ -0,0 +1,97 @@
+// backend/utils/productCodes.js
+const Product = require("../models/Product");
+const { nextSequence, formatNumber } = require("./sequence");
+
+// Barcode lengths accepted: EAN-8, UPC-A, EAN-13, GTIN-14
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,39}$/;
+
+/**
+ * GS1 check digit for the digits before it: weights 3 and 1 alternate
+ * from the right.
+ */
+const gtinCheckDigit = (body) => {
+  let sum = 0;
+  for (let i = 0; i < body.length; i += 1) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Normalise a barcode typed or scanned by a supplier ("4 791234 567891").
+ *
+ * @returns {{ value: String|null, error: String|null }}
+ *   value is null when the field was left empty
+ */
+const parseBarcode = (input) => {
+  const value = String(input ?? "").replace(/[\s-]/g, "");
+  if (!value) return { value: null, error: null };
+
+  if (!/^\d+$/.test(value) || !GTIN_LENGTHS.includes(value.length)) {
+    return { value: null, error: "Barcode must be an EAN-13, UPC-A (12 digits), EAN-8 or GTIN-14" };
+  }
+  if (gtinCheckDigit(value.slice(0, -1)) !== Number(value.slice(-1))) {
+    return { value: null, error: `Barcode ${value} has an invalid check digit` };
+  }
+  return { value, error: null };
+};
+
+/**
+ * Normalise a supplier SKU (trimmed, upper case).
+ *
+ * @returns {{ value: String|null, error: String|null }}
+ */
+const parseSku = (input) => {
+  const value = String(input ?? "").trim().toUpperCase();
+  if (!value) return { value: null, error: null };
+  if (!SKU_PATTERN.test(value)) {
+    return {
+      value: null,
+      error: "SKU may use letters, digits, '.', '-' and '_' (up to 40 characters)",
+    };
+  }
+  return { value, error: null };
+};
+
+/**
+ * Next free SKU for a supplier that did not choose one (SKU-000001 ...).
+ * Skips numbers the supplier already typed in by hand, and those in
+ * `taken` (SKUs claimed by rows of an import that are not saved yet).
+ */
+const nextSku = async (supplierId, taken = new Set()) => {
+  for (;;) {
+    const sku = formatNumber("SKU", await nextSequence(`sku:${supplierId}`));
+    if (taken.has(sku)) continue;
+    if (!(await Product.exists({ supplier: supplierId, sku }))) return sku;
+  }
+};
+
+// Helper: text safe to use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Product filter for a catalogue search (?q=): name or SKU contains the
+ * text, or the barcode matches exactly.
+ */
+const productSearchFilter = (q) => {
+  const text = String(q || "").trim();
+  if (!text) return {};
+
+  const pattern = new RegExp(escapeRegex(text), "i");
+  const or = [{ name: pattern }, { sku: pattern }];
+  const { value: barcode } = parseBarcode(text);
+  if (barcode) or.push({ barcode });
+  return { $or: or };
+};
+
+module.exports = {
+  GTIN_LENGTHS,
+  gtinCheckDigit,
+  parseBarcode,
+  parseSku,
+  nextSku,
+  productSearchFilter,
+};
@@ -0,0 +1,462 @@
+// backend/utils/productImport.js
+const mongoose = require("mongoose");
+const ExcelJS = require("exceljs");
+const { parse } = require("csv-parse/sync");
+const Product = require("../models/Product");
+const ProductFamily = require("../models/ProductFamily");
+const User = require("../models/User");
+const { orderError } = require("./orderPlacement");
+const { toCsv } = require("./csv");
+const { parseBarcode, parseSku, nextSku } = require("./productCodes");
+const { parsePacks } = require("./units");
+const { parseOptions, variantLabel, variantName } = require("./variants");
+
+/**
+ * Bulk catalog import / export. One row per product, upserted by SKU:
+ * a known SKU updates that product, a new or empty SKU creates one.
+ * On updates an empty cell keeps the current value, so a file can carry
+ * only the columns being changed. Stock is only overwritten on request,
+ * so importing an old export does not undo the sales made since.
+ *
+ *   packs    "Case:24:1150; Half case:12:590"   (name:size:price)
+ *   options  "Size=1L; Flavour=Chocolate"       (needs a family)
+ *   vatRate  "default" clears a product's override
+ */
+
+// Column order of the export (and the import template)
+const COLUMNS = [
+  "sku",
+  "name",
+  "barcode",
+  "description",
+  "category",
+  "baseUnit",
+  "price",
+  "stock",
+  "packs",
+  "vatRate",
+  "ssclRate",
+  "isActive",
+  "family",
+  "options",
+];
+
+// Largest catalog accepted in one file
+const MAX_ROWS = 5000;
+
+// Helper: "Base Unit" / "base_unit" -> "baseUnit"
+const columnOf = (header) => {
+  const key = String(header).trim().toLowerCase().replace(/[\s_-]/g, "");
+  return COLUMNS.find((column) => column.toLowerCase() === key);
+};
+
+// Helper: "a; b; c" -> ["a", "b", "c"]
+const splitCell = (text) =>
+  text
+    .split(";")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+const formatPacks = (packs = []) =>
+  packs.map((pack) => `${pack.name}:${pack.size}:${pack.price}`).join("; ");
+
+const formatOptions = (options = []) =>
+  options.map((option) => `${option.name}=${option.value}`).join("; ");
+
+// Helper: text of an Excel cell (numbers, formulas and rich text included)
+const cellText = (cell) => (cell.value === null || cell.value === undefined ? "" : cell.text);
+
+// Helper: [{ row, values }] of the first worksheet of an XLSX file
+const xlsxTable = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  const table = [];
+  sheet?.eachRow((row, rowNumber) => {
+    const values = [];
+    for (let column = 1; column <= row.cellCount; column += 1) {
+      values.push(cellText(row.getCell(column)));
+    }
+    table.push({ row: rowNumber, values });
+  });
+  return table;
+};
+
+// Helper: [{ row, values }] of a CSV file (cells stay text, so barcodes keep leading zeros)
+const csvTable = (buffer) =>
+  parse(buffer, { bom: true, relax_column_count: true, info: true }).map(({ record, info }) => ({
+    row: info.lines,
+    values: record,
+  }));
+
+/**
+ * Rows of an uploaded CSV or XLSX catalog (first sheet), keyed by column.
+ * XLSX files are told apart by their ZIP signature, not their name.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ row: Number, cells: Object }>>} row is the spreadsheet row number
+ */
+const readCatalog = async (buffer) => {
+  let table;
+  try {
+    const isXlsx = buffer.subarray(0, 2).toString() === "PK";
+    table = isXlsx ? await xlsxTable(buffer) : csvTable(buffer);
+  } catch (err) {
+    throw orderError(400, `Could not read the file: ${err.message}`);
+  }
+
+  const [header, ...records] = table;
+  if (records.length === 0) {
+    throw orderError(400, "The file has no product rows");
+  }
+  if (records.length > MAX_ROWS) {
+    throw orderError(400, `Import at most ${MAX_ROWS} products per file`);
+  }
+
+  const columns = header.values.map(columnOf);
+  if (!columns.includes("sku") && !columns.includes("name")) {
+    throw orderError(400, "The file needs a header row with at least a sku or name column");
+  }
+
+  return records.map(({ row, values }) => {
+    const cells = {};
+    columns.forEach((column, index) => {
+      if (!column) return;
+      // Undo the "'" our CSV export puts before formula-like text
+      cells[column] = String(values[index] ?? "").trim().replace(/^'(?=[=+\-@])/, "");
+    });
+    return { row, cells };
+  });
+};
+
+// Helper: a number cell, or NaN when it is not one
+const numberCell = (text) => (text === "" ? NaN : Number(text.replace(/,/g, "")));
+
+// Helper: tax override cell ("" = not given, "default" = clear the override)
+const rateCell = (text) => {
+  if (text === "") return undefined;
+  if (text.toLowerCase() === "default") return null;
+  const rate = numberCell(text);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : NaN;
+};
+
+// isActive cells
+const BOOLEAN_CELLS = {
+  yes: true,
+  true: true,
+  1: true,
+  active: true,
+  no: false,
+  false: false,
+  0: false,
+  inactive: false,
+};
+
+// Helper: "Case:24:1150; Half case:12:590" -> [{ name, size, price }]
+const packsCell = (text) =>
+  splitCell(text).map((part) => {
+    const [name, size, price] = part.split(":").map((piece) => piece.trim());
+    return { name, size, price: price === undefined ? undefined : numberCell(price) };
+  });
+
+// Helper: "Size=1L; Flavour=Chocolate" -> [{ name, value }]
+const optionsCell = (text) =>
+  splitCell(text).map((part) => {
+    const [name, ...value] = part.split("=");
+    return { name: name.trim(), value: value.join("=").trim() };
+  });
+
+// Helper: whether an import value differs from what the product has
+// (pack and option subdocuments compared without their _id)
+const plain = (value) =>
+  JSON.stringify(value ?? null, (key, inner) => (key === "_id" ? undefined : inner));
+const differs = (current, next) => plain(current) !== plain(next);
+
+/**
+ * Check one row's cells against the catalog as it stands. Fields are only
+ * set for cells that were filled in (or defaults on create).
+ *
+ * @returns {{ fields: Object, errors: String[] }}
+ */
+const checkRow = async (cells, product, context) => {
+  const fields = {};
+  const errors = [];
+  const cell = (column) => cells[column] ?? "";
+
+  // 1. Codes
+  const sku = parseSku(cell("sku"));
+  if (sku.error) errors.push(sku.error);
+  if (sku.value) fields.sku = sku.value;
+
+  const barcode = parseBarcode(cell("barcode"));
+  if (barcode.error) errors.push(barcode.error);
+  if (barcode.value) fields.barcode = barcode.value;
+
+  // 2. Plain fields
+  for (const column of ["name", "description", "category", "baseUnit"]) {
+    if (cell(column)) fields[column] = cell(column);
+  }
+
+  for (const column of ["price", "stock"]) {
+    if (!cell(column)) continue;
+    const value = numberCell(cell(column));
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${column} must be a number of 0 or more`);
+    } else {
+      fields[column] = value;
+    }
+  }
+  if (!product && !cell("price")) errors.push("price is required for a new product");
+
+  for (const column of ["vatRate", "ssclRate"]) {
+    const rate = rateCell(cell(column));
+    if (Number.isNaN(rate)) errors.push(`${column} must be between 0 and 100 (or "default")`);
+    else if (rate !== undefined) fields[column] = rate;
+  }
+
+  if (cell("isActive")) {
+    const active = BOOLEAN_CELLS[cell("isActive").toLowerCase()];
+    if (active === undefined) errors.push("isActive must be yes or no");
+    else fields.isActive = active;
+  }
+
+  // 3. Packs, against the base unit the product will have
+  if (cell("packs")) {
+    const packs = parsePacks(packsCell(cell("packs")), fields.baseUnit || product?.baseUnit || "unit");
+    if (packs.error) errors.push(packs.error);
+    else fields.packs = packs.value;
+  }
+
+  // 4. Variant family and options
+  const familyName = cell("family");
+  let family = null;
+  if (familyName) {
+    family = context.families.get(familyName.toLowerCase());
+    if (!family) errors.push(`No product family named "${familyName}" (create it first)`);
+  } else if (cell("options") && product?.family) {
+    family = context.familiesById.get(String(product.family));
+  } else if (cell("options")) {
+    errors.push("options need a family");
+  }
+
+  if (family) {
+    const options = await parseOptions(family, optionsCell(cell("options")), product?._id);
+    if (options.error) {
+      errors.push(options.error);
+    } else {
+      fields.family = family._id;
+      fields.options = options.value;
+    }
+  }
+
+  if (!product && !fields.name) {
+    if (family && fields.options) fields.name = variantName(family, fields.options);
+    else errors.push("name is required for a new product");
+  }
+  if (!product) {
+    // ✅ Same defaults as the product form; variants inherit from the family
+    fields.description = fields.description ?? family?.description ?? "";
+    fields.category = fields.category ?? family?.category ?? "";
+    fields.baseUnit = fields.baseUnit || "unit";
+    fields.stock = fields.stock ?? 0;
+  }
+
+  return { fields, errors };
+};
+
+/**
+ * Work out what importing `rows` would do to a supplier's catalog,
+ * without saving anything. Stock cells only count for new products
+ * unless `updateStock` is set.
+ *
+ * @returns {Promise<{ lines: Array, summary: Object }>} one line per row:
+ *   { row, action: "create"|"update"|"unchanged"|"error", sku, name, changes, errors }
+ */
+const planImport = async (supplierId, rows, { updateStock = false } = {}) => {
+  const [products, families] = await Promise.all([
+    Product.find({ supplier: supplierId }),
+    ProductFamily.find({ supplier: supplierId }),
+  ]);
+
+  const context = {
+    families: new Map(families.map((family) => [family.name.toLowerCase(), family])),
+    familiesById: new Map(families.map((family) => [String(family._id), family])),
+  };
+  const bySku = new Map(products.filter((p) => p.sku).map((p) => [p.sku, p]));
+
+  // Codes and variants already claimed: by a product, or by a row above
+  const skuRows = new Map();
+  const barcodes = new Map(
+    products
+      .filter((p) => p.barcode)
+      .map((p) => [p.barcode, { owner: String(p._id), label: p.sku || p.name }])
+  );
+  const variantRows = new Map();
+
+  const lines = [];
+  for (const { row, cells } of rows) {
+    // Blank spreadsheet rows are not products
+    if (Object.values(cells).every((value) => value === "")) continue;
+
+    const sku = parseSku(cells.sku).value;
+    const product = sku ? bySku.get(sku) : null;
+    const owner = product ? String(product._id) : `row ${row}`;
+    const { fields, errors } = await checkRow(cells, product, context);
+    if (product && !updateStock) delete fields.stock;
+
+    if (sku && skuRows.has(sku)) {
+      errors.push(`SKU ${sku} is also on row ${skuRows.get(sku)}`);
+    }
+    if (sku) skuRows.set(sku, row);
+
+    const holder = fields.barcode && barcodes.get(fields.barcode);
+    if (holder && holder.owner !== owner) {
+      errors.push(`Barcode ${fields.barcode} is already used by ${holder.label}`);
+    } else if (fields.barcode) {
+      barcodes.set(fields.barcode, { owner, label: `row ${row}` });
+    }
+
+    if (fields.family) {
+      const label = variantLabel(fields.options);
+      const key = `${fields.family}|${label.toLowerCase()}`;
+      if (variantRows.has(key)) {
+        const family = context.familiesById.get(String(fields.family));
+        errors.push(`${family.name} ${label} is also on row ${variantRows.get(key)}`);
+      }
+      variantRows.set(key, row);
+    }
+
+    const line = {
+      row,
+      sku: sku || product?.sku || "",
+      name: fields.name || product?.name || "",
+      changes: [],
+      errors,
+      fields,
+      product,
+    };
+
+    if (errors.length > 0) {
+      line.action = "error";
+    } else if (!product) {
+      line.action = "create";
+      line.changes = Object.keys(fields);
+    } else {
+      line.changes = Object.keys(fields).filter((field) => differs(product[field], fields[field]));
+      line.action = line.changes.length > 0 ? "update" : "unchanged";
+    }
+    lines.push(line);
+  }
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  for (const line of lines) summary[line.action] += 1;
+  return { lines, summary };
+};
+
+// Helper: a plan line as the API shows it
+const publicLine = ({ row, action, sku, name, changes, errors }) => ({
+  row,
+  action,
+  sku,
+  name,
+  changes,
+  errors,
+});
+
+/**
+ * Preview an import (dry run), or apply it when `commit` is set.
+ * Nothing is saved while any row has errors, and the rows are saved in
+ * one transaction, so a file goes in whole or not at all.
+ *
+ * @param {Object} options { commit, updateStock }
+ * @returns {Promise<{ committed: Boolean, summary: Object, rows: Array }>}
+ */
+const importCatalog = async (supplierId, buffer, { commit = false, updateStock = false } = {}) => {
+  const rows = await readCatalog(buffer);
+  const { lines, summary } = await planImport(supplierId, rows, { updateStock });
+
+  if (!commit) {
+    return { committed: false, summary, rows: lines.map(publicLine) };
+  }
+  if (summary.error > 0) {
+    throw orderError(400, `Fix the ${summary.error} row(s) with errors and upload again`, {
+      summary,
+      rows: lines.map(publicLine),
+    });
+  }
+
+  const supplier = await User.findById(supplierId).select("district");
+  const changed = lines.filter((line) => line.action === "create" || line.action === "update");
+
+  // ✅ SKUs typed into the file, so a number handed out to an earlier row
+  //    never collides with a later row saved in the same transaction
+  const fileSkus = new Set(lines.map((line) => line.sku).filter(Boolean));
+
+  const session = await mongoose.startSession();
+  let current;
+  try {
+    await session.withTransaction(async () => {
+      for (const line of changed) {
+        current = line;
+        // Loaded in the session, so a retried transaction starts clean
+        const product = line.product
+          ? await Product.findById(line.product._id).session(session)
+          : new Product({ supplier: supplierId, district: supplier.district });
+        Object.assign(product, line.fields);
+        if (!product.sku) product.sku = await nextSku(supplierId, fileSkus);
+
+        await product.save({ session });
+        line.sku = product.sku;
+      }
+    });
+  } catch (err) {
+    // Another edit took a SKU / barcode since the preview: nothing was saved
+    if (err.code === 11000 || err.name === "ValidationError") {
+      const reason = err.code === 11000 ? "SKU or barcode already in use" : err.message;
+      throw orderError(409, `Row ${current.row}: ${reason}. Nothing was imported`);
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+
+  return { committed: true, summary, rows: lines.map(publicLine) };
+};
+
+/**
+ * A supplier's whole catalog as a CSV or XLSX file in the import layout.
+ *
+ * @param {"csv"|"xlsx"} format
+ * @returns {Promise<Buffer>}
+ */
+const exportCatalog = async (supplierId, format) => {
+  const products = await Product.find({ supplier: supplierId })
+    .populate("family", "name")
+    .sort({ sku: 1, name: 1 });
+
+  const rows = products.map((product) => [
+    product.sku || "",
+    product.name,
+    product.barcode || "",
+    product.description || "",
+    product.category || "",
+    product.baseUnit || "unit",
+    product.price,
+    product.stock,
+    formatPacks(product.packs),
+    product.vatRate ?? "",
+    product.ssclRate ?? "",
+    product.isActive ? "yes" : "no",
+    product.family?.name || "",
+    formatOptions(product.options),
+  ]);
+
+  if (format === "csv") return Buffer.from(`\uFEFF${toCsv([COLUMNS, ...rows])}`);
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Products");
+  sheet.addRows([COLUMNS, ...rows]);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = { COLUMNS, readCatalog, planImport, importCatalog, exportCatalog };
@@ -0,0 +1,188 @@
+// backend/utils/refunds.js
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const PaymentIntent = require("../models/PaymentIntent");
+const Refund = require("../models/Refund");
+const notify = require("./notify");
+const { orderError } = require("./orderPlacement");
+const { providerName, getProvider } = require("./paymentProviders");
+const { syncPaymentTotals } = require("./payments");
+
+// Orders in these states owe nothing
+const CLOSED_STATUSES = ["Rejected", "Cancelled"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Helper: card payments taken through the provider, newest first
+const cardPayments = (orderId) =>
+  Payment.find({ order: orderId, method: "Card", source: "Checkout" }).sort({ receivedAt: -1 });
+
+const refundableOf = (payments) =>
+  round2(payments.reduce((sum, payment) => sum + payment.amount - (payment.refundedAmount || 0), 0));
+
+// Helper: what is left of an RMA's credit note to refund
+const returnAllowance = async (returnRequestId, creditNote) => {
+  const refunds = await Refund.find({
+    returnRequest: returnRequestId,
+    status: { $in: ["Pending", "Succeeded"] },
+  })
+    .select("amount")
+    .lean();
+  return round2(creditNote.amount - refunds.reduce((sum, refund) => sum + refund.amount, 0));
+};
+
+/**
+ * Send `amount` of one card payment back through its provider.
+ * The amount is reserved on the payment first, so concurrent refunds can
+ * never exceed it; a failed refund gives the reservation back.
+ *
+ * @returns {Promise<Refund|null>} null when the payment was refunded meanwhile
+ */
+const refundPayment = async (payment, amount, data, actor) => {
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      $expr: { $lte: [{ $add: ["$refundedAmount", amount] }, { $add: ["$amount", 0.001] }] },
+    },
+    { $inc: { refundedAmount: amount } }
+  );
+  if (!reserved) return null;
+
+  const intent = await PaymentIntent.findOne({ providerRef: payment.reference }).select(
+    "provider currency"
+  );
+  const refund = await Refund.create({
+    supplier: payment.supplier,
+    supermarket: payment.supermarket,
+    order: payment.order,
+    payment: payment._id,
+    amount,
+    reason: data.reason || "",
+    trigger: data.trigger || "Manual",
+    returnRequest: data.returnRequest,
+    creditNote: data.creditNote?._id,
+    provider: intent?.provider || providerName(),
+    requestedBy: actor?.id,
+  });
+
+  let result;
+  try {
+    result = await getProvider(refund.provider).refund({
+      providerRef: payment.reference,
+      amount,
+      currency: intent?.currency || "LKR",
+      reason: refund.reason,
+    });
+  } catch (err) {
+    result = { status: "Failed", failureReason: err.message };
+  }
+
+  refund.status = result.status === "Succeeded" ? "Succeeded" : "Failed";
+  refund.providerRef = result.refundRef;
+  refund.failureReason = result.failureReason;
+  await refund.save();
+
+  if (refund.status === "Failed") {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -amount } });
+  }
+  return refund;
+};
+
+/**
+ * Refund card money on an order through the payment provider: everything
+ * still refundable when no amount is given, otherwise that much. Drawn
+ * from the order's card payments newest first. Refunds for an RMA are
+ * capped at what is left of its credit note.
+ *
+ * @param {Object} data { amount, reason, trigger, returnRequest, creditNote }
+ * @returns {Promise<Refund[]>} one per payment drawn on (some may have failed)
+ * @throws orderError 400 when there is nothing, or not that much, to refund
+ */
+const refundOrder = async (orderId, data, actor) => {
+  const payments = await cardPayments(orderId);
+  let limit = refundableOf(payments);
+  if (data.creditNote) {
+    limit = Math.min(limit, await returnAllowance(data.returnRequest, data.creditNote));
+  }
+
+  const requested = data.amount ?? "";
+  const amount = requested === "" ? limit : round2(Number(requested));
+  if (limit <= 0) {
+    throw orderError(400, "Nothing left to refund to the buyer's card");
+  }
+  if (!(amount > 0)) {
+    throw orderError(400, "Refund amount must be greater than 0");
+  }
+  if (amount > limit) {
+    throw orderError(400, `Only Rs. ${limit.toLocaleString()} can be refunded`);
+  }
+
+  const refunds = [];
+  let remaining = amount;
+  for (const payment of payments) {
+    const part = round2(Math.min(remaining, payment.amount - (payment.refundedAmount || 0)));
+    if (part <= 0) continue;
+
+    const refund = await refundPayment(payment, part, data, actor);
+    if (!refund) continue;
+    refunds.push(refund);
+    if (refund.status === "Succeeded") remaining = round2(remaining - part);
+    if (remaining <= 0) break;
+  }
+
+  const refunded = round2(amount - remaining);
+  if (refunded > 0) {
+    await syncPaymentTotals(orderId);
+    await notify(payments[0].supermarket, {
+      type: "order",
+      message: `Refund of Rs. ${refunded.toLocaleString()} to your card`,
+      detail: data.reason || "",
+      order: orderId,
+    });
+  }
+  return refunds;
+};
+
+/**
+ * Refund card money the buyer no longer owes: all of it once an order is
+ * rejected or cancelled, the difference when lines are cancelled.
+ * Backorders hold no payments of their own, so the order they split from
+ * is checked against the whole family. Called after status changes;
+ * failures are logged, never thrown (the supplier can retry with
+ * POST /api/refunds).
+ *
+ * @param {String} trigger "Rejection" | "Cancellation" | "Overpayment"
+ * @param {Object} actor req.user, or null for the system
+ */
+const refundExcess = async (order, trigger, actor, reason) => {
+  try {
+    if (order.paymentMethod !== "Card") return;
+
+    const rootId = order.backorderOf || order._id;
+    const family = await Order.find({ $or: [{ _id: rootId }, { backorderOf: rootId }] }).select(
+      "status totalAmount amountPaid amountRefunded"
+    );
+    const root = family.find((member) => member._id.equals(rootId));
+    const due = family
+      .filter((member) => !CLOSED_STATUSES.includes(member.status))
+      .reduce((sum, member) => sum + member.totalAmount, 0);
+    const held = (root.amountPaid || 0) - (root.amountRefunded || 0);
+
+    const payments = await cardPayments(rootId);
+    const excess = round2(Math.min(held - due, refundableOf(payments)));
+    if (excess <= 0) return;
+
+    await refundOrder(rootId, { amount: excess, trigger, reason }, actor);
+
+    // Response shows the new payment status
+    if (rootId.equals(order._id)) {
+      const latest = await Order.findById(rootId).select("paymentStatus amountRefunded");
+      order.paymentStatus = latest.paymentStatus;
+      order.amountRefunded = latest.amountRefunded;
+    }
+  } catch (err) {
+    console.error("Refund error:", err.message);
+  }
+};
+
+module.exports = { refundOrder, refundExcess };
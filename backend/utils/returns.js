@@ -0,0 +1,161 @@
+// backend/utils/returns.js
+const Order = require("../models/Order");
+const ReturnRequest = require("../models/ReturnRequest");
+const { billableQty } = require("./pricing");
+const { releaseStock } = require("./stock");
+const { issueNote } = require("./notes");
+
+// Reasons a supermarket can give for sending goods back
+const RETURN_REASONS = ["DAMAGED", "EXPIRED", "WRONG_ITEM", "QUALITY_ISSUE", "OTHER"];
+
+/**
+ * Units of an order line that reached the buyer.
+ * Orders delivered before shipments were recorded have no shippedQty.
+ */
+const deliveredQty = (item) =>
+  item.shippedQty > 0 ? item.shippedQty : billableQty(item);
+
+// Helper: units per order line on open or approved returns
+const returnsTaken = async (orderId, session = null) => {
+  const open = await ReturnRequest.find({
+    order: orderId,
+    status: { $in: ["Requested", "Approved"] },
+  })
+    .select("lines")
+    .session(session);
+
+  const taken = new Map();
+  for (const rma of open) {
+    for (const line of rma.lines) {
+      const id = line.item.toString();
+      taken.set(id, (taken.get(id) || 0) + line.quantity);
+    }
+  }
+  return taken;
+};
+
+/**
+ * Units per order line that can still be returned:
+ * delivered minus everything already requested or approved.
+ *
+ * @returns {Promise<Map>} order line _id -> quantity
+ */
+const returnableQty = async (order, session = null) => {
+  const taken = await returnsTaken(order._id, session);
+
+  return new Map(
+    order.items.map((item) => [
+      item._id.toString(),
+      Math.max(deliveredQty(item) - (taken.get(item._id.toString()) || 0), 0),
+    ])
+  );
+};
+
+/**
+ * Take the units of new RMA lines off what can still be returned, inside
+ * the caller's transaction (before the RMA is created). Each line's
+ * returnedQty only goes up while it stays within the units delivered, so
+ * two requests sent at once cannot return the same units. Lines from
+ * before returnedQty was kept start from their open returns.
+ *
+ * @returns {Promise<Boolean>} false when a line no longer fits
+ */
+const claimReturnQty = async (order, lines, session) => {
+  const taken = await returnsTaken(order._id, session);
+
+  for (const line of lines) {
+    const item = order.items.id(line.item);
+    await Order.updateOne(
+      {
+        _id: order._id,
+        items: { $elemMatch: { _id: item._id, returnedQty: { $exists: false } } },
+      },
+      { $set: { "items.$.returnedQty": taken.get(item._id.toString()) || 0 } },
+      { session }
+    );
+
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        items: {
+          $elemMatch: {
+            _id: item._id,
+            returnedQty: { $lte: deliveredQty(item) - line.quantity },
+          },
+        },
+      },
+      { $inc: { "items.$.returnedQty": line.quantity } },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) return false;
+  }
+  return true;
+};
+
+/**
+ * Give a rejected return's units back to what can still be returned.
+ */
+const releaseReturnQty = async (rma, session = null) => {
+  for (const line of rma.lines) {
+    await Order.updateOne(
+      {
+        _id: rma.order,
+        items: { $elemMatch: { _id: line.item, returnedQty: { $gte: line.quantity } } },
+      },
+      { $inc: { "items.$.returnedQty": -line.quantity } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Approve a return: optionally put the units back on the shelf and
+ * issue a credit note for the returned lines. Run inside a transaction
+ * so the note number, the stock and the RMA change together.
+ */
+const approveReturn = async (rma, actor, { restock, comment }, session) => {
+  const order = await Order.findById(rma.order).session(session);
+
+  const creditNote = await issueNote(
+    "credit",
+    {
+      order,
+      lines: rma.lines.map((line) => ({
+        item: line.item,
+        product: line.product,
+        name: line.name,
+        quantity: line.quantity,
+        price: line.price,
+        amount: line.amount ?? line.quantity * line.price,
+      })),
+      reasonCode: "RETURN",
+      reason: `Return ${rma.rmaNumber}: ${rma.reason}`,
+      returnRequest: rma._id,
+    },
+    actor,
+    session
+  );
+
+  if (restock) {
+    await releaseStock(rma.lines, session);
+  }
+
+  rma.status = "Approved";
+  rma.restock = Boolean(restock);
+  rma.supplierComment = (comment || "").trim();
+  rma.decidedBy = actor.id;
+  rma.decidedAt = new Date();
+  rma.creditNote = creditNote._id;
+  await rma.save({ session });
+
+  return creditNote;
+};
+
+module.exports = {
+  RETURN_REASONS,
+  deliveredQty,
+  returnableQty,
+  claimReturnQty,
+  releaseReturnQty,
+  approveReturn,
+};
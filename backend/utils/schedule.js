@@ -0,0 +1,91 @@
+// backend/utils/schedule.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest gap any schedule can have (interval max is 365 days)
+const SEARCH_DAYS = 400;
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const daysInMonth = (date) =>
+  new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * Does a standing-order schedule fall on this calendar day?
+ * Monthly schedules on the 29th-31st run on the last day of shorter months.
+ */
+const runsOn = (schedule, day) => {
+  switch (schedule.type) {
+    case "weekly":
+      return (schedule.weekdays || []).includes(day.getDay());
+    case "monthly":
+      return day.getDate() === Math.min(schedule.dayOfMonth, daysInMonth(day));
+    case "interval": {
+      const start = startOfDay(schedule.startDate || day);
+      const diff = Math.round((startOfDay(day) - start) / DAY_MS);
+      return diff >= 0 && diff % schedule.everyDays === 0;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Next run strictly after `after`, at the schedule's hour (server time).
+ * Never before schedule.startDate. Returns null for an unusable schedule.
+ */
+const nextRunDate = (schedule, after = new Date()) => {
+  const from = new Date(
+    Math.max(after.getTime(), new Date(schedule.startDate || after).getTime() - 1)
+  );
+  const day = startOfDay(from);
+
+  for (let i = 0; i <= SEARCH_DAYS; i += 1) {
+    const candidate = new Date(day);
+    candidate.setDate(day.getDate() + i);
+    candidate.setHours(schedule.hour ?? 6, 0, 0, 0);
+
+    if (candidate > from && runsOn(schedule, candidate)) return candidate;
+  }
+  return null;
+};
+
+/**
+ * Validation message for a schedule from the request body, or null if valid.
+ */
+const scheduleError = (schedule) => {
+  if (!schedule || !["weekly", "interval", "monthly"].includes(schedule.type)) {
+    return "Schedule type must be weekly, interval or monthly";
+  }
+  if (
+    schedule.hour !== undefined &&
+    !(Number.isInteger(Number(schedule.hour)) && schedule.hour >= 0 && schedule.hour <= 23)
+  ) {
+    return "Hour must be between 0 and 23";
+  }
+  if (schedule.type === "weekly") {
+    const days = schedule.weekdays || [];
+    if (days.length === 0 || days.some((d) => !Number.isInteger(Number(d)) || d < 0 || d > 6)) {
+      return "Pick at least one weekday (0 = Sunday ... 6 = Saturday)";
+    }
+  }
+  if (schedule.type === "interval") {
+    const n = Number(schedule.everyDays);
+    if (!Number.isInteger(n) || n < 1 || n > 365) {
+      return "Interval must be between 1 and 365 days";
+    }
+  }
+  if (schedule.type === "monthly") {
+    const n = Number(schedule.dayOfMonth);
+    if (!Number.isInteger(n) || n < 1 || n > 31) {
+      return "Day of month must be between 1 and 31";
+    }
+  }
+  return null;
+};
+
+module.exports = { nextRunDate, scheduleError };
@@ -0,0 +1,23 @@
+// backend/utils/sequence.js
+const Counter = require("../models/Counter");
+
+/**
+ * Next number in a series (1, 2, 3 ...).
+ * Pass the caller's session so the increment commits or aborts together
+ * with the document that uses the number; that keeps the series gap-free.
+ */
+const nextSequence = async (key, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+/**
+ * "CN-000042" style document number.
+ */
+const formatNumber = (prefix, seq) => `${prefix}-${String(seq).padStart(6, "0")}`;
+
+module.exports = { nextSequence, formatNumber };
@@ -0,0 +1,157 @@
+// backend/utils/standingOrders.js
+const StandingOrder = require("../models/StandingOrder");
+const { revalidateLines } = require("./cartLines");
+const { placeOrder } = require("./orderPlacement");
+const { nextRunDate } = require("./schedule");
+const notify = require("./notify");
+
+// Run log entries kept per standing order
+const MAX_RUNS = 50;
+
+// Line issues that stop a line from being ordered on this run
+const BLOCKING_ISSUES = {
+  discontinued: "Product no longer exists",
+  inactive: "Product is inactive",
+  outOfDistrict: "Product is not available in your district",
+  outOfStock: "Out of stock",
+  insufficientStock: "Not enough stock",
+};
+
+/**
+ * Place one order from a standing order template.
+ * Lines that cannot be ordered right now are skipped and reported;
+ * the rest go through placeOrder like any other order.
+ *
+ * @param {String} trigger "schedule" | "manual"
+ * @returns {Promise<Object>} the run log entry
+ */
+const runStandingOrder = async (standing, trigger = "schedule") => {
+  const run = { at: new Date(), trigger, skipped: [] };
+
+  const { items } = await revalidateLines(standing.items, standing.district);
+  const lines = [];
+  for (const item of items) {
+    const blocking = item.issues.find((code) => BLOCKING_ISSUES[code]);
+    if (blocking) {
+      run.skipped.push({
+        product: item.product._id,
+        name: item.product.name || "Unknown Product",
+        reason:
+          blocking === "insufficientStock"
+            ? `Only ${item.available} ${item.unitLabel} in stock (wanted ${item.quantity})`
+            : BLOCKING_ISSUES[blocking],
+      });
+      continue;
+    }
+    lines.push({ product: item.product._id, unit: item.unit, quantity: item.quantity });
+  }
+
+  if (lines.length === 0) {
+    run.result = "Skipped";
+    run.message = "No line could be ordered";
+  } else {
+    try {
+      const buyer = {
+        id: standing.supermarket.toString(),
+        role: "supermarket",
+        district: standing.district,
+      };
+      const order = await placeOrder(buyer, {
+        supplierId: standing.supplier,
+        items: lines,
+        deliveryAddress: standing.deliveryAddress,
+        note: standing.note
+          ? `${standing.note} (standing order: ${standing.name})`
+          : `Standing order: ${standing.name}`,
+        // ✅ Card templates saved before Card was refused run as Cash (no one can check out)
+        paymentMethod: standing.paymentMethod === "Card" ? "Cash" : standing.paymentMethod,
+        standingOrder: standing._id,
+      });
+      run.order = order._id;
+      run.result = run.skipped.length > 0 ? "PlacedWithWarnings" : "Placed";
+
+      await notify(standing.supplier, {
+        type: "order",
+        message: `New order #${order._id.toString().slice(-6).toUpperCase()}`,
+        detail: `Standing order "${standing.name}" - ${order.items.length} line(s)`,
+        order: order._id,
+      });
+    } catch (err) {
+      run.result = "Failed";
+      run.message = err.message;
+    }
+  }
+
+  standing.lastRunAt = run.at;
+  standing.runs.push(run);
+  if (standing.runs.length > MAX_RUNS) {
+    standing.runs = standing.runs.slice(-MAX_RUNS);
+  }
+  await standing.save();
+
+  if (run.result !== "Placed") {
+    await notify(standing.supermarket, {
+      type: "alert",
+      message: `Standing order "${standing.name}": ${run.result}`,
+      detail:
+        run.skipped.map((line) => `${line.name}: ${line.reason}`).join("; ") ||
+        run.message,
+      order: run.order,
+    });
+  }
+
+  return standing.runs[standing.runs.length - 1];
+};
+
+/**
+ * Run every Active standing order that is due.
+ * Each one is claimed by moving nextRunAt forward first, so a slow run
+ * or a second server instance cannot place the same order twice.
+ */
+const runDueStandingOrders = async (now = new Date()) => {
+  const due = await StandingOrder.find({
+    status: "Active",
+    nextRunAt: { $lte: now },
+  }).select("_id nextRunAt schedule");
+
+  for (const candidate of due) {
+    const claimed = await StandingOrder.findOneAndUpdate(
+      { _id: candidate._id, status: "Active", nextRunAt: candidate.nextRunAt },
+      { nextRunAt: nextRunDate(candidate.schedule, now) },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      await runStandingOrder(claimed, "schedule");
+    } catch (err) {
+      console.error(`Standing order ${claimed._id} failed:`, err.message);
+    }
+  }
+};
+
+/**
+ * Poll for due standing orders (default every minute).
+ */
+const startStandingOrderScheduler = (intervalMs = 60 * 1000) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueStandingOrders();
+    } catch (err) {
+      console.error("Standing order scheduler error:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(tick, intervalMs);
+};
+
+module.exports = {
+  runStandingOrder,
+  runDueStandingOrders,
+  startStandingOrderScheduler,
+};
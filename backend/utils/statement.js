@@ -0,0 +1,200 @@
+// backend/utils/statement.js
+const Invoice = require("../models/Invoice");
+const CreditNote = require("../models/CreditNote");
+const DebitNote = require("../models/DebitNote");
+const Payment = require("../models/Payment");
+const Refund = require("../models/Refund");
+const User = require("../models/User");
+const { orderError } = require("./orderPlacement");
+const { toCsv } = require("./csv");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const shortId = (id) => `#${id.toString().slice(-6).toUpperCase()}`;
+
+// YYYY-MM-DD in server time, matching how the period is cut
+const localDay = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Same-day entries: charges first, then what reduces them
+const TYPE_ORDER = ["Invoice", "Debit Note", "Credit Note", "Payment", "Refund"];
+
+/**
+ * Statement period from ?from=&to= (YYYY-MM-DD, both days included).
+ * Defaults to the current month up to today.
+ *
+ * @throws orderError 400 on invalid dates
+ */
+const statementPeriod = ({ from, to } = {}, now = new Date()) => {
+  // Plain dates are days in server time, not UTC midnights
+  const parse = (value) => new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+  const start = from ? parse(from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = to ? parse(to) : new Date(now);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw orderError(400, "Invalid statement dates");
+  }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+  if (start > end) {
+    throw orderError(400, "The start date must be before the end date");
+  }
+  return { from: start, to: end };
+};
+
+// Helper: every document that moved the balance up to `to`, as entries
+const loadEntries = async (pair, to) => {
+  const [invoices, debitNotes, creditNotes, payments, refunds] = await Promise.all([
+    Invoice.find({ ...pair, issuedAt: { $lte: to } }).select("number order total issuedAt dueDate").lean(),
+    DebitNote.find({ ...pair, createdAt: { $lte: to } }).select("number order amount reason createdAt").lean(),
+    CreditNote.find({ ...pair, createdAt: { $lte: to } }).select("number order amount reason createdAt").lean(),
+    Payment.find({ ...pair, receivedAt: { $lte: to } })
+      .select("order amount method reference receivedAt")
+      .populate("invoice", "number")
+      .lean(),
+    Refund.find({ ...pair, status: "Succeeded", createdAt: { $lte: to } })
+      .select("order amount reason createdAt")
+      .lean(),
+  ]);
+
+  return [
+    ...invoices.map((doc) => ({
+      date: doc.issuedAt,
+      type: "Invoice",
+      reference: doc.number,
+      order: shortId(doc.order),
+      description: `Due ${localDay(doc.dueDate)}`,
+      debit: doc.total,
+      credit: 0,
+    })),
+    ...debitNotes.map((doc) => ({
+      date: doc.createdAt,
+      type: "Debit Note",
+      reference: doc.number,
+      order: shortId(doc.order),
+      description: doc.reason,
+      debit: doc.amount,
+      credit: 0,
+    })),
+    ...creditNotes.map((doc) => ({
+      date: doc.createdAt,
+      type: "Credit Note",
+      reference: doc.number,
+      order: shortId(doc.order),
+      description: doc.reason,
+      debit: 0,
+      credit: doc.amount,
+    })),
+    ...payments.map((doc) => ({
+      date: doc.receivedAt,
+      type: "Payment",
+      reference: doc.reference || doc.invoice?.number || "",
+      order: shortId(doc.order),
+      description: doc.method,
+      debit: 0,
+      credit: doc.amount,
+    })),
+    ...refunds.map((doc) => ({
+      date: doc.createdAt,
+      type: "Refund",
+      reference: "",
+      order: shortId(doc.order),
+      description: doc.reason || "Refund to card",
+      debit: doc.amount,
+      credit: 0,
+    })),
+  ].sort(
+    (a, b) =>
+      new Date(a.date) - new Date(b.date) || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+  );
+};
+
+// Helper: a party's name and contact for the heading
+const partyOf = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  district: user.district,
+});
+
+/**
+ * Statement of account between a supplier and a buyer: what the buyer
+ * owed at the start of the period, every invoice, note, payment and
+ * refund in it with a running balance, and what is owed at the end.
+ * Positive balances are owed to the supplier. Built from issued
+ * documents only, so both parties always see the same statement.
+ *
+ * @param {Object} period { from, to } from statementPeriod()
+ */
+const buildStatement = async (supplierId, supermarketId, { from, to }) => {
+  const [supplier, buyer] = await Promise.all([
+    User.findById(supplierId).select("name email district"),
+    User.findById(supermarketId).select("name email district"),
+  ]);
+
+  const entries = await loadEntries({ supplier: supplierId, supermarket: supermarketId }, to);
+
+  let balance = 0;
+  const lines = [];
+  for (const entry of entries) {
+    balance = round2(balance + entry.debit - entry.credit);
+    if (new Date(entry.date) >= from) lines.push({ ...entry, balance });
+  }
+  const closingBalance = balance;
+  const totalDebit = round2(lines.reduce((sum, line) => sum + line.debit, 0));
+  const totalCredit = round2(lines.reduce((sum, line) => sum + line.credit, 0));
+
+  return {
+    supplier: partyOf(supplier),
+    buyer: partyOf(buyer),
+    from,
+    to,
+    generatedAt: new Date(),
+    openingBalance: round2(closingBalance - totalDebit + totalCredit),
+    entries: lines,
+    totalDebit,
+    totalCredit,
+    closingBalance,
+  };
+};
+
+/**
+ * The statement as CSV: a heading block, then one row per entry with
+ * the opening and closing balances as rows of their own.
+ */
+const statementCsv = (statement) => {
+  const rows = [
+    ["Statement of Account"],
+    ["Supplier", statement.supplier.name],
+    ["Customer", statement.buyer.name],
+    ["Period", `${localDay(statement.from)} to ${localDay(statement.to)}`],
+    [],
+    ["Date", "Type", "Reference", "Order", "Description", "Debit", "Credit", "Balance"],
+    [localDay(statement.from), "Opening Balance", "", "", "", "", "", statement.openingBalance],
+    ...statement.entries.map((entry) => [
+      localDay(entry.date),
+      entry.type,
+      entry.reference,
+      entry.order,
+      entry.description,
+      entry.debit || "",
+      entry.credit || "",
+      entry.balance,
+    ]),
+    [
+      localDay(statement.to),
+      "Closing Balance",
+      "",
+      "",
+      "",
+      statement.totalDebit,
+      statement.totalCredit,
+      statement.closingBalance,
+    ],
+  ];
+  return toCsv(rows);
+};
+
+module.exports = { localDay, statementPeriod, buildStatement, statementCsv };
@@ -0,0 +1,129 @@
+// backend/utils/statementPdf.js
+const PDFDocument = require("pdfkit");
+const { localDay: day } = require("./statement");
+
+const money = (value) =>
+  `Rs. ${Number(value).toLocaleString("en-LK", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Table columns: [label, x, width, align]
+const COLUMNS = [
+  ["Date", 50, 60, "left"],
+  ["Type", 110, 65, "left"],
+  ["Reference", 175, 80, "left"],
+  ["Order", 255, 55, "left"],
+  ["Debit", 310, 75, "right"],
+  ["Credit", 385, 75, "right"],
+  ["Balance", 460, 85, "right"],
+];
+
+const row = (doc, values, y, font = "Helvetica") => {
+  doc.font(font).fontSize(9);
+  COLUMNS.forEach(([, x, width, align], i) => {
+    doc.text(String(values[i]), x, y, { width, align, lineBreak: false, ellipsis: true });
+  });
+};
+
+/**
+ * Render a statement of account (see utils/statement.js) as a PDF into
+ * a writable stream (e.g. res).
+ */
+const renderStatementPdf = (statement, stream) => {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: {
+      Title: `Statement ${statement.buyer.name} ${day(statement.from)} to ${day(statement.to)}`,
+      Author: statement.supplier.name,
+      CreationDate: statement.generatedAt,
+    },
+  });
+  doc.pipe(stream);
+
+  // --- Header ---
+  doc.font("Helvetica-Bold").fontSize(20).text("STATEMENT OF ACCOUNT", 50, 50);
+  doc.font("Helvetica").fontSize(10);
+  doc.text(`Period: ${day(statement.from)} to ${day(statement.to)}`, 50, 78);
+  doc.text(`Generated: ${day(statement.generatedAt)}`, 350, 78, { width: 195, align: "right" });
+  doc.moveTo(50, 96).lineTo(545, 96).stroke();
+
+  // --- Parties ---
+  const party = (title, p, x) => {
+    doc.font("Helvetica-Bold").fontSize(11).text(title, x, 108);
+    doc.font("Helvetica").fontSize(10);
+    [p.name, p.email, p.district]
+      .filter(Boolean)
+      .forEach((line, i) => doc.text(line, x, 125 + i * 14, { width: 220 }));
+  };
+  party("Supplier", statement.supplier, 50);
+  party("Customer", statement.buyer, 320);
+
+  // --- Entries ---
+  let y = 185;
+  row(doc, COLUMNS.map(([label]) => label), y, "Helvetica-Bold");
+  doc.moveTo(50, y + 14).lineTo(545, y + 14).stroke();
+  y += 20;
+
+  row(doc, [day(statement.from), "Opening balance", "", "", "", "", money(statement.openingBalance)], y, "Helvetica-Bold");
+  y += 16;
+
+  for (const entry of statement.entries) {
+    if (y > 770) {
+      doc.addPage();
+      y = 50;
+    }
+    row(
+      doc,
+      [
+        day(entry.date),
+        entry.type,
+        entry.reference,
+        entry.order,
+        entry.debit ? money(entry.debit) : "",
+        entry.credit ? money(entry.credit) : "",
+        money(entry.balance),
+      ],
+      y
+    );
+    y += 16;
+  }
+  if (statement.entries.length === 0) {
+    doc.font("Helvetica-Oblique").fontSize(9).text("No activity in this period.", 50, y);
+    y += 16;
+  }
+
+  // --- Totals ---
+  if (y > 740) {
+    doc.addPage();
+    y = 50;
+  }
+  doc.moveTo(50, y + 2).lineTo(545, y + 2).stroke();
+  y += 8;
+  row(
+    doc,
+    [
+      day(statement.to),
+      "Closing balance",
+      "",
+      "",
+      money(statement.totalDebit),
+      money(statement.totalCredit),
+      money(statement.closingBalance),
+    ],
+    y,
+    "Helvetica-Bold"
+  );
+
+  doc.font("Helvetica").fontSize(9).fillColor("#555555");
+  doc.text(
+    statement.closingBalance < 0
+      ? "A negative balance is held in the customer's favour."
+      : "Balances are owed to the supplier.",
+    50,
+    y + 30
+  );
+  doc.text("This statement was generated electronically from issued invoices, notes and payments.", 50, y + 45);
+
+  doc.end();
+};
+
+module.exports = { renderStatementPdf };
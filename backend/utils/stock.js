@@ -0,0 +1,79 @@
+// backend/utils/stock.js
+const Product = require("../models/Product");
+const { baseQty } = require("./units");
+
+/**
+ * Reserve stock for order lines.
+ * Each line is a conditional decrement (stock >= quantity) so two concurrent
+ * checkouts can never both take the last units. If any line fails, the lines
+ * already taken are put back and the failed lines are returned.
+ * Line quantities are in the line's pack (`unitSize` base units each);
+ * stock and the failure report are in base units.
+ *
+ * @returns {Promise<Array>} [] on success, otherwise
+ *   [{ product, name, requested, available }]
+ */
+const reserveStock = async (items, session = null) => {
+  const reserved = [];
+  const failed = [];
+
+  for (const item of items) {
+    const quantity = baseQty(item);
+
+    const updated = await Product.findOneAndUpdate(
+      { _id: item.product, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } },
+      { new: true, session }
+    );
+
+    if (updated) {
+      reserved.push({ product: item.product, quantity, unitSize: 1 });
+      continue;
+    }
+
+    const current = await Product.findById(item.product)
+      .select("name stock")
+      .session(session);
+
+    failed.push({
+      product: item.product,
+      name: item.name || current?.name || "Unknown Product",
+      requested: quantity,
+      available: current ? current.stock : 0,
+    });
+  }
+
+  if (failed.length > 0 && reserved.length > 0) {
+    await releaseStock(reserved, session);
+  }
+
+  return failed;
+};
+
+/**
+ * Put reserved units back on the shelf (e.g. order rejected).
+ * Quantities are converted to base units like reserveStock().
+ */
+const releaseStock = async (items, session = null) => {
+  for (const item of items) {
+    const quantity = baseQty(item);
+    if (!(quantity > 0)) continue;
+    await Product.updateOne(
+      { _id: item.product },
+      { $inc: { stock: quantity } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Units of an order line still held for the buyer:
+ * not yet shipped, moved to a backorder or cancelled.
+ */
+const outstandingQty = (item) =>
+  item.quantity -
+  (item.shippedQty || 0) -
+  (item.backorderedQty || 0) -
+  (item.cancelledQty || 0);
+
+module.exports = { reserveStock, releaseStock, outstandingQty };
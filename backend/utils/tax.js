@@ -0,0 +1,100 @@
+// backend/utils/tax.js
+const User = require("../models/User");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A supplier's tax settings as plain rates (percent).
+ * Suppliers that never set anything charge no tax.
+ */
+const taxSettingsOf = (user) => ({
+  vatNumber: user?.tax?.vatNumber || "",
+  pricesIncludeTax: Boolean(user?.tax?.pricesIncludeTax),
+  vatRate: user?.tax?.vatRate || 0,
+  ssclRate: user?.tax?.ssclRate || 0,
+  categoryRates: user?.tax?.categoryRates || [],
+});
+
+/**
+ * Tax settings for several suppliers at once: Map supplierId -> settings.
+ */
+const loadTaxSettings = async (supplierIds, session = null) => {
+  const ids = [...new Set(supplierIds.map(String))];
+  const users = await User.find({ _id: { $in: ids } })
+    .select("tax")
+    .session(session);
+  return new Map(users.map((user) => [user._id.toString(), taxSettingsOf(user)]));
+};
+
+/**
+ * Rates for one product: its own override, else its category's rate,
+ * else the supplier's default.
+ */
+const ratesFor = (product, settings) => {
+  const category = settings.categoryRates.find(
+    (entry) => entry.category.toLowerCase() === (product.category || "").toLowerCase()
+  );
+  const pick = (field) => {
+    if (product[field] !== null && product[field] !== undefined) return product[field];
+    if (category && category[field] !== null && category[field] !== undefined) {
+      return category[field];
+    }
+    return settings[field];
+  };
+
+  return {
+    vatRate: pick("vatRate"),
+    ssclRate: pick("ssclRate"),
+    taxInclusive: settings.pricesIncludeTax,
+  };
+};
+
+/**
+ * Net, SSCL, VAT and gross for `quantity` units of a line.
+ * SSCL is levied on the net value and VAT on net + SSCL.
+ * With inclusive pricing the unit price already contains both taxes.
+ *
+ * @param {Object} line { price, vatRate, ssclRate, taxInclusive }
+ */
+const lineAmounts = (line, quantity) => {
+  const sscl = (line.ssclRate || 0) / 100;
+  const vat = (line.vatRate || 0) / 100;
+  const value = round2(line.price * quantity);
+
+  if (line.taxInclusive) {
+    const netAmount = round2(value / ((1 + sscl) * (1 + vat)));
+    const ssclAmount = round2(netAmount * sscl);
+    return {
+      netAmount,
+      ssclAmount,
+      vatAmount: round2(value - netAmount - ssclAmount),
+      lineTotal: value,
+    };
+  }
+
+  const ssclAmount = round2(value * sscl);
+  const vatAmount = round2((value + ssclAmount) * vat);
+  return {
+    netAmount: value,
+    ssclAmount,
+    vatAmount,
+    lineTotal: round2(value + ssclAmount + vatAmount),
+  };
+};
+
+/**
+ * Subtotal, SSCL, VAT and grand total of priced lines.
+ *
+ * @param {Array} lines [{ netAmount, ssclAmount, vatAmount, lineTotal }]
+ */
+const sumTax = (lines) => {
+  const sum = (field) => round2(lines.reduce((total, line) => total + (line[field] || 0), 0));
+  return {
+    subtotal: sum("netAmount"),
+    ssclTotal: sum("ssclAmount"),
+    vatTotal: sum("vatAmount"),
+    totalAmount: sum("lineTotal"),
+  };
+};
+
+module.exports = { taxSettingsOf, loadTaxSettings, ratesFor, lineAmounts, sumTax };
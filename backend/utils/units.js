@@ -0,0 +1,102 @@
+// backend/utils/units.js
+
+/**
+ * Units of measure. A product's stock and `price` are per base unit
+ * ("unit", "kg", "bottle"); packs ("Case of 24", "25 kg bag") are sold
+ * at their own price and hold `size` base units each.
+ *
+ * Order and cart lines are counted in the pack the buyer chose, so only
+ * stock ever needs converting.
+ */
+
+// Largest number of packs a product can define
+const MAX_PACKS = 10;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * The sellable unit a line asks for: the base unit when `unit` is empty
+ * or names it, otherwise one of the product's packs.
+ *
+ * @returns {{ unit, unitSize, baseUnit, price }|null} null if the product
+ *   has no such pack
+ */
+const packOf = (product, unit) => {
+  const baseUnit = product.baseUnit || "unit";
+  const name = String(unit || "").trim().toLowerCase();
+  if (!name || name === baseUnit.toLowerCase()) {
+    return { unit: baseUnit, unitSize: 1, baseUnit, price: product.price };
+  }
+
+  const pack = (product.packs || []).find((p) => p.name.toLowerCase() === name);
+  if (!pack) return null;
+  return { unit: pack.name, unitSize: pack.size, baseUnit, price: pack.price };
+};
+
+/**
+ * Pack name to store on a cart / template line ("" = base unit).
+ */
+const packName = (item) => ((item.unitSize || 1) === 1 ? "" : item.unit || "");
+
+/**
+ * Base units in `quantity` of a line's unit (stock is kept in base units).
+ */
+const baseQty = (item, quantity = item.quantity) =>
+  round3(Number(quantity) * (item.unitSize || 1));
+
+/**
+ * "Case (24 × bottle)" style label for a line, or just the base unit.
+ */
+const unitLabel = (item) => {
+  const size = item.unitSize || 1;
+  if (size === 1) return item.unit || "";
+  return `${item.unit} (${size} × ${item.baseUnit || "unit"})`;
+};
+
+/**
+ * Validate the pack list from the product form (JSON string or array).
+ *
+ * @returns {{ value: Array|undefined, error: String|null }}
+ *   value is undefined when the field was not sent
+ */
+const parsePacks = (input, baseUnit = "unit") => {
+  if (input === undefined) return { value: undefined, error: null };
+
+  let list = input;
+  if (typeof input === "string") {
+    try {
+      list = input.trim() ? JSON.parse(input) : [];
+    } catch (err) {
+      return { value: undefined, error: "Packs must be a JSON list" };
+    }
+  }
+  if (!Array.isArray(list)) return { value: undefined, error: "Packs must be a list" };
+  if (list.length > MAX_PACKS) {
+    return { value: undefined, error: `A product can have at most ${MAX_PACKS} packs` };
+  }
+
+  const seen = new Set([baseUnit.toLowerCase()]);
+  const packs = [];
+  for (const entry of list) {
+    const name = String(entry?.name || "").trim();
+    const size = Number(entry?.size);
+    const price = Number(entry?.price);
+
+    if (!name) return { value: undefined, error: "Every pack needs a name" };
+    if (seen.has(name.toLowerCase())) {
+      return { value: undefined, error: `Pack "${name}" is listed twice (or is the base unit)` };
+    }
+    if (!Number.isFinite(size) || size <= 1) {
+      return { value: undefined, error: `Pack "${name}" must hold more than one ${baseUnit}` };
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      return { value: undefined, error: `Pack "${name}" needs a price of 0 or more` };
+    }
+
+    seen.add(name.toLowerCase());
+    packs.push({ name, size: round3(size), price });
+  }
+  return { value: packs, error: null };
+};
+
+module.exports = { packOf, packName, baseQty, unitLabel, parsePacks };
@@ -0,0 +1,101 @@
+// backend/utils/variants.js
+const Product = require("../models/Product");
+
+// Most attributes a family can vary by
+const MAX_ATTRIBUTES = 3;
+
+// Helper: JSON string or list from a multipart form
+const parseList = (input) => {
+  if (typeof input !== "string") return input;
+  const text = input.trim();
+  if (!text) return [];
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    // "Size, Flavour" typed by hand
+    return text.split(",");
+  }
+};
+
+/**
+ * Validate a family's attribute names ("Size", "Flavour").
+ *
+ * @returns {{ value: String[]|undefined, error: String|null }}
+ *   value is undefined when the field was not sent
+ */
+const parseAttributes = (input) => {
+  if (input === undefined) return { value: undefined, error: null };
+
+  const list = parseList(input);
+  if (!Array.isArray(list)) return { value: undefined, error: "Attributes must be a list" };
+
+  const names = list.map((name) => String(name || "").trim()).filter(Boolean);
+  if (names.length === 0) {
+    return { value: undefined, error: "Add at least one attribute (e.g. Size)" };
+  }
+  if (names.length > MAX_ATTRIBUTES) {
+    return { value: undefined, error: `A family can vary by at most ${MAX_ATTRIBUTES} attributes` };
+  }
+  if (new Set(names.map((name) => name.toLowerCase())).size !== names.length) {
+    return { value: undefined, error: "Attribute names must be different" };
+  }
+  return { value: names, error: null };
+};
+
+/**
+ * Check a variant's options against its family: exactly one value per
+ * attribute, and no other variant of the family with the same values.
+ * Options come back in the family's attribute order and spelling.
+ *
+ * @param {Object|Array|String} input [{ name, value }] or { Size: "1L" }
+ * @param {ObjectId} productId the variant being edited (excluded from the clash check)
+ * @returns {Promise<{ value: Array|null, error: String|null }>}
+ */
+const parseOptions = async (family, input, productId = null) => {
+  let list = parseList(input ?? []);
+  if (list && !Array.isArray(list) && typeof list === "object") {
+    list = Object.entries(list).map(([name, value]) => ({ name, value }));
+  }
+  if (!Array.isArray(list)) return { value: null, error: "Options must be a list" };
+
+  const given = new Map(
+    list.map((option) => [
+      String(option?.name || "").trim().toLowerCase(),
+      String(option?.value || "").trim(),
+    ])
+  );
+
+  const options = [];
+  for (const name of family.attributes) {
+    const value = given.get(name.toLowerCase());
+    if (!value) return { value: null, error: `Choose a ${name} for this variant` };
+    options.push({ name, value });
+    given.delete(name.toLowerCase());
+  }
+  if (given.size > 0) {
+    return { value: null, error: `${family.name} has no attribute "${[...given.keys()][0]}"` };
+  }
+
+  const siblings = await Product.find({ family: family._id, _id: { $ne: productId } }).select(
+    "options"
+  );
+  const key = variantLabel(options).toLowerCase();
+  if (siblings.some((sibling) => variantLabel(sibling.options).toLowerCase() === key)) {
+    return { value: null, error: `${family.name} already has a ${variantLabel(options)} variant` };
+  }
+  return { value: options, error: null };
+};
+
+/**
+ * "1L · Chocolate": a variant's option values.
+ */
+const variantLabel = (options = []) => options.map((option) => option.value).join(" · ");
+
+/**
+ * Default product name for a variant ("Milk 1L Chocolate"), so orders and
+ * invoices stay readable without the family.
+ */
+const variantName = (family, options) =>
+  [family.name, ...options.map((option) => option.value)].join(" ");
+
+module.exports = { parseAttributes, parseOptions, variantLabel, variantName };
@@ -31,10 +31,17 @@ import SupplierOrders from "./pages/supplier/OrderPage/SupplierOrders";
 import ViewProducts from "./pages/supplier/ProductPage/ViewProducts";
 import SupplierBuyers from "./pages/supplier/SupplierBuyers/SupplierBuyers";
 import SupplierReports from "./pages/supplier/Reports/SupplierReports";
+import SupplierReturns from "./pages/supplier/ReturnsPage/SupplierReturns";
+import SupplierInvoices from "./pages/supplier/InvoicesPage/SupplierInvoices";
+import SupplierReceivables from "./pages/supplier/ReceivablesPage/SupplierReceivables";
+import SupplierStatements from "./pages/supplier/StatementsPage/SupplierStatements";
 
 //  Supermarket Pages (Updated Paths based on Folder Structure)
 import SupermarketDashboard from "./pages/supermarket/SupermarketDashboard";
 import SupermarketMyOrders from "./pages/supermarket/SupermarketMyOrders";
+import SupermarketStandingOrders from "./pages/supermarket/SupermarketStandingOrders";
+import SupermarketPaymentReturn from "./pages/supermarket/SupermarketPaymentReturn";
+import SupermarketStatements from "./pages/supermarket/SupermarketStatements";
 
 // Layout to hide Navbar for specific roles if needed,
 // currently used for general pages
@@ -89,6 +96,21 @@ const AppRoutes = () => {
               path="/supermarket/my-orders"
               element={<SupermarketMyOrders />}
             />
+            {/*  Recurring standing orders */}
+            <Route
+              path="/supermarket/standing-orders"
+              element={<SupermarketStandingOrders />}
+            />
+            {/*  Back from the card payment provider */}
+            <Route
+              path="/supermarket/payment-return"
+              element={<SupermarketPaymentReturn />}
+            />
+            {/*  Statements of account per supplier */}
+            <Route
+              path="/supermarket/statements"
+              element={<SupermarketStatements />}
+            />
           </Route>
 
           {/* Fallback */}
@@ -100,6 +122,10 @@ const AppRoutes = () => {
           <Route path="/supplier/dashboard" element={<SupplierDashboard />} />
           <Route path="/supplier/products" element={<ViewProducts />} />
           <Route path="/supplier/orders" element={<SupplierOrders />} />
+          <Route path="/supplier/returns" element={<SupplierReturns />} />
+          <Route path="/supplier/invoices" element={<SupplierInvoices />} />
+          <Route path="/supplier/receivables" element={<SupplierReceivables />} />
+          <Route path="/supplier/statements" element={<SupplierStatements />} />
           <Route path="/supplier/supermarkets" element={<SupplierBuyers />} />
           <Route path="/supplier/reports" element={<SupplierReports />} />
         </Route>
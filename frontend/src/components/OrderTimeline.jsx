@@ -0,0 +1,48 @@
+// frontend/src/components/OrderTimeline.jsx
+import React from "react";
+import "./OrderTimeline.css";
+
+const STATUS_ICONS = {
+  Pending: "🕒",
+  Accepted: "✅",
+  Dispatched: "🚚",
+  Delivered: "📦",
+  Rejected: "⛔",
+  Cancelled: "🚫",
+};
+
+/**
+ * Tracking timeline built from order.statusHistory.
+ * Orders placed before history was recorded get a single "placed" step.
+ */
+const OrderTimeline = ({ order, dark = false }) => {
+  const history =
+    order?.statusHistory?.length > 0
+      ? order.statusHistory
+      : [{ from: null, to: "Pending", at: order?.createdAt, comment: "Order placed" }];
+
+  return (
+    <ol className={`order-timeline ${dark ? "dark" : ""}`}>
+      {history.map((step, i) => (
+        <li key={step._id || i} className="order-timeline-step">
+          <span className="order-timeline-icon">{STATUS_ICONS[step.to] || "•"}</span>
+          <div className="order-timeline-body">
+            <div className="order-timeline-title">
+              {step.from ? `${step.from} → ${step.to}` : step.to}
+            </div>
+            <div className="order-timeline-meta">
+              {step.at ? new Date(step.at).toLocaleString() : "-"}
+              {step.actor?.name && ` • ${step.actor.name}`}
+              {step.actorRole && ` (${step.actorRole})`}
+            </div>
+            {step.comment && (
+              <div className="order-timeline-comment">{step.comment}</div>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default OrderTimeline;
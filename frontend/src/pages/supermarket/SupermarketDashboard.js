@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom"; // ✅ Added for navigation
 import api from "../../api/axiosInstance"; 
+import { ISSUE_LABELS } from "../../utils/cartIssues";
 
 export default function SupermarketDashboard() {
   const [products, setProducts] = useState([]);
@@ -16,7 +17,11 @@ export default function SupermarketDashboard() {
 
   // ✅ CART
   const [cart, setCart] = useState([]); 
+  const [drafts, setDrafts] = useState([]);
   const [qtyByProduct, setQtyByProduct] = useState({}); 
+  const [unitByProduct, setUnitByProduct] = useState({}); // pack name, "" = base unit
+  const [variantByFamily, setVariantByFamily] = useState({}); // family id -> product id
+  const [photoByProduct, setPhotoByProduct] = useState({}); // product id -> gallery index
 
   // ✅ CHECKOUT
   const [checkoutOpen, setCheckoutOpen] = useState(false);
@@ -26,12 +31,7 @@ export default function SupermarketDashboard() {
 
   // ✅ PAYMENT STATES
   const [paymentMethod, setPaymentMethod] = useState("Cash"); 
-  const [cardDetails, setCardDetails] = useState({
-    number: "",
-    expiry: "",
-    cvc: "",
-    name: ""
-  });
+  const [creditAccounts, setCreditAccounts] = useState([]);
 
   const BASE_URL = "http://localhost:5000";
 
@@ -42,12 +42,16 @@ export default function SupermarketDashboard() {
         setLoading(true);
         setMeLoading(true);
 
-        const [meRes, prodRes] = await Promise.all([
+        const [meRes, prodRes, cartRes, draftsRes] = await Promise.all([
           api.get("/auth/me"),
           api.get("/products"), 
+          api.get("/cart"),
+          api.get("/cart/drafts"),
         ]);
 
         setMe(meRes.data);
+        setCart(toCartLines(cartRes.data));
+        setDrafts(draftsRes.data || []);
         const list = prodRes.data || [];
         setProducts(list);
 
@@ -69,6 +73,14 @@ export default function SupermarketDashboard() {
     loadAll();
   }, []);
 
+  // ✅ Credit terms granted by suppliers (optional, checkout still works without)
+  useEffect(() => {
+    api
+      .get("/credit/accounts")
+      .then((res) => setCreditAccounts(res.data || []))
+      .catch((err) => console.error("CREDIT ERR:", err));
+  }, []);
+
   const fmtLKR = (n) =>
     new Intl.NumberFormat("en-LK", {
       style: "currency",
@@ -86,11 +98,29 @@ export default function SupermarketDashboard() {
   // --------- HELPERS ----------
   const getSupplierId = (p) => p?.supplier?._id || p?.supplier || null;
 
-  const cartSupplierId = useMemo(() => {
-    if (cart.length === 0) return null;
-    return getSupplierId(cart[0].product);
+  // ✅ Cart lines grouped by supplier (one order each at checkout)
+  const cartGroups = useMemo(() => {
+    const groups = new Map();
+    for (const x of cart) {
+      const id = String(getSupplierId(x.product));
+      if (!groups.has(id)) {
+        groups.set(id, { supplierId: id, supplierName: x.product?.supplier?.name || "Supplier", lines: [] });
+      }
+      groups.get(id).lines.push(x);
+    }
+    return [...groups.values()];
   }, [cart]);
 
+  const creditBySupplier = useMemo(
+    () =>
+      new Map(
+        creditAccounts
+          .filter((a) => a.isActive)
+          .map((a) => [String(a.supplier?._id || a.supplier), a])
+      ),
+    [creditAccounts]
+  );
+
   const cartCount = useMemo(
     () => cart.reduce((sum, x) => sum + Number(x.qty || 0), 0),
     [cart]
@@ -100,7 +130,7 @@ export default function SupermarketDashboard() {
     () =>
       cart.reduce(
         (sum, x) =>
-          sum + Number(x.product?.price || 0) * Number(x.qty || 0),
+          sum + Number(x.price || 0) * Number(x.qty || 0),
         0
       ),
     [cart]
@@ -128,7 +158,14 @@ export default function SupermarketDashboard() {
         const name = (p.name || "").toLowerCase();
         const category = (p.category || "").toLowerCase();
         const supplier = (p.supplier?.name || "").toLowerCase();
-        return name.includes(s) || category.includes(s) || supplier.includes(s);
+        const sku = (p.sku || "").toLowerCase();
+        return (
+          name.includes(s) ||
+          category.includes(s) ||
+          supplier.includes(s) ||
+          sku.includes(s) ||
+          p.barcode === s.replace(/[\s-]/g, "")
+        );
       });
     }
 
@@ -156,6 +193,36 @@ export default function SupermarketDashboard() {
     return list;
   }, [products, q, stockFilter, sortBy]);
 
+  // ✅ Variants of one family share a card (at the position of the first match)
+  const cards = useMemo(() => {
+    const list = [];
+    const byFamily = new Map();
+    for (const p of filtered) {
+      const familyId = p.family?._id;
+      if (!familyId) {
+        list.push({ key: p._id, family: null, variants: [p] });
+        continue;
+      }
+      if (!byFamily.has(familyId)) {
+        const card = { key: familyId, family: p.family, variants: [] };
+        byFamily.set(familyId, card);
+        list.push(card);
+      }
+      byFamily.get(familyId).variants.push(p);
+    }
+    return list;
+  }, [filtered]);
+
+  // Pick the variant with `value` for one attribute, keeping the other choices when possible
+  const pickVariant = (card, current, name, value) => {
+    const wanted = Object.fromEntries((current.options || []).map((o) => [o.name, o.value]));
+    wanted[name] = value;
+    const next =
+      card.variants.find((v) => (v.options || []).every((o) => wanted[o.name] === o.value)) ||
+      card.variants.find((v) => (v.options || []).some((o) => o.name === name && o.value === value));
+    if (next) setVariantByFamily((prev) => ({ ...prev, [card.key]: next._id }));
+  };
+
   // --------- QTY Logic ----------
   const setProductQty = (id, qty) => {
     const n = Number(qty);
@@ -173,86 +240,148 @@ export default function SupermarketDashboard() {
       [id]: Math.max(1, Number(prev[id] || 1) - 1),
     }));
 
-  // --------- CART actions ----------
-  const addToCart = (product) => {
+  // --------- CART actions (persisted on the server) ----------
+  const applyCart = (view) => setCart(toCartLines(view));
+
+  const loadDrafts = async () => {
+    try {
+      const res = await api.get("/cart/drafts");
+      setDrafts(res.data || []);
+    } catch (err) {
+      console.error("DRAFTS ERR:", err);
+    }
+  };
+
+  const addToCart = async (product) => {
     const stock = Number(product.stock || 0);
     if (stock <= 0) return alert("Out of stock!");
 
     const supplierId = getSupplierId(product);
     if (!supplierId) return alert("Error: Product has no supplier info.");
 
-    if (cartSupplierId && String(supplierId) !== String(cartSupplierId)) {
-      if(!window.confirm("Cart contains items from another supplier. Clear cart and add this item?")) {
-        return;
-      }
-      setCart([{ product, qty: Number(qtyByProduct[product._id] || 1) }]);
-      return;
-    }
-
-    const addQty = Number(qtyByProduct[product._id] || 1);
+    // ✅ Stock is in base units and shared by every pack of the product
+    const pack = selectedPack(product, unitByProduct[product._id]);
+    const inCart = cart
+      .filter((x) => x.product?._id === product._id)
+      .reduce((sum, x) => sum + x.qty * x.unitSize, 0);
+    const addQty = Math.min(
+      Number(qtyByProduct[product._id] || 1),
+      Math.floor((stock - inCart) / pack.size)
+    );
+    if (addQty <= 0) return alert(`Not enough stock left for another ${pack.label}.`);
 
-    setCart((prev) => {
-      const idx = prev.findIndex((x) => x.product?._id === product._id);
-      if (idx >= 0) {
-        const copy = [...prev];
-        copy[idx] = { ...copy[idx], qty: Math.min(stock, copy[idx].qty + addQty) }; 
-        return copy;
-      }
-      return [...prev, { product, qty: addQty }];
-    });
+    try {
+      const res = await api.post("/cart/items", { product: product._id, unit: pack.key, quantity: addQty });
+      applyCart(res.data);
+    } catch (err) {
+      console.error("CART ERR:", err);
+      alert(err?.response?.data?.message || "Could not add to cart");
+    }
   };
 
-  const updateCartQty = (productId, qty, maxStock) => {
+  const updateCartQty = async (line, qty) => {
     const n = Number(qty);
     if (!Number.isFinite(n)) return;
-    const validQty = Math.min(Math.max(0, n), maxStock);
-    
-    setCart((prev) =>
-      prev
-        .map((x) =>
-          x.product?._id === productId ? { ...x, qty: validQty } : x
-        )
-        .filter((x) => x.qty > 0)
-    );
+    const validQty = Math.min(Math.max(0, Math.floor(n)), Math.max(0, Number(line.available || 0)));
+
+    try {
+      const res = await api.patch(
+        `/cart/items/${line.product._id}`,
+        { quantity: validQty },
+        { params: { unit: line.unit } }
+      );
+      applyCart(res.data);
+    } catch (err) {
+      console.error("CART ERR:", err);
+    }
   };
 
-  const clearCart = () => {
-    setCart([]);
+  const removeCartItem = async (line) => {
+    try {
+      const res = await api.delete(`/cart/items/${line.product._id}`, { params: { unit: line.unit } });
+      applyCart(res.data);
+    } catch (err) {
+      console.error("CART ERR:", err);
+    }
+  };
+
+  const resetCheckout = () => {
     setCheckoutOpen(false);
     setDeliveryAddress("");
     setOrderNote("");
     setPaymentMethod("Cash");
-    setCardDetails({ number: "", expiry: "", cvc: "", name: "" });
+  };
+
+  const clearCart = async () => {
+    try {
+      const res = await api.delete("/cart");
+      applyCart(res.data);
+    } catch (err) {
+      console.error("CART ERR:", err);
+    }
+    resetCheckout();
+  };
+
+  // --------- DRAFTS ----------
+  const saveDraft = async () => {
+    const name = window.prompt("Save this cart as a draft. Draft name:");
+    if (!name || !name.trim()) return;
+
+    try {
+      await api.post("/cart/drafts", { name: name.trim() });
+      await loadDrafts();
+      alert(`✅ Draft "${name.trim()}" saved`);
+    } catch (err) {
+      alert(err?.response?.data?.message || "Could not save draft");
+    }
+  };
+
+  const resumeDraft = async (draft) => {
+    if (cart.length > 0 && !window.confirm(`Replace your current cart with draft "${draft.name}"?`)) {
+      return;
+    }
+    try {
+      const res = await api.post(`/cart/drafts/${draft._id}/resume`);
+      applyCart(res.data);
+    } catch (err) {
+      alert(err?.response?.data?.message || "Could not resume draft");
+    }
+  };
+
+  const deleteDraft = async (draft) => {
+    if (!window.confirm(`Delete draft "${draft.name}"?`)) return;
+    try {
+      await api.delete(`/cart/drafts/${draft._id}`);
+      setDrafts((prev) => prev.filter((d) => d._id !== draft._id));
+    } catch (err) {
+      alert(err?.response?.data?.message || "Could not delete draft");
+    }
   };
 
   // --------- PLACE ORDER ----------
   const placeOrder = async () => {
     if (cart.length === 0) return alert("Cart is empty");
-    
-    const supplierId = cartSupplierId;
-    if (!supplierId) return alert("Supplier missing in cart");
 
     if (!deliveryAddress.trim()) {
       return alert("Please enter delivery address");
     }
 
-    if (paymentMethod === "Card") {
-      if (!cardDetails.number || !cardDetails.expiry || !cardDetails.cvc || !cardDetails.name) {
-        return alert("Please enter valid card details");
+    if (paymentMethod === "Credit") {
+      const noCredit = cartGroups.filter((g) => !creditBySupplier.has(g.supplierId));
+      if (noCredit.length > 0) {
+        return alert(`No credit account with: ${noCredit.map((g) => g.supplierName).join(", ")}`);
       }
     }
 
+    // Prices and totals are calculated by the server
     const itemsPayload = cart.map((x) => ({
       product: x.product._id,
-      name: x.product.name,
+      unit: x.unit,
       quantity: x.qty,
-      price: x.product.price
     }));
 
     const payload = {
-      supplierId: supplierId,
       items: itemsPayload,
-      totalAmount: cartTotal,
       deliveryAddress: deliveryAddress,
       note: orderNote,
       paymentMethod: paymentMethod, 
@@ -260,18 +389,40 @@ export default function SupermarketDashboard() {
 
     try {
       setPlacing(true);
-      
+
+      const res = await api.post("/orders/checkout", payload);
+      const count = res.data?.orders?.length || 0;
+      const placedMsg = count > 1 ? `${count} orders placed (one per supplier).` : "Order Placed Successfully!";
+
+      await clearCart();
       if (paymentMethod === "Card") {
-        await new Promise(resolve => setTimeout(resolve, 2000)); 
+        // ✅ Card details are entered on the payment provider's page, never here
+        const redirectUrl = res.data?.payment?.redirectUrl;
+        if (redirectUrl) {
+          window.location.assign(redirectUrl);
+          return;
+        }
+        alert(`✅ ${placedMsg}\n\nCard payment could not be started. You can pay from My Orders.`);
+        return;
       }
-
-      await api.post("/orders", payload);
-      alert(paymentMethod === "Card" ? "✅ Payment Successful! Order Placed." : "✅ Order Placed Successfully!");
-      
-      clearCart();
+      alert(`✅ ${placedMsg}`);
     } catch (err) {
       console.error("ORDER ERR:", err);
-      alert(err?.response?.data?.message || "Order failed. Please try again.");
+      const failedItems = err?.response?.data?.failedItems || [];
+      const invalidItems = err?.response?.data?.invalidItems || [];
+      if (failedItems.length > 0) {
+        const lines = failedItems
+          .map((f) => `• ${f.name}: requested ${f.requested}, available ${f.available}`)
+          .join("\n");
+        alert(`${err.response.data.message}\n\n${lines}`);
+      } else if (invalidItems.length > 0) {
+        const lines = invalidItems
+          .map((f) => `• ${f.name || "Unknown product"}: ${f.reason}`)
+          .join("\n");
+        alert(`${err.response.data.message}\n\n${lines}`);
+      } else {
+        alert(err?.response?.data?.message || "Order failed. Please try again.");
+      }
     } finally {
       setPlacing(false);
     }
@@ -291,7 +442,7 @@ export default function SupermarketDashboard() {
       <Header
         q={q}
         setQ={setQ}
-        count={filtered.length}
+        count={cards.length}
         me={me}
         meLoading={meLoading}
         cartCount={cartCount}
@@ -335,31 +486,83 @@ export default function SupermarketDashboard() {
         </div>
       ) : (
         <div style={styles.grid}>
-          {filtered.map((p) => {
+          {cards.map((card) => {
+            const p = card.variants.find((v) => v._id === variantByFamily[card.key]) || card.variants[0];
+            const gallery = p.images || [];
+            const photo = gallery[photoByProduct[p._id] || 0] || gallery[0];
+            const image = photo?.card || p.image || card.family?.image;
             const badge = stockBadge(p.stock);
             const selectedQty = Number(qtyByProduct[p._id] || 1);
-            const out = Number(p.stock || 0) <= 0;
+            const packs = packOptions(p);
+            const pack = selectedPack(p, unitByProduct[p._id]);
+            const out = Number(p.stock || 0) < pack.size;
 
             return (
-              <div key={p._id} style={styles.card}>
+              <div key={card.key} style={styles.card}>
                 <div style={styles.imgWrap}>
-                  {p.image ? (
-                    <img src={`${BASE_URL}${p.image}`} alt={p.name} style={styles.img} onError={(e) => {e.target.style.display='none'; e.target.nextSibling.style.display='grid'}} />
+                  {image ? (
+                    <img key={image} src={`${BASE_URL}${image}`} alt={p.name} style={styles.img} onError={(e) => {e.target.style.display='none'; e.target.nextSibling.style.display='grid'}} />
                   ) : null}
-                  <div style={{...styles.noImg, display: p.image ? 'none' : 'grid'}}>No Image</div>
+                  <div style={{...styles.noImg, display: image ? 'none' : 'grid'}}>No Image</div>
                   <div style={{...styles.badge, background: badge.bg, borderColor: badge.bd}}>{badge.text}</div>
+                  {photo && (
+                    <a href={`${BASE_URL}${photo.full}`} target="_blank" rel="noreferrer" style={styles.zoom}>Full size</a>
+                  )}
+                  {gallery.length > 1 && (
+                    <div style={styles.thumbs}>
+                      {gallery.map((g, i) => (
+                        <img
+                          key={g._id}
+                          src={`${BASE_URL}${g.thumb}`}
+                          alt=""
+                          style={{ ...styles.thumb, borderColor: g === photo ? "#10b981" : "transparent" }}
+                          onClick={() => setPhotoByProduct((m) => ({ ...m, [p._id]: i }))}
+                        />
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 <div style={styles.cardBody}>
                   <div style={styles.topRow}>
-                    <div style={styles.title} title={p.name}>{p.name}</div>
-                    <div style={styles.price}>{fmtLKR(p.price)}</div>
+                    <div style={styles.title} title={p.name}>{card.family ? card.family.name : p.name}</div>
+                    <div style={styles.price}>{fmtLKR(pack.price)}</div>
                   </div>
 
+                  {card.family && (
+                    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 8 }}>
+                      {card.family.attributes.map((name) => {
+                        const values = [...new Set(card.variants.map((v) => v.options?.find((o) => o.name === name)?.value).filter(Boolean))];
+                        const current = p.options?.find((o) => o.name === name)?.value || "";
+                        return values.length > 1 ? (
+                          <select key={name} style={{ ...styles.select, flex: 1 }} value={current} onChange={(e) => pickVariant(card, p, name, e.target.value)} title={name}>
+                            {values.map((value) => (
+                              <option key={value} value={value}>{name}: {value}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span key={name} style={styles.variantTag}>{name}: {current}</span>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {packs.length > 1 && (
+                    <select
+                      style={{ ...styles.select, width: "100%", marginBottom: 8 }}
+                      value={pack.key}
+                      onChange={(e) => setUnitByProduct((prev) => ({ ...prev, [p._id]: e.target.value }))}
+                    >
+                      {packs.map((o) => (
+                        <option key={o.key} value={o.key}>{o.label} — {fmtLKR(o.price)}</option>
+                      ))}
+                    </select>
+                  )}
+
                   <div style={styles.meta}>
                     <div style={styles.metaRow}><span style={styles.metaLabel}>Supplier</span><span style={styles.metaValue}>{p.supplier?.name || "-"}</span></div>
                     <div style={styles.metaRow}><span style={styles.metaLabel}>Category</span><span style={styles.metaValue}>{p.category || "-"}</span></div>
-                    <div style={styles.metaRow}><span style={styles.metaLabel}>Stock</span><span style={styles.metaValue}>{p.stock}</span></div>
+                    <div style={styles.metaRow}><span style={styles.metaLabel}>Stock</span><span style={styles.metaValue}>{p.stock} {p.baseUnit || "unit"}</span></div>
                   </div>
 
                   <div style={styles.cartRow}>
@@ -385,15 +588,53 @@ export default function SupermarketDashboard() {
               <button style={styles.modalClose} onClick={() => setCheckoutOpen(false)}>✕</button>
             </div>
 
+            {drafts.length > 0 && (
+              <div style={styles.draftsBox}>
+                <div style={styles.label}>Saved drafts</div>
+                {drafts.map((d) => (
+                  <div key={d._id} style={styles.draftRow}>
+                    <div style={{ flex: 1 }}>
+                      <div style={{ fontWeight: 700 }}>{d.name}</div>
+                      <div style={{ color: "#94a3b8", fontSize: 12 }}>{d.lineCount} lines • {new Date(d.updatedAt).toLocaleDateString()}</div>
+                    </div>
+                    <button style={styles.resetBtn} onClick={() => resumeDraft(d)}>Resume</button>
+                    <button style={styles.removeBtn} onClick={() => deleteDraft(d)} title="Delete draft">✕</button>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {cart.length === 0 ? (
               <div style={{ color: "#94a3b8", padding: 20, textAlign: 'center' }}>Cart is empty.</div>
             ) : (
               <>
                 <div style={styles.cartTable}>
-                  {cart.map((x) => (
-                    <div key={x.product._id} style={styles.cartItemRow}>
-                      <div style={{ flex: 1 }}><div style={{ fontWeight: 800 }}>{x.product.name}</div><div style={{ color: "#94a3b8", fontSize: 12 }}>{fmtLKR(x.product.price)} each</div></div>
-                      <input style={styles.cartQty} type="number" min={1} max={x.product.stock} value={x.qty} onChange={(e) => updateCartQty(x.product._id, e.target.value, x.product.stock)} />
+                  {cartGroups.length > 1 && (
+                    <div style={styles.splitNote}>This cart will be split into <b>{cartGroups.length}</b> orders, one per supplier.</div>
+                  )}
+                  {cartGroups.map((g) => (
+                    <div key={g.supplierId}>
+                      <div style={styles.groupHead}>{g.supplierName}</div>
+                      {g.lines.map((x) => (
+                        <div key={`${x.product._id}-${x.unit}`} style={styles.cartItemRow}>
+                          <div style={{ flex: 1 }}>
+                            <div style={{ fontWeight: 800 }}>{x.product.name}</div>
+                            <div style={{ color: "#94a3b8", fontSize: 12 }}>
+                              {fmtLKR(x.price)} per {x.unitLabel || "unit"}
+                              {x.unitSize > 1 && ` (${x.unitSize} ${x.product.baseUnit || "unit"})`}
+                            </div>
+                            {x.issues.length > 0 && (
+                              <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 4 }}>
+                                {x.issues.map((code) => (
+                                  <span key={code} style={styles.issueTag}>{ISSUE_LABELS[code] || code}</span>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                          <input style={styles.cartQty} type="number" min={1} max={x.available} value={x.qty} onChange={(e) => updateCartQty(x, e.target.value)} />
+                          <button style={styles.removeBtn} onClick={() => removeCartItem(x)} title="Remove">✕</button>
+                        </div>
+                      ))}
                     </div>
                   ))}
                 </div>
@@ -414,22 +655,42 @@ export default function SupermarketDashboard() {
                   <div style={{ display: 'flex', gap: 10 }}>
                     <button style={{...styles.payBtn, background: paymentMethod === "Cash" ? "#3b82f6" : "#1f2937", border: paymentMethod === "Cash" ? "1px solid #60a5fa" : "1px solid #374151"}} onClick={() => setPaymentMethod("Cash")}>💵 Cash on Delivery</button>
                     <button style={{...styles.payBtn, background: paymentMethod === "Card" ? "#3b82f6" : "#1f2937", border: paymentMethod === "Card" ? "1px solid #60a5fa" : "1px solid #374151"}} onClick={() => setPaymentMethod("Card")}>💳 Credit / Debit Card</button>
+                    {creditBySupplier.size > 0 && (
+                      <button style={{...styles.payBtn, background: paymentMethod === "Credit" ? "#3b82f6" : "#1f2937", border: paymentMethod === "Credit" ? "1px solid #60a5fa" : "1px solid #374151"}} onClick={() => setPaymentMethod("Credit")}>🧾 On Account</button>
+                    )}
                   </div>
                 </div>
 
-                {paymentMethod === "Card" && (
+                {paymentMethod === "Credit" && (
                   <div style={styles.cardForm}>
-                    <input style={styles.input} placeholder="Card Number" maxLength={19} value={cardDetails.number} onChange={(e) => setCardDetails({...cardDetails, number: e.target.value})} />
-                    <div style={{ display: 'flex', gap: 10, marginTop: 10 }}>
-                      <input style={styles.input} placeholder="MM/YY" maxLength={5} value={cardDetails.expiry} onChange={(e) => setCardDetails({...cardDetails, expiry: e.target.value})} />
-                      <input style={styles.input} placeholder="CVC" maxLength={3} value={cardDetails.cvc} onChange={(e) => setCardDetails({...cardDetails, cvc: e.target.value})} />
-                    </div>
-                    <input style={{...styles.input, marginTop: 10}} placeholder="Cardholder Name" value={cardDetails.name} onChange={(e) => setCardDetails({...cardDetails, name: e.target.value})} />
+                    {cartGroups.map((g) => {
+                      const account = creditBySupplier.get(g.supplierId);
+                      return (
+                        <div key={g.supplierId} style={styles.creditRow}>
+                          <span>{g.supplierName}</span>
+                          <span style={{ color: account ? "#94a3b8" : "#f87171" }}>
+                            {account
+                              ? `${fmtLKR(account.available)} available · Net ${account.termsDays}`
+                              : "No credit account"}
+                          </span>
+                        </div>
+                      );
+                    })}
+                    <div style={{ color: "#94a3b8", fontSize: 12, marginTop: 6 }}>Invoices are due after each supplier's payment terms. Orders over your available credit are refused.</div>
+                  </div>
+                )}
+
+                {paymentMethod === "Card" && (
+                  <div style={{ ...styles.cardForm, color: "#94a3b8", fontSize: 13 }}>
+                    🔒 After placing the order you will be taken to the secure payment page to enter your card. Orders stay unpaid until the payment is confirmed.
                   </div>
                 )}
 
                 <div style={styles.modalFoot}>
-                  <button style={styles.resetBtn} onClick={clearCart} disabled={placing}>Clear Cart</button>
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button style={styles.resetBtn} onClick={clearCart} disabled={placing}>Clear Cart</button>
+                    <button style={styles.resetBtn} onClick={saveDraft} disabled={placing}>Save Draft</button>
+                  </div>
                   <button style={{ ...styles.addBtn, padding: "10px 14px" }} onClick={placeOrder} disabled={placing}>
                     {placing ? "Processing..." : "Place Order"}
                   </button>
@@ -443,6 +704,38 @@ export default function SupermarketDashboard() {
   );
 }
 
+// Server cart view -> local cart lines
+function toCartLines(view) {
+  return (view?.items || []).map((x) => ({
+    product: { ...x.product, name: x.product?.name || "Discontinued product" },
+    unit: x.unit || "",
+    unitLabel: x.unitLabel,
+    unitSize: x.unitSize || 1,
+    price: x.price,
+    available: x.available,
+    qty: x.quantity,
+    issues: x.issues || [],
+  }));
+}
+
+// Sellable units of a product: the base unit, then its packs
+function packOptions(p) {
+  return [
+    { key: "", label: p.baseUnit || "unit", size: 1, price: p.price },
+    ...(p.packs || []).map((pack) => ({
+      key: pack.name,
+      label: `${pack.name} (${pack.size} ${p.baseUnit || "unit"})`,
+      size: pack.size,
+      price: pack.price,
+    })),
+  ];
+}
+
+function selectedPack(p, key = "") {
+  const options = packOptions(p);
+  return options.find((o) => o.key === key) || options[0];
+}
+
 // ✅ Updated Header with Navigatio
 function Header({ q, setQ, count, me, meLoading, cartCount, onCart }) {
   const navigate = useNavigate(); 
@@ -450,7 +743,7 @@ function Header({ q, setQ, count, me, meLoading, cartCount, onCart }) {
   return (
     <div style={styles.header}>
       <div><div style={styles.hTitle}>Supermarket Dashboard</div><div style={styles.hSub}>Showing <b>{count}</b> products in <b>{me?.district || "your district"}</b></div></div>
-      <div style={styles.searchWrap}><span style={styles.searchIcon}>🔍</span><input value={q} onChange={(e) => setQ(e.target.value)} placeholder="Search products..." style={styles.search} /></div>
+      <div style={styles.searchWrap}><span style={styles.searchIcon}>🔍</span><input value={q} onChange={(e) => setQ(e.target.value)} placeholder="Search name, SKU or barcode..." style={styles.search} /></div>
       <div style={styles.profileMini}>
         <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
           {meLoading ? <div style={{ color: "#94a3b8", fontSize: 13 }}>Loading...</div> : me ? <div><div style={styles.profileMiniName}>{me.name}</div><div style={styles.profileMiniEmail}>{me.district}</div></div> : <div style={{ color: "#94a3b8", fontSize: 13 }}>No profile</div>}
@@ -461,6 +754,14 @@ function Header({ q, setQ, count, me, meLoading, cartCount, onCart }) {
           📦 My Orders
         </button>
 
+        <button style={{...styles.cartBtn, background: '#0ea5e9'}} onClick={() => navigate('/supermarket/standing-orders')}>
+          🔁 Standing Orders
+        </button>
+
+        <button style={{...styles.cartBtn, background: '#0f766e'}} onClick={() => navigate('/supermarket/statements')}>
+          📒 Statements
+        </button>
+
         <button style={styles.cartBtn} onClick={onCart}>🧺 Cart <b>({cartCount})</b></button>
       </div>
     </div>
@@ -494,6 +795,9 @@ const styles = {
   imgWrap: { position: "relative", height: 180, background: "#1f2937" },
   img: { width: "100%", height: "100%", objectFit: "cover" },
   noImg: { height: "100%", display: "grid", placeItems: "center", color: "#6b7280", fontSize: 13 },
+  thumbs: { position: "absolute", left: 8, bottom: 8, display: "flex", gap: 4 },
+  thumb: { width: 32, height: 32, objectFit: "cover", borderRadius: 4, border: "2px solid transparent", cursor: "pointer" },
+  zoom: { position: "absolute", right: 8, bottom: 8, fontSize: 11, color: "#e5e7eb", background: "rgba(0,0,0,0.5)", borderRadius: 4, padding: "2px 6px", textDecoration: "none" },
   badge: { position: "absolute", top: 10, left: 10, fontSize: 11, padding: "4px 8px", borderRadius: 4, color: "#fff", fontWeight: 600, textTransform: 'uppercase' },
   cardBody: { padding: 16 },
   topRow: { display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 10, marginBottom: 12 },
@@ -518,6 +822,13 @@ const styles = {
   modalClose: { background: "transparent", color: "#9ca3af", border: "none", cursor: "pointer", fontSize: 20 },
   cartTable: { padding: 20, overflowY: 'auto', flex: 1 },
   cartItemRow: { display: "flex", gap: 12, alignItems: "center", padding: "12px 0", borderBottom: '1px solid #374151' },
+  splitNote: { fontSize: 12, color: "#93c5fd", background: "rgba(59,130,246,0.1)", border: "1px solid rgba(59,130,246,0.3)", borderRadius: 8, padding: "8px 12px", marginBottom: 8 },
+  groupHead: { fontSize: 12, fontWeight: 700, color: "#94a3b8", textTransform: "uppercase", letterSpacing: 0.5, paddingTop: 12 },
+  variantTag: { fontSize: 12, color: "#cbd5e1", background: "rgba(148,163,184,0.12)", border: "1px solid rgba(148,163,184,0.35)", borderRadius: 4, padding: "2px 8px" },
+  issueTag: { fontSize: 11, color: "#fca5a5", background: "rgba(239,68,68,0.12)", border: "1px solid rgba(239,68,68,0.35)", borderRadius: 4, padding: "1px 6px" },
+  removeBtn: { background: "transparent", color: "#9ca3af", border: "none", cursor: "pointer", fontSize: 14, padding: 4 },
+  draftsBox: { padding: "16px 20px 0" },
+  draftRow: { display: "flex", gap: 8, alignItems: "center", padding: "8px 0", borderBottom: "1px solid #374151" },
   cartQty: { width: 60, padding: 6, borderRadius: 6, border: "1px solid #374151", background: "#0b1220", color: "#e5e7eb", textAlign: "center" },
   formGroup: { padding: "0 20px 16px" },
   label: { display: "block", fontSize: 13, color: "#9ca3af", marginBottom: 6, fontWeight: 500 },
@@ -525,5 +836,6 @@ const styles = {
   input: { width: "100%", height: 42, borderRadius: 8, border: "1px solid #374151", background: "#0b1220", color: "#e5e7eb", padding: "0 12px", outline: "none" },
   modalFoot: { padding: 20, display: "flex", justifyContent: "space-between", gap: 12, borderTop: "1px solid #374151", background: '#1f2937' },
   payBtn: { flex: 1, padding: 10, borderRadius: 8, color: 'white', cursor: 'pointer', fontWeight: 600, transition: 'background 0.2s', fontSize: 13 },
-  cardForm: { background: 'rgba(255,255,255,0.05)', padding: 15, borderRadius: 8, marginBottom: 15, margin: '0 20px', border: '1px solid #374151' }
+  cardForm: { background: 'rgba(255,255,255,0.05)', padding: 15, borderRadius: 8, marginBottom: 15, margin: '0 20px', border: '1px solid #374151' },
+  creditRow: { display: 'flex', justifyContent: 'space-between', gap: 10, fontSize: 13, padding: '4px 0' }
 };
\ No newline at end of file
@@ -1,15 +1,61 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import api from "../../api/axiosInstance"; // Path එක වැරදුනොත් ../ හෝ ../../ දාලා බලන්න
-import { generateInvoice } from "../../utils/invoiceGenerator"; 
+import { downloadInvoice } from "../../utils/invoiceDownload";
+import OrderTimeline from "../../components/OrderTimeline";
+import { ISSUE_LABELS } from "../../utils/cartIssues";
 
 export default function SupermarketMyOrders() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
 
+  const [returns, setReturns] = useState([]);
+  const [notes, setNotes] = useState([]);
+
   useEffect(() => {
     fetchMyOrders();
+    fetchMyReturns();
+    fetchMyNotes();
   }, []);
 
+  const fetchMyNotes = async () => {
+    try {
+      const res = await api.get("/notes");
+      setNotes(res.data);
+    } catch (err) {
+      console.error("Error loading notes:", err);
+    }
+  };
+
+  const notesByOrder = useMemo(() => {
+    const map = new Map();
+    for (const note of notes) {
+      const id = String(note.order);
+      if (!map.has(id)) map.set(id, []);
+      map.get(id).push(note);
+    }
+    return map;
+  }, [notes]);
+
+  const fetchMyReturns = async () => {
+    try {
+      const res = await api.get("/returns/my");
+      setReturns(res.data);
+    } catch (err) {
+      console.error("Error loading returns:", err);
+    }
+  };
+
+  const returnsByOrder = useMemo(() => {
+    const map = new Map();
+    for (const rma of returns) {
+      const id = String(rma.order);
+      if (!map.has(id)) map.set(id, []);
+      map.get(id).push(rma);
+    }
+    return map;
+  }, [returns]);
+
   const fetchMyOrders = async () => {
     try {
       setLoading(true);
@@ -22,17 +68,58 @@ export default function SupermarketMyOrders() {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch(status) {
-        case "Pending": return "#eab308"; // Yellow
-        case "Accepted": return "#3b82f6"; // Blue
-        case "Shipped": return "#8b5cf6"; // Purple
-        case "Delivered": return "#22c55e"; // Green
-        case "Rejected": return "#ef4444"; // Red
-        default: return "#6b7280";
+  // Merge fields from an API response without losing populated refs
+  const patchOrder = async (updated) => {
+    let statusHistory = updated.statusHistory;
+    try {
+      const res = await api.get(`/orders/${updated._id}/history`);
+      statusHistory = res.data.history;
+    } catch (err) {
+      console.error("Error loading history:", err);
     }
+
+    setOrders((prev) =>
+      prev.map((o) =>
+        o._id === updated._id
+          ? {
+              ...o,
+              status: updated.status,
+              cancellation: updated.cancellation,
+              items: updated.items,
+              totalAmount: updated.totalAmount,
+              subtotal: updated.subtotal,
+              vatTotal: updated.vatTotal,
+              ssclTotal: updated.ssclTotal,
+              deliveryAddress: updated.deliveryAddress,
+              note: updated.note,
+              version: updated.version,
+              amendments: updated.amendments,
+              statusHistory,
+            }
+          : o
+      )
+    );
   };
 
+  // ✅ Orders from one checkout are shown together (newest first)
+  const groups = useMemo(() => {
+    const list = [];
+    const byGroup = new Map();
+    for (const order of orders) {
+      if (!order.checkoutGroup) {
+        list.push({ key: order._id, checkoutGroup: null, orders: [order] });
+        continue;
+      }
+      if (!byGroup.has(order.checkoutGroup)) {
+        const group = { key: order.checkoutGroup, checkoutGroup: order.checkoutGroup, orders: [] };
+        byGroup.set(order.checkoutGroup, group);
+        list.push(group);
+      }
+      byGroup.get(order.checkoutGroup).orders.push(order);
+    }
+    return list;
+  }, [orders]);
+
   return (
     <div style={{ padding: "30px", background: "#0b1220", minHeight: "100vh", color: "#fff", fontFamily: "'Inter', sans-serif" }}>
       <h1 style={{ fontSize: "28px", fontWeight: "bold", marginBottom: "30px", borderBottom: "1px solid #374151", paddingBottom: "10px" }}>
@@ -48,100 +135,735 @@ export default function SupermarketMyOrders() {
         </div>
       ) : (
         <div style={{ display: "grid", gap: "20px" }}>
-          {orders.map((order) => (
-            <div key={order._id} style={{ 
-                background: "#1f2937", 
-                padding: "20px", 
-                borderRadius: "16px", 
-                border: "1px solid #374151",
-                boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1)"
-            }}>
-              
-              {/* Header Row */}
-              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: "15px", flexWrap: "wrap", gap: "10px" }}>
-                <div>
-                    <div style={{ fontSize: "18px", fontWeight: "bold", color: "#f3f4f6" }}>
-                        Order #{order._id.slice(-6)}
-                    </div>
-                    <div style={{ color: "#9ca3af", fontSize: "13px", marginTop: "4px" }}>
-                        Placed on: {new Date(order.createdAt).toLocaleDateString()}
-                    </div>
+          {groups.map((group) =>
+            group.orders.length > 1 ? (
+              <div key={group.key} style={{ border: "1px dashed #4b5563", borderRadius: "18px", padding: "14px" }}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px", flexWrap: "wrap", gap: "10px" }}>
+                  <div style={{ fontSize: "15px", fontWeight: "bold", color: "#c7d2fe" }}>
+                    🧾 Checkout #{String(group.checkoutGroup).slice(-6)}
+                    <span style={{ color: "#9ca3af", fontWeight: "normal", marginLeft: "8px" }}>
+                      {group.orders.length} orders
+                    </span>
+                  </div>
+                  <div style={{ fontSize: "15px", fontWeight: "bold", color: "#34d399" }}>
+                    Rs. {group.orders.reduce((sum, o) => sum + (o.totalAmount || 0), 0).toLocaleString()}
+                  </div>
                 </div>
-                
-                <div style={{ textAlign: "right" }}>
-                    <div style={{ 
-                        background: getStatusColor(order.status),
-                        color: "#fff",
-                        padding: "6px 12px",
-                        borderRadius: "20px",
-                        fontSize: "12px",
-                        fontWeight: "bold",
-                        display: "inline-block",
-                        textTransform: "uppercase",
-                        letterSpacing: "0.5px"
-                    }}>
-                        {order.status}
-                    </div>
-                    <div style={{ marginTop: "8px", fontSize: "13px", color: order.paymentStatus === 'Paid' ? '#4ade80' : '#facc15' }}>
-                        Payment: {order.paymentStatus}
-                    </div>
+                <div style={{ display: "grid", gap: "12px" }}>
+                  {group.orders.map((order) => (
+                    <OrderCard key={order._id} order={order} onChanged={patchOrder} returns={returnsByOrder.get(order._id) || []} notes={notesByOrder.get(order._id) || []} onReturned={fetchMyReturns} />
+                  ))}
                 </div>
               </div>
+            ) : (
+              <OrderCard key={group.key} order={group.orders[0]} onChanged={patchOrder} returns={returnsByOrder.get(group.key) || []} notes={notesByOrder.get(group.key) || []} onReturned={fetchMyReturns} />
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
 
-              <hr style={{ borderColor: "#374151", marginBottom: "15px" }} />
-
-              {/* Items & Supplier Info */}
-              <div style={{ display: "flex", justifyContent: "space-between", flexWrap: "wrap", gap: "20px" }}>
-                
-                <div style={{ flex: 1 }}>
-                    <div style={{ fontSize: "14px", color: "#9ca3af", marginBottom: "8px" }}>Supplier: <span style={{color: "#fff", fontWeight: "600"}}>{order.supplier?.name || "Unknown"}</span></div>
-                    
-                    <div style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
-                        {order.items.map((item, i) => (
-                            <span key={i} style={{ 
-                                background: "#374151", 
-                                padding: "4px 10px", 
-                                borderRadius: "6px", 
-                                fontSize: "13px", 
-                                color: "#e5e7eb" 
-                            }}>
-                                {item.name} <span style={{color: "#9ca3af"}}>x{item.quantity}</span>
-                            </span>
-                        ))}
-                    </div>
+const getStatusColor = (status) => {
+  switch(status) {
+      case "Pending": return "#eab308"; // Yellow
+      case "Accepted": return "#3b82f6"; // Blue
+      case "PartiallyDispatched": return "#0ea5e9"; // Sky
+      case "Dispatched": return "#8b5cf6"; // Purple
+      case "Shipped": return "#8b5cf6"; // Purple
+      case "Delivered": return "#22c55e"; // Green
+      case "Rejected": return "#ef4444"; // Red
+      case "Cancelled": return "#6b7280"; // Gray
+      default: return "#6b7280";
+  }
+};
+
+// ✅ Must match CANCEL_REASONS in backend/utils/orderStatus.js
+const CANCEL_REASONS = [
+  { code: "ORDERED_BY_MISTAKE", label: "Ordered by mistake" },
+  { code: "DUPLICATE_ORDER", label: "Duplicate order" },
+  { code: "WRONG_ITEMS_OR_QUANTITY", label: "Wrong items or quantity" },
+  { code: "NO_LONGER_NEEDED", label: "No longer needed" },
+  { code: "DELIVERY_TOO_LATE", label: "Delivery would be too late" },
+  { code: "OTHER", label: "Other" },
+];
+
+const reasonLabel = (code) =>
+  CANCEL_REASONS.find((r) => r.code === code)?.label || code;
+
+const inputStyle = { padding: "8px", borderRadius: "8px", background: "#1f2937", color: "#fff", border: "1px solid #374151" };
+
+// ✅ Must match RETURN_REASONS in backend/utils/returns.js
+const RETURN_REASONS = [
+  { code: "DAMAGED", label: "Damaged" },
+  { code: "EXPIRED", label: "Expired" },
+  { code: "WRONG_ITEM", label: "Wrong item" },
+  { code: "QUALITY_ISSUE", label: "Quality issue" },
+  { code: "OTHER", label: "Other" },
+];
+
+const RETURN_COLORS = { Requested: "#eab308", Approved: "#22c55e", Rejected: "#ef4444" };
+
+// Units of a line that reached the store (older orders have no shipments)
+const deliveredQty = (item) =>
+  item.shippedQty > 0
+    ? item.shippedQty
+    : item.quantity - (item.backorderedQty || 0) - (item.cancelledQty || 0);
+
+// Summary of a reorder: what was left out and what needs a look
+const reorderReport = (data) => {
+  const lines = [];
+  for (const line of data.skipped || []) {
+    lines.push(`✕ ${line.name}: ${line.issues.map((c) => ISSUE_LABELS[c] || c).join(", ")}`);
+  }
+  for (const line of data.added || []) {
+    const notes = line.issues.map((code) =>
+      code === "priceChanged"
+        ? `price Rs. ${line.previousPrice} → Rs. ${line.price}`
+        : code === "insufficientStock"
+        ? `only ${line.available} in stock`
+        : ISSUE_LABELS[code] || code
+    );
+    if (notes.length) lines.push(`! ${line.name}: ${notes.join(", ")}`);
+  }
+  return lines;
+};
+
+function OrderCard({ order, onChanged, returns, notes, onReturned }) {
+  const [cancelOpen, setCancelOpen] = useState(false);
+  const [reasonCode, setReasonCode] = useState("");
+  const [reasonNote, setReasonNote] = useState("");
+  const [cancelling, setCancelling] = useState(false);
+  const [trackOpen, setTrackOpen] = useState(false);
+  const [reorderOpen, setReorderOpen] = useState(false);
+  const [draftName, setDraftName] = useState("");
+  const [reordering, setReordering] = useState(false);
+  const navigate = useNavigate();
+  const [returnOpen, setReturnOpen] = useState(false);
+  const [returnQty, setReturnQty] = useState({});
+  const [returnReason, setReturnReason] = useState("");
+  const [returnNote, setReturnNote] = useState("");
+  const [returnPhotos, setReturnPhotos] = useState([]);
+  const [returning, setReturning] = useState(false);
+
+  // Units still returnable per line (delivered minus open/approved returns)
+  const returnable = (item) => {
+    const taken = returns
+      .filter((r) => r.status !== "Rejected")
+      .flatMap((r) => r.lines)
+      .filter((l) => l.item === item._id)
+      .reduce((sum, l) => sum + l.quantity, 0);
+    return Math.max(deliveredQty(item) - taken, 0);
+  };
+  const [amendOpen, setAmendOpen] = useState(false);
+  const [amendLines, setAmendLines] = useState([]);
+  const [amendAddress, setAmendAddress] = useState("");
+  const [amendNote, setAmendNote] = useState("");
+  const [catalog, setCatalog] = useState([]);
+  const [addProductId, setAddProductId] = useState("");
+  const [amending, setAmending] = useState(false);
+
+  const cancellation = order.cancellation || {};
+  const canCancel =
+    ["Pending", "Accepted"].includes(order.status) &&
+    cancellation.status !== "Requested";
+
+  // ✅ Pending orders can still be changed before the supplier accepts
+  const canAmend = order.status === "Pending" && !cancellation.status;
+
+  // ✅ Unpaid card orders are paid on the provider's page
+  const canPay =
+    order.paymentMethod === "Card" &&
+    ["Pending", "PartPaid", "Failed"].includes(order.paymentStatus) &&
+    !["Rejected", "Cancelled"].includes(order.status);
+  const [paying, setPaying] = useState(false);
+
+  const payNow = async () => {
+    try {
+      setPaying(true);
+      const res = await api.post("/payment-intents", { orders: [order._id] });
+      window.location.assign(res.data.redirectUrl);
+    } catch (err) {
+      // An open payment for the order can be picked up where it was left
+      const open = err?.response?.data?.intent;
+      if (open?.redirectUrl && window.confirm("A card payment for this order is already open. Continue it?")) {
+        window.location.assign(open.redirectUrl);
+        return;
+      }
+      alert(err?.response?.data?.message || "Could not start the card payment");
+      setPaying(false);
+    }
+  };
+
+  const openAmend = async () => {
+    setAmendLines(
+      order.items.map((item) => ({
+        key: `${item.product?._id || item.product}|${item.unitSize > 1 ? item.unit : ""}`,
+        product: item.product?._id || item.product,
+        unit: item.unitSize > 1 ? item.unit : "",
+        name: item.unitSize > 1 ? `${item.name} (${item.unit})` : item.name,
+        quantity: item.quantity,
+      }))
+    );
+    setAmendAddress(order.deliveryAddress || "");
+    setAmendNote(order.note || "");
+    setAddProductId("");
+    setCancelOpen(false);
+    setAmendOpen(true);
+    try {
+      const res = await api.get("/products");
+      const supplierId = order.supplier?._id || order.supplier;
+      setCatalog(res.data.filter((p) => (p.supplier?._id || p.supplier) === supplierId));
+    } catch (err) {
+      console.error("Error loading products:", err);
+    }
+  };
+
+  const setLineQty = (key, quantity) =>
+    setAmendLines((prev) => prev.map((l) => (l.key === key ? { ...l, quantity } : l)));
+
+  // ✅ Every product in every pack it is sold in
+  const catalogOptions = catalog.flatMap((p) => [
+    { key: `${p._id}|`, product: p._id, unit: "", name: p.name, price: p.price },
+    ...(p.packs || []).map((pack) => ({
+      key: `${p._id}|${pack.name}`,
+      product: p._id,
+      unit: pack.name,
+      name: `${p.name} (${pack.name})`,
+      price: pack.price,
+    })),
+  ]);
+
+  const addLine = () => {
+    const option = catalogOptions.find((o) => o.key === addProductId);
+    if (!option) return;
+    setAmendLines((prev) =>
+      prev.some((l) => l.key === option.key)
+        ? prev
+        : [...prev, { key: option.key, product: option.product, unit: option.unit, name: option.name, quantity: 1 }]
+    );
+    setAddProductId("");
+  };
+
+  const submitAmend = async () => {
+    const items = amendLines
+      .filter((l) => Number(l.quantity) > 0)
+      .map((l) => ({ product: l.product, unit: l.unit, quantity: Number(l.quantity) }));
+    if (items.length === 0) return alert("An order needs at least one item. Cancel it instead.");
+
+    try {
+      setAmending(true);
+      const res = await api.patch(`/orders/${order._id}/amend`, {
+        items,
+        deliveryAddress: amendAddress,
+        note: amendNote,
+        expectedVersion: order.version,
+      });
+      onChanged(res.data);
+      setAmendOpen(false);
+      alert("✅ Order updated. The supplier has been notified.");
+    } catch (err) {
+      const data = err?.response?.data || {};
+      const problems = (data.failedItems || [])
+        .map((f) => `${f.name}: only ${f.available} available`)
+        .concat((data.invalidItems || []).map((f) => `${f.name || "Item"}: ${f.reason}`));
+      alert([data.message || "Could not update order", ...problems].join("\n"));
+    } finally {
+      setAmending(false);
+    }
+  };
+
+  // ✅ Copy this order's lines into the cart or a new draft (today's prices)
+  const submitReorder = async (target) => {
+    try {
+      setReordering(true);
+      const res = await api.post(`/orders/${order._id}/reorder`, { target, draftName });
+      const report = reorderReport(res.data);
+      setReorderOpen(false);
+
+      const where = target === "cart" ? "your cart" : `draft "${res.data.cart.name}"`;
+      const summary = [`✅ ${res.data.added.length} item(s) added to ${where}.`, ...report].join("\n");
+      if (target === "cart") {
+        if (window.confirm(`${summary}\n\nGo to the cart now?`)) navigate("/supermarket/dashboard");
+      } else {
+        alert(summary);
+      }
+    } catch (err) {
+      const data = err?.response?.data || {};
+      alert([data.message || "Could not reorder", ...reorderReport(data)].join("\n"));
+    } finally {
+      setReordering(false);
+    }
+  };
+
+  const submitReturn = async () => {
+    const lines = order.items
+      .map((item) => ({ itemId: item._id, quantity: Number(returnQty[item._id] || 0) }))
+      .filter((line) => line.quantity > 0);
+    if (lines.length === 0) return alert("Enter a quantity for at least one line");
+    if (!returnReason) return alert("Please choose a reason");
+
+    const form = new FormData();
+    form.append("orderId", order._id);
+    form.append("lines", JSON.stringify(lines));
+    form.append("reason", returnReason);
+    form.append("note", returnNote);
+    for (const file of returnPhotos) form.append("photos", file);
+
+    try {
+      setReturning(true);
+      const res = await api.post("/returns", form);
+      setReturnOpen(false);
+      setReturnQty({});
+      setReturnReason("");
+      setReturnNote("");
+      setReturnPhotos([]);
+      onReturned();
+      alert(`✅ Return ${res.data.rmaNumber} sent to the supplier`);
+    } catch (err) {
+      const data = err?.response?.data || {};
+      const problems = (data.invalidLines || []).map((l) => `${l.name || "Line"}: ${l.reason}`);
+      alert([data.message || "Could not create return", ...problems].join("\n"));
+    } finally {
+      setReturning(false);
+    }
+  };
+
+  const submitCancel = async () => {
+    if (!reasonCode) return alert("Please choose a reason");
+    try {
+      setCancelling(true);
+      const res = await api.patch(`/orders/${order._id}/cancel`, {
+        reasonCode,
+        note: reasonNote,
+      });
+      onChanged(res.data);
+      setCancelOpen(false);
+      alert(
+        res.data.status === "Cancelled"
+          ? "✅ Order cancelled"
+          : "✅ Cancellation requested. The supplier will confirm."
+      );
+    } catch (err) {
+      alert(err?.response?.data?.message || "Could not cancel order");
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  return (
+    <div style={{ 
+        background: "#1f2937", 
+        padding: "20px", 
+        borderRadius: "16px", 
+        border: "1px solid #374151",
+        boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1)"
+    }}>
+      
+      {/* Header Row */}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: "15px", flexWrap: "wrap", gap: "10px" }}>
+        <div>
+            <div style={{ fontSize: "18px", fontWeight: "bold", color: "#f3f4f6" }}>
+                Order #{order._id.slice(-6)}
+            </div>
+            <div style={{ color: "#9ca3af", fontSize: "13px", marginTop: "4px" }}>
+                Placed on: {new Date(order.createdAt).toLocaleDateString()}
+            </div>
+            {order.version > 1 && (
+                <div style={{ color: "#f9a8d4", fontSize: "12px", marginTop: "4px" }}>
+                    Amended (v{order.version})
                 </div>
+            )}
+            {order.backorderOf && (
+                <div style={{ color: "#fbbf24", fontSize: "12px", marginTop: "4px" }}>
+                    Backorder of #{String(order.backorderOf).slice(-6)}
+                </div>
+            )}
+        </div>
+        
+        <div style={{ textAlign: "right" }}>
+            <div style={{ 
+                background: getStatusColor(order.status),
+                color: "#fff",
+                padding: "6px 12px",
+                borderRadius: "20px",
+                fontSize: "12px",
+                fontWeight: "bold",
+                display: "inline-block",
+                textTransform: "uppercase",
+                letterSpacing: "0.5px"
+            }}>
+                {order.status}
+            </div>
+            <div style={{ marginTop: "8px", fontSize: "13px", color: order.paymentStatus === 'Paid' ? '#4ade80' : '#facc15' }}>
+                Payment: {order.paymentStatus}
+                {order.paymentStatus === "PartPaid" && ` (Rs. ${order.amountPaid.toLocaleString()} paid)`}
+                {order.amountRefunded > 0 && ` (Rs. ${order.amountRefunded.toLocaleString()} refunded to your card)`}
+            </div>
+        </div>
+      </div>
+
+      <hr style={{ borderColor: "#374151", marginBottom: "15px" }} />
+
+      {/* Items & Supplier Info */}
+      <div style={{ display: "flex", justifyContent: "space-between", flexWrap: "wrap", gap: "20px" }}>
+        
+        <div style={{ flex: 1 }}>
+            <div style={{ fontSize: "14px", color: "#9ca3af", marginBottom: "8px" }}>Supplier: <span style={{color: "#fff", fontWeight: "600"}}>{order.supplier?.name || "Unknown"}</span></div>
+            
+            <div style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
+                {order.items.map((item, i) => (
+                    <span key={i} style={{ 
+                        background: "#374151", 
+                        padding: "4px 10px", 
+                        borderRadius: "6px", 
+                        fontSize: "13px", 
+                        color: "#e5e7eb" 
+                    }}>
+                        {item.name} <span style={{color: "#9ca3af"}}>x{item.quantity}{item.unitSize > 1 && ` ${item.unit}`}</span>
+                {item.shippedQty > 0 && item.shippedQty < item.quantity && (
+                    <span style={{color: "#93c5fd"}}> • {item.shippedQty} shipped</span>
+                )}
+                {item.backorderedQty > 0 && (
+                    <span style={{color: "#fbbf24"}}> • {item.backorderedQty} backordered</span>
+                )}
+                {item.cancelledQty > 0 && (
+                    <span style={{color: "#f87171"}}> • {item.cancelledQty} cancelled</span>
+                )}
+                    </span>
+                ))}
+            </div>
+        </div>
 
-                <div style={{ textAlign: "right", display: "flex", flexDirection: "column", justifyContent: "flex-end" }}>
-                    <div style={{ fontSize: "20px", fontWeight: "bold", color: "#34d399", marginBottom: "10px" }}>
-                        Rs. {order.totalAmount.toLocaleString()}
-                    </div>
-                    
-                    <button 
-                        onClick={() => generateInvoice(order)}
-                        style={{
-                            background: "transparent",
-                            border: "1px solid #6366f1",
-                            color: "#6366f1",
-                            padding: "8px 16px",
-                            borderRadius: "8px",
-                            cursor: "pointer",
-                            fontSize: "13px",
-                            fontWeight: "600",
-                            display: "flex",
-                            alignItems: "center",
-                            gap: "6px",
-                            justifyContent: "center"
-                        }}
-                        onMouseOver={(e) => e.target.style.background = "rgba(99, 102, 241, 0.1)"}
-                        onMouseOut={(e) => e.target.style.background = "transparent"}
-                    >
-                        <span>📄</span> Download Invoice
-                    </button>
+        <div style={{ textAlign: "right", display: "flex", flexDirection: "column", justifyContent: "flex-end" }}>
+            {order.vatTotal > 0 || order.ssclTotal > 0 ? (
+                <div style={{ fontSize: "12px", color: "#9ca3af", marginBottom: "4px", lineHeight: "1.5" }}>
+                    Subtotal Rs. {order.subtotal.toLocaleString()}<br />
+                    SSCL Rs. {order.ssclTotal.toLocaleString()} · VAT Rs. {order.vatTotal.toLocaleString()}
                 </div>
+            ) : null}
+            <div style={{ fontSize: "20px", fontWeight: "bold", color: "#34d399", marginBottom: "10px" }}>
+                Rs. {order.totalAmount.toLocaleString()}
+            </div>
+            
+            {order.invoice ? (
+            <button 
+                onClick={() => downloadInvoice(order.invoice).catch(() => alert("Failed to download the invoice"))}
+                style={{
+                    background: "transparent",
+                    border: "1px solid #6366f1",
+                    color: "#6366f1",
+                    padding: "8px 16px",
+                    borderRadius: "8px",
+                    cursor: "pointer",
+                    fontSize: "13px",
+                    fontWeight: "600",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "6px",
+                    justifyContent: "center"
+                }}
+                onMouseOver={(e) => e.target.style.background = "rgba(99, 102, 241, 0.1)"}
+                onMouseOut={(e) => e.target.style.background = "transparent"}
+            >
+                <span>📄</span> Download Invoice
+            </button>
+            ) : (
+                <span style={{ fontSize: "12px", color: "#6b7280" }}>Invoice not issued yet</span>
+            )}
 
-              </div>
+            {canPay && (
+                <button
+                    onClick={payNow}
+                    disabled={paying}
+                    style={{
+                        marginTop: "8px",
+                        background: "#6366f1",
+                        border: "1px solid #6366f1",
+                        color: "white",
+                        padding: "8px 16px",
+                        borderRadius: "8px",
+                        cursor: "pointer",
+                        fontSize: "13px",
+                        fontWeight: "600"
+                    }}
+                >
+                    {paying ? "Redirecting..." : "💳 Pay Now"}
+                </button>
+            )}
+
+            <button
+                onClick={() => setReorderOpen((v) => !v)}
+                style={{
+                    marginTop: "8px",
+                    background: "transparent",
+                    border: "1px solid #10b981",
+                    color: "#10b981",
+                    padding: "8px 16px",
+                    borderRadius: "8px",
+                    cursor: "pointer",
+                    fontSize: "13px",
+                    fontWeight: "600"
+                }}
+            >
+                🔁 Reorder
+            </button>
+
+            {order.status === "Delivered" && order.items.some((item) => returnable(item) > 0) && (
+                <button
+                    onClick={() => setReturnOpen((v) => !v)}
+                    style={{
+                        marginTop: "8px",
+                        background: "transparent",
+                        border: "1px solid #f59e0b",
+                        color: "#f59e0b",
+                        padding: "8px 16px",
+                        borderRadius: "8px",
+                        cursor: "pointer",
+                        fontSize: "13px",
+                        fontWeight: "600"
+                    }}
+                >
+                    ↩️ Return Items
+                </button>
+            )}
+
+            {canAmend && (
+                <button
+                    onClick={() => (amendOpen ? setAmendOpen(false) : openAmend())}
+                    style={{
+                        marginTop: "8px",
+                        background: "transparent",
+                        border: "1px solid #f472b6",
+                        color: "#f472b6",
+                        padding: "8px 16px",
+                        borderRadius: "8px",
+                        cursor: "pointer",
+                        fontSize: "13px",
+                        fontWeight: "600"
+                    }}
+                >
+                    Edit Order
+                </button>
+            )}
+
+            {canCancel && (
+                <button
+                    onClick={() => setCancelOpen((v) => !v)}
+                    style={{
+                        marginTop: "8px",
+                        background: "transparent",
+                        border: "1px solid #ef4444",
+                        color: "#ef4444",
+                        padding: "8px 16px",
+                        borderRadius: "8px",
+                        cursor: "pointer",
+                        fontSize: "13px",
+                        fontWeight: "600"
+                    }}
+                >
+                    {order.status === "Pending" ? "Cancel Order" : "Request Cancellation"}
+                </button>
+            )}
+        </div>
+
+      </div>
+
+      {/* Tracking timeline */}
+      <button
+        onClick={() => setTrackOpen((v) => !v)}
+        style={{ marginTop: "15px", background: "transparent", border: "none", color: "#93c5fd", cursor: "pointer", fontSize: "13px", padding: 0 }}
+      >
+        {trackOpen ? "▾ Hide tracking" : "▸ Track order"}
+      </button>
+      {trackOpen && (
+        <div style={{ marginTop: "12px", paddingLeft: "8px" }}>
+          <OrderTimeline order={order} dark />
+        </div>
+      )}
+
+      {/* Cancellation state */}
+      {cancellation.status && (
+        <div style={{ marginTop: "15px", padding: "10px 14px", borderRadius: "10px", background: "#111827", border: "1px solid #374151", fontSize: "13px", color: "#d1d5db" }}>
+            {cancellation.status === "Requested" && <span>⏳ Cancellation requested — waiting for supplier. </span>}
+            {cancellation.status === "Approved" && <span>🚫 Cancelled. </span>}
+            {cancellation.status === "Declined" && <span>↩️ Cancellation declined by supplier. </span>}
+            <span style={{ color: "#9ca3af" }}>Reason: {reasonLabel(cancellation.reasonCode)}{cancellation.note ? ` — ${cancellation.note}` : ""}</span>
+            {cancellation.supplierComment && (
+                <div style={{ color: "#9ca3af", marginTop: "4px" }}>Supplier: {cancellation.supplierComment}</div>
+            )}
+        </div>
+      )}
+
+      {/* Returns on this order */}
+      {returns.length > 0 && (
+        <div style={{ marginTop: "15px", display: "grid", gap: "8px" }}>
+            {returns.map((rma) => (
+                <div key={rma._id} style={{ padding: "10px 14px", borderRadius: "10px", background: "#111827", border: "1px solid #374151", fontSize: "13px", color: "#d1d5db" }}>
+                    <span style={{ color: RETURN_COLORS[rma.status], fontWeight: "bold" }}>{rma.rmaNumber} · {rma.status}</span>
+                    <span style={{ color: "#9ca3af" }}> — {rma.lines.map((l) => `${l.name} x${l.quantity}`).join(", ")} · Rs. {rma.amount.toLocaleString()}</span>
+                    {rma.creditNote && (
+                        <div style={{ color: "#34d399", marginTop: "4px" }}>
+                            Credit note {rma.creditNote.number}: Rs. {rma.creditNote.amount.toLocaleString()}
+                        </div>
+                    )}
+                    {rma.supplierComment && (
+                        <div style={{ color: "#9ca3af", marginTop: "4px" }}>Supplier: {rma.supplierComment}</div>
+                    )}
+                </div>
+            ))}
+        </div>
+      )}
+
+      {/* Credit / debit notes from the supplier */}
+      {notes.length > 0 && (
+        <div style={{ marginTop: "15px", display: "grid", gap: "6px" }}>
+            {notes.map((note) => (
+                <div key={note._id} style={{ display: "flex", justifyContent: "space-between", gap: "10px", padding: "8px 14px", borderRadius: "10px", background: "#111827", border: `1px solid ${note.type === "credit" ? "#065f46" : "#92400e"}`, fontSize: "13px", color: "#d1d5db" }}>
+                    <span>
+                        <b>{note.number}</b> <span style={{ color: "#9ca3af" }}>{note.type === "credit" ? "Credit note" : "Debit note"} · {note.reason}</span>
+                    </span>
+                    <span style={{ color: note.type === "credit" ? "#34d399" : "#fbbf24", fontWeight: "bold", whiteSpace: "nowrap" }}>
+                        {note.type === "credit" ? "−" : "+"} Rs. {note.amount.toLocaleString()}
+                    </span>
+                </div>
+            ))}
+        </div>
+      )}
+
+      {/* Return form */}
+      {returnOpen && (
+        <div style={{ marginTop: "15px", padding: "14px", borderRadius: "10px", background: "#111827", border: "1px solid #92400e", display: "grid", gap: "10px" }}>
+            {order.items.filter((item) => returnable(item) > 0).map((item) => (
+                <div key={item._id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "10px" }}>
+                    <span style={{ fontSize: "14px", color: "#e5e7eb" }}>
+                        {item.name} <span style={{ color: "#9ca3af" }}>(up to {returnable(item)})</span>
+                    </span>
+                    <input
+                        type="number"
+                        min="0"
+                        max={returnable(item)}
+                        value={returnQty[item._id] || ""}
+                        onChange={(e) => setReturnQty((prev) => ({ ...prev, [item._id]: e.target.value }))}
+                        placeholder="0"
+                        style={{ ...inputStyle, width: "80px" }}
+                    />
+                </div>
+            ))}
+            <select value={returnReason} onChange={(e) => setReturnReason(e.target.value)} style={inputStyle}>
+                <option value="">Select a reason...</option>
+                {RETURN_REASONS.map((r) => (
+                    <option key={r.code} value={r.code}>{r.label}</option>
+                ))}
+            </select>
+            <input value={returnNote} onChange={(e) => setReturnNote(e.target.value)} placeholder={returnReason === "OTHER" ? "Describe the problem (required)" : "Note (optional)"} style={inputStyle} />
+            <input type="file" accept="image/*" multiple onChange={(e) => setReturnPhotos([...e.target.files].slice(0, 5))} style={{ fontSize: "13px", color: "#9ca3af" }} />
+            <div style={{ display: "flex", gap: "8px", justifyContent: "flex-end" }}>
+                <button onClick={() => setReturnOpen(false)} style={{ background: "transparent", color: "#9ca3af", border: "1px solid #374151", padding: "8px 14px", borderRadius: "8px", cursor: "pointer" }}>
+                    Close
+                </button>
+                <button onClick={submitReturn} disabled={returning} style={{ background: "#f59e0b", color: "#111827", border: "none", padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontWeight: "600" }}>
+                    {returning ? "Sending..." : "Send Return Request"}
+                </button>
+            </div>
+        </div>
+      )}
+
+      {/* Reorder options */}
+      {reorderOpen && (
+        <div style={{ marginTop: "15px", padding: "14px", borderRadius: "10px", background: "#111827", border: "1px solid #065f46", display: "grid", gap: "10px" }}>
+            <div style={{ fontSize: "13px", color: "#6ee7b7" }}>
+                Items are added at today's prices. Anything no longer available is left out.
+            </div>
+            <input value={draftName} onChange={(e) => setDraftName(e.target.value)} placeholder={`Draft name (default: Reorder #${order._id.slice(-6).toUpperCase()})`} style={inputStyle} />
+            <div style={{ display: "flex", gap: "8px", justifyContent: "flex-end" }}>
+                <button onClick={() => submitReorder("draft")} disabled={reordering} style={{ background: "transparent", color: "#e5e7eb", border: "1px solid #374151", padding: "8px 14px", borderRadius: "8px", cursor: "pointer" }}>
+                    Save as Draft
+                </button>
+                <button onClick={() => submitReorder("cart")} disabled={reordering} style={{ background: "#10b981", color: "#fff", border: "none", padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontWeight: "600" }}>
+                    {reordering ? "Adding..." : "Add to Cart"}
+                </button>
+            </div>
+        </div>
+      )}
+
+      {/* Amend form */}
+      {amendOpen && (
+        <div style={{ marginTop: "15px", padding: "14px", borderRadius: "10px", background: "#111827", border: "1px solid #9d174d", display: "grid", gap: "10px" }}>
+            <div style={{ fontSize: "13px", color: "#f9a8d4" }}>
+                Set a quantity to 0 to remove a line. Prices and stock are checked again when you save.
+            </div>
+            {amendLines.map((line) => (
+                <div key={line.key} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "10px" }}>
+                    <span style={{ fontSize: "14px", color: Number(line.quantity) > 0 ? "#e5e7eb" : "#6b7280" }}>{line.name}</span>
+                    <input
+                        type="number"
+                        min="0"
+                        value={line.quantity}
+                        onChange={(e) => setLineQty(line.key, e.target.value)}
+                        style={{ ...inputStyle, width: "80px" }}
+                    />
+                </div>
+            ))}
+            <div style={{ display: "flex", gap: "8px" }}>
+                <select value={addProductId} onChange={(e) => setAddProductId(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+                    <option value="">Add a product from this supplier...</option>
+                    {catalogOptions
+                        .filter((o) => !amendLines.some((l) => l.key === o.key))
+                        .map((o) => (
+                            <option key={o.key} value={o.key}>{o.name} — Rs. {o.price}</option>
+                        ))}
+                </select>
+                <button onClick={addLine} disabled={!addProductId} style={{ background: "#374151", color: "#fff", border: "none", padding: "8px 14px", borderRadius: "8px", cursor: "pointer" }}>
+                    Add
+                </button>
+            </div>
+            <input value={amendAddress} onChange={(e) => setAmendAddress(e.target.value)} placeholder="Delivery address" style={inputStyle} />
+            <input value={amendNote} onChange={(e) => setAmendNote(e.target.value)} placeholder="Note (optional)" style={inputStyle} />
+            <div style={{ display: "flex", gap: "8px", justifyContent: "flex-end" }}>
+                <button onClick={() => setAmendOpen(false)} style={{ background: "transparent", color: "#9ca3af", border: "1px solid #374151", padding: "8px 14px", borderRadius: "8px", cursor: "pointer" }}>
+                    Discard
+                </button>
+                <button onClick={submitAmend} disabled={amending} style={{ background: "#db2777", color: "#fff", border: "none", padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontWeight: "600" }}>
+                    {amending ? "Saving..." : "Save Changes"}
+                </button>
+            </div>
+        </div>
+      )}
+
+      {/* Cancel form */}
+      {cancelOpen && (
+        <div style={{ marginTop: "15px", padding: "14px", borderRadius: "10px", background: "#111827", border: "1px solid #7f1d1d", display: "grid", gap: "10px" }}>
+            {order.status === "Accepted" && (
+                <div style={{ fontSize: "13px", color: "#fca5a5" }}>
+                    This order is already accepted. The supplier must approve the cancellation.
+                </div>
+            )}
+            <select
+                value={reasonCode}
+                onChange={(e) => setReasonCode(e.target.value)}
+                style={{ padding: "8px", borderRadius: "8px", background: "#1f2937", color: "#fff", border: "1px solid #374151" }}
+            >
+                <option value="">Select a reason...</option>
+                {CANCEL_REASONS.map((r) => (
+                    <option key={r.code} value={r.code}>{r.label}</option>
+                ))}
+            </select>
+            <input
+                value={reasonNote}
+                onChange={(e) => setReasonNote(e.target.value)}
+                placeholder={reasonCode === "OTHER" ? "Describe the reason (required)" : "Note (optional)"}
+                style={{ padding: "8px", borderRadius: "8px", background: "#1f2937", color: "#fff", border: "1px solid #374151" }}
+            />
+            <div style={{ display: "flex", gap: "8px", justifyContent: "flex-end" }}>
+                <button onClick={() => setCancelOpen(false)} style={{ background: "transparent", color: "#9ca3af", border: "1px solid #374151", padding: "8px 14px", borderRadius: "8px", cursor: "pointer" }}>
+                    Keep Order
+                </button>
+                <button onClick={submitCancel} disabled={cancelling} style={{ background: "#ef4444", color: "#fff", border: "none", padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontWeight: "600" }}>
+                    {cancelling ? "Submitting..." : "Confirm"}
+                </button>
             </div>
-          ))}
         </div>
       )}
     </div>
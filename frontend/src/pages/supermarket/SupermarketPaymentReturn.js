@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import api from "../../api/axiosInstance";
+
+const POLL_MS = 2000;
+const MAX_POLLS = 15;
+
+const MESSAGES = {
+  RequiresAction: { icon: "⏳", title: "Confirming your payment...", color: "#facc15" },
+  Succeeded: { icon: "✅", title: "Payment successful", color: "#4ade80" },
+  Failed: { icon: "❌", title: "Payment failed", color: "#f87171" },
+  Cancelled: { icon: "↩️", title: "Payment cancelled", color: "#94a3b8" },
+};
+
+// Where the payment provider sends the buyer back after its hosted page
+export default function SupermarketPaymentReturn() {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const intentId = params.get("intent");
+  const [intent, setIntent] = useState(null);
+  const [error, setError] = useState("");
+  const [retrying, setRetrying] = useState(false);
+
+  // The webhook may land a moment after the redirect, so poll briefly
+  useEffect(() => {
+    let polls = 0;
+    let timer;
+    const load = async () => {
+      try {
+        const res = await api.get(`/payment-intents/${intentId}`);
+        setIntent(res.data);
+        polls += 1;
+        if (res.data.status === "RequiresAction" && polls < MAX_POLLS) {
+          timer = setTimeout(load, POLL_MS);
+        }
+      } catch (err) {
+        setError(err?.response?.data?.message || "Could not load the payment");
+      }
+    };
+    load();
+    return () => clearTimeout(timer);
+  }, [intentId]);
+
+  const retry = async () => {
+    try {
+      setRetrying(true);
+      const res = await api.post("/payment-intents", {
+        orders: intent.orders.map((line) => line.order),
+      });
+      window.location.assign(res.data.redirectUrl);
+    } catch (err) {
+      // An open payment for the order can be picked up where it was left
+      const open = err?.response?.data?.intent;
+      if (open?.redirectUrl && window.confirm("A card payment for this order is already open. Continue it?")) {
+        window.location.assign(open.redirectUrl);
+        return;
+      }
+      alert(err?.response?.data?.message || "Could not start the card payment");
+      setRetrying(false);
+    }
+  };
+
+  const message = MESSAGES[intent?.status] || MESSAGES.RequiresAction;
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.card}>
+        {error ? (
+          <div style={{ color: "#f87171" }}>{error}</div>
+        ) : (
+          <>
+            <div style={{ fontSize: 40 }}>{message.icon}</div>
+            <h2 style={{ color: message.color, margin: "10px 0" }}>{message.title}</h2>
+            {intent && (
+              <div style={styles.muted}>
+                Rs. {intent.amount.toLocaleString()} for {intent.orders.length} order(s)
+              </div>
+            )}
+            {intent?.failureReason && <div style={styles.muted}>{intent.failureReason}</div>}
+            {intent?.status === "RequiresAction" && (
+              <div style={styles.muted}>Your order stays unpaid until the payment provider confirms.</div>
+            )}
+          </>
+        )}
+
+        <div style={{ display: "flex", gap: 10, justifyContent: "center", marginTop: 20 }}>
+          {["Failed", "Cancelled"].includes(intent?.status) && (
+            <button style={styles.primaryBtn} onClick={retry} disabled={retrying}>
+              {retrying ? "Redirecting..." : "Try Again"}
+            </button>
+          )}
+          <button style={styles.secondaryBtn} onClick={() => navigate("/supermarket/my-orders")}>
+            Go to My Orders
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  page: { minHeight: "100vh", background: "#0b1220", display: "flex", justifyContent: "center", alignItems: "flex-start", paddingTop: 80, color: "white" },
+  card: { background: "#111827", border: "1px solid #1f2937", borderRadius: 14, padding: 30, width: 420, textAlign: "center" },
+  muted: { color: "#94a3b8", fontSize: 14, marginTop: 6 },
+  primaryBtn: { background: "#3b82f6", border: "none", color: "white", padding: "10px 16px", borderRadius: 8, cursor: "pointer", fontWeight: 600 },
+  secondaryBtn: { background: "transparent", border: "1px solid #374151", color: "#e5e7eb", padding: "10px 16px", borderRadius: 8, cursor: "pointer", fontWeight: 600 },
+};
@@ -0,0 +1,355 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../../api/axiosInstance";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const emptyForm = {
+  name: "",
+  supplier: "",
+  items: [],
+  deliveryAddress: "",
+  note: "",
+  schedule: { type: "weekly", weekdays: [1], everyDays: 7, dayOfMonth: 1, hour: 6 },
+};
+
+const refId = (ref) => ref?._id || ref;
+
+// "Every Mon, Thu at 06:00" style label
+const describeSchedule = (schedule) => {
+  const at = `at ${String(schedule.hour ?? 6).padStart(2, "0")}:00`;
+  if (schedule.type === "weekly") {
+    return `Every ${(schedule.weekdays || []).map((d) => WEEKDAYS[d]).join(", ")} ${at}`;
+  }
+  if (schedule.type === "interval") return `Every ${schedule.everyDays} day(s) ${at}`;
+  return `Monthly on day ${schedule.dayOfMonth} ${at}`;
+};
+
+const RESULT_COLORS = {
+  Placed: "#22c55e",
+  PlacedWithWarnings: "#eab308",
+  Skipped: "#9ca3af",
+  Failed: "#ef4444",
+};
+
+export default function SupermarketStandingOrders() {
+  const navigate = useNavigate();
+  const [list, setList] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null); // null = closed
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [standingRes, productRes] = await Promise.all([
+          api.get("/standing-orders"),
+          api.get("/products"),
+        ]);
+        setList(standingRes.data);
+        setProducts(productRes.data);
+      } catch (err) {
+        console.error("Error loading standing orders:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const suppliers = useMemo(() => {
+    const byId = new Map();
+    for (const p of products) {
+      if (p.supplier?._id) byId.set(p.supplier._id, p.supplier.name);
+    }
+    return [...byId.entries()].map(([id, name]) => ({ id, name }));
+  }, [products]);
+
+  const supplierProducts = products.filter((p) => refId(p.supplier) === form?.supplier);
+  const productOf = (id) => products.find((p) => p._id === id);
+  const packsOf = (id) => productOf(id)?.packs || [];
+
+  // Responses are not populated, so reload the list after a change
+  const reload = async () => {
+    try {
+      const res = await api.get("/standing-orders");
+      setList(res.data);
+    } catch (err) {
+      console.error("Error loading standing orders:", err);
+    }
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const openEdit = (standing) => {
+    setEditingId(standing._id);
+    setForm({
+      name: standing.name,
+      supplier: refId(standing.supplier),
+      items: standing.items.map((i) => ({ product: refId(i.product), unit: i.unit || "", quantity: i.quantity })),
+      deliveryAddress: standing.deliveryAddress,
+      note: standing.note || "",
+      schedule: { ...emptyForm.schedule, ...standing.schedule },
+    });
+  };
+
+  const setField = (field, value) => setForm((f) => ({ ...f, [field]: value }));
+  const setSchedule = (field, value) =>
+    setForm((f) => ({ ...f, schedule: { ...f.schedule, [field]: value } }));
+
+  const toggleWeekday = (day) => {
+    const days = form.schedule.weekdays || [];
+    setSchedule("weekdays", days.includes(day) ? days.filter((d) => d !== day) : [...days, day]);
+  };
+
+  const setLine = (index, changes) =>
+    setField("items", form.items.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+
+  const save = async () => {
+    const body = {
+      ...form,
+      items: form.items
+        .filter((line) => line.product && Number(line.quantity) > 0)
+        .map((line) => ({ product: line.product, unit: line.unit || "", quantity: Number(line.quantity) })),
+      schedule: {
+        ...form.schedule,
+        everyDays: Number(form.schedule.everyDays),
+        dayOfMonth: Number(form.schedule.dayOfMonth),
+        hour: Number(form.schedule.hour),
+      },
+    };
+    if (body.items.length === 0) return alert("Add at least one item");
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await api.patch(`/standing-orders/${editingId}`, body);
+      } else {
+        await api.post("/standing-orders", body);
+      }
+      setForm(null);
+      await reload();
+    } catch (err) {
+      const data = err?.response?.data || {};
+      const problems = (data.invalidItems || []).map((f) => `${f.name || "Item"}: ${f.reason}`);
+      alert([data.message || "Could not save standing order", ...problems].join("\n"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const act = async (standing, action) => {
+    if (action === "delete" && !window.confirm(`Delete "${standing.name}"?`)) return;
+    try {
+      if (action === "delete") {
+        await api.delete(`/standing-orders/${standing._id}`);
+        setList((prev) => prev.filter((s) => s._id !== standing._id));
+        return;
+      }
+      const res = await api.post(`/standing-orders/${standing._id}/${action}`);
+      await reload();
+      if (action === "run") alert(`Run result: ${res.data.run.result}`);
+    } catch (err) {
+      const data = err?.response?.data || {};
+      if (data.run) await reload();
+      alert(data.run ? `Run result: ${data.run.result}. ${data.run.message || ""}` : data.message || "Action failed");
+    }
+  };
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <h1 style={styles.title}>🔁 Standing Orders</h1>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <button style={styles.secondaryBtn} onClick={() => navigate("/supermarket/dashboard")}>← Dashboard</button>
+          <button style={styles.primaryBtn} onClick={openCreate}>+ New Standing Order</button>
+        </div>
+      </div>
+
+      {form && (
+        <div style={styles.card}>
+          <h3 style={{ marginTop: 0 }}>{editingId ? "Edit standing order" : "New standing order"}</h3>
+          <div style={styles.formGrid}>
+            <input style={styles.input} placeholder="Name (e.g. Weekly staples)" value={form.name} onChange={(e) => setField("name", e.target.value)} />
+            <select
+              style={styles.input}
+              value={form.supplier}
+              onChange={(e) => setForm((f) => ({ ...f, supplier: e.target.value, items: [] }))}
+            >
+              <option value="">Select a supplier...</option>
+              {suppliers.map((s) => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.supplier && (
+            <div style={{ marginTop: "12px", display: "grid", gap: "8px" }}>
+              {form.items.map((line, i) => (
+                <div key={i} style={{ display: "flex", gap: "8px" }}>
+                  <select style={{ ...styles.input, flex: 1 }} value={line.product} onChange={(e) => setLine(i, { product: e.target.value, unit: "" })}>
+                    <option value="">Select a product...</option>
+                    {supplierProducts.map((p) => (
+                      <option key={p._id} value={p._id}>{p.name} — Rs. {p.price}</option>
+                    ))}
+                  </select>
+                  {packsOf(line.product).length > 0 && (
+                    <select style={styles.input} value={line.unit || ""} onChange={(e) => setLine(i, { unit: e.target.value })}>
+                      <option value="">{productOf(line.product)?.baseUnit || "unit"}</option>
+                      {packsOf(line.product).map((pack) => (
+                        <option key={pack.name} value={pack.name}>{pack.name} — Rs. {pack.price}</option>
+                      ))}
+                    </select>
+                  )}
+                  <input type="number" min="1" style={{ ...styles.input, width: "90px" }} value={line.quantity} onChange={(e) => setLine(i, { quantity: e.target.value })} />
+                  <button style={styles.dangerBtn} onClick={() => setField("items", form.items.filter((_, j) => j !== i))}>✕</button>
+                </div>
+              ))}
+              <button style={{ ...styles.secondaryBtn, justifySelf: "start" }} onClick={() => setField("items", [...form.items, { product: "", quantity: 1 }])}>
+                + Add line
+              </button>
+            </div>
+          )}
+
+          <div style={{ ...styles.formGrid, marginTop: "12px" }}>
+            <select style={styles.input} value={form.schedule.type} onChange={(e) => setSchedule("type", e.target.value)}>
+              <option value="weekly">Weekly on...</option>
+              <option value="interval">Every N days</option>
+              <option value="monthly">Monthly</option>
+            </select>
+            <label style={styles.label}>
+              Hour
+              <input type="number" min="0" max="23" style={{ ...styles.input, width: "80px" }} value={form.schedule.hour} onChange={(e) => setSchedule("hour", e.target.value)} />
+            </label>
+          </div>
+
+          <div style={{ marginTop: "10px" }}>
+            {form.schedule.type === "weekly" && (
+              <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
+                {WEEKDAYS.map((label, day) => (
+                  <button
+                    key={label}
+                    onClick={() => toggleWeekday(day)}
+                    style={{ ...styles.dayBtn, ...(form.schedule.weekdays?.includes(day) ? styles.dayBtnOn : {}) }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {form.schedule.type === "interval" && (
+              <label style={styles.label}>
+                Every
+                <input type="number" min="1" max="365" style={{ ...styles.input, width: "90px" }} value={form.schedule.everyDays} onChange={(e) => setSchedule("everyDays", e.target.value)} />
+                day(s)
+              </label>
+            )}
+            {form.schedule.type === "monthly" && (
+              <label style={styles.label}>
+                Day of month
+                <input type="number" min="1" max="31" style={{ ...styles.input, width: "90px" }} value={form.schedule.dayOfMonth} onChange={(e) => setSchedule("dayOfMonth", e.target.value)} />
+              </label>
+            )}
+          </div>
+
+          <div style={{ ...styles.formGrid, marginTop: "12px" }}>
+            <input style={styles.input} placeholder="Delivery address" value={form.deliveryAddress} onChange={(e) => setField("deliveryAddress", e.target.value)} />
+            <input style={styles.input} placeholder="Note (optional)" value={form.note} onChange={(e) => setField("note", e.target.value)} />
+          </div>
+
+          <div style={{ display: "flex", gap: "8px", justifyContent: "flex-end", marginTop: "14px" }}>
+            <button style={styles.secondaryBtn} onClick={() => setForm(null)}>Cancel</button>
+            <button style={styles.primaryBtn} onClick={save} disabled={saving}>{saving ? "Saving..." : "Save"}</button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: "center", color: "#9ca3af" }}>Loading standing orders...</div>
+      ) : list.length === 0 ? (
+        <div style={{ ...styles.card, textAlign: "center" }}>
+          <h3>No standing orders yet.</h3>
+          <p style={{ color: "#9ca3af" }}>Create one to reorder your staples automatically.</p>
+        </div>
+      ) : (
+        <div style={{ display: "grid", gap: "16px" }}>
+          {list.map((standing) => (
+            <div key={standing._id} style={styles.card}>
+              <div style={{ display: "flex", justifyContent: "space-between", flexWrap: "wrap", gap: "10px" }}>
+                <div>
+                  <div style={{ fontSize: "18px", fontWeight: "bold" }}>{standing.name}</div>
+                  <div style={{ color: "#9ca3af", fontSize: "13px", marginTop: "4px" }}>
+                    {standing.supplier?.name || "Supplier"} · {describeSchedule(standing.schedule)}
+                  </div>
+                  <div style={{ color: "#9ca3af", fontSize: "13px", marginTop: "4px" }}>
+                    {standing.status === "Active" && standing.nextRunAt
+                      ? `Next run: ${new Date(standing.nextRunAt).toLocaleString()}`
+                      : "Paused"}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "8px", alignItems: "flex-start", flexWrap: "wrap" }}>
+                  <button style={styles.secondaryBtn} onClick={() => act(standing, "run")}>Run now</button>
+                  {standing.status === "Active" ? (
+                    <button style={styles.secondaryBtn} onClick={() => act(standing, "pause")}>Pause</button>
+                  ) : (
+                    <button style={styles.secondaryBtn} onClick={() => act(standing, "resume")}>Resume</button>
+                  )}
+                  <button style={styles.secondaryBtn} onClick={() => openEdit(standing)}>Edit</button>
+                  <button style={styles.dangerBtn} onClick={() => act(standing, "delete")}>Delete</button>
+                </div>
+              </div>
+
+              <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", marginTop: "12px" }}>
+                {standing.items.map((item, i) => (
+                  <span key={i} style={styles.chip}>
+                    {item.product?.name || "Product"} <span style={{ color: "#9ca3af" }}>x{item.quantity}{item.unit ? ` ${item.unit}` : ""}</span>
+                  </span>
+                ))}
+              </div>
+
+              {standing.runs?.length > 0 && (
+                <div style={{ marginTop: "12px", fontSize: "13px" }}>
+                  {standing.runs.slice(-3).reverse().map((run) => (
+                    <div key={run._id || run.at} style={{ color: "#d1d5db", marginTop: "4px" }}>
+                      <span style={{ color: RESULT_COLORS[run.result] }}>●</span>{" "}
+                      {new Date(run.at).toLocaleString()} — {run.result}
+                      {run.order && ` (order #${String(run.order).slice(-6)})`}
+                      {run.skipped?.length > 0 && (
+                        <span style={{ color: "#fbbf24" }}>
+                          {" "}· skipped {run.skipped.map((s) => `${s.name} (${s.reason})`).join(", ")}
+                        </span>
+                      )}
+                      {run.message && <span style={{ color: "#9ca3af" }}> · {run.message}</span>}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  page: { padding: "30px", background: "#0b1220", minHeight: "100vh", color: "#fff", fontFamily: "'Inter', sans-serif" },
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: "10px", marginBottom: "24px", borderBottom: "1px solid #374151", paddingBottom: "10px" },
+  title: { fontSize: "28px", fontWeight: "bold", margin: 0 },
+  card: { background: "#1f2937", padding: "20px", borderRadius: "16px", border: "1px solid #374151", marginBottom: "16px" },
+  formGrid: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: "10px", alignItems: "center" },
+  input: { padding: "8px", borderRadius: "8px", background: "#111827", color: "#fff", border: "1px solid #374151" },
+  label: { display: "flex", alignItems: "center", gap: "8px", fontSize: "13px", color: "#9ca3af" },
+  chip: { background: "#374151", padding: "4px 10px", borderRadius: "6px", fontSize: "13px", color: "#e5e7eb" },
+  primaryBtn: { background: "#10b981", color: "#fff", border: "none", padding: "8px 16px", borderRadius: "8px", cursor: "pointer", fontWeight: "600", fontSize: "13px" },
+  secondaryBtn: { background: "transparent", color: "#e5e7eb", border: "1px solid #4b5563", padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontSize: "13px" },
+  dangerBtn: { background: "transparent", color: "#ef4444", border: "1px solid #ef4444", padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontSize: "13px" },
+  dayBtn: { background: "transparent", color: "#9ca3af", border: "1px solid #4b5563", padding: "6px 10px", borderRadius: "8px", cursor: "pointer", fontSize: "13px" },
+  dayBtnOn: { background: "#4f46e5", color: "#fff", borderColor: "#4f46e5" },
+};
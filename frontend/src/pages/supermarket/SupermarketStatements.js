@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../../api/axiosInstance";
+import { downloadStatement } from "../../utils/invoiceDownload";
+
+const money = (n = 0) => `Rs. ${Number(n || 0).toLocaleString()}`;
+
+const pad = (n) => String(n).padStart(2, "0");
+const isoDay = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// Default period: this month so far
+const thisMonth = () => {
+  const now = new Date();
+  return { from: isoDay(new Date(now.getFullYear(), now.getMonth(), 1)), to: isoDay(now) };
+};
+
+// Statement of account with one supplier: what we owed, what happened, what we owe
+export default function SupermarketStatements() {
+  const navigate = useNavigate();
+  const [suppliers, setSuppliers] = useState([]);
+  const [supplier, setSupplier] = useState("");
+  const [period, setPeriod] = useState(thisMonth);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await api.get("/statements/parties");
+        setSuppliers(res.data);
+      } catch (err) {
+        console.error("Failed to load suppliers", err);
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    if (!supplier || !period.from || !period.to) {
+      setStatement(null);
+      return;
+    }
+    const load = async () => {
+      try {
+        setLoading(true);
+        const res = await api.get(`/statements/${supplier}`, { params: period });
+        setStatement(res.data);
+      } catch (err) {
+        setStatement(null);
+        alert(err?.response?.data?.message || "Could not load the statement");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [supplier, period]);
+
+  const download = async (format) => {
+    try {
+      await downloadStatement(supplier, format, period);
+    } catch (err) {
+      alert("Could not download the statement");
+    }
+  };
+
+  const setDate = (field, value) => setPeriod((p) => ({ ...p, [field]: value }));
+
+  return (
+    <div style={styles.page}>
+      <div style={styles.header}>
+        <h1 style={styles.title}>📒 Statements</h1>
+        <button style={styles.secondaryBtn} onClick={() => navigate("/supermarket/dashboard")}>← Dashboard</button>
+      </div>
+
+      <div style={styles.card}>
+        <div style={styles.filters}>
+          <select style={styles.input} value={supplier} onChange={(e) => setSupplier(e.target.value)}>
+            <option value="">Select a supplier...</option>
+            {suppliers.map((s) => (
+              <option key={s._id} value={s._id}>{s.name}</option>
+            ))}
+          </select>
+          <input type="date" style={styles.input} value={period.from} onChange={(e) => setDate("from", e.target.value)} />
+          <span style={{ color: "#9ca3af" }}>to</span>
+          <input type="date" style={styles.input} value={period.to} onChange={(e) => setDate("to", e.target.value)} />
+          <button style={styles.secondaryBtn} onClick={() => download("pdf")} disabled={!statement}>⬇ PDF</button>
+          <button style={styles.secondaryBtn} onClick={() => download("csv")} disabled={!statement}>⬇ CSV</button>
+        </div>
+      </div>
+
+      {loading && <div style={styles.muted}>Loading...</div>}
+      {!loading && !statement && (
+        <div style={styles.muted}>Choose a supplier to see every invoice, note and payment between you.</div>
+      )}
+
+      {!loading && statement && (
+        <div style={styles.card}>
+          <div style={styles.balances}>
+            <div>
+              <div style={styles.muted}>Opening balance</div>
+              <div style={styles.balance}>{money(statement.openingBalance)}</div>
+            </div>
+            <div style={{ textAlign: "right" }}>
+              <div style={styles.muted}>Closing balance</div>
+              <div style={{ ...styles.balance, color: statement.closingBalance > 0 ? "#facc15" : "#4ade80" }}>
+                {money(statement.closingBalance)}
+              </div>
+            </div>
+          </div>
+
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Date</th>
+                <th style={styles.th}>Type</th>
+                <th style={styles.th}>Reference</th>
+                <th style={styles.th}>Order</th>
+                <th style={styles.th}>Description</th>
+                <th style={styles.thRight}>Debit</th>
+                <th style={styles.thRight}>Credit</th>
+                <th style={styles.thRight}>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {statement.entries.map((entry, i) => (
+                <tr key={`${entry.type}-${entry.reference}-${i}`}>
+                  <td style={styles.td}>{new Date(entry.date).toLocaleDateString()}</td>
+                  <td style={styles.td}>{entry.type}</td>
+                  <td style={styles.td}>{entry.reference}</td>
+                  <td style={styles.td}>{entry.order}</td>
+                  <td style={styles.td}>{entry.description}</td>
+                  <td style={styles.tdRight}>{entry.debit ? money(entry.debit) : ""}</td>
+                  <td style={styles.tdRight}>{entry.credit ? money(entry.credit) : ""}</td>
+                  <td style={styles.tdRight}>{money(entry.balance)}</td>
+                </tr>
+              ))}
+              {statement.entries.length === 0 && (
+                <tr>
+                  <td colSpan="8" style={{ ...styles.td, textAlign: "center", color: "#9ca3af" }}>No activity in this period</td>
+                </tr>
+              )}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan="5" style={{ ...styles.td, fontWeight: "bold" }}>Period totals</td>
+                <td style={{ ...styles.tdRight, fontWeight: "bold" }}>{money(statement.totalDebit)}</td>
+                <td style={{ ...styles.tdRight, fontWeight: "bold" }}>{money(statement.totalCredit)}</td>
+                <td style={{ ...styles.tdRight, fontWeight: "bold" }}>{money(statement.closingBalance)}</td>
+              </tr>
+            </tfoot>
+          </table>
+          <div style={{ ...styles.muted, marginTop: "10px" }}>
+            Debits are invoices, debit notes and refunds; credits are credit notes and payments. A positive balance is owed to the supplier.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  page: { padding: "30px", background: "#0b1220", minHeight: "100vh", color: "#fff", fontFamily: "'Inter', sans-serif" },
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: "10px", marginBottom: "24px", borderBottom: "1px solid #374151", paddingBottom: "10px" },
+  title: { fontSize: "28px", fontWeight: "bold", margin: 0 },
+  card: { background: "#1f2937", padding: "20px", borderRadius: "16px", border: "1px solid #374151", marginBottom: "16px" },
+  filters: { display: "flex", gap: "10px", alignItems: "center", flexWrap: "wrap" },
+  input: { padding: "8px", borderRadius: "8px", background: "#111827", color: "#fff", border: "1px solid #374151" },
+  secondaryBtn: { background: "transparent", color: "#e5e7eb", border: "1px solid #4b5563", padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontSize: "13px" },
+  muted: { color: "#9ca3af", fontSize: "13px" },
+  balances: { display: "flex", justifyContent: "space-between", marginBottom: "16px" },
+  balance: { fontSize: "22px", fontWeight: "bold" },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: "13px" },
+  th: { textAlign: "left", padding: "8px", borderBottom: "1px solid #374151", color: "#9ca3af" },
+  thRight: { textAlign: "right", padding: "8px", borderBottom: "1px solid #374151", color: "#9ca3af" },
+  td: { padding: "8px", borderBottom: "1px solid #273244" },
+  tdRight: { padding: "8px", borderBottom: "1px solid #273244", textAlign: "right" },
+};
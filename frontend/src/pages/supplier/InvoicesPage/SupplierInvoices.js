@@ -0,0 +1,508 @@
+import React, { useState, useEffect, useRef } from "react";
+import SupplierSidebar from "../Suppliersidebar";
+import SupplierTopbar from "../SupplierTopbar";
+
+import axios from "../../../api/axiosInstance";
+import { downloadInvoice, downloadInvoicesZip } from "../../../utils/invoiceDownload";
+
+import "../OrderPage/SupplierOrders.css";
+import "./SupplierInvoices.css";
+
+const STATUS_CLASS = {
+  Unpaid: "badge-pending",
+  PartPaid: "badge-partial",
+  Paid: "badge-delivered",
+  Overdue: "badge-rejected",
+};
+
+const STATUS_LABEL = {
+  Unpaid: "Unpaid",
+  PartPaid: "Part-paid",
+  Paid: "Paid",
+  Overdue: "Overdue",
+};
+
+const PAYMENT_METHODS = ["Bank Transfer", "Cash", "Cheque", "Card", "Other"];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyPayment = () => ({
+  amount: "",
+  method: "Bank Transfer",
+  reference: "",
+  receivedAt: today(),
+});
+
+const SupplierInvoices = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [buyers, setBuyers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState("All");
+  const [filters, setFilters] = useState({ from: "", to: "", buyer: "" });
+  const [checked, setChecked] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [payment, setPayment] = useState(emptyPayment());
+  const [saving, setSaving] = useState(false);
+  const [payments, setPayments] = useState([]);
+  const [reload, setReload] = useState(0);
+  const [importResult, setImportResult] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    const fetchBuyers = async () => {
+      try {
+        const response = await axios.get("/supermarkets/buyers");
+        setBuyers(response.data);
+      } catch (error) {
+        console.error("Error fetching buyers:", error);
+      }
+    };
+    fetchBuyers();
+  }, []);
+
+  useEffect(() => {
+    const fetchInvoices = async () => {
+      try {
+        setLoading(true);
+        const params = Object.fromEntries(
+          Object.entries(filters).filter(([, value]) => value),
+        );
+        const response = await axios.get("/invoices", { params });
+        setInvoices(response.data);
+        setChecked([]);
+      } catch (error) {
+        console.error("Error fetching invoices:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchInvoices();
+  }, [filters, reload]);
+
+  useEffect(() => {
+    setPayment(emptyPayment());
+    setPayments([]);
+    if (!selected?._id) return;
+
+    const fetchPayments = async () => {
+      try {
+        const response = await axios.get("/payments", { params: { invoice: selected._id } });
+        setPayments(response.data);
+      } catch (error) {
+        console.error("Error fetching payments:", error);
+      }
+    };
+    fetchPayments();
+  }, [selected?._id, selected?.amountPaid]);
+
+  const setFilter = (field, value) => setFilters((f) => ({ ...f, [field]: value }));
+
+  const filtered = invoices.filter(
+    (invoice) => activeTab === "All" || invoice.status === activeTab,
+  );
+
+  const toggleChecked = (id) =>
+    setChecked((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  const allChecked = filtered.length > 0 && filtered.every((invoice) => checked.includes(invoice._id));
+  const toggleAll = () => setChecked(allChecked ? [] : filtered.map((invoice) => invoice._id));
+
+  const handleZip = async () => {
+    try {
+      await downloadInvoicesZip(checked);
+    } catch (error) {
+      alert("Failed to download invoices");
+    }
+  };
+
+  const handleDownload = async (invoice) => {
+    try {
+      await downloadInvoice(invoice._id);
+    } catch (error) {
+      alert("Failed to download invoice");
+    }
+  };
+
+  const recordPayment = async () => {
+    if (!(Number(payment.amount) > 0)) return alert("Enter the amount received");
+
+    try {
+      setSaving(true);
+      const response = await axios.post(`/invoices/${selected._id}/payments`, {
+        ...payment,
+        amount: Number(payment.amount),
+      });
+      setInvoices((prev) => prev.map((i) => (i._id === selected._id ? response.data : i)));
+      setSelected(response.data);
+      setPayment(emptyPayment());
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to record payment");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("file", file);
+    try {
+      setImporting(true);
+      const response = await axios.post("/payments/import", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      setImportResult(response.data);
+      setReload((n) => n + 1);
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to import bank statement");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Record an unmatched statement line against the invoice chosen for it
+  const assignLine = async (line, invoiceId) => {
+    if (!invoiceId) return;
+    // unreadable statement dates fall back to today
+    const receivedAt = Number.isNaN(Date.parse(line.date)) ? undefined : line.date;
+    try {
+      await axios.post("/payments", {
+        invoice: invoiceId,
+        amount: line.amount,
+        method: "Bank Transfer",
+        reference: line.description,
+        receivedAt,
+        bankLine: { key: line.key, date: receivedAt, description: line.description },
+      });
+      setImportResult((r) => ({
+        ...r,
+        unmatched: r.unmatched.filter((l) => l.key !== line.key),
+        recorded: [...r.recorded, { ...line, matchedBy: "manual" }],
+      }));
+      setReload((n) => n + 1);
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to record payment");
+    }
+  };
+
+  const outstanding = invoices.reduce((sum, invoice) => sum + invoice.balance, 0);
+  const overdue = invoices
+    .filter((invoice) => invoice.status === "Overdue")
+    .reduce((sum, invoice) => sum + invoice.balance, 0);
+
+  return (
+    <div className="supplier-layout">
+      <SupplierSidebar />
+      <div className="supplier-main-content">
+        <SupplierTopbar />
+        <div className="orders-page-container">
+          <div className="orders-header">
+            <h1 className="page-title">Invoices</h1>
+            <div className="header-stats">
+              <div className="stat-pill">
+                <span className="stat-label">Outstanding</span>
+                <span className="stat-value warning">Rs. {outstanding.toLocaleString()}</span>
+              </div>
+              <div className="stat-pill">
+                <span className="stat-label">Overdue</span>
+                <span className="stat-value">Rs. {overdue.toLocaleString()}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="controls-section">
+            <div className="tabs-container">
+              {["All", "Unpaid", "PartPaid", "Overdue", "Paid"].map((tab) => (
+                <button
+                  key={tab}
+                  className={`tab-btn ${activeTab === tab ? "active" : ""}`}
+                  onClick={() => setActiveTab(tab)}
+                >
+                  {STATUS_LABEL[tab] || tab}
+                </button>
+              ))}
+            </div>
+
+            <div className="invoice-filters">
+              <select value={filters.buyer} onChange={(e) => setFilter("buyer", e.target.value)}>
+                <option value="">All buyers</option>
+                {buyers.map((buyer) => (
+                  <option key={buyer.supermarketId} value={buyer.supermarketId}>
+                    {buyer.name}
+                  </option>
+                ))}
+              </select>
+              <input type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} />
+              <span>to</span>
+              <input type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} />
+              <button className="btn-secondary" onClick={handleZip} disabled={checked.length === 0}>
+                Download ZIP ({checked.length})
+              </button>
+              <input
+                ref={fileInput}
+                type="file"
+                accept=".csv,text/csv"
+                style={{ display: "none" }}
+                onChange={handleImport}
+              />
+              <button
+                className="btn-secondary"
+                onClick={() => fileInput.current.click()}
+                disabled={importing}
+              >
+                {importing ? "Importing..." : "Import Bank CSV"}
+              </button>
+            </div>
+          </div>
+
+          <div className="table-card">
+            {loading ? (
+              <div style={{ padding: "20px", textAlign: "center" }}>
+                Loading...
+              </div>
+            ) : (
+              <table className="orders-table">
+                <thead>
+                  <tr>
+                    <th>
+                      <input type="checkbox" checked={allChecked} onChange={toggleAll} />
+                    </th>
+                    <th>Invoice</th>
+                    <th>Buyer</th>
+                    <th>Issued</th>
+                    <th>Due</th>
+                    <th>Total</th>
+                    <th>Balance</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filtered.length > 0 ? (
+                    filtered.map((invoice) => (
+                      <tr key={invoice._id}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={checked.includes(invoice._id)}
+                            onChange={() => toggleChecked(invoice._id)}
+                          />
+                        </td>
+                        <td className="id-cell">{invoice.number}</td>
+                        <td>{invoice.buyer?.name}</td>
+                        <td>{new Date(invoice.issuedAt).toLocaleDateString()}</td>
+                        <td>{new Date(invoice.dueDate).toLocaleDateString()}</td>
+                        <td>Rs. {invoice.total.toLocaleString()}</td>
+                        <td className="amount-cell">Rs. {invoice.balance.toLocaleString()}</td>
+                        <td>
+                          <span className={`status-badge ${STATUS_CLASS[invoice.status]}`}>
+                            {STATUS_LABEL[invoice.status]}
+                          </span>
+                        </td>
+                        <td>
+                          <button className="btn-icon" onClick={() => setSelected(invoice)}>
+                            View
+                          </button>
+                          <button className="btn-icon" onClick={() => handleDownload(invoice)}>
+                            PDF
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="9" className="empty-state">
+                        No invoices found
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {selected && (
+        <div className="modal-overlay" onClick={() => setSelected(null)}>
+          <div className="order-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>
+                {selected.number} · Order #{String(selected.order).slice(-6)}
+              </h2>
+              <button className="close-btn" onClick={() => setSelected(null)}>
+                ×
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <div className="customer-section">
+                <p><strong>{selected.buyer?.name}</strong></p>
+                <p>Issued {new Date(selected.issuedAt).toLocaleDateString()} · Due {new Date(selected.dueDate).toLocaleDateString()}</p>
+                <p>
+                  <span className={`status-badge ${STATUS_CLASS[selected.status]}`}>
+                    {STATUS_LABEL[selected.status]}
+                  </span>
+                </p>
+              </div>
+
+              <h3>Lines</h3>
+              <div className="modal-table-wrapper">
+                <table className="modal-table">
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th className="text-right">Qty</th>
+                      <th className="text-right">Price</th>
+                      <th className="text-right">VAT %</th>
+                      <th className="text-right">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.lines.map((line) => (
+                      <tr key={line._id}>
+                        <td>{line.name}</td>
+                        <td className="text-right">{line.quantity}</td>
+                        <td className="text-right">Rs. {line.price.toLocaleString()}</td>
+                        <td className="text-right">{line.vatRate || 0}</td>
+                        <td className="text-right">Rs. {line.amount.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {selected.subtotal != null && (
+                <div className="tax-breakdown">
+                  <div>Subtotal: Rs. {selected.subtotal.toLocaleString()}</div>
+                  <div>SSCL: Rs. {(selected.ssclTotal || 0).toLocaleString()}</div>
+                  <div>VAT: Rs. {(selected.vatTotal || 0).toLocaleString()}</div>
+                </div>
+              )}
+              <div className="order-total">
+                <span>Total Rs. {selected.total.toLocaleString()}</span>
+                <span className="total-price">Balance Rs. {selected.balance.toLocaleString()}</span>
+              </div>
+
+              <h3>Payments</h3>
+              {payments.length === 0 && <p className="line-note">No payments recorded.</p>}
+              {payments.map((p) => (
+                <div key={p._id} className="invoice-payment">
+                  <span>{new Date(p.receivedAt).toLocaleDateString()}</span>
+                  <span>{p.method}{p.reference ? ` · ${p.reference}` : ""}</span>
+                  {p.source !== "Manual" && <span className="line-note">{p.source === "BankImport" ? "bank import" : "at checkout"}</span>}
+                  <strong>Rs. {p.amount.toLocaleString()}</strong>
+                </div>
+              ))}
+
+              {selected.balance > 0 && (
+                <div className="payment-form">
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder={`Amount (max ${selected.balance})`}
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                  />
+                  <select
+                    value={payment.method}
+                    onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                  >
+                    {PAYMENT_METHODS.map((method) => (
+                      <option key={method} value={method}>{method}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    placeholder="Reference (optional)"
+                    value={payment.reference}
+                    onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                  />
+                  <input
+                    type="date"
+                    value={payment.receivedAt}
+                    onChange={(e) => setPayment({ ...payment, receivedAt: e.target.value })}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              <button className="btn-secondary" onClick={() => handleDownload(selected)}>
+                Download PDF
+              </button>
+              {selected.balance > 0 && (
+                <button className="btn-accept" onClick={recordPayment} disabled={saving}>
+                  {saving ? "Saving..." : "Record Payment"}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {importResult && (
+        <div className="modal-overlay" onClick={() => setImportResult(null)}>
+          <div className="order-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Bank Statement Import</h2>
+              <button className="close-btn" onClick={() => setImportResult(null)}>
+                ×
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <p className="line-note">
+                {importResult.recorded.length} recorded · {importResult.unmatched.length} unmatched
+                · {importResult.duplicates} already imported · {importResult.skipped} debits / blank lines skipped
+              </p>
+
+              {importResult.recorded.length > 0 && <h3>Recorded</h3>}
+              {importResult.recorded.map((line) => (
+                <div key={line.key} className="invoice-payment">
+                  <span>{new Date(line.date).toLocaleDateString()}</span>
+                  <span>{line.description}</span>
+                  <span className="line-note">by {line.matchedBy}</span>
+                  <strong>Rs. {line.amount.toLocaleString()}</strong>
+                </div>
+              ))}
+
+              {importResult.unmatched.length > 0 && <h3>Unmatched</h3>}
+              {importResult.unmatched.map((line) => (
+                <div key={line.key} className="import-unmatched">
+                  <div>
+                    <strong>Row {line.row}: Rs. {line.amount.toLocaleString()}</strong>
+                    <span>{line.description || "(no description)"}</span>
+                    <span className="line-note">{line.reason}</span>
+                  </div>
+                  <select defaultValue="" onChange={(e) => assignLine(line, e.target.value)}>
+                    <option value="">Assign to invoice...</option>
+                    {invoices
+                      .filter((invoice) => invoice.balance >= line.amount)
+                      .map((invoice) => (
+                        <option key={invoice._id} value={invoice._id}>
+                          {invoice.number} · {invoice.buyer?.name} · Rs. {invoice.balance.toLocaleString()}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <div className="modal-footer">
+              <button className="btn-secondary" onClick={() => setImportResult(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupplierInvoices;
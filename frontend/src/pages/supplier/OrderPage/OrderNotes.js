@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from "react";
+import axios from "../../../api/axiosInstance";
+
+// ✅ Must match NOTE_REASONS in backend/utils/notes.js (minus the SYSTEM_REASONS)
+const NOTE_REASONS = {
+  credit: [
+    { code: "PRICE_ADJUSTMENT", label: "Price adjustment" },
+    { code: "DAMAGED_IN_TRANSIT", label: "Damaged in transit" },
+    { code: "SHORT_DELIVERY", label: "Short delivery" },
+    { code: "GOODWILL", label: "Goodwill" },
+    { code: "OTHER", label: "Other" },
+  ],
+  debit: [
+    { code: "UNDERCHARGE", label: "Undercharge" },
+    { code: "DELIVERY_FEE", label: "Delivery fee" },
+    { code: "LATE_PAYMENT_FEE", label: "Late payment fee" },
+    { code: "OTHER", label: "Other" },
+  ],
+};
+
+const emptyForm = { type: "credit", reasonCode: "", reason: "", itemId: "", quantity: 1, amount: "" };
+
+// Credit / debit notes on one order, with a form to issue a new one
+const OrderNotes = ({ order }) => {
+  const [notes, setNotes] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchNotes = async () => {
+      try {
+        const response = await axios.get(`/notes?order=${order._id}`);
+        setNotes(response.data);
+      } catch (error) {
+        console.error("Error loading notes:", error);
+      }
+    };
+    fetchNotes();
+    setForm(null);
+  }, [order._id]);
+
+  const canIssue = ["Accepted", "PartiallyDispatched", "Dispatched", "Delivered"].includes(order.status);
+  const setField = (field, value) => setForm((f) => ({ ...f, [field]: value }));
+
+  const submit = async () => {
+    if (!form.reasonCode) return alert("Choose a reason");
+    if (!form.reason.trim()) return alert("Describe the reason");
+
+    const body = {
+      type: form.type,
+      orderId: order._id,
+      reasonCode: form.reasonCode,
+      reason: form.reason,
+    };
+    if (form.itemId) {
+      body.lines = [{ itemId: form.itemId, quantity: Number(form.quantity), amount: form.amount }];
+    } else {
+      body.amount = Number(form.amount);
+    }
+
+    try {
+      setSaving(true);
+      const response = await axios.post("/notes", body);
+      setNotes((prev) => [response.data, ...prev]);
+      setForm(null);
+      alert(`${response.data.type === "credit" ? "Credit" : "Debit"} note ${response.data.number} issued`);
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to issue note");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="order-notes">
+      <h3>Credit / Debit Notes</h3>
+      {notes.length === 0 && <p className="line-note">No notes on this order.</p>}
+      {notes.map((note) => (
+        <div key={note._id} className={`note-row ${note.type}`}>
+          <strong>{note.number}</strong>
+          <span>{note.reason}</span>
+          <span className="note-amount">
+            {note.type === "credit" ? "−" : "+"} Rs. {note.amount.toLocaleString()}
+          </span>
+        </div>
+      ))}
+
+      {canIssue && !form && (
+        <button className="btn-secondary" onClick={() => setForm(emptyForm)}>
+          Issue Credit / Debit Note
+        </button>
+      )}
+
+      {form && (
+        <div className="note-form">
+          <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value, reasonCode: "" })}>
+            <option value="credit">Credit note (reduce amount owed)</option>
+            <option value="debit">Debit note (add a charge)</option>
+          </select>
+          <select value={form.reasonCode} onChange={(e) => setField("reasonCode", e.target.value)}>
+            <option value="">Select a reason...</option>
+            {NOTE_REASONS[form.type].map((r) => (
+              <option key={r.code} value={r.code}>{r.label}</option>
+            ))}
+          </select>
+          <select value={form.itemId} onChange={(e) => setField("itemId", e.target.value)}>
+            <option value="">Whole order</option>
+            {order.items.map((item) => (
+              <option key={item._id} value={item._id}>{item.name} (Rs. {item.price})</option>
+            ))}
+          </select>
+          {form.itemId && (
+            <input type="number" min="1" placeholder="Quantity" value={form.quantity} onChange={(e) => setField("quantity", e.target.value)} />
+          )}
+          <input
+            type="number"
+            min="0"
+            placeholder={form.itemId ? "Amount (default: qty × price)" : "Amount (Rs.)"}
+            value={form.amount}
+            onChange={(e) => setField("amount", e.target.value)}
+          />
+          <input type="text" placeholder="Description shown to the buyer" value={form.reason} onChange={(e) => setField("reason", e.target.value)} />
+          <div className="note-form-actions">
+            <button className="btn-secondary" onClick={() => setForm(null)}>Cancel</button>
+            <button className="btn-accept" onClick={submit} disabled={saving}>
+              {saving ? "Issuing..." : "Issue Note"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderNotes;
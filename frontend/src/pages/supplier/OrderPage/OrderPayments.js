@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from "react";
+import axios from "../../../api/axiosInstance";
+
+const PAYMENT_METHODS = ["Cash", "Cheque", "Bank Transfer", "Card", "Other"];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyForm = () => ({ amount: "", method: "Cash", reference: "", receivedAt: today() });
+
+// Payments collected on one order (cash on delivery, cheques ...), with a form to record one
+// and card refunds sent back through the payment provider
+const OrderPayments = ({ order, onChanged }) => {
+  const [payments, setPayments] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  // Once invoiced, the invoice total is what the buyer owes
+  const [invoiceTotal, setInvoiceTotal] = useState(null);
+  const [form, setForm] = useState(null);
+  const [refundForm, setRefundForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPayments = async () => {
+      try {
+        const [paymentsRes, refundsRes, invoiceRes] = await Promise.all([
+          axios.get(`/payments?order=${order._id}`),
+          axios.get(`/refunds?order=${order._id}`),
+          order.invoice ? axios.get(`/invoices/${order.invoice}`) : null,
+        ]);
+        setPayments(paymentsRes.data);
+        setRefunds(refundsRes.data);
+        setInvoiceTotal(invoiceRes ? invoiceRes.data.total : null);
+      } catch (error) {
+        console.error("Error loading payments:", error);
+      }
+    };
+    fetchPayments();
+    setForm(null);
+    setRefundForm(null);
+  }, [order._id, order.invoice]);
+
+  const paid = order.amountPaid || 0;
+  const due = invoiceTotal ?? order.totalAmount;
+  const balance = Math.max(0, due - (paid - (order.amountRefunded || 0)));
+  const canRecord = !["Rejected", "Cancelled"].includes(order.status) && balance > 0;
+  const refundable = payments
+    .filter((p) => p.method === "Card" && p.source === "Checkout")
+    .reduce((sum, p) => sum + p.amount - (p.refundedAmount || 0), 0);
+  const setField = (field, value) => setForm((f) => ({ ...f, [field]: value }));
+
+  // Helper: payment status and totals after the ledger changed
+  const reloadOrder = async () => {
+    const { data } = await axios.get(`/orders/${order._id}`);
+    onChanged({
+      paymentStatus: data.paymentStatus,
+      amountPaid: data.amountPaid,
+      amountRefunded: data.amountRefunded,
+    });
+  };
+
+  const submit = async () => {
+    if (!(Number(form.amount) > 0)) return alert("Enter the amount received");
+
+    try {
+      setSaving(true);
+      const response = await axios.post("/payments", {
+        ...form,
+        order: order._id,
+        amount: Number(form.amount),
+      });
+      setPayments((prev) => [response.data, ...prev]);
+      setForm(null);
+      await reloadOrder();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to record payment");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const submitRefund = async () => {
+    const amount = Number(refundForm.amount);
+    if (!(amount > 0)) return alert("Enter the amount to refund");
+    if (!window.confirm(`Refund Rs. ${amount.toLocaleString()} to the buyer's card?`)) return;
+
+    setSaving(true);
+    try {
+      await axios.post("/refunds", { order: order._id, amount, reason: refundForm.reason });
+      setRefundForm(null);
+    } catch (error) {
+      alert(error.response?.data?.message || "Refund failed");
+    }
+
+    // A failed refund is listed too, so reload either way
+    try {
+      const [paymentsRes, refundsRes] = await Promise.all([
+        axios.get(`/payments?order=${order._id}`),
+        axios.get(`/refunds?order=${order._id}`),
+      ]);
+      setPayments(paymentsRes.data);
+      setRefunds(refundsRes.data);
+      await reloadOrder();
+    } catch (error) {
+      console.error("Error loading payments:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="order-notes">
+      <h3>Payments</h3>
+      {payments.length === 0 && <p className="line-note">No payments recorded.</p>}
+      {payments.map((p) => (
+        <div key={p._id} className="note-row credit">
+          <strong>{new Date(p.receivedAt).toLocaleDateString()}</strong>
+          <span>
+            {p.method}
+            {p.reference ? ` · ${p.reference}` : ""}
+            {p.invoice?.number ? ` · ${p.invoice.number}` : ""}
+          </span>
+          <span className="note-amount">Rs. {p.amount.toLocaleString()}</span>
+        </div>
+      ))}
+      {refunds.map((r) => (
+        <div key={r._id} className="note-row debit">
+          <strong>{new Date(r.createdAt).toLocaleDateString()}</strong>
+          <span>
+            Refund · {r.trigger}
+            {r.reason ? ` · ${r.reason}` : ""}
+            {r.status !== "Succeeded" ? ` · ${r.status}${r.failureReason ? `: ${r.failureReason}` : ""}` : ""}
+          </span>
+          <span className="note-amount">− Rs. {r.amount.toLocaleString()}</span>
+        </div>
+      ))}
+      {paid > 0 && balance > 0 && (
+        <p className="line-note">Paid Rs. {paid.toLocaleString()} · Rs. {balance.toLocaleString()} to collect</p>
+      )}
+      {order.amountRefunded > 0 && (
+        <p className="line-note">Refunded Rs. {order.amountRefunded.toLocaleString()} to the buyer's card</p>
+      )}
+
+      {!form && !refundForm && (canRecord || refundable > 0) && (
+        <div className="note-form-actions">
+          {canRecord && (
+            <button className="btn-secondary" onClick={() => setForm({ ...emptyForm(), amount: String(balance) })}>
+              Record Payment
+            </button>
+          )}
+          {refundable > 0 && (
+            <button className="btn-secondary" onClick={() => setRefundForm({ amount: String(refundable), reason: "" })}>
+              Refund to Card
+            </button>
+          )}
+        </div>
+      )}
+
+      {refundForm && (
+        <div className="note-form">
+          <input
+            type="number"
+            min="0"
+            max={refundable}
+            placeholder={`Amount (up to Rs. ${refundable.toLocaleString()})`}
+            value={refundForm.amount}
+            onChange={(e) => setRefundForm((f) => ({ ...f, amount: e.target.value }))}
+          />
+          <input
+            type="text"
+            placeholder="Reason (shown to the buyer)"
+            value={refundForm.reason}
+            onChange={(e) => setRefundForm((f) => ({ ...f, reason: e.target.value }))}
+          />
+          <div className="note-form-actions">
+            <button className="btn-secondary" onClick={() => setRefundForm(null)}>Cancel</button>
+            <button className="btn-accept" onClick={submitRefund} disabled={saving}>
+              {saving ? "Refunding..." : "Refund"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {form && (
+        <div className="note-form">
+          <input type="number" min="0" placeholder="Amount (Rs.)" value={form.amount} onChange={(e) => setField("amount", e.target.value)} />
+          <select value={form.method} onChange={(e) => setField("method", e.target.value)}>
+            {PAYMENT_METHODS.map((method) => (
+              <option key={method} value={method}>{method}</option>
+            ))}
+          </select>
+          <input type="text" placeholder="Reference (receipt / cheque no.)" value={form.reference} onChange={(e) => setField("reference", e.target.value)} />
+          <input type="date" value={form.receivedAt} onChange={(e) => setField("receivedAt", e.target.value)} />
+          <div className="note-form-actions">
+            <button className="btn-secondary" onClick={() => setForm(null)}>Cancel</button>
+            <button className="btn-accept" onClick={submit} disabled={saving}>
+              {saving ? "Saving..." : "Record Payment"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderPayments;
@@ -4,10 +4,20 @@ import SupplierSidebar from "../Suppliersidebar";
 import SupplierTopbar from "../SupplierTopbar";
 
 import axios from "../../../api/axiosInstance";
-import { generateInvoice } from "../../../utils/invoiceGenerator";
+import { downloadInvoice, downloadPickList } from "../../../utils/invoiceDownload";
+import OrderTimeline from "../../../components/OrderTimeline";
+import OrderNotes from "./OrderNotes";
+import OrderPayments from "./OrderPayments";
 
 import "./SupplierOrders.css";
 
+// Units not yet shipped, backordered or cancelled
+const outstandingQty = (item) =>
+  (item.quantity || 0) -
+  (item.shippedQty || 0) -
+  (item.backorderedQty || 0) -
+  (item.cancelledQty || 0);
+
 const SupplierOrders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -15,10 +25,41 @@ const SupplierOrders = () => {
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
 
+  // ✅ Partial accept / partial dispatch
+  const [fulfilMode, setFulfilMode] = useState(null); // null | "accept" | "ship"
+  const [lineQty, setLineQty] = useState({});
+  const [acceptRemainder, setAcceptRemainder] = useState("cancel");
+
+  // ✅ Supplier setting: when invoices are issued
+  const [invoiceIssueOn, setInvoiceIssueOn] = useState("Delivered");
+
   useEffect(() => {
     fetchOrders();
+    fetchInvoiceSettings();
   }, []);
 
+  const fetchInvoiceSettings = async () => {
+    try {
+      const response = await axios.get("/invoices/settings");
+      setInvoiceIssueOn(response.data.issueOn);
+    } catch (error) {
+      console.error("Error loading invoice settings:", error);
+    }
+  };
+
+  const updateInvoiceIssueOn = async (issueOn) => {
+    try {
+      const response = await axios.put("/invoices/settings", { issueOn });
+      setInvoiceIssueOn(response.data.issueOn);
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to save invoice setting");
+    }
+  };
+
+  useEffect(() => {
+    setFulfilMode(null);
+  }, [selectedOrder?._id]);
+
   const fetchOrders = async () => {
     try {
       setLoading(true);
@@ -31,29 +72,201 @@ const SupplierOrders = () => {
     }
   };
 
-  const handleStatusUpdate = async (orderId, newStatus) => {
+  // Merge changed fields into list + modal (keeps populated refs)
+  const patchOrder = async (orderId, changes) => {
+    try {
+      const history = await axios.get(`/orders/${orderId}/history`);
+      changes = { ...changes, statusHistory: history.data.history };
+    } catch (error) {
+      console.error("Error loading history:", error);
+    }
+
+    setOrders((prev) =>
+      prev.map((order) =>
+        order._id === orderId ? { ...order, ...changes } : order,
+      ),
+    );
+
+    setSelectedOrder((current) =>
+      current && current._id === orderId ? { ...current, ...changes } : current,
+    );
+  };
+
+  // Fields that fulfilment changes on an order
+  const fulfilmentFields = (order) => ({
+    status: order.status,
+    items: order.items,
+    shipments: order.shipments,
+    totalAmount: order.totalAmount,
+    subtotal: order.subtotal,
+    vatTotal: order.vatTotal,
+    ssclTotal: order.ssclTotal,
+    backorders: order.backorders,
+    invoice: order.invoice,
+  });
+
+  // Download the issued invoice, or issue it now if it is missing
+  const handleInvoice = async (order) => {
+    try {
+      let invoiceId = order.invoice;
+      if (!invoiceId) {
+        if (!window.confirm("No invoice has been issued for this order yet. Issue it now?")) return;
+        const response = await axios.post("/invoices", { orderId: order._id });
+        invoiceId = response.data._id;
+        await patchOrder(order._id, { invoice: invoiceId });
+      }
+      await downloadInvoice(invoiceId);
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to get the invoice");
+    }
+  };
+
+  const handlePickList = async (orderId) => {
+    try {
+      await downloadPickList(orderId);
+    } catch (error) {
+      alert("Failed to download the pick list");
+    }
+  };
+
+  const handleStatusUpdate = async (orderId, newStatus, extra = {}) => {
     try {
       console.log(`Updating Order: ${orderId} to ${newStatus}`);
 
+      const comment =
+        newStatus === "Rejected"
+          ? window.prompt("Reason for rejecting (optional):") || ""
+          : "";
+
+      // ✅ Accept only the version we are looking at
+      const expectedVersion =
+        newStatus === "Accepted"
+          ? orders.find((order) => order._id === orderId)?.version
+          : undefined;
+
       const response = await axios.patch(`/orders/${orderId}/status`, {
         status: newStatus,
+        comment,
+        expectedVersion,
+        ...extra,
       });
       console.log("Update success:", response.data);
 
-      setOrders((prev) =>
-        prev.map((order) =>
-          order._id === orderId ? { ...order, status: newStatus } : order,
-        ),
-      );
+      await patchOrder(orderId, fulfilmentFields(response.data));
+      setFulfilMode(null);
 
-      if (selectedOrder && selectedOrder._id === orderId) {
-        setSelectedOrder({ ...selectedOrder, status: newStatus });
-      }
+      // a backorder may have been created
+      if (response.data.backorders?.length) fetchOrders();
 
       alert(`Order marked as ${newStatus}`);
     } catch (error) {
       console.error("Error updating status:", error.response?.data || error);
       alert(error.response?.data?.message || "Failed to update status");
+
+      // the buyer amended it meanwhile: show the latest version
+      if (error.response?.status === 409) reloadAmendedOrder(orderId);
+    }
+  };
+
+  const reloadAmendedOrder = async (orderId) => {
+    try {
+      const { data } = await axios.get(`/orders/${orderId}`);
+      setFulfilMode(null);
+      await patchOrder(orderId, {
+        ...fulfilmentFields(data),
+        deliveryAddress: data.deliveryAddress,
+        note: data.note,
+        version: data.version,
+        amendments: data.amendments,
+      });
+    } catch (error) {
+      console.error("Error reloading order:", error);
+    }
+  };
+
+  const handleCancellation = async (orderId, decision) => {
+    let comment = "";
+    if (decision === "decline") {
+      comment = window.prompt("Reason for declining the cancellation (optional):") || "";
+    } else if (!window.confirm("Approve cancellation? Reserved stock will be released.")) {
+      return;
+    }
+
+    try {
+      const response = await axios.patch(`/orders/${orderId}/cancellation`, {
+        decision,
+        comment,
+      });
+      const { status, cancellation } = response.data;
+
+      await patchOrder(orderId, { status, cancellation });
+
+      alert(decision === "approve" ? "Order cancelled" : "Cancellation declined");
+    } catch (error) {
+      console.error("Error answering cancellation:", error.response?.data || error);
+      alert(error.response?.data?.message || "Failed to update cancellation");
+    }
+  };
+
+  const openFulfil = (mode) => {
+    const next = {};
+    for (const item of selectedOrder.items || []) {
+      next[item._id] = mode === "accept" ? item.quantity : outstandingQty(item);
+    }
+    setLineQty(next);
+    setFulfilMode(mode);
+  };
+
+  const submitPartialAccept = () => {
+    const lines = (selectedOrder.items || []).map((item) => ({
+      itemId: item._id,
+      acceptedQty: Number(lineQty[item._id] || 0),
+    }));
+    handleStatusUpdate(selectedOrder._id, "Accepted", {
+      lines,
+      remainder: acceptRemainder,
+    });
+  };
+
+  const submitShipment = async () => {
+    const lines = (selectedOrder.items || [])
+      .map((item) => ({ itemId: item._id, quantity: Number(lineQty[item._id] || 0) }))
+      .filter((line) => line.quantity > 0);
+
+    if (lines.length === 0) return alert("Enter at least one quantity to ship");
+
+    try {
+      const response = await axios.post(`/orders/${selectedOrder._id}/shipments`, { lines });
+      await patchOrder(selectedOrder._id, fulfilmentFields(response.data));
+      setFulfilMode(null);
+      alert(
+        response.data.status === "Dispatched"
+          ? "All items dispatched"
+          : "Partial dispatch recorded",
+      );
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to record dispatch");
+    }
+  };
+
+  const handleRemainder = async (action) => {
+    const msg =
+      action === "backorder"
+        ? "Move all unshipped units to a new backorder?"
+        : "Cancel all unshipped units? Their stock will be released.";
+    if (!window.confirm(msg)) return;
+
+    try {
+      const response = await axios.post(`/orders/${selectedOrder._id}/remainder`, { action });
+      await patchOrder(selectedOrder._id, fulfilmentFields(response.data.order));
+      if (response.data.backorder) fetchOrders();
+      alert(
+        response.data.backorder
+          ? `Backorder #${response.data.backorder._id.slice(-6)} created`
+          : "Remaining units cancelled",
+      );
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to update order");
     }
   };
 
@@ -78,12 +291,16 @@ const SupplierOrders = () => {
         return "badge-pending";
       case "Accepted":
         return "badge-accepted";
+      case "PartiallyDispatched":
+        return "badge-partial";
       case "Dispatched":
         return "badge-dispatched";
       case "Delivered":
         return "badge-delivered";
       case "Rejected":
         return "badge-rejected";
+      case "Cancelled":
+        return "badge-cancelled";
       default:
         return "";
     }
@@ -105,6 +322,36 @@ const SupplierOrders = () => {
           PAID ✅
         </span>
       );
+    } else if (status === "PartPaid") {
+      return (
+        <span
+          style={{
+            backgroundColor: "#ffedd5",
+            color: "#9a3412",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            fontWeight: "600",
+          }}
+        >
+          PART-PAID 🪙
+        </span>
+      );
+    } else if (status === "Refunded" || status === "PartiallyRefunded") {
+      return (
+        <span
+          style={{
+            backgroundColor: "#e0e7ff",
+            color: "#3730a3",
+            padding: "4px 8px",
+            borderRadius: "4px",
+            fontSize: "12px",
+            fontWeight: "600",
+          }}
+        >
+          {status === "Refunded" ? "REFUNDED ↩️" : "PART-REFUNDED ↩️"}
+        </span>
+      );
     } else {
       return (
         <span
@@ -131,6 +378,19 @@ const SupplierOrders = () => {
         <div className="orders-page-container">
           <div className="orders-header">
             <h1 className="page-title">Order Management</h1>
+            <div className="header-stats">
+              <label className="stat-pill">
+                <span className="stat-label">Issue invoices when</span>
+                <select
+                  className="invoice-setting"
+                  value={invoiceIssueOn}
+                  onChange={(e) => updateInvoiceIssueOn(e.target.value)}
+                >
+                  <option value="Accepted">Accepted</option>
+                  <option value="Delivered">Delivered</option>
+                </select>
+              </label>
+            </div>
           </div>
 
           <div className="controls-section">
@@ -139,16 +399,18 @@ const SupplierOrders = () => {
                 "All",
                 "Pending",
                 "Accepted",
+                "PartiallyDispatched",
                 "Dispatched",
                 "Delivered",
                 "Rejected",
+                "Cancelled",
               ].map((tab) => (
                 <button
                   key={tab}
                   className={`tab-btn ${activeTab === tab ? "active" : ""}`}
                   onClick={() => setActiveTab(tab)}
                 >
-                  {tab}
+                  {tab === "PartiallyDispatched" ? "Partial" : tab}
                 </button>
               ))}
             </div>
@@ -198,6 +460,16 @@ const SupplierOrders = () => {
                           >
                             {order.status}
                           </span>
+                          {order.cancellation?.status === "Requested" && (
+                            <span className="status-badge badge-cancel-requested">
+                              Cancel requested
+                            </span>
+                          )}
+                          {order.version > 1 && (
+                            <span className="status-badge badge-amended">
+                              Amended v{order.version}
+                            </span>
+                          )}
                         </td>
                         <td>
                           <button
@@ -231,7 +503,7 @@ const SupplierOrders = () => {
               <div style={{ display: "flex", gap: "10px" }}>
                 <button
                   className="btn-secondary"
-                  onClick={() => generateInvoice(selectedOrder)}
+                  onClick={() => handleInvoice(selectedOrder)}
                   style={{
                     background: "#4f46e5",
                     color: "#fff",
@@ -243,6 +515,12 @@ const SupplierOrders = () => {
                 >
                   <span>📄</span> Invoice
                 </button>
+                <button
+                  className="btn-secondary"
+                  onClick={() => handlePickList(selectedOrder._id)}
+                >
+                  <span>📋</span> Pick List
+                </button>
                 <button
                   className="close-btn"
                   onClick={() => setSelectedOrder(null)}
@@ -285,6 +563,72 @@ const SupplierOrders = () => {
                 </div>
               </div>
 
+              {selectedOrder.cancellation?.status && (
+                <div className="cancellation-box">
+                  <strong>
+                    {selectedOrder.cancellation.status === "Requested"
+                      ? "Buyer requested cancellation"
+                      : `Cancellation ${selectedOrder.cancellation.status.toLowerCase()}`}
+                  </strong>
+                  <div>
+                    Reason: {selectedOrder.cancellation.reasonCode?.replace(/_/g, " ").toLowerCase()}
+                    {selectedOrder.cancellation.note
+                      ? ` — ${selectedOrder.cancellation.note}`
+                      : ""}
+                  </div>
+                </div>
+              )}
+
+              {selectedOrder.amendments?.length > 0 && (
+                <div className="amendment-box">
+                  <strong>Amended by the buyer (now v{selectedOrder.version})</strong>
+                  {selectedOrder.amendments
+                    .slice()
+                    .reverse()
+                    .map((amendment) => (
+                      <div key={amendment.version} className="amendment-entry">
+                        <span className="amendment-meta">
+                          v{amendment.version} · {new Date(amendment.at).toLocaleString()}
+                        </span>
+                        <ul>
+                          {amendment.diff.added.map((line) => (
+                            <li key={`a-${line.product}`}>
+                              + {line.name} × {line.quantity}
+                            </li>
+                          ))}
+                          {amendment.diff.removed.map((line) => (
+                            <li key={`r-${line.product}`}>
+                              − {line.name} × {line.quantity}
+                            </li>
+                          ))}
+                          {amendment.diff.changed.map((line) => (
+                            <li key={`c-${line.product}`}>
+                              {line.name}: {line.fromQty} → {line.toQty}
+                              {line.fromPrice !== line.toPrice &&
+                                ` (Rs. ${line.fromPrice} → Rs. ${line.toPrice})`}
+                            </li>
+                          ))}
+                          {amendment.diff.deliveryAddress?.from != null && (
+                            <li>
+                              Delivery address: {amendment.diff.deliveryAddress.from} →{" "}
+                              {amendment.diff.deliveryAddress.to}
+                            </li>
+                          )}
+                          {amendment.diff.note?.from != null && (
+                            <li>Note: “{amendment.diff.note.to}”</li>
+                          )}
+                        </ul>
+                        {amendment.previousTotal !== amendment.newTotal && (
+                          <span className="amendment-meta">
+                            Total Rs. {amendment.previousTotal?.toLocaleString()} → Rs.{" "}
+                            {amendment.newTotal?.toLocaleString()}
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                </div>
+              )}
+
               <h3>Items</h3>
               <div className="modal-table-wrapper">
                 <table className="modal-table">
@@ -292,24 +636,104 @@ const SupplierOrders = () => {
                     <tr>
                       <th>Item</th>
                       <th style={{ textAlign: "right" }}>Qty</th>
+                      <th style={{ textAlign: "right" }}>Shipped</th>
                       <th style={{ textAlign: "right" }}>Total</th>
+                      {fulfilMode && (
+                        <th style={{ textAlign: "right" }}>
+                          {fulfilMode === "accept" ? "Accept" : "Ship now"}
+                        </th>
+                      )}
                     </tr>
                   </thead>
                   <tbody>
                     {(selectedOrder.items || []).map((item, i) => (
                       <tr key={i}>
-                        <td>{item.name}</td>
+                        <td>
+                          {item.name}
+                          {item.unitSize > 1 && (
+                            <div className="line-note">
+                              per {item.unit} ({item.unitSize} × {item.baseUnit || "unit"})
+                            </div>
+                          )}
+                          {(item.sku || item.barcode) && (
+                            <div className="line-note">
+                              {[item.sku, item.barcode].filter(Boolean).join(" · ")}
+                            </div>
+                          )}
+                          {(item.vatRate > 0 || item.ssclRate > 0) && (
+                            <div className="line-note">
+                              VAT {item.vatRate || 0}% · SSCL {item.ssclRate || 0}%
+                              {item.taxInclusive ? " (incl.)" : ""}
+                            </div>
+                          )}
+                          {(item.backorderedQty > 0 || item.cancelledQty > 0) && (
+                            <div className="line-note">
+                              {item.backorderedQty > 0 && `${item.backorderedQty} backordered `}
+                              {item.cancelledQty > 0 && `${item.cancelledQty} cancelled`}
+                            </div>
+                          )}
+                        </td>
                         <td style={{ textAlign: "right" }}>{item.quantity}</td>
+                        <td style={{ textAlign: "right" }}>{item.shippedQty || 0}</td>
                         <td style={{ textAlign: "right" }}>
                           {(
+                            item.lineTotal ??
                             (item.price || 0) * (item.quantity || 0)
                           ).toLocaleString()}
                         </td>
+                        {fulfilMode && (
+                          <td style={{ textAlign: "right" }}>
+                            <input
+                              className="line-qty-input"
+                              type="number"
+                              min={0}
+                              max={fulfilMode === "accept" ? item.quantity : outstandingQty(item)}
+                              value={lineQty[item._id] ?? 0}
+                              onChange={(e) =>
+                                setLineQty((prev) => ({ ...prev, [item._id]: e.target.value }))
+                              }
+                            />
+                          </td>
+                        )}
                       </tr>
                     ))}
                   </tbody>
                 </table>
               </div>
+
+              {fulfilMode === "accept" && (
+                <div className="fulfil-options">
+                  <label>
+                    Units not accepted:
+                    <select
+                      value={acceptRemainder}
+                      onChange={(e) => setAcceptRemainder(e.target.value)}
+                    >
+                      <option value="cancel">Cancel them</option>
+                      <option value="backorder">Create a backorder</option>
+                    </select>
+                  </label>
+                </div>
+              )}
+
+              {selectedOrder.backorderOf && (
+                <p className="line-note">
+                  Backorder of order #{String(selectedOrder.backorderOf).slice(-6)}
+                </p>
+              )}
+              {selectedOrder.backorders?.length > 0 && (
+                <p className="line-note">
+                  Backorders:{" "}
+                  {selectedOrder.backorders.map((id) => `#${String(id).slice(-6)}`).join(", ")}
+                </p>
+              )}
+              {selectedOrder.subtotal != null && (
+                <div className="tax-breakdown">
+                  <div>Subtotal: Rs. {selectedOrder.subtotal.toLocaleString()}</div>
+                  <div>SSCL: Rs. {(selectedOrder.ssclTotal || 0).toLocaleString()}</div>
+                  <div>VAT: Rs. {(selectedOrder.vatTotal || 0).toLocaleString()}</div>
+                </div>
+              )}
               <div
                 style={{
                   textAlign: "right",
@@ -320,6 +744,15 @@ const SupplierOrders = () => {
               >
                 Total: Rs. {selectedOrder.totalAmount.toLocaleString()}
               </div>
+
+              <OrderPayments
+                order={selectedOrder}
+                onChanged={(changes) => patchOrder(selectedOrder._id, changes)}
+              />
+              <OrderNotes order={selectedOrder} />
+
+              <h3>Tracking</h3>
+              <OrderTimeline order={selectedOrder} />
             </div>
 
             <div className="modal-footer">
@@ -334,27 +767,111 @@ const SupplierOrders = () => {
                     Reject
                   </button>
 
+                  {fulfilMode === "accept" ? (
+                    <>
+                      <button
+                        className="btn-secondary"
+                        onClick={() => setFulfilMode(null)}
+                      >
+                        Back
+                      </button>
+                      <button className="btn-accept" onClick={submitPartialAccept}>
+                        Confirm Partial Accept
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        className="btn-secondary"
+                        onClick={() => openFulfil("accept")}
+                      >
+                        Partial Accept
+                      </button>
+                      <button
+                        className="btn-accept"
+                        onClick={() =>
+                          handleStatusUpdate(selectedOrder._id, "Accepted")
+                        }
+                      >
+                        Accept Order
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+
+              {selectedOrder.cancellation?.status === "Requested" && (
+                <>
+                  <button
+                    className="btn-secondary"
+                    onClick={() =>
+                      handleCancellation(selectedOrder._id, "decline")
+                    }
+                  >
+                    Decline Cancellation
+                  </button>
+
                   <button
-                    className="btn-accept"
+                    className="btn-reject"
                     onClick={() =>
-                      handleStatusUpdate(selectedOrder._id, "Accepted")
+                      handleCancellation(selectedOrder._id, "approve")
                     }
                   >
-                    Accept Order
+                    Approve Cancellation
                   </button>
                 </>
               )}
 
-              {selectedOrder.status === "Accepted" && (
-                <button
-                  className="btn-accept"
-                  onClick={() =>
-                    handleStatusUpdate(selectedOrder._id, "Dispatched")
-                  }
-                >
-                  Mark as Dispatched
-                </button>
-              )}
+              {["Accepted", "PartiallyDispatched"].includes(selectedOrder.status) &&
+                selectedOrder.cancellation?.status !== "Requested" &&
+                (fulfilMode === "ship" ? (
+                  <>
+                    <button
+                      className="btn-secondary"
+                      onClick={() => setFulfilMode(null)}
+                    >
+                      Back
+                    </button>
+                    <button className="btn-accept" onClick={submitShipment}>
+                      Confirm Dispatch
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    {selectedOrder.status === "PartiallyDispatched" && (
+                      <>
+                        <button
+                          className="btn-reject"
+                          onClick={() => handleRemainder("cancel")}
+                        >
+                          Cancel Remainder
+                        </button>
+                        <button
+                          className="btn-secondary"
+                          onClick={() => handleRemainder("backorder")}
+                        >
+                          Backorder Remainder
+                        </button>
+                      </>
+                    )}
+                    <button
+                      className="btn-secondary"
+                      onClick={() => openFulfil("ship")}
+                    >
+                      Partial Dispatch
+                    </button>
+                    <button
+                      className="btn-accept"
+                      onClick={() =>
+                        handleStatusUpdate(selectedOrder._id, "Dispatched")
+                      }
+                    >
+                      {selectedOrder.status === "Accepted"
+                        ? "Mark as Dispatched"
+                        : "Ship All Remaining"}
+                    </button>
+                  </>
+                ))}
 
               {selectedOrder.status === "Dispatched" && (
                 <button
@@ -367,7 +884,7 @@ const SupplierOrders = () => {
                 </button>
               )}
 
-              {["Delivered", "Rejected"].includes(
+              {["Delivered", "Rejected", "Cancelled"].includes(
                 selectedOrder?.status || "",
               ) && (
                 <button
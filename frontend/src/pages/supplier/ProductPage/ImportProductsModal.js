@@ -0,0 +1,201 @@
+import React, { useState } from "react";
+import axios from "../../../api/axiosInstance";
+import { downloadCatalog } from "../../../utils/invoiceDownload";
+
+const actionLabels = {
+  create: "New",
+  update: "Update",
+  unchanged: "No change",
+  error: "Error",
+};
+
+// Bulk catalog import: upload a CSV / XLSX, preview every row, then apply
+const ImportProductsModal = ({ onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // Stock of existing products is kept unless asked for (an old export would undo sales)
+  const [updateStock, setUpdateStock] = useState(false);
+
+  const upload = async (commit) => {
+    const body = new FormData();
+    body.append("file", file);
+    const { data } = await axios.post("/products/import", body, {
+      params: { updateStock, ...(commit ? { commit: true } : {}) },
+    });
+    return data;
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    try {
+      setBusy(true);
+      setPreview(await upload(false));
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to read the file");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      const result = await upload(true);
+      setPreview(result);
+      onImported();
+      alert(`Imported: ${result.summary.create} new, ${result.summary.update} updated`);
+    } catch (error) {
+      // A file with errors comes back with its rows so they can be fixed
+      if (error.response?.data?.rows) setPreview(error.response.data);
+      alert(error.response?.data?.message || "Import failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      await downloadCatalog(format);
+    } catch (error) {
+      alert("Failed to export the catalog");
+    }
+  };
+
+  const changes = preview ? preview.summary.create + preview.summary.update : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="product-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Products</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            style={{
+              background: "none",
+              border: "none",
+              fontSize: "20px",
+              cursor: "pointer",
+            }}
+          >
+            ×
+          </button>
+        </div>
+        <div className="modal-form tax-settings-form">
+          <p>
+            One product per row, matched by SKU: a known SKU updates that product, a new or
+            empty one adds a product. Empty cells keep the current value. Start from your
+            current catalog:{" "}
+            <button type="button" className="btn-cancel" onClick={() => handleExport("csv")}>
+              CSV
+            </button>{" "}
+            <button type="button" className="btn-cancel" onClick={() => handleExport("xlsx")}>
+              XLSX
+            </button>
+          </p>
+
+          <form onSubmit={handlePreview}>
+            <div className="form-group">
+              <label>Catalog file (.csv or .xlsx)</label>
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={(e) => {
+                  setFile(e.target.files[0]);
+                  setPreview(null);
+                }}
+                required
+              />
+            </div>
+            <label className="tax-inclusive">
+              <input
+                type="checkbox"
+                checked={updateStock}
+                onChange={(e) => {
+                  setUpdateStock(e.target.checked);
+                  setPreview(null);
+                }}
+              />
+              Also overwrite stock of existing products
+            </label>
+            {!preview && (
+              <div className="modal-footer">
+                <button type="button" className="btn-cancel" onClick={onClose}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-submit" disabled={busy || !file}>
+                  {busy ? "Checking..." : "Preview"}
+                </button>
+              </div>
+            )}
+          </form>
+
+          {preview && (
+            <>
+              <div className="import-summary">
+                <span>New: {preview.summary.create}</span>
+                <span>Updates: {preview.summary.update}</span>
+                <span>No change: {preview.summary.unchanged}</span>
+                <span>Errors: {preview.summary.error}</span>
+              </div>
+              <table className="tax-category-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>SKU</th>
+                    <th>Name</th>
+                    <th>Result</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((line) => (
+                    <tr
+                      key={line.row}
+                      className={line.action === "error" ? "import-row-error" : ""}
+                    >
+                      <td>{line.row}</td>
+                      <td>{line.sku || "(assigned)"}</td>
+                      <td>{line.name}</td>
+                      <td>{actionLabels[line.action]}</td>
+                      <td>
+                        {line.action === "error"
+                          ? line.errors.join("; ")
+                          : line.action === "update"
+                            ? line.changes.join(", ")
+                            : ""}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="modal-footer">
+                <button type="button" className="btn-cancel" onClick={onClose}>
+                  Close
+                </button>
+                {!preview.committed && (
+                  <button
+                    type="button"
+                    className="btn-submit"
+                    onClick={handleImport}
+                    disabled={busy || preview.summary.error > 0 || changes === 0}
+                  >
+                    {busy
+                      ? "Importing..."
+                      : preview.summary.error > 0
+                        ? "Fix the errors to import"
+                        : `Import ${changes} product(s)`}
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportProductsModal;
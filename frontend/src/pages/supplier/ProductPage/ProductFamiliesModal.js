@@ -0,0 +1,198 @@
+import React, { useState } from "react";
+import axios from "../../../api/axiosInstance";
+
+const emptyForm = { name: "", category: "", description: "", attributes: "" };
+
+// Parent listings that group variants ("Milk" -> 1L / 500ml / Chocolate 1L)
+const ProductFamiliesModal = ({ families, categories, onChanged, onClose }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [file, setFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field, value) => setForm((f) => ({ ...f, [field]: value }));
+
+  const startEdit = (family) => {
+    setEditingId(family._id);
+    setForm({
+      name: family.name,
+      category: family.category || "",
+      description: family.description || "",
+      attributes: family.attributes.join(", "),
+    });
+    setFile(null);
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+    setFile(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = new FormData();
+    body.append("name", form.name);
+    body.append("category", form.category);
+    body.append("description", form.description);
+    body.append(
+      "attributes",
+      JSON.stringify(form.attributes.split(",").map((a) => a.trim()).filter(Boolean)),
+    );
+    if (file) body.append("image", file);
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await axios.patch(`/product-families/${editingId}`, body);
+      } else {
+        await axios.post("/product-families", body);
+      }
+      resetForm();
+      onChanged();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to save the family");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (family) => {
+    if (
+      !window.confirm(
+        `Delete "${family.name}"? Its ${family.variants.length} variant(s) stay on sale as separate products.`,
+      )
+    ) {
+      return;
+    }
+    try {
+      await axios.delete(`/product-families/${family._id}`);
+      if (editingId === family._id) resetForm();
+      onChanged();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to delete the family");
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="product-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Product Families</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            style={{
+              background: "none",
+              border: "none",
+              fontSize: "20px",
+              cursor: "pointer",
+            }}
+          >
+            ×
+          </button>
+        </div>
+        <div className="modal-form tax-settings-form">
+          <table className="tax-category-table">
+            <thead>
+              <tr>
+                <th>Family</th>
+                <th>Varies by</th>
+                <th>Variants</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {families.map((family) => (
+                <tr key={family._id}>
+                  <td>{family.name}</td>
+                  <td>{family.attributes.join(", ")}</td>
+                  <td>{family.variants.length}</td>
+                  <td>
+                    <button type="button" className="btn-cancel" onClick={() => startEdit(family)}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn-cancel" onClick={() => handleDelete(family)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {families.length === 0 && (
+                <tr>
+                  <td colSpan="4">
+                    No families yet. Create one, then add products to it as variants.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <form onSubmit={handleSubmit} style={{ marginTop: "16px" }}>
+            <h3>{editingId ? "Edit family" : "New family"}</h3>
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setField("name", e.target.value)}
+                placeholder="Milk"
+                required
+              />
+            </div>
+            <div className="tax-rate-row">
+              <div className="form-group">
+                <label>Varies by (comma separated)</label>
+                <input
+                  type="text"
+                  value={form.attributes}
+                  onChange={(e) => setField("attributes", e.target.value)}
+                  placeholder="Size, Flavour"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Category</label>
+                <select
+                  value={form.category}
+                  onChange={(e) => setField("category", e.target.value)}
+                >
+                  <option value="">Select</option>
+                  {categories.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Description</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setField("description", e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label>Image (used by variants without their own)</label>
+              <input type="file" onChange={(e) => setFile(e.target.files[0])} />
+            </div>
+            <div className="modal-footer">
+              {editingId && (
+                <button type="button" className="btn-cancel" onClick={resetForm}>
+                  New family
+                </button>
+              )}
+              <button type="submit" className="btn-submit" disabled={saving}>
+                {saving ? "Saving..." : editingId ? "Save" : "Create"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductFamiliesModal;
@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from "react";
+import axios from "../../../api/axiosInstance";
+
+// Rates as form strings ("" = inherit the default)
+const toField = (value) => (value === null || value === undefined ? "" : String(value));
+
+// Supplier VAT / SSCL rates: defaults, per-category overrides, inclusive pricing
+const TaxSettingsModal = ({ categories, onClose }) => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const { data } = await axios.get("/tax/settings");
+        const byCategory = new Map(data.categoryRates.map((entry) => [entry.category, entry]));
+        setSettings({
+          vatNumber: data.vatNumber,
+          pricesIncludeTax: data.pricesIncludeTax,
+          vatRate: toField(data.vatRate),
+          ssclRate: toField(data.ssclRate),
+          // every known category, plus any saved one no longer in the list
+          categoryRates: [
+            ...categories,
+            ...[...byCategory.keys()].filter((category) => !categories.includes(category)),
+          ].map((category) => ({
+            category,
+            vatRate: toField(byCategory.get(category)?.vatRate),
+            ssclRate: toField(byCategory.get(category)?.ssclRate),
+          })),
+        });
+      } catch (error) {
+        console.error("Error loading tax settings:", error);
+      }
+    };
+    fetchSettings();
+  }, [categories]);
+
+  const setField = (field, value) => setSettings((s) => ({ ...s, [field]: value }));
+
+  const setCategoryRate = (category, field, value) =>
+    setSettings((s) => ({
+      ...s,
+      categoryRates: s.categoryRates.map((entry) =>
+        entry.category === category ? { ...entry, [field]: value } : entry,
+      ),
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await axios.put("/tax/settings", {
+        ...settings,
+        // only categories that differ from the defaults
+        categoryRates: settings.categoryRates.filter(
+          (entry) => entry.vatRate !== "" || entry.ssclRate !== "",
+        ),
+      });
+      alert("Tax settings saved. New rates apply to orders placed from now on.");
+      onClose();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to save tax settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="product-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Tax Settings</h2>
+          <button
+            className="modal-close"
+            onClick={onClose}
+            style={{
+              background: "none",
+              border: "none",
+              fontSize: "20px",
+              cursor: "pointer",
+            }}
+          >
+            ×
+          </button>
+        </div>
+        {!settings ? (
+          <div className="modal-form">Loading...</div>
+        ) : (
+          <form onSubmit={handleSubmit} className="modal-form tax-settings-form">
+            <div className="form-group">
+              <label>VAT Registration No.</label>
+              <input
+                type="text"
+                value={settings.vatNumber}
+                onChange={(e) => setField("vatNumber", e.target.value)}
+                placeholder="Printed on tax invoices"
+              />
+            </div>
+            <div className="tax-rate-row">
+              <div className="form-group">
+                <label>Default VAT %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={settings.vatRate}
+                  onChange={(e) => setField("vatRate", e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label>Default SSCL %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={settings.ssclRate}
+                  onChange={(e) => setField("ssclRate", e.target.value)}
+                />
+              </div>
+            </div>
+            <label className="tax-inclusive">
+              <input
+                type="checkbox"
+                checked={settings.pricesIncludeTax}
+                onChange={(e) => setField("pricesIncludeTax", e.target.checked)}
+              />
+              My product prices already include VAT and SSCL
+            </label>
+
+            <table className="tax-category-table">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th>VAT %</th>
+                  <th>SSCL %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {settings.categoryRates.map((entry) => (
+                  <tr key={entry.category}>
+                    <td>{entry.category}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        placeholder="default"
+                        value={entry.vatRate}
+                        onChange={(e) => setCategoryRate(entry.category, "vatRate", e.target.value)}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        placeholder="default"
+                        value={entry.ssclRate}
+                        onChange={(e) => setCategoryRate(entry.category, "ssclRate", e.target.value)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="modal-footer">
+              <button type="button" className="btn-cancel" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="btn-submit" disabled={saving}>
+                {saving ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettingsModal;
@@ -3,8 +3,31 @@ import { useLocation } from "react-router-dom";
 import SupplierSidebar from "../Suppliersidebar";
 import SupplierTopbar from "../SupplierTopbar";
 import axios from "../../../api/axiosInstance";
+import TaxSettingsModal from "./TaxSettingsModal";
+import ProductFamiliesModal from "./ProductFamiliesModal";
+import ImportProductsModal from "./ImportProductsModal";
 import "./ViewProducts.css";
 
+const categories = [
+  "Beverages",
+  "Dairy",
+  "Snacks",
+  "Frozen Foods",
+  "Canned Goods",
+  "Bakery",
+  "Meat",
+  "Produce",
+  "Condiments",
+  "Cleaning Supplies",
+  "Computers",
+  "Electronics",
+  "Personal Care",
+  "Other",
+];
+
+// Gallery rendition of a product's first photo (older products: the original upload)
+const photoOf = (product, rendition) => product.images?.[0]?.[rendition] || product.image;
+
 const ViewProducts = () => {
   const location = useLocation();
   const [products, setProducts] = useState([]);
@@ -16,7 +39,8 @@ const ViewProducts = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [showModal, setShowModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
-  const [file, setFile] = useState(null);
+  // New photos to add to the gallery on save
+  const [files, setFiles] = useState([]);
   const [showFilterDropdown, setShowFilterDropdown] = useState(false);
 
   const [formData, setFormData] = useState({
@@ -25,32 +49,30 @@ const ViewProducts = () => {
     price: "",
     stock: "",
     category: "",
-    image: "",
+    sku: "",
+    barcode: "",
+    baseUnit: "unit",
+    family: "",
+    vatRate: "",
+    ssclRate: "",
   });
+  // Packs sold besides the base unit: [{ name, size, price }]
+  const [packs, setPacks] = useState([]);
+  // Variant families and this product's value for each family attribute
+  const [families, setFamilies] = useState([]);
+  const [options, setOptions] = useState({});
+  const [showFamilies, setShowFamilies] = useState(false);
+  const [showTaxSettings, setShowTaxSettings] = useState(false);
+  const [showImport, setShowImport] = useState(false);
 
   const [formLoading, setFormLoading] = useState(false);
   const itemsPerPage = 10;
   const BASE_URL = "http://localhost:5000";
 
-  const categories = [
-    "Beverages",
-    "Dairy",
-    "Snacks",
-    "Frozen Foods",
-    "Canned Goods",
-    "Bakery",
-    "Meat",
-    "Produce",
-    "Condiments",
-    "Cleaning Supplies",
-    "Computers",
-    "Electronics",
-    "Personal Care",
-    "Other",
-  ];
 
   useEffect(() => {
     fetchProducts();
+    fetchFamilies();
   }, []);
 
   useEffect(() => {
@@ -72,6 +94,40 @@ const ViewProducts = () => {
     }
   };
 
+  const fetchFamilies = async () => {
+    try {
+      const response = await axios.get("/product-families");
+      setFamilies(response.data);
+    } catch (error) {
+      console.error("Error fetching product families:", error);
+    }
+  };
+
+  const selectedFamily = families.find((f) => f._id === formData.family);
+
+  // Gallery changes apply straight away; the modal shows the saved order
+  const moveImage = async (index, step) => {
+    const order = editingProduct.images.map((image) => image._id);
+    [order[index], order[index + step]] = [order[index + step], order[index]];
+    try {
+      const { data } = await axios.patch(`/products/${editingProduct._id}/images`, { order });
+      setEditingProduct(data);
+      fetchProducts();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to reorder images");
+    }
+  };
+
+  const removeImage = async (imageId) => {
+    try {
+      const { data } = await axios.delete(`/products/${editingProduct._id}/images/${imageId}`);
+      setEditingProduct(data);
+      fetchProducts();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to remove the image");
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
@@ -85,9 +141,16 @@ const ViewProducts = () => {
       price: "",
       stock: "",
       category: "",
-      image: "",
+      sku: "",
+      barcode: "",
+      baseUnit: "unit",
+      family: "",
+      vatRate: "",
+      ssclRate: "",
     });
-    setFile(null);
+    setPacks([]);
+    setOptions({});
+    setFiles([]);
     setShowModal(true);
   };
 
@@ -99,9 +162,24 @@ const ViewProducts = () => {
       price: product.price.toString(),
       stock: product.stock.toString(),
       category: product.category || "",
-      image: product.image || "",
+      sku: product.sku || "",
+      barcode: product.barcode || "",
+      baseUnit: product.baseUnit || "unit",
+      family: product.family?._id || product.family || "",
+      vatRate: product.vatRate ?? "",
+      ssclRate: product.ssclRate ?? "",
     });
-    setFile(null);
+    setPacks(
+      (product.packs || []).map((pack) => ({
+        name: pack.name,
+        size: String(pack.size),
+        price: String(pack.price),
+      }))
+    );
+    setOptions(
+      Object.fromEntries((product.options || []).map((o) => [o.name, o.value])),
+    );
+    setFiles([]);
     setShowModal(true);
   };
 
@@ -114,9 +192,14 @@ const ViewProducts = () => {
       price: "",
       stock: "",
       category: "",
-      image: "",
+      sku: "",
+      barcode: "",
+      baseUnit: "unit",
+      family: "",
+      vatRate: "",
+      ssclRate: "",
     });
-    setFile(null);
+    setFiles([]);
   };
 
   const handleSubmit = async (e) => {
@@ -129,14 +212,27 @@ const ViewProducts = () => {
       formDataToSend.append("price", formData.price);
       formDataToSend.append("stock", formData.stock);
       formDataToSend.append("category", formData.category);
+      formDataToSend.append("sku", formData.sku);
+      formDataToSend.append("barcode", formData.barcode);
+      formDataToSend.append("baseUnit", formData.baseUnit);
+      formDataToSend.append("family", formData.family);
+      if (selectedFamily) {
+        formDataToSend.append(
+          "options",
+          JSON.stringify(
+            selectedFamily.attributes.map((name) => ({ name, value: options[name] || "" })),
+          ),
+        );
+      }
+      formDataToSend.append(
+        "packs",
+        JSON.stringify(packs.filter((pack) => pack.name.trim())),
+      );
+      formDataToSend.append("vatRate", formData.vatRate);
+      formDataToSend.append("ssclRate", formData.ssclRate);
 
-      
 
-      if (file) {
-        formDataToSend.append("image", file);
-      } else if (formData.image) {
-        formDataToSend.append("image", formData.image);
-      }
+      files.forEach((photo) => formDataToSend.append("images", photo));
 
       if (editingProduct) {
         await axios.patch("/products/" + editingProduct._id, formDataToSend, {
@@ -149,6 +245,7 @@ const ViewProducts = () => {
       }
       closeModal();
       fetchProducts();
+      fetchFamilies();
     } catch (error) {
       console.error("Error saving product:", error);
       alert(
@@ -160,6 +257,11 @@ const ViewProducts = () => {
     }
   };
 
+  const setPack = (index, field, value) =>
+    setPacks((prev) =>
+      prev.map((pack, i) => (i === index ? { ...pack, [field]: value } : pack)),
+    );
+
   const handleDelete = async (productId) => {
     if (window.confirm("Are you sure you want to delete this product?")) {
       try {
@@ -172,9 +274,11 @@ const ViewProducts = () => {
   };
 
   const filteredProducts = products.filter((product) => {
-    const matchesSearch = product.name
-      .toLowerCase()
-      .includes(searchTerm.toLowerCase());
+    const term = searchTerm.trim().toLowerCase();
+    const matchesSearch =
+      product.name.toLowerCase().includes(term) ||
+      (product.sku || "").toLowerCase().includes(term) ||
+      (!!term && product.barcode === term.replace(/[\s-]/g, ""));
     const matchesCategory =
       categoryFilter === "all" || product.category === categoryFilter;
     let matchesStatus = true;
@@ -202,8 +306,6 @@ const ViewProducts = () => {
     });
   };
 
-  const generateProductId = (index) => `2L${3500 - (startIndex + index) * 100}`;
-
   const clearAllFilters = () => {
     setCategoryFilter("all");
     setStatusFilter("all");
@@ -316,9 +418,19 @@ const ViewProducts = () => {
                   </div>
                 )}
               </div>
+              <input
+                className="product-search"
+                type="search"
+                placeholder="Name, SKU or barcode"
+                value={searchTerm}
+                onChange={(e) => {
+                  setSearchTerm(e.target.value);
+                  setCurrentPage(1);
+                }}
+              />
             </div>
             <div className="toolbar-right">
-              <button className="import-btn">
+              <button className="import-btn" onClick={() => setShowImport(true)}>
                 <svg
                   width="16"
                   height="16"
@@ -333,6 +445,12 @@ const ViewProducts = () => {
                 </svg>
                 Import
               </button>
+              <button className="import-btn" onClick={() => setShowFamilies(true)}>
+                Families
+              </button>
+              <button className="import-btn" onClick={() => setShowTaxSettings(true)}>
+                Tax settings
+              </button>
               <button className="add-btn" onClick={openAddModal}>
                 + Add new product
               </button>
@@ -349,7 +467,7 @@ const ViewProducts = () => {
               <table className="products-table">
                 <thead>
                   <tr>
-                    <th>ID#</th>
+                    <th>SKU</th>
                     <th>Photo</th>
                     <th>Item Name</th>
                     <th>Price</th>
@@ -362,16 +480,16 @@ const ViewProducts = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {paginatedProducts.map((product, index) => (
+                  {paginatedProducts.map((product) => (
                     <tr key={product._id}>
-                      <td className="id-cell" data-label="ID">
-                        {generateProductId(index)}
+                      <td className="id-cell" data-label="SKU">
+                        {product.sku || "—"}
                       </td>
                       <td className="photo-cell" data-label="Photo">
                         <div className="product-photo">
-                          {product.image ? (
+                          {photoOf(product, "thumb") ? (
                             <img
-                              src={`${BASE_URL}${product.image}`}
+                              src={`${BASE_URL}${photoOf(product, "thumb")}`}
                               alt={product.name}
                             />
                           ) : (
@@ -381,12 +499,26 @@ const ViewProducts = () => {
                       </td>
                       <td className="name-cell" data-label="Item Name">
                         <div className="product-name">{product.name}</div>
+                        {product.family && (
+                          <div className="product-desc">
+                            {product.family.name} ·{" "}
+                            {(product.options || []).map((o) => o.value).join(" · ")}
+                          </div>
+                        )}
                         <div className="product-desc">
                           {product.description}
                         </div>
+                        {product.barcode && (
+                          <div className="product-desc">▮ {product.barcode}</div>
+                        )}
                       </td>
                       <td className="price-cell" data-label="Price">
                         Rs.{parseFloat(product.price).toFixed(2)}
+                        <div className="product-desc">
+                          per {product.baseUnit || "unit"}
+                          {product.packs?.length > 0 &&
+                            ` · ${product.packs.length} pack${product.packs.length > 1 ? "s" : ""}`}
+                        </div>
                       </td>
                       <td className="status-cell" data-label="Status">
                         {(() => {
@@ -412,7 +544,7 @@ const ViewProducts = () => {
                         </span>
                       </td>
                       <td className="stock-cell" data-label="Stock">
-                        {product.stock}
+                        {product.stock} {product.baseUnit || "unit"}
                       </td>
                       <td className="date-cell" data-label="Update">
                         {formatDate(product.updatedAt || product.createdAt)}
@@ -496,9 +628,9 @@ const ViewProducts = () => {
               {paginatedProducts.map((product) => (
                 <div key={product._id} className="product-card">
                   <div className="card-image">
-                    {product.image ? (
+                    {photoOf(product, "card") ? (
                       <img
-                        src={`${BASE_URL}${product.image}`}
+                        src={`${BASE_URL}${photoOf(product, "card")}`}
                         alt={product.name}
                       />
                     ) : (
@@ -507,10 +639,13 @@ const ViewProducts = () => {
                   </div>
                   <div className="card-content">
                     <h3>{product.name}</h3>
+                    {product.sku && <p className="card-stock">{product.sku}</p>}
                     <p className="card-price">
                       Rs.{parseFloat(product.price).toFixed(2)}
                     </p>
-                    <p className="card-stock">Stock: {product.stock}</p>
+                    <p className="card-stock">
+                      Stock: {product.stock} {product.baseUnit || "unit"}
+                    </p>
                     <div className="card-actions">
                       <button onClick={() => openEditModal(product)}>
                         Edit
@@ -565,6 +700,38 @@ const ViewProducts = () => {
               </button>
             </div>
             <form onSubmit={handleSubmit} className="modal-form">
+              <div className="form-group">
+                <label>Variant of</label>
+                <select
+                  name="family"
+                  value={formData.family}
+                  onChange={handleInputChange}
+                >
+                  <option value="">No family (standalone product)</option>
+                  {families.map((f) => (
+                    <option key={f._id} value={f._id}>
+                      {f.name} ({f.attributes.join(", ")})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {selectedFamily && (
+                <div className="tax-rate-row">
+                  {selectedFamily.attributes.map((name) => (
+                    <div className="form-group" key={name}>
+                      <label>{name}</label>
+                      <input
+                        type="text"
+                        value={options[name] || ""}
+                        onChange={(e) =>
+                          setOptions((prev) => ({ ...prev, [name]: e.target.value }))
+                        }
+                        required
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
               <div className="form-group">
                 <label>Product Name</label>
                 <input
@@ -572,19 +739,43 @@ const ViewProducts = () => {
                   name="name"
                   value={formData.name}
                   onChange={handleInputChange}
-                  required
+                  placeholder={selectedFamily ? "Blank = family name + options" : ""}
+                  required={!selectedFamily}
                 />
               </div>
 
               {/* District Input */}
 
+              <div className="tax-rate-row">
+                <div className="form-group">
+                  <label>SKU (blank = next number)</label>
+                  <input
+                    type="text"
+                    name="sku"
+                    maxLength="40"
+                    value={formData.sku}
+                    onChange={handleInputChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Barcode (EAN-13 / UPC)</label>
+                  <input
+                    type="text"
+                    name="barcode"
+                    inputMode="numeric"
+                    value={formData.barcode}
+                    onChange={handleInputChange}
+                  />
+                </div>
+              </div>
+
               <div className="form-group">
                 <label>Category</label>
                 <select
                   name="category"
                   value={formData.category}
                   onChange={handleInputChange}
-                  required
+                  required={!selectedFamily}
                 >
                   <option value="">Select</option>
                   {categories.map((c) => (
@@ -594,17 +785,29 @@ const ViewProducts = () => {
                   ))}
                 </select>
               </div>
-              <div className="form-group">
-                <label>Price</label>
-                <input
-                  type="number"
-                  name="price"
-                  value={formData.price}
-                  onChange={handleInputChange}
-                />
+              <div className="tax-rate-row">
+                <div className="form-group">
+                  <label>Base unit (unit, kg, bottle)</label>
+                  <input
+                    type="text"
+                    name="baseUnit"
+                    value={formData.baseUnit}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Price per {formData.baseUnit || "unit"}</label>
+                  <input
+                    type="number"
+                    name="price"
+                    value={formData.price}
+                    onChange={handleInputChange}
+                  />
+                </div>
               </div>
               <div className="form-group">
-                <label>Stock</label>
+                <label>Stock ({formData.baseUnit || "unit"})</label>
                 <input
                   type="number"
                   name="stock"
@@ -613,10 +816,113 @@ const ViewProducts = () => {
                 />
               </div>
               <div className="form-group">
-                <label>Image</label>
+                <label>Packs (optional)</label>
+                {packs.map((pack, i) => (
+                  <div className="pack-row" key={i}>
+                    <input
+                      type="text"
+                      placeholder="Case"
+                      value={pack.name}
+                      onChange={(e) => setPack(i, "name", e.target.value)}
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      step="any"
+                      placeholder={`${formData.baseUnit || "unit"} per pack`}
+                      value={pack.size}
+                      onChange={(e) => setPack(i, "size", e.target.value)}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder="Pack price"
+                      value={pack.price}
+                      onChange={(e) => setPack(i, "price", e.target.value)}
+                    />
+                    <button
+                      type="button"
+                      className="btn-cancel"
+                      onClick={() =>
+                        setPacks((prev) => prev.filter((_, j) => j !== i))
+                      }
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="btn-cancel"
+                  onClick={() =>
+                    setPacks((prev) => [...prev, { name: "", size: "", price: "" }])
+                  }
+                >
+                  + Add pack
+                </button>
+              </div>
+              <div className="tax-rate-row">
+                <div className="form-group">
+                  <label>VAT % (blank = default)</label>
+                  <input
+                    type="number"
+                    name="vatRate"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={formData.vatRate}
+                    onChange={handleInputChange}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>SSCL % (blank = default)</label>
+                  <input
+                    type="number"
+                    name="ssclRate"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={formData.ssclRate}
+                    onChange={handleInputChange}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Images (the first one is shown in the catalog)</label>
+                {editingProduct?.images?.length > 0 && (
+                  <div className="gallery-edit">
+                    {editingProduct.images.map((image, index) => (
+                      <div key={image._id} className="gallery-item">
+                        <img src={`${BASE_URL}${image.thumb}`} alt="" />
+                        <div>
+                          <button
+                            type="button"
+                            disabled={index === 0}
+                            onClick={() => moveImage(index, -1)}
+                          >
+                            ←
+                          </button>
+                          <button
+                            type="button"
+                            disabled={index === editingProduct.images.length - 1}
+                            onClick={() => moveImage(index, 1)}
+                          >
+                            →
+                          </button>
+                          <button type="button" onClick={() => removeImage(image._id)}>
+                            ×
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
                 <input
                   type="file"
-                  onChange={(e) => setFile(e.target.files[0])}
+                  accept="image/*"
+                  multiple
+                  onChange={(e) => setFiles([...e.target.files])}
                 />
               </div>
               <div className="modal-footer">
@@ -635,6 +941,32 @@ const ViewProducts = () => {
           </div>
         </div>
       )}
+
+      {showFamilies && (
+        <ProductFamiliesModal
+          families={families}
+          categories={categories}
+          onChanged={() => {
+            fetchFamilies();
+            fetchProducts();
+          }}
+          onClose={() => setShowFamilies(false)}
+        />
+      )}
+
+      {showImport && (
+        <ImportProductsModal
+          onImported={fetchProducts}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {showTaxSettings && (
+        <TaxSettingsModal
+          categories={categories}
+          onClose={() => setShowTaxSettings(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from "react";
+import SupplierSidebar from "../Suppliersidebar";
+import SupplierTopbar from "../SupplierTopbar";
+
+import axios from "../../../api/axiosInstance";
+
+import "../OrderPage/SupplierOrders.css";
+import "../InvoicesPage/SupplierInvoices.css";
+import "./SupplierReceivables.css";
+
+// Ageing columns: [bucket key, heading]
+const BUCKETS = [
+  ["current", "Current"],
+  ["days1to30", "1-30"],
+  ["days31to60", "31-60"],
+  ["days61to90", "61-90"],
+  ["over90", "90+"],
+];
+
+const TERMS = [7, 14, 30];
+
+const money = (n = 0) => `Rs. ${Number(n || 0).toLocaleString()}`;
+
+const emptyForm = (row) => ({
+  supermarketId: row?.supermarketId || "",
+  creditLimit: row?.account ? String(row.account.creditLimit) : "",
+  termsDays: row?.account?.termsDays || 30,
+  isActive: row?.account ? row.account.isActive : true,
+  locked: Boolean(row),
+});
+
+const SupplierReceivables = () => {
+  const [rows, setRows] = useState([]);
+  const [buyers, setBuyers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAgeing = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get("/credit/ageing");
+      setRows(response.data);
+    } catch (error) {
+      console.error("Error fetching ageing:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAgeing();
+    const fetchBuyers = async () => {
+      try {
+        const response = await axios.get("/supermarkets/buyers");
+        setBuyers(response.data);
+      } catch (error) {
+        console.error("Error fetching buyers:", error);
+      }
+    };
+    fetchBuyers();
+  }, []);
+
+  const saveAccount = async () => {
+    if (!form.supermarketId) return alert("Choose a buyer");
+    if (form.creditLimit === "" || Number(form.creditLimit) < 0) {
+      return alert("Enter a credit limit of 0 or more");
+    }
+
+    try {
+      setSaving(true);
+      await axios.put(`/credit/accounts/${form.supermarketId}`, {
+        creditLimit: Number(form.creditLimit),
+        termsDays: Number(form.termsDays),
+        isActive: form.isActive,
+      });
+      setForm(null);
+      fetchAgeing();
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to save credit terms");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const totals = rows.reduce(
+    (acc, row) => {
+      BUCKETS.forEach(([key]) => {
+        acc[key] = (acc[key] || 0) + row.buckets[key];
+      });
+      acc.uninvoiced += row.uninvoiced;
+      acc.outstanding += row.outstanding;
+      return acc;
+    },
+    { uninvoiced: 0, outstanding: 0 },
+  );
+  const overdue = totals.outstanding - totals.uninvoiced - (totals.current || 0);
+
+  // Buyers without an ageing row yet can still be granted credit
+  const withoutRow = buyers.filter(
+    (buyer) => !rows.some((row) => row.supermarketId === buyer.supermarketId),
+  );
+
+  return (
+    <div className="supplier-layout">
+      <SupplierSidebar />
+      <div className="supplier-main-content">
+        <SupplierTopbar />
+        <div className="orders-page-container">
+          <div className="orders-header">
+            <h1 className="page-title">Receivables</h1>
+            <div className="header-stats">
+              <div className="stat-pill">
+                <span className="stat-label">Owed to you</span>
+                <span className="stat-value warning">{money(totals.outstanding)}</span>
+              </div>
+              <div className="stat-pill">
+                <span className="stat-label">Overdue</span>
+                <span className="stat-value">{money(overdue)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="controls-section">
+            <p className="line-note">
+              Open invoice balances by days past due. Credit orders not invoiced yet count
+              against the buyer's limit.
+            </p>
+            <button className="btn-accept" onClick={() => setForm(emptyForm())}>
+              Grant Credit
+            </button>
+          </div>
+
+          <div className="table-card">
+            {loading ? (
+              <div style={{ padding: "20px", textAlign: "center" }}>
+                Loading...
+              </div>
+            ) : (
+              <table className="orders-table ageing-table">
+                <thead>
+                  <tr>
+                    <th>Buyer</th>
+                    <th>Terms</th>
+                    <th className="text-right">Not invoiced</th>
+                    {BUCKETS.map(([key, label]) => (
+                      <th key={key} className="text-right">{label}</th>
+                    ))}
+                    <th className="text-right">Outstanding</th>
+                    <th className="text-right">Limit / Available</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.length > 0 ? (
+                    rows.map((row) => (
+                      <tr key={row.supermarketId}>
+                        <td>{row.name}</td>
+                        <td>
+                          {row.account ? (
+                            <span className={`status-badge ${row.account.isActive ? "badge-accepted" : "badge-cancelled"}`}>
+                              Net {row.account.termsDays}{row.account.isActive ? "" : " · on hold"}
+                            </span>
+                          ) : (
+                            <span className="line-note">No credit</span>
+                          )}
+                        </td>
+                        <td className="text-right">{money(row.uninvoiced)}</td>
+                        {BUCKETS.map(([key]) => (
+                          <td
+                            key={key}
+                            className={`text-right ${key !== "current" && row.buckets[key] > 0 ? "ageing-late" : ""}`}
+                          >
+                            {money(row.buckets[key])}
+                          </td>
+                        ))}
+                        <td className="text-right amount-cell">{money(row.outstanding)}</td>
+                        <td className="text-right">
+                          {row.account ? (
+                            <>
+                              {money(row.account.creditLimit)}
+                              <div className={row.available < 0 ? "ageing-late" : "line-note"}>
+                                {money(row.available)} left
+                              </div>
+                            </>
+                          ) : (
+                            "-"
+                          )}
+                        </td>
+                        <td>
+                          <button className="btn-icon" onClick={() => setForm(emptyForm(row))}>
+                            {row.account ? "Edit" : "Grant"}
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan={BUCKETS.length + 6} className="empty-state">
+                        Nobody owes you anything
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+                {rows.length > 0 && (
+                  <tfoot>
+                    <tr>
+                      <td colSpan="2">Total</td>
+                      <td className="text-right">{money(totals.uninvoiced)}</td>
+                      {BUCKETS.map(([key]) => (
+                        <td key={key} className="text-right">{money(totals[key])}</td>
+                      ))}
+                      <td className="text-right amount-cell">{money(totals.outstanding)}</td>
+                      <td colSpan="2"></td>
+                    </tr>
+                  </tfoot>
+                )}
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {form && (
+        <div className="modal-overlay" onClick={() => setForm(null)}>
+          <div className="order-modal credit-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Credit Terms</h2>
+              <button className="close-btn" onClick={() => setForm(null)}>
+                ×
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <div className="payment-form">
+                <select
+                  value={form.supermarketId}
+                  onChange={(e) => setForm({ ...form, supermarketId: e.target.value })}
+                  disabled={form.locked}
+                >
+                  <option value="">Choose a buyer</option>
+                  {[...rows, ...withoutRow].map((buyer) => (
+                    <option key={buyer.supermarketId} value={buyer.supermarketId}>
+                      {buyer.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={form.termsDays}
+                  onChange={(e) => setForm({ ...form, termsDays: Number(e.target.value) })}
+                >
+                  {TERMS.map((days) => (
+                    <option key={days} value={days}>Net {days}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="Credit limit (Rs.)"
+                  value={form.creditLimit}
+                  onChange={(e) => setForm({ ...form, creditLimit: e.target.value })}
+                />
+                <label className="credit-active">
+                  <input
+                    type="checkbox"
+                    checked={form.isActive}
+                    onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                  />
+                  Accept new credit orders
+                </label>
+              </div>
+              <p className="line-note">
+                New terms apply to orders placed from now on.
+              </p>
+            </div>
+
+            <div className="modal-footer">
+              <button className="btn-secondary" onClick={() => setForm(null)}>
+                Cancel
+              </button>
+              <button className="btn-accept" onClick={saveAccount} disabled={saving}>
+                {saving ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupplierReceivables;
@@ -132,6 +132,14 @@ export default function SupplierReports() {
     pendingOrders: 0,
     confirmedOrders: 0,
     cancelledOrders: 0,
+    creditNotesTotal: 0,
+    creditNotesCount: 0,
+    debitNotesTotal: 0,
+    debitNotesCount: 0,
+    netRevenue: 0,
+    salesExTax: 0,
+    vatTotal: 0,
+    ssclTotal: 0,
   });
 
   const [revenueOverTime, setRevenueOverTime] = useState([]); // [{label, revenue, orders}]
@@ -268,6 +276,12 @@ export default function SupplierReports() {
         pendingOrders: summary.pendingOrders,
         confirmedOrders: summary.confirmedOrders,
         cancelledOrders: summary.cancelledOrders,
+        creditNotesTotal: summary.creditNotesTotal,
+        debitNotesTotal: summary.debitNotesTotal,
+        netRevenue: summary.netRevenue,
+        salesExTax: summary.salesExTax,
+        vatTotal: summary.vatTotal,
+        ssclTotal: summary.ssclTotal,
       },
     ];
 
@@ -282,6 +296,12 @@ export default function SupplierReports() {
       { header: "Pending Orders", key: "pendingOrders" },
       { header: "Confirmed Orders", key: "confirmedOrders" },
       { header: "Cancelled Orders", key: "cancelledOrders" },
+      { header: "Credit Notes", key: "creditNotesTotal" },
+      { header: "Debit Notes", key: "debitNotesTotal" },
+      { header: "Net Revenue", key: "netRevenue" },
+      { header: "Sales excl. Tax", key: "salesExTax" },
+      { header: "VAT", key: "vatTotal" },
+      { header: "SSCL", key: "ssclTotal" },
     ]);
   }
 
@@ -326,6 +346,12 @@ export default function SupplierReports() {
       `Pending: ${summary.pendingOrders}`,
       `Confirmed: ${summary.confirmedOrders}`,
       `Cancelled: ${summary.cancelledOrders}`,
+      `Credit Notes: -${formatLKR(summary.creditNotesTotal)}`,
+      `Debit Notes: +${formatLKR(summary.debitNotesTotal)}`,
+      `Net Revenue: ${formatLKR(summary.netRevenue)}`,
+      `Sales excl. Tax: ${formatLKR(summary.salesExTax)}`,
+      `VAT: ${formatLKR(summary.vatTotal)}`,
+      `SSCL: ${formatLKR(summary.ssclTotal)}`,
       "",
       "Generated by SupplyHub",
     ].join("\n");
@@ -517,6 +543,88 @@ export default function SupplierReports() {
             </div>
           </div>
 
+          <div className="sr-grid sr-grid-3">
+            <div className="sr-card">
+              <div className="sr-card-top">
+                <div className="sr-card-title">Credit Notes</div>
+                <div className="sr-icon-badge pink">↩️</div>
+              </div>
+              <div className="sr-card-value">
+                {loading ? "—" : `-${formatCompactLKR(summary.creditNotesTotal)}`}
+              </div>
+              <div className="sr-card-note">
+                <span>{summary.creditNotesCount || 0} issued in this period</span>
+              </div>
+            </div>
+
+            <div className="sr-card">
+              <div className="sr-card-top">
+                <div className="sr-card-title">Debit Notes</div>
+                <div className="sr-icon-badge orange">➕</div>
+              </div>
+              <div className="sr-card-value">
+                {loading ? "—" : `+${formatCompactLKR(summary.debitNotesTotal)}`}
+              </div>
+              <div className="sr-card-note">
+                <span>{summary.debitNotesCount || 0} issued in this period</span>
+              </div>
+            </div>
+
+            <div className="sr-card">
+              <div className="sr-card-top">
+                <div className="sr-card-title">Net Revenue</div>
+                <div className="sr-icon-badge purple">🧾</div>
+              </div>
+              <div className="sr-card-value">
+                {loading ? "—" : formatCompactLKR(summary.netRevenue)}
+              </div>
+              <div className="sr-card-note">
+                <span>Revenue − credit notes + debit notes</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="sr-grid sr-grid-3">
+            <div className="sr-card">
+              <div className="sr-card-top">
+                <div className="sr-card-title">Sales excl. Tax</div>
+                <div className="sr-icon-badge purple">💼</div>
+              </div>
+              <div className="sr-card-value">
+                {loading ? "—" : formatCompactLKR(summary.salesExTax)}
+              </div>
+              <div className="sr-card-note">
+                <span>Order subtotals before VAT and SSCL</span>
+              </div>
+            </div>
+
+            <div className="sr-card">
+              <div className="sr-card-top">
+                <div className="sr-card-title">VAT Collected</div>
+                <div className="sr-icon-badge orange">🏛️</div>
+              </div>
+              <div className="sr-card-value">
+                {loading ? "—" : formatCompactLKR(summary.vatTotal)}
+              </div>
+              <div className="sr-card-note">
+                <span>Output VAT on orders in this period</span>
+              </div>
+            </div>
+
+            <div className="sr-card">
+              <div className="sr-card-top">
+                <div className="sr-card-title">SSCL</div>
+                <div className="sr-icon-badge pink">📑</div>
+              </div>
+              <div className="sr-card-value">
+                {loading ? "—" : formatCompactLKR(summary.ssclTotal)}
+              </div>
+              <div className="sr-card-note">
+                <span>Social Security Contribution Levy</span>
+              </div>
+            </div>
+          </div>
+
           <div className="sr-grid sr-grid-2">
             <div className="sr-card sr-card-pad">
               <div className="sr-section-title">Revenue Over Time</div>
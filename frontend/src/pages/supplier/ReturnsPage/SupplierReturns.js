@@ -0,0 +1,325 @@
+import React, { useState, useEffect } from "react";
+import SupplierSidebar from "../Suppliersidebar";
+import SupplierTopbar from "../SupplierTopbar";
+
+import axios from "../../../api/axiosInstance";
+
+import "../OrderPage/SupplierOrders.css";
+import "./SupplierReturns.css";
+
+const BASE_URL = "http://localhost:5000";
+
+const STATUS_CLASS = {
+  Requested: "badge-pending",
+  Approved: "badge-accepted",
+  Rejected: "badge-rejected",
+};
+
+const reasonLabel = (code) => (code || "").replace(/_/g, " ").toLowerCase();
+
+const SupplierReturns = () => {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState("Requested");
+  const [selected, setSelected] = useState(null);
+  const [restock, setRestock] = useState(true);
+  const [refundToCard, setRefundToCard] = useState(false);
+  const [comment, setComment] = useState("");
+  const [refunding, setRefunding] = useState(false);
+
+  useEffect(() => {
+    fetchReturns();
+  }, []);
+
+  useEffect(() => {
+    setRestock(true);
+    setRefundToCard(false);
+    setComment("");
+  }, [selected?._id]);
+
+  const fetchReturns = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get("/returns/supplier");
+      setReturns(response.data);
+    } catch (error) {
+      console.error("Error fetching returns:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDecision = async (decision) => {
+    if (
+      decision === "approve" &&
+      !window.confirm(
+        `Approve ${selected.rmaNumber} and issue a credit note for Rs. ${selected.amount.toLocaleString()}?`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const response = await axios.patch(`/returns/${selected._id}/decision`, {
+        decision,
+        restock,
+        comment,
+        refund: refundToCard,
+      });
+      const { returnRequest, creditNote, refunds, refundError } = response.data;
+
+      const changes = {
+        status: returnRequest.status,
+        restock: returnRequest.restock,
+        supplierComment: returnRequest.supplierComment,
+        decidedAt: returnRequest.decidedAt,
+        creditNote,
+      };
+      setReturns((prev) =>
+        prev.map((r) => (r._id === selected._id ? { ...r, ...changes } : r)),
+      );
+      setSelected((current) => ({ ...current, ...changes }));
+
+      const refunded = (refunds || [])
+        .filter((r) => r.status === "Succeeded")
+        .reduce((sum, r) => sum + r.amount, 0);
+      alert(
+        creditNote
+          ? `Return approved. Credit note ${creditNote.number} issued.` +
+              (refunded > 0 ? ` Rs. ${refunded.toLocaleString()} refunded to the buyer's card.` : "") +
+              (refundError ? ` Card refund failed: ${refundError}` : "")
+          : "Return rejected",
+      );
+    } catch (error) {
+      alert(error.response?.data?.message || "Failed to update return");
+    }
+  };
+
+  // Approved returns: send the credit note amount back to the buyer's card
+  const handleRefund = async () => {
+    if (!window.confirm(`Refund ${selected.rmaNumber} to the buyer's card?`)) return;
+
+    try {
+      setRefunding(true);
+      const response = await axios.post("/refunds", { returnRequest: selected._id });
+      const refunded = response.data.reduce((sum, r) => sum + (r.status === "Succeeded" ? r.amount : 0), 0);
+      alert(`Rs. ${refunded.toLocaleString()} refunded to the buyer's card`);
+    } catch (error) {
+      alert(error.response?.data?.message || "Refund failed");
+    } finally {
+      setRefunding(false);
+    }
+  };
+
+  const filtered = returns.filter(
+    (r) => activeTab === "All" || r.status === activeTab,
+  );
+
+  return (
+    <div className="supplier-layout">
+      <SupplierSidebar />
+      <div className="supplier-main-content">
+        <SupplierTopbar />
+        <div className="orders-page-container">
+          <div className="orders-header">
+            <h1 className="page-title">Returns</h1>
+          </div>
+
+          <div className="controls-section">
+            <div className="tabs-container">
+              {["Requested", "Approved", "Rejected", "All"].map((tab) => (
+                <button
+                  key={tab}
+                  className={`tab-btn ${activeTab === tab ? "active" : ""}`}
+                  onClick={() => setActiveTab(tab)}
+                >
+                  {tab}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="table-card">
+            {loading ? (
+              <div style={{ padding: "20px", textAlign: "center" }}>
+                Loading...
+              </div>
+            ) : (
+              <table className="orders-table">
+                <thead>
+                  <tr>
+                    <th>RMA</th>
+                    <th>Customer</th>
+                    <th>Order</th>
+                    <th>Date</th>
+                    <th>Amount</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filtered.length > 0 ? (
+                    filtered.map((rma) => (
+                      <tr key={rma._id}>
+                        <td className="id-cell">{rma.rmaNumber}</td>
+                        <td>{rma.supermarket?.name}</td>
+                        <td className="id-cell">...{String(rma.order).slice(-6)}</td>
+                        <td>{new Date(rma.createdAt).toLocaleDateString()}</td>
+                        <td>Rs. {rma.amount.toLocaleString()}</td>
+                        <td>
+                          <span className={`status-badge ${STATUS_CLASS[rma.status]}`}>
+                            {rma.status}
+                          </span>
+                        </td>
+                        <td>
+                          <button className="btn-icon" onClick={() => setSelected(rma)}>
+                            View
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="7" className="empty-state">
+                        No returns found
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {selected && (
+        <div className="modal-overlay" onClick={() => setSelected(null)}>
+          <div className="order-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>
+                {selected.rmaNumber} · Order #{String(selected.order).slice(-6)}
+              </h2>
+              <button className="close-btn" onClick={() => setSelected(null)}>
+                ×
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <div className="return-reason">
+                <strong>Reason: {reasonLabel(selected.reason)}</strong>
+                {selected.note && <div>{selected.note}</div>}
+                <div style={{ marginTop: "6px", color: "#64748b" }}>
+                  From {selected.supermarket?.name} on{" "}
+                  {new Date(selected.createdAt).toLocaleString()}
+                </div>
+              </div>
+
+              {selected.photos?.length > 0 && (
+                <div className="return-photos">
+                  {selected.photos.map((photo) => (
+                    <a key={photo} href={`${BASE_URL}${photo}`} target="_blank" rel="noreferrer">
+                      <img src={`${BASE_URL}${photo}`} alt="Returned goods" />
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              <h3>Lines</h3>
+              <div className="modal-table-wrapper">
+                <table className="modal-table">
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th style={{ textAlign: "right" }}>Qty</th>
+                      <th style={{ textAlign: "right" }}>Price</th>
+                      <th style={{ textAlign: "right" }}>Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.lines.map((line) => (
+                      <tr key={line._id}>
+                        <td>{line.name}</td>
+                        <td style={{ textAlign: "right" }}>{line.quantity}</td>
+                        <td style={{ textAlign: "right" }}>Rs. {line.price.toLocaleString()}</td>
+                        <td style={{ textAlign: "right" }}>
+                          Rs. {(line.quantity * line.price).toLocaleString()}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="modal-total">
+                Total: Rs. {selected.amount.toLocaleString()}
+              </div>
+
+              {selected.status === "Requested" ? (
+                <div className="return-decision">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={restock}
+                      onChange={(e) => setRestock(e.target.checked)}
+                    />
+                    Put the returned units back in stock
+                  </label>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={refundToCard}
+                      onChange={(e) => setRefundToCard(e.target.checked)}
+                    />
+                    Refund the credit note to the buyer's card (card-paid orders)
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="Comment for the buyer (optional)"
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                  />
+                </div>
+              ) : (
+                <>
+                  {selected.creditNote && (
+                    <div className="credit-note-box">
+                      Credit note <strong>{selected.creditNote.number}</strong> issued for Rs.{" "}
+                      {selected.creditNote.amount.toLocaleString()}
+                      {selected.restock ? " · units restocked" : ""}
+                    </div>
+                  )}
+                  {selected.supplierComment && (
+                    <p style={{ fontSize: "13px", color: "#64748b" }}>
+                      Comment: {selected.supplierComment}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+
+            {selected.status === "Approved" && selected.creditNote && (
+              <div className="modal-footer">
+                <button className="btn-secondary" onClick={handleRefund} disabled={refunding}>
+                  {refunding ? "Refunding..." : "Refund to Card"}
+                </button>
+              </div>
+            )}
+
+            {selected.status === "Requested" && (
+              <div className="modal-footer">
+                <button className="btn-reject" onClick={() => handleDecision("reject")}>
+                  Reject
+                </button>
+                <button className="btn-accept" onClick={() => handleDecision("approve")}>
+                  Approve &amp; Issue Credit Note
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupplierReturns;
@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from "react";
+import SupplierSidebar from "../Suppliersidebar";
+import SupplierTopbar from "../SupplierTopbar";
+
+import axios from "../../../api/axiosInstance";
+import { downloadStatement } from "../../../utils/invoiceDownload";
+
+import "../OrderPage/SupplierOrders.css";
+import "../InvoicesPage/SupplierInvoices.css";
+import "../ReceivablesPage/SupplierReceivables.css";
+
+const money = (n = 0) => `Rs. ${Number(n || 0).toLocaleString()}`;
+
+const pad = (n) => String(n).padStart(2, "0");
+const isoDay = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// Default period: this month so far
+const thisMonth = () => {
+  const now = new Date();
+  return { from: isoDay(new Date(now.getFullYear(), now.getMonth(), 1)), to: isoDay(now) };
+};
+
+const SupplierStatements = () => {
+  const [buyers, setBuyers] = useState([]);
+  const [buyer, setBuyer] = useState("");
+  const [period, setPeriod] = useState(thisMonth);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchBuyers = async () => {
+      try {
+        const response = await axios.get("/statements/parties");
+        setBuyers(response.data);
+      } catch (error) {
+        console.error("Error fetching buyers:", error);
+      }
+    };
+    fetchBuyers();
+  }, []);
+
+  useEffect(() => {
+    if (!buyer || !period.from || !period.to) {
+      setStatement(null);
+      return;
+    }
+    const fetchStatement = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/statements/${buyer}`, { params: period });
+        setStatement(response.data);
+      } catch (error) {
+        setStatement(null);
+        alert(error.response?.data?.message || "Failed to load statement");
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchStatement();
+  }, [buyer, period]);
+
+  const handleDownload = async (format) => {
+    try {
+      await downloadStatement(buyer, format, period);
+    } catch (error) {
+      alert("Failed to download statement");
+    }
+  };
+
+  const setDate = (field, value) => setPeriod((p) => ({ ...p, [field]: value }));
+
+  return (
+    <div className="supplier-layout">
+      <SupplierSidebar />
+      <div className="supplier-main-content">
+        <SupplierTopbar />
+        <div className="orders-page-container">
+          <div className="orders-header">
+            <h1 className="page-title">Statements</h1>
+            {statement && (
+              <div className="header-stats">
+                <div className="stat-pill">
+                  <span className="stat-label">Opening</span>
+                  <span className="stat-value">{money(statement.openingBalance)}</span>
+                </div>
+                <div className="stat-pill">
+                  <span className="stat-label">Closing</span>
+                  <span className="stat-value warning">{money(statement.closingBalance)}</span>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="controls-section">
+            <div className="invoice-filters">
+              <select value={buyer} onChange={(e) => setBuyer(e.target.value)}>
+                <option value="">Choose a buyer</option>
+                {buyers.map((b) => (
+                  <option key={b._id} value={b._id}>
+                    {b.name}
+                  </option>
+                ))}
+              </select>
+              <input type="date" value={period.from} onChange={(e) => setDate("from", e.target.value)} />
+              <span>to</span>
+              <input type="date" value={period.to} onChange={(e) => setDate("to", e.target.value)} />
+              <button className="btn-secondary" onClick={() => handleDownload("pdf")} disabled={!statement}>
+                Download PDF
+              </button>
+              <button className="btn-secondary" onClick={() => handleDownload("csv")} disabled={!statement}>
+                Download CSV
+              </button>
+            </div>
+          </div>
+
+          <div className="table-card">
+            {loading ? (
+              <div style={{ padding: "20px", textAlign: "center" }}>
+                Loading...
+              </div>
+            ) : !statement ? (
+              <div style={{ padding: "20px", textAlign: "center" }}>
+                Choose a buyer to see every invoice, note and payment between you.
+              </div>
+            ) : (
+              <table className="orders-table ageing-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Type</th>
+                    <th>Reference</th>
+                    <th>Order</th>
+                    <th>Description</th>
+                    <th className="text-right">Debit</th>
+                    <th className="text-right">Credit</th>
+                    <th className="text-right">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>{new Date(statement.from).toLocaleDateString()}</td>
+                    <td colSpan="6"><strong>Opening balance</strong></td>
+                    <td className="text-right"><strong>{money(statement.openingBalance)}</strong></td>
+                  </tr>
+                  {statement.entries.length > 0 ? (
+                    statement.entries.map((entry, i) => (
+                      <tr key={`${entry.type}-${entry.reference}-${i}`}>
+                        <td>{new Date(entry.date).toLocaleDateString()}</td>
+                        <td>{entry.type}</td>
+                        <td className="id-cell">{entry.reference}</td>
+                        <td className="id-cell">{entry.order}</td>
+                        <td>{entry.description}</td>
+                        <td className="text-right">{entry.debit ? money(entry.debit) : ""}</td>
+                        <td className="text-right">{entry.credit ? money(entry.credit) : ""}</td>
+                        <td className="text-right">{money(entry.balance)}</td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="8" className="empty-state">
+                        No activity in this period
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td>{new Date(statement.to).toLocaleDateString()}</td>
+                    <td colSpan="4">Closing balance</td>
+                    <td className="text-right">{money(statement.totalDebit)}</td>
+                    <td className="text-right">{money(statement.totalCredit)}</td>
+                    <td className="text-right">{money(statement.closingBalance)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SupplierStatements;
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import axios from '../../api/axiosInstance';
 import './SupplierTopbar.css';
 
 // Icons
@@ -46,6 +47,17 @@ const LogoutIcon = () => (
   </svg>
 );
 
+// "5 minutes ago" style label for notification times
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
 const SupplierTopbar = () => {
   const navigate = useNavigate();
   const { user, handleLogout: authLogout } = useAuth();
@@ -61,14 +73,56 @@ const SupplierTopbar = () => {
   const userEmail = user?.email || '';
   const userInitials = userName.split(' ').map(n => n[0]).join('').toUpperCase().slice(0, 2);
 
-  // Sample notifications
-  const notifications = [
-    { id: 1, type: 'order', message: 'New order from FreshMart', detail: 'Order #1234 - 50 units', time: '2 minutes ago', isNew: true },
-    { id: 2, type: 'shipment', message: 'Shipment dispatched', detail: 'Order #1230 shipped', time: '15 minutes ago', isNew: false },
-    { id: 3, type: 'alert', message: 'Low stock alert', detail: 'Premium Olive Oil - 12 units', time: '1 hour ago', isNew: false },
-  ];
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Notifications from the server (e.g. a buyer amended an order)
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const { data } = await axios.get('/notifications');
+        setNotifications(data.notifications || []);
+        setUnreadCount(data.unreadCount || 0);
+      } catch (err) {
+        console.error('Failed to load notifications', err);
+      }
+    };
+
+    fetchNotifications();
+    const timer = setInterval(fetchNotifications, 60000);
+    return () => clearInterval(timer);
+  }, []);
 
-  const unreadCount = notifications.filter(n => n.isNew).length;
+  const markAllRead = async () => {
+    try {
+      await axios.patch('/notifications/read-all');
+      setNotifications((prev) => prev.map((n) => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Failed to mark notifications as read', err);
+    }
+  };
+
+  const openNotification = async (notification) => {
+    if (!notification.isRead) {
+      try {
+        await axios.patch(`/notifications/${notification._id}/read`);
+        setNotifications((prev) =>
+          prev.map((n) => (n._id === notification._id ? { ...n, isRead: true } : n))
+        );
+        setUnreadCount((count) => Math.max(count - 1, 0));
+      } catch (err) {
+        console.error('Failed to mark notification as read', err);
+      }
+    }
+    if (notification.type === 'return') {
+      setShowNotifications(false);
+      navigate('/supplier/returns');
+    } else if (notification.order) {
+      setShowNotifications(false);
+      navigate('/supplier/orders');
+    }
+  };
 
   // Close dropdowns when clicking outside
   useEffect(() => {
@@ -130,22 +184,31 @@ const SupplierTopbar = () => {
             <div className="notification-dropdown">
               <div className="notification-header">
                 <h4>Notifications</h4>
-                <button className="mark-read-btn">Mark all as read</button>
+                <button className="mark-read-btn" onClick={markAllRead}>Mark all as read</button>
               </div>
               <div className="notification-list">
+                {notifications.length === 0 && (
+                  <div className="notification-empty">No notifications yet</div>
+                )}
                 {notifications.map((notification) => (
-                  <div key={notification.id} className={`notification-item ${notification.isNew ? 'unread' : ''}`}>
+                  <div
+                    key={notification._id}
+                    className={`notification-item ${!notification.isRead ? 'unread' : ''}`}
+                    onClick={() => openNotification(notification)}
+                  >
                     <div className={`notification-icon ${notification.type}`}>
                       {notification.type === 'order' && '🛒'}
+                      {notification.type === 'amendment' && '✏️'}
                       {notification.type === 'shipment' && '📦'}
+                      {notification.type === 'return' && '↩️'}
                       {notification.type === 'alert' && '⚠️'}
                     </div>
                     <div className="notification-content">
                       <p className="notification-message">{notification.message}</p>
                       <p className="notification-detail">{notification.detail}</p>
-                      <span className="notification-time">{notification.time}</span>
+                      <span className="notification-time">{timeAgo(notification.createdAt)}</span>
                     </div>
-                    {notification.isNew && <span className="new-badge">New</span>}
+                    {!notification.isRead && <span className="new-badge">New</span>}
                   </div>
                 ))}
               </div>
@@ -65,6 +65,29 @@ const InvoicesIcon = () => (
   </svg>
 );
 
+const ReceivablesIcon = () => (
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <circle cx="12" cy="12" r="10"></circle>
+    <polyline points="12 6 12 12 16 14"></polyline>
+  </svg>
+);
+
+const StatementsIcon = () => (
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+    <polyline points="14 2 14 8 20 8"></polyline>
+    <line x1="8" y1="13" x2="16" y2="13"></line>
+    <line x1="8" y1="17" x2="16" y2="17"></line>
+  </svg>
+);
+
+const ReturnsIcon = () => (
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <polyline points="9 14 4 9 9 4"></polyline>
+    <path d="M20 20v-7a4 4 0 0 0-4-4H4"></path>
+  </svg>
+);
+
 const SettingsIcon = () => (
   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
     <circle cx="12" cy="12" r="3"></circle>
@@ -93,10 +116,13 @@ const SupplierSidebar = () => {
     { path: '/supplier/dashboard', icon: <DashboardIcon />, label: 'Dashboard' },
     { path: '/supplier/products', icon: <ProductsIcon />, label: 'Products' },
     { path: '/supplier/orders', icon: <OrdersIcon />, label: 'Orders' },
+    { path: '/supplier/returns', icon: <ReturnsIcon />, label: 'Returns' },
    
     { path: '/supplier/supermarkets', icon: <CustomersIcon />, label: 'Supermarkets' },
     { path: '/supplier/reports', icon: <ReportsIcon />, label: 'Reports' },
     { path: '/supplier/invoices', icon: <InvoicesIcon />, label: 'Invoices' },
+    { path: '/supplier/receivables', icon: <ReceivablesIcon />, label: 'Receivables' },
+    { path: '/supplier/statements', icon: <StatementsIcon />, label: 'Statements' },
   ];
 
   return (
@@ -0,0 +1,9 @@
+// Labels for the issue codes returned by backend/utils/cartLines.js
+export const ISSUE_LABELS = {
+  discontinued: "No longer available",
+  inactive: "Inactive",
+  outOfDistrict: "Not sold in your district",
+  outOfStock: "Out of stock",
+  insufficientStock: "Not enough stock",
+  priceChanged: "Price changed",
+};
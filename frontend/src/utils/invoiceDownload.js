@@ -0,0 +1,52 @@
+import api from "../api/axiosInstance";
+
+// Helper: hand a downloaded file to the browser under the server's file name
+const saveResponse = (response, fallbackName) => {
+  const match = /filename="([^"]+)"/.exec(response.headers["content-disposition"] || "");
+  const url = URL.createObjectURL(response.data);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// ✅ Invoices are issued and rendered by the backend, so the supplier and
+// the supermarket always download the same numbered document
+export const downloadInvoice = async (invoiceId) => {
+  const response = await api.get(`/invoices/${invoiceId}/pdf`, {
+    responseType: "blob",
+  });
+  saveResponse(response, "invoice.pdf");
+};
+
+// Several invoice PDFs in one ZIP (supplier)
+export const downloadInvoicesZip = async (ids) => {
+  const response = await api.post("/invoices/zip", { ids }, { responseType: "blob" });
+  saveResponse(response, "invoices.zip");
+};
+
+// Statement of account with a supplier or buyer as "pdf" or "csv"
+export const downloadStatement = async (partyId, format, { from, to }) => {
+  const response = await api.get(`/statements/${partyId}/${format}`, {
+    params: { from, to },
+    responseType: "blob",
+  });
+  saveResponse(response, `statement.${format}`);
+};
+
+// Warehouse pick list for an order's outstanding lines (supplier)
+export const downloadPickList = async (orderId) => {
+  const response = await api.get(`/orders/${orderId}/pick-list`, { responseType: "blob" });
+  saveResponse(response, "pick-list.pdf");
+};
+
+// Supplier's whole catalog as "csv" or "xlsx", in the bulk import layout
+export const downloadCatalog = async (format) => {
+  const response = await api.get("/products/export", {
+    params: { format },
+    responseType: "blob",
+  });
+  saveResponse(response, `products.${format}`);
+};